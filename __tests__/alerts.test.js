@@ -0,0 +1,142 @@
+// Tests for moisture threshold alerts
+const {
+    createAlertMonitor,
+    updateAlertMonitor,
+    runModel,
+    simulateDrying,
+    streamMoisture,
+    FuelMoistureModel
+} = require('../fuel-moisture-calculator');
+
+const levels = [{ name: 'warning', threshold: 6 }, { name: 'watch', threshold: 8 }];
+
+function feed(monitor, values) {
+    return values.map((moisture, period) => updateAlertMonitor(monitor, { 1: moisture }, { period: period }));
+}
+
+describe('createAlertMonitor / updateAlertMonitor', () => {
+    test('should enter, persist in and leave nested levels', () => {
+        const monitor = createAlertMonitor({ levels: levels, timeLags: [1] });
+        const events = feed(monitor, [9, 7.5, 5.9, 6.2, 9]);
+
+        expect(events[0]).toEqual([]);
+        expect(events[1]).toEqual([{
+            type: 'enter', timeLag: 1, level: 'watch', threshold: 8, moisture: 7.5, periods: 1, period: 1
+        }]);
+        expect(events[2].map(event => `${event.type} ${event.level}`)).toEqual(['persist watch', 'enter warning']);
+        expect(events[3].map(event => `${event.type} ${event.level}`)).toEqual(['persist watch', 'persist warning']);
+        expect(events[4].map(event => `${event.type} ${event.level} ${event.periods}`))
+            .toEqual(['exit warning 2', 'exit watch 3']);
+    });
+
+    test('should not flap while the moisture hovers at a threshold', () => {
+        const monitor = createAlertMonitor({ levels: levels, timeLags: [1], hysteresis: 0.5 });
+        const events = [].concat(...feed(monitor, [6.1, 5.9, 6.1, 6.0, 6.4, 6.6]));
+        const warning = events.filter(event => event.level === 'warning' && event.type !== 'persist');
+
+        expect(warning.map(event => `${event.type} ${event.period}`)).toEqual(['enter 1', 'exit 5']);
+    });
+
+    test('should take levels per fuel class and per-level hysteresis', () => {
+        const monitor = createAlertMonitor({
+            levels: { 10: [{ name: 'dry', threshold: 10, hysteresis: 2 }] }
+        });
+
+        expect(updateAlertMonitor(monitor, { 1: 3, 10: 9.5 })[0]).toMatchObject({ type: 'enter', timeLag: 10 });
+        expect(updateAlertMonitor(monitor, { 10: 11.5 })[0].type).toBe('persist');
+        expect(updateAlertMonitor(monitor, { 10: 12.1 })[0].type).toBe('exit');
+    });
+
+    test('should keep levels nested when a more severe level has the larger hysteresis', () => {
+        const monitor = createAlertMonitor({
+            levels: [{ name: 'watch', threshold: 8, hysteresis: 0 }, { name: 'warning', threshold: 6, hysteresis: 3 }],
+            timeLags: [1]
+        });
+        const events = feed(monitor, [5, 8.5]);
+
+        expect(events[1].map(event => `${event.type} ${event.level}`)).toEqual(['exit warning', 'exit watch']);
+        expect(monitor.classes[1].levels.every(level => !level.active)).toBe(true);
+    });
+
+    test('should default to watch, warning and extreme for the 1- and 10-hour classes', () => {
+        const monitor = createAlertMonitor(true);
+
+        expect(Object.keys(monitor.classes)).toEqual(['1', '10']);
+        expect(monitor.classes[1].levels.map(level => level.name)).toEqual(['watch', 'warning', 'extreme']);
+        expect(updateAlertMonitor(monitor, { 1: 3.9, 10: 9 }).map(event => event.level))
+            .toEqual(['watch', 'warning', 'extreme']);
+    });
+
+    test('should throw TypeError for invalid settings and moistures', () => {
+        expect(() => createAlertMonitor('on')).toThrow(TypeError);
+        expect(() => createAlertMonitor({ levels: [] })).toThrow(TypeError);
+        expect(() => createAlertMonitor({ levels: [{ name: 'a', threshold: 5 }, { name: 'a', threshold: 4 }] }))
+            .toThrow(TypeError);
+        expect(() => createAlertMonitor({ levels: [{ name: 'a', threshold: 'low' }] })).toThrow(TypeError);
+        expect(() => createAlertMonitor({ hysteresis: -1 })).toThrow(TypeError);
+        expect(() => createAlertMonitor({ timeLags: [1, 3] })).toThrow(TypeError);
+        expect(() => updateAlertMonitor(createAlertMonitor(), { 1: 5 })).toThrow(TypeError);
+    });
+});
+
+const forecast = [
+    { label: 'Mon', temp: 75, rh: 45, hours: 12 },
+    { label: 'Mon night', temp: 60, rh: 70, hours: 12 },
+    { label: 'Tue', temp: 95, rh: 10, hours: 12 },
+    { label: 'Wed', temp: 98, rh: 8, hours: 12 }
+];
+
+describe('alerts in the modelling functions', () => {
+    test('should report alert events from runModel', () => {
+        const results = runModel(10, 12, forecast, { alerts: { levels: levels } });
+
+        expect(results.dailyResults.every(result => Array.isArray(result.alerts))).toBe(true);
+        expect(results.alerts).toEqual([].concat(...results.dailyResults.map(result => result.alerts)));
+        const entered = results.alerts.find(event => event.type === 'enter' && event.level === 'warning');
+        expect(entered).toMatchObject({ timeLag: 1, day: 'Tue', period: 2 });
+        expect(results.summary.alertLevels[1]).toBe('warning');
+        expect(results.summary.peakAlertLevels[1]).toBe('warning');
+
+        expect(runModel(10, 12, forecast).dailyResults[0]).not.toHaveProperty('alerts');
+    });
+
+    test('should report alert events from both simulateDrying forms', () => {
+        const series = simulateDrying({
+            tempSeries: [90, 95, 98],
+            rhSeries: [15, 10, 8],
+            initialState: { m1: 9, m10: 10, m100: 14 },
+            alerts: { levels: levels, timeLags: [1, 100] }
+        });
+        expect(series[0].alerts[0]).toMatchObject({ type: 'enter', timeLag: 1, level: 'watch', step: 1 });
+
+        const scenario = simulateDrying({
+            initial1hr: 9, initial10hr: 10, initial100hr: 14, tempF: 95, rh: 10, durationHours: 6, alerts: true
+        });
+        expect(scenario.timeSeries[0].alerts).toEqual([]);
+        expect(scenario.alerts[0]).toMatchObject({ type: 'enter', timeLag: 1, level: 'watch', hour: 1 });
+        expect(scenario.peakAlertLevels[1]).toBe('extreme');
+    });
+
+    test('should carry the alert state across model updates, saves and streams', async () => {
+        const model = new FuelMoistureModel({ initial1hr: 10, initial10hr: 12, alerts: { levels: levels } });
+        model.update(forecast.slice(0, 3));
+        expect(model.state.alertLevels).toEqual({ 1: 'warning', 10: 'warning' });
+
+        const restored = FuelMoistureModel.fromJSON(JSON.stringify(model));
+        const items = [];
+        for await (const item of streamMoisture(forecast.slice(3), { model: restored })) items.push(item);
+
+        const whole = runModel(10, 12, forecast, { alerts: { levels: levels } });
+        expect(items[0].result.alerts).toEqual(whole.dailyResults[3].alerts.map(event =>
+            Object.assign({}, event, { period: 3 })));
+        expect(items[0].result.alerts.find(event => event.level === 'warning' && event.timeLag === 1).type)
+            .toBe('persist');
+    });
+
+    test('should need large fuels for 100-hour alerts in runModel', () => {
+        expect(() => runModel(10, 12, forecast, { alerts: { timeLags: [100] } })).toThrow(TypeError);
+        expect(runModel(10, 12, forecast, {
+            initial100hr: 15, initial1000hr: 20, alerts: { timeLags: [100] }
+        }).summary.alertLevels).toEqual({ 100: null });
+    });
+});
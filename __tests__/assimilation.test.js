@@ -0,0 +1,106 @@
+// Tests for assimilating measured fuel moisture into runModel
+const { runModel } = require('../fuel-moisture-calculator');
+
+const forecast = ['12', '13', '14', '15'].map((hour, index) => ({
+    timestamp: `2026-07-01T${hour}:00:00Z`,
+    temp: 85 + index * 2,
+    rh: 25 - index * 3
+}));
+
+describe('runModel observation assimilation', () => {
+    test('should blend an observation into the 10-hour state', () => {
+        const free = runModel(8, 10, forecast);
+        const results = runModel(8, 10, forecast, {
+            observations: [{ timestamp: '2026-07-01T13:00:00Z', moisture: 12, uncertainty: 1 }]
+        });
+        const day = results.dailyResults[1];
+        const record = day.assimilation[0];
+
+        // Variance grows from 1 through two one-hour periods before the update
+        const decay = Math.exp(-1 / 10);
+        const variance = decay * decay * (decay * decay * 1 + 0.1) + 0.1;
+        expect(record.gain).toBeCloseTo(variance / (variance + 1), 3);
+        expect(record).toMatchObject({
+            timeLag: 10,
+            observed: 12,
+            uncertainty: 1,
+            forecast: free.dailyResults[1].moisture10Hr
+        });
+        expect(record.innovation).toBeCloseTo(12 - record.forecast, 1);
+        expect(day.moisture10Hr).toBe(record.analysis);
+        expect(record.analysis).toBeGreaterThan(record.forecast);
+        expect(record.analysis).toBeLessThan(12);
+        expect(day.moisture1Hr).toBe(free.dailyResults[1].moisture1Hr);
+        expect(day.uncertainty.moisture10Hr).toBeLessThan(results.dailyResults[0].uncertainty.moisture10Hr);
+    });
+
+    test('should carry the analysis into later periods', () => {
+        const free = runModel(8, 10, forecast);
+        const results = runModel(8, 10, forecast, {
+            observations: [{ timestamp: '2026-07-01T12:30:00Z', moisture: 14 }]
+        });
+
+        expect(results.dailyResults[1].assimilation).toBeDefined();
+        expect(results.dailyResults[3].moisture10Hr).toBeGreaterThan(free.dailyResults[3].moisture10Hr);
+        expect(results.dailyResults[3]).not.toHaveProperty('assimilation');
+        expect(results.summary.final10Hr).toBe(results.dailyResults[3].moisture10Hr);
+        expect(results.summary.assimilatedObservations).toBe(1);
+    });
+
+    test('should trust precise observations more', () => {
+        const run = uncertainty => runModel(8, 10, forecast, {
+            observations: [{ period: 2, moisture: 12, uncertainty: uncertainty }]
+        }).dailyResults[2].assimilation[0].gain;
+
+        expect(run(0.2)).toBeGreaterThan(run(1));
+        expect(run(1)).toBeGreaterThan(run(5));
+    });
+
+    test('should assimilate 1-hour observations by period index without timestamps', () => {
+        const entries = [{ temp: 85, rh: 20, hours: 6 }, { temp: 88, rh: 15, hours: 6 }];
+        const results = runModel(8, 10, entries, {
+            observations: [{ period: 0, timeLag: 1, moisture: 9, uncertainty: 0.5 }],
+            assimilation: { initialUncertainty: 2, processVariance: { 1: 1 } }
+        });
+
+        expect(results.dailyResults[0].assimilation[0].timeLag).toBe(1);
+        expect(results.dailyResults[0].moisture1Hr)
+            .toBeGreaterThan(runModel(8, 10, entries).dailyResults[0].moisture1Hr);
+    });
+
+    test('should report observations outside the forecast', () => {
+        const results = runModel(8, 10, forecast, {
+            observations: [
+                { timestamp: '2026-07-01T09:00:00Z', moisture: 12 },
+                { timestamp: '2026-07-01T14:00:00Z', moisture: 12 },
+                { timestamp: '2026-07-02T14:00:00Z', moisture: 12 },
+                { period: 9, moisture: 12 }
+            ]
+        });
+
+        expect(results.summary.assimilatedObservations).toBe(1);
+        expect(results.summary.unmatchedObservations).toEqual([0, 2, 3]);
+    });
+
+    test('should leave results unchanged without observations', () => {
+        const results = runModel(8, 10, forecast);
+        expect(results.dailyResults[0]).not.toHaveProperty('uncertainty');
+        expect(results.summary).not.toHaveProperty('assimilatedObservations');
+    });
+
+    test('should throw TypeError for invalid observations', () => {
+        const run = (observations, options) =>
+            runModel(8, 10, forecast, Object.assign({ observations: observations }, options));
+        expect(() => run({ moisture: 12 })).toThrow(TypeError);
+        expect(() => run([{ period: 0, moisture: 12, timeLag: 100 }])).toThrow(TypeError);
+        expect(() => run([{ period: 0, moisture: 'wet' }])).toThrow(TypeError);
+        expect(() => run([{ period: 0, moisture: 12, uncertainty: 0 }])).toThrow(TypeError);
+        expect(() => run([{ timestamp: 'noon', moisture: 12 }])).toThrow(TypeError);
+        expect(() => run([{ period: 0, moisture: 12 }], { engine: 'nelson2000' })).toThrow(TypeError);
+        expect(() => run([{ period: 0, moisture: 12 }], { assimilation: { initialUncertainty: -1 } }))
+            .toThrow(TypeError);
+        expect(() => runModel(8, 10, [{ temp: 80, rh: 20, hours: 1 }], {
+            observations: [{ timestamp: '2026-07-01T13:00:00Z', moisture: 12 }]
+        })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,126 @@
+// Tests for calibrating time lags and the EMC adjustment to observed fuel moisture
+const {
+    calibrateFuelMoisture,
+    computeEMC,
+    runModel,
+    simulateDrying,
+    predictDryingTrend,
+    createStationRegistry,
+    runStationBatch
+} = require('../fuel-moisture-calculator');
+
+// Three days of hourly weather following a daily cycle
+const weather = Array.from({ length: 72 }, (_, hour) => {
+    const phase = Math.sin(hour / 24 * 2 * Math.PI);
+    return { temp: 70 + 15 * phase, rh: 45 - 25 * phase, hours: 1 };
+});
+
+// Moisture from the exponential model with the given time lag and EMC adjustment
+function observe(tau, scale, offset, initial) {
+    let moisture = initial;
+    return weather.map((entry, index) => {
+        const emc = scale * computeEMC(entry.temp, entry.rh) + offset;
+        if (index > 0) moisture = emc + (moisture - emc) * Math.exp(-entry.hours / tau);
+        return moisture;
+    });
+}
+
+describe('calibrateFuelMoisture', () => {
+    test('should recover the time lag and EMC adjustment of synthetic stick data', () => {
+        const observed = observe(7, 1.2, 0.5, 14).map((value, index) => (index % 3 === 0 ? value : null));
+        const { parameters, statistics } = calibrateFuelMoisture(weather, observed);
+
+        expect(parameters.timeLags['10']).toBeCloseTo(7, 1);
+        expect(parameters.emc.scale).toBeCloseTo(1.2, 1);
+        expect(parameters.emc.offset).toBeCloseTo(0.5, 1);
+        expect(statistics.n).toBe(23);
+        expect(statistics.rmse).toBeLessThan(0.05);
+        expect(statistics.r2).toBeGreaterThan(0.99);
+        expect(statistics.defaultRmse).toBeGreaterThan(statistics.rmse);
+        expect(statistics.byTimeLag['10'].n).toBe(23);
+    });
+
+    test('should fit several fuel classes with a shared EMC adjustment', () => {
+        const { parameters, statistics } = calibrateFuelMoisture(weather, {
+            1: observe(1.5, 1.1, 0, 10),
+            10: observe(12, 1.1, 0, 12)
+        });
+
+        expect(parameters.timeLags['1']).toBeCloseTo(1.5, 1);
+        expect(parameters.timeLags['10']).toBeCloseTo(12, 0);
+        expect(parameters.emc.scale).toBeCloseTo(1.1, 1);
+        expect(Object.keys(statistics.byTimeLag)).toEqual(['1', '10']);
+    });
+
+    test('should fit only what is asked for', () => {
+        const observed = observe(10, 1, 1.5, 14);
+        const offsetOnly = calibrateFuelMoisture(weather, observed, { fitTimeLags: false });
+        const lagOnly = calibrateFuelMoisture(weather, observe(6, 1, 0, 14), { fitEMC: false });
+
+        expect(offsetOnly.parameters).not.toHaveProperty('timeLags');
+        expect(offsetOnly.parameters.emc.offset).toBeCloseTo(1.5, 1);
+        expect(lagOnly.parameters).not.toHaveProperty('emc');
+        expect(lagOnly.parameters.timeLags['10']).toBeCloseTo(6, 1);
+    });
+
+    test('should restart the model after rain', () => {
+        const rainy = weather.map((entry, index) => (index === 30 ? Object.assign({ precip: 0.5 }, entry) : entry));
+        // Rain soaks the stick to 30%, after which it dries with the same time lag
+        const observed = observe(7, 1, 0, 14);
+        const soaked = 30 - observed[30];
+        for (let i = 30; i < 72; i++) observed[i] += soaked * Math.exp(-(i - 30) / 7);
+
+        const { parameters } = calibrateFuelMoisture(rainy, observed, { fitEMC: false });
+        expect(parameters.timeLags['10']).toBeCloseTo(7, 0);
+    });
+
+    test('should produce parameters the modelling functions load', () => {
+        const { parameters } = calibrateFuelMoisture(weather, observe(7, 1.2, 0.5, 14));
+        const saved = JSON.parse(JSON.stringify(parameters));
+        const forecast = [{ temp: 90, rh: 15, hours: 6 }];
+
+        const calibrated = runModel(12, 14, forecast, { calibration: saved });
+        const nominal = runModel(12, 14, forecast);
+        expect(calibrated.dailyResults[0].emc).toBeCloseTo(1.2 * nominal.dailyResults[0].emc + 0.5, 0);
+        expect(calibrated.dailyResults[0].moisture10Hr).not.toBe(nominal.dailyResults[0].moisture10Hr);
+
+        const scenario = simulateDrying({
+            initial1hr: 12, initial10hr: 14, initial100hr: 16, tempF: 90, rh: 15, durationHours: 6, calibration: saved
+        });
+        expect(scenario.final.moisture10hr).toBe(calibrated.dailyResults[0].moisture10Hr);
+
+        const trend = predictDryingTrend({
+            currentMoisture: 14,
+            historicalWeather: [{ temp: 70, rh: 40, hours: 0 }],
+            predictedWeather: forecast,
+            timeLag: 10
+        }, { calibration: { parameters: saved } });
+        expect(trend.trend[1].moisture).toBe(calibrated.dailyResults[0].moisture10Hr);
+    });
+
+    test('should carry a station calibration into the batch runner', () => {
+        const calibration = { timeLags: { 10: 5 } };
+        const registry = createStationRegistry([
+            { id: 'A', initial1hr: 12, initial10hr: 14, calibration: calibration }
+        ]);
+        const batch = runStationBatch(registry, { A: [{ temp: 90, rh: 15, hours: 6 }] });
+
+        expect(batch.stations.A.result).toEqual(runModel(12, 14, [{ temp: 90, rh: 15, hours: 6 }], {
+            calibration: calibration
+        }));
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        const observed = observe(7, 1, 0, 14);
+        expect(() => calibrateFuelMoisture([], observed)).toThrow(TypeError);
+        expect(() => calibrateFuelMoisture(weather, observed.slice(1))).toThrow(TypeError);
+        expect(() => calibrateFuelMoisture(weather, { ten: observed })).toThrow(TypeError);
+        expect(() => calibrateFuelMoisture(weather, observed.map(() => null))).toThrow(/Too few/);
+        expect(() => calibrateFuelMoisture(weather, observed, { fitEMC: false, fitTimeLags: false }))
+            .toThrow(TypeError);
+        expect(() => runModel(12, 14, weather, { calibration: { emc: { scale: -1 } } })).toThrow(TypeError);
+        expect(() => runModel(12, 14, weather, { calibration: { timeLags: { 10: 0 } } })).toThrow(TypeError);
+        expect(() => runModel(12, 14, weather, { engine: 'nelson2000', calibration: { timeLags: { 10: 8 } } }))
+            .toThrow(TypeError);
+    });
+});
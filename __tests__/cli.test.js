@@ -0,0 +1,149 @@
+// Tests for the fuel-moisture command-line interface
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, EXIT_CODES } = require('../bin/fuel-moisture');
+const { computeEMC, stepMoisture, runModel, formatResultsCSV } = require('../fuel-moisture-calculator');
+
+const forecastCSV = [
+    'label,temp,rh,hours',
+    'Mon,75,45,12',
+    'Mon night,60,70,12',
+    'Tue,95,10,12'
+].join('\n');
+
+const forecast = [
+    { label: 'Mon', temp: 75, rh: 45, hours: 12 },
+    { label: 'Mon night', temp: 60, rh: 70, hours: 12 },
+    { label: 'Tue', temp: 95, rh: 10, hours: 12 }
+];
+
+async function run(argv, files = {}, stdin = '') {
+    const output = { stdout: '', stderr: '' };
+    const code = await main(argv, {
+        stdout: text => { output.stdout += text; },
+        stderr: text => { output.stderr += text; },
+        readFile: file => {
+            if (files[file] === undefined) {
+                const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+                error.code = 'ENOENT';
+                throw error;
+            }
+            return files[file];
+        },
+        readStdin: async () => stdin
+    });
+    return Object.assign(output, { code: code });
+}
+
+describe('fuel-moisture CLI', () => {
+    test('should compute EMC and signal a critical value', async () => {
+        const humid = await run(['emc', '--temp', '70', '--rh', '50', '--format', 'json']);
+        expect(humid.code).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(humid.stdout)).toEqual({ temp: 70, rh: 50, emc: computeEMC(70, 50) });
+
+        const dry = await run(['emc', '--temp=95', '--rh=10']);
+        expect(dry.code).toBe(EXIT_CODES.CRITICAL);
+        expect(dry.stdout.split('\n')[0].trim().split(/\s+/)).toEqual(['temp', 'rh', 'emc']);
+        expect(dry.stderr).toMatch(/at or below the 6% threshold/);
+    });
+
+    test('should step moisture towards a given or computed EMC', async () => {
+        const given = await run(['step', '--moisture', '12', '--emc', '8', '--hours', '6', '--format', 'json']);
+        expect(JSON.parse(given.stdout).result).toBe(stepMoisture(12, 8, 6, 10));
+
+        const computed = await run(['step', '--moisture', '12', '--temp', '90', '--rh', '20', '--hours', '6',
+            '--time-lag', '1', '--format', 'csv']);
+        expect(computed.stdout.split('\n')[0]).toBe('moisture,temp,rh,emc,hours,timeLag,result');
+    });
+
+    test('should run a CSV forecast file and write CSV', async () => {
+        const result = await run(['forecast', 'week.csv', '--initial-1hr', '10', '--initial-10hr', '12',
+            '--format', 'csv'], { 'week.csv': forecastCSV });
+
+        expect(result.stdout).toBe(formatResultsCSV(runModel(10, 12, forecast)));
+        expect(result.code).toBe(EXIT_CODES.CRITICAL);
+        expect(result.stderr).toMatch(/moisture1Hr .* \(Tue\)/);
+    });
+
+    test('should read JSON from stdin and check the chosen fuel class', async () => {
+        const args = ['forecast', '--initial-1hr', '10', '--initial-10hr', '12', '--format', 'json'];
+        const result = await run(args.concat(['--time-lag', '10', '--threshold', '4']), {}, JSON.stringify(forecast));
+
+        expect(JSON.parse(result.stdout)).toEqual(runModel(10, 12, forecast));
+        expect(result.code).toBe(EXIT_CODES.OK);
+    });
+
+    test('should simulate series and constant-weather scenarios', async () => {
+        const series = await run(['simulate', '-', '--initial-1hr', '10', '--initial-10hr', '12',
+            '--initial-100hr', '15', '--time-step', '12', '--threshold', '2'], {}, forecastCSV);
+        expect(series.code).toBe(EXIT_CODES.OK);
+        expect(series.stdout.split('\n')).toHaveLength(6);
+
+        const scenario = await run(['simulate', '--initial-1hr', '10', '--initial-10hr', '12', '--initial-100hr', '15',
+            '--temp', '90', '--rh', '20', '--duration', '4', '--format', 'json']);
+        expect(JSON.parse(scenario.stdout).timeSeries).toHaveLength(5);
+    });
+
+    test('should predict a drying trend from records or split weather', async () => {
+        const split = JSON.stringify({ historicalWeather: forecast.slice(0, 2), predictedWeather: forecast.slice(2) });
+        const fromRecords = await run(['trend', 'week.csv', '--moisture', '12', '--time-lag', '10',
+            '--historical', '2', '--format', 'json'], { 'week.csv': forecastCSV });
+        const fromSplit = await run(['trend', 'split.json', '--moisture', '12', '--time-lag', '10', '--format', 'json'],
+            { 'split.json': split });
+
+        expect(JSON.parse(fromRecords.stdout)).toEqual(JSON.parse(fromSplit.stdout));
+        expect(JSON.parse(fromSplit.stdout).metadata.historicalPeriods).toBe(2);
+    });
+
+    test('should signal a critical trend from forecast periods only', async () => {
+        const weather = JSON.stringify({
+            historicalWeather: [{ label: 'Sun', temp: 95, rh: 10, hours: 12 }],
+            predictedWeather: [{ label: 'Mon', temp: 55, rh: 95, hours: 24 }]
+        });
+        const args = ['trend', 'week.json', '--moisture', '5', '--time-lag', '10', '--threshold', '6'];
+
+        expect((await run(args, { 'week.json': weather })).code).toBe(EXIT_CODES.OK);
+        expect((await run(args.concat(['--threshold', '30']), { 'week.json': weather })).code)
+            .toBe(EXIT_CODES.CRITICAL);
+    });
+
+    test('should report usage and input errors with their exit codes', async () => {
+        expect((await run([])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['--help'])).stdout).toMatch(/^Usage: fuel-moisture/);
+        expect((await run(['burn'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['emc', '--temp', '80', '--rh', '20', '--wind', '5'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['emc', '--temp', 'hot', '--rh', '20'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['emc', '--temp', '80'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['emc', '--temp', '80', '--rh', '20', '--format', 'xml'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['step', '--moisture', '12', '--emc', '8', '--hours', '-6'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['simulate', '--initial-1hr', '9', '--initial-10hr', '10', '--initial-100hr', '14',
+            '--temp', '95', '--rh', '10', '--duration', '-4'])).code).toBe(EXIT_CODES.USAGE);
+        expect((await run(['simulate', '--initial-1hr', '9', '--initial-10hr', '10', '--initial-100hr', '14',
+            '--time-step', '-1'], {}, forecastCSV)).code).toBe(EXIT_CODES.USAGE);
+
+        const missing = await run(['forecast', 'none.csv', '--initial-1hr', '10', '--initial-10hr', '12']);
+        expect(missing.code).toBe(EXIT_CODES.ERROR);
+        expect(missing.stderr).toMatch(/ENOENT/);
+        const invalid = await run(['forecast', '--initial-1hr', '10', '--initial-10hr', '12'], {}, '{"forecast": 3}');
+        expect(invalid.code).toBe(EXIT_CODES.ERROR);
+        const partial = await run(['forecast', '--initial-1hr', '10', '--initial-10hr', '12', '--threshold', '1'], {},
+            'temp,rh,hours\n80,25,6\nwarm,25,6');
+        expect(partial.code).toBe(EXIT_CODES.OK);
+        expect(partial.stderr).toMatch(/line 3/);
+        const single = await run(['forecast', '--initial-1hr', '10', '--initial-10hr', '12'], {},
+            'timestamp,temp,rh\n2026-07-01T12:00:00Z,80,25');
+        expect(single.code).toBe(EXIT_CODES.ERROR);
+        expect(single.stderr).toMatch(/single timestamped entry and needs hours/);
+    });
+
+    test('should set the process exit code when run as a program', () => {
+        const bin = path.join(__dirname, '..', 'bin', 'fuel-moisture.js');
+        const dry = spawnSync(process.execPath, [bin, 'emc', '--temp', '95', '--rh', '10'], { encoding: 'utf8' });
+        const piped = spawnSync(process.execPath, [bin, 'forecast', '--initial-1hr', '10', '--initial-10hr', '12',
+            '--threshold', '1'], { input: forecastCSV, encoding: 'utf8' });
+
+        expect(dry.status).toBe(EXIT_CODES.CRITICAL);
+        expect(piped.status).toBe(EXIT_CODES.OK);
+        expect(piped.stdout).toMatch(/Mon night/);
+    });
+});
@@ -0,0 +1,155 @@
+// Tests for CSV/TSV weather import and result export
+const {
+    parseWeatherCSV,
+    formatResultsCSV,
+    interpolateWeatherData,
+    runModel,
+    simulateDrying,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+const forecastCSV = [
+    'label,temp,rh,hours,wind,precip',
+    'Monday,85,20,12,10,',
+    'Monday night,60,65,12,,0.2',
+    'Tuesday,90,15,12,12,'
+].join('\n');
+
+describe('parseWeatherCSV', () => {
+    test('should read entries ready for runModel', () => {
+        const { records, errors } = parseWeatherCSV(forecastCSV);
+
+        expect(errors).toEqual([]);
+        expect(records).toEqual([
+            { label: 'Monday', temp: 85, rh: 20, hours: 12, wind: 10 },
+            { label: 'Monday night', temp: 60, rh: 65, hours: 12, precip: 0.2 },
+            { label: 'Tuesday', temp: 90, rh: 15, hours: 12, wind: 12 }
+        ]);
+        expect(runModel(10, 12, records).dailyResults[1].rainAffected).toBe(true);
+    });
+
+    test('should map columns and convert units', () => {
+        const text = [
+            'Time\tAir Temp\tRH %\tWind Speed\tRain',
+            '2026-07-01T12:00:00Z\t30\t20\t5\t2.54',
+            '2026-07-01T13:00:00Z\t\t18\t4\t0'
+        ].join('\n');
+        const { records } = parseWeatherCSV(text, {
+            columns: { timestamp: 'Time', temp: 'Air Temp', rh: 'rh %', wind: 'Wind Speed', precip: 'Rain' },
+            units: { temp: 'C', wind: 'm/s', precip: 'mm' }
+        });
+
+        expect(records[0]).toEqual({ timestamp: '2026-07-01T12:00:00Z', temp: 86, rh: 20, wind: 11.18, precip: 0.1 });
+        expect(records[1]).not.toHaveProperty('temp');
+    });
+
+    test('should accept the metric shorthand and an explicit delimiter', () => {
+        const { records } = parseWeatherCSV('temp;rh;wind\n20;40;16.09344', { delimiter: ';', units: 'metric' });
+        expect(records[0]).toEqual({ temp: 68, rh: 40, wind: 10 });
+    });
+
+    test('should honour quoted fields', () => {
+        const { records } = parseWeatherCSV('label,temp,rh\n"Ridge ""A"", north",80,25');
+        expect(records[0].label).toBe('Ridge "A", north');
+    });
+
+    test('should report malformed lines and keep parsing', () => {
+        const { records, errors } = parseWeatherCSV([
+            'temp,rh,hours',
+            '80,25,6',
+            'warm,25,6',
+            '80,125,6',
+            '80,25',
+            '80,25,-6',
+            '82,22,6'
+        ].join('\n'));
+
+        expect(records).toHaveLength(2);
+        expect(errors.map(error => error.line)).toEqual([3, 4, 5, 6]);
+        expect(errors[0].message).toMatch(/temp/);
+    });
+
+    test('should report a header without temperature and humidity columns', () => {
+        const { records, errors } = parseWeatherCSV('Air Temp,RH\n80,25');
+
+        expect(records).toEqual([]);
+        expect(errors[0].line).toBe(1);
+        expect(errors[0].message).toMatch(/temp/);
+    });
+
+    test('should feed interpolateWeatherData and predictDryingTrend', () => {
+        const { records } = parseWeatherCSV([
+            'timestamp,temp,rh',
+            '2026-07-01T12:00:00Z,80,30',
+            '2026-07-01T13:00:00Z,,',
+            '2026-07-01T14:00:00Z,90,20'
+        ].join('\n'));
+        const filled = interpolateWeatherData(records);
+
+        expect(filled[1]).toMatchObject({ temp: 85, rh: 25 });
+        const result = predictDryingTrend({
+            currentMoisture: 10,
+            historicalWeather: filled.slice(0, 1),
+            predictedWeather: filled.slice(1),
+            timeLag: 1
+        });
+        expect(result.trend).toHaveLength(3);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+        expect(() => parseWeatherCSV(undefined)).toThrow(TypeError);
+        expect(() => parseWeatherCSV(forecastCSV, { units: 'furlongs' })).toThrow(TypeError);
+        expect(() => parseWeatherCSV(forecastCSV, { units: { temp: 'R' } })).toThrow(TypeError);
+        expect(() => parseWeatherCSV(forecastCSV, { columns: { humidity: 'RH' } })).toThrow(TypeError);
+    });
+});
+
+describe('formatResultsCSV', () => {
+    test('should write runModel daily results', () => {
+        const results = runModel(10, 12, parseWeatherCSV(forecastCSV).records);
+        const lines = formatResultsCSV(results).trim().split('\n');
+
+        expect(lines[0]).toBe('day,temp,rh,emc,moisture1Hr,moisture10Hr,wind,rainAffected');
+        expect(lines).toHaveLength(4);
+        expect(lines[1].split(',')[0]).toBe('Monday');
+        expect(lines[2].split(',')).toHaveLength(8);
+    });
+
+    test('should leave out nested fields unless asked for', () => {
+        const results = runModel(10, 12, parseWeatherCSV(forecastCSV).records, { alerts: true, observations: [] });
+        const text = formatResultsCSV(results);
+
+        expect(results.dailyResults[0]).toHaveProperty('alerts');
+        expect(results.dailyResults[0]).toHaveProperty('uncertainty');
+        expect(text.split('\n')[0]).toBe('day,temp,rh,emc,moisture1Hr,moisture10Hr,wind,rainAffected');
+        expect(text).not.toMatch(/object Object/);
+    });
+
+    test('should write both simulateDrying forms as TSV', () => {
+        const series = simulateDrying({ tempSeries: [80, 85], rhSeries: [30, 20], initialState: { m1: 8, m10: 10, m100: 12 } });
+        const scenario = simulateDrying({
+            initial1hr: 10, initial10hr: 12, initial100hr: 15, tempF: 90, rh: 20, durationHours: 4, stepHours: 2
+        });
+
+        expect(formatResultsCSV(series, { delimiter: '\t' }).split('\n')[0]).toBe('step\ttemp\trh\temc\tm1\tm10\tm100');
+        expect(formatResultsCSV(scenario).trim().split('\n')).toHaveLength(4);
+    });
+
+    test('should write the predictDryingTrend trend with chosen columns', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 12,
+            historicalWeather: [{ temp: 70, rh: 50, timestamp: 'Yesterday, noon' }],
+            predictedWeather: [{ temp: 85, rh: 25, timestamp: 'Today' }],
+            timeLag: 10
+        });
+
+        expect(formatResultsCSV(result, { columns: ['period', 'moisture'] })).toBe(
+            `period,moisture\n"Yesterday, noon",${result.trend[0].moisture}\nToday,${result.trend[1].moisture}\n`);
+    });
+
+    test('should throw TypeError for unrecognised results', () => {
+        expect(() => formatResultsCSV({})).toThrow(TypeError);
+        expect(() => formatResultsCSV([])).toThrow(TypeError);
+        expect(() => formatResultsCSV([{ a: 1 }], { columns: [] })).toThrow(TypeError);
+    });
+});
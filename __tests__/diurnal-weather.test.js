@@ -0,0 +1,124 @@
+// Tests for hourly weather synthesis from daily extremes
+const { spawnSync } = require('child_process');
+const {
+    synthesizeHourlyWeather,
+    simulateDrying,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+const dryDays = [
+    { tempMax: 92, tempMin: 60, rhMax: 60, rhMin: 12 },
+    { tempMax: 95, tempMin: 62, rhMax: 55, rhMin: 10 }
+];
+
+describe('synthesizeHourlyWeather', () => {
+    test('should return 24 hours per day with matching series', () => {
+        const weather = synthesizeHourlyWeather(dryDays);
+
+        expect(weather.hourly).toHaveLength(48);
+        expect(weather.timeStep).toBe(1);
+        expect(weather.tempSeries).toEqual(weather.hourly.map(point => point.temp));
+        expect(weather.rhSeries).toEqual(weather.hourly.map(point => point.rh));
+        expect(weather.hourly[24]).toMatchObject({ day: 'Day 2', hour: 0, hours: 1 });
+    });
+
+    test('should reach the daily extremes near sunrise and mid-afternoon', () => {
+        const day = synthesizeHourlyWeather([dryDays[0]]).hourly;
+        const temps = day.map(point => point.temp);
+        const hottest = temps.indexOf(Math.max(...temps));
+        const coolest = temps.indexOf(Math.min(...temps));
+
+        expect(hottest).toBeGreaterThanOrEqual(13);
+        expect(hottest).toBeLessThanOrEqual(15);
+        expect(coolest).toBeGreaterThanOrEqual(5);
+        expect(coolest).toBeLessThanOrEqual(6);
+        expect(Math.max(...temps)).toBeCloseTo(92, 0);
+        expect(Math.min(...temps)).toBeCloseTo(60, 0);
+    });
+
+    test('should move humidity opposite to temperature', () => {
+        const day = synthesizeHourlyWeather([dryDays[0]]).hourly;
+        const afternoon = day[14];
+        const dawn = day[5];
+
+        expect(afternoon.rh).toBeCloseTo(12, 0);
+        expect(dawn.rh).toBeGreaterThan(50);
+        day.forEach(point => {
+            expect(point.rh).toBeGreaterThanOrEqual(0);
+            expect(point.rh).toBeLessThanOrEqual(100);
+        });
+    });
+
+    test('should run from the previous night into the next day without jumps', () => {
+        const temps = synthesizeHourlyWeather(dryDays).tempSeries;
+        for (let i = 1; i < temps.length; i++) {
+            expect(Math.abs(temps[i] - temps[i - 1])).toBeLessThan(8);
+        }
+    });
+
+    test('should use latitude and dates for sunrise and sunset', () => {
+        const summer = synthesizeHourlyWeather([dryDays[0]], { latitude: 45, startDate: '2026-06-21' }).hourly;
+        const winter = synthesizeHourlyWeather([dryDays[0]], { latitude: 45, startDate: '2026-12-21' }).hourly;
+
+        // The longer summer day is still warming at 7am when the winter day is near its minimum
+        expect(summer[7].temp).toBeGreaterThan(winter[7].temp);
+        expect(summer[0].timestamp).toBe('2026-06-21T00:00:00');
+        expect(summer[23].timestamp).toBe('2026-06-21T23:00:00');
+    });
+
+    test('should stamp a local Date on its own calendar day', () => {
+        // Local midnight east of Greenwich is the previous day in UTC
+        const library = JSON.stringify(require.resolve('../fuel-moisture-calculator'));
+        const script = `const { synthesizeHourlyWeather } = require(${library});
+            const days = ${JSON.stringify([dryDays[0], dryDays[1]])};
+            const { hourly } = synthesizeHourlyWeather(days, { latitude: 45, startDate: new Date(2026, 6, 1) });
+            process.stdout.write(JSON.stringify([hourly[0].timestamp, hourly[24].timestamp]));`;
+        const child = spawnSync(process.execPath, ['-e', script], {
+            encoding: 'utf8',
+            env: Object.assign({}, process.env, { TZ: 'Asia/Tokyo' })
+        });
+
+        expect(JSON.parse(child.stdout)).toEqual(['2026-07-01T00:00:00', '2026-07-02T00:00:00']);
+    });
+
+    test('should stamp local hours with a UTC offset', () => {
+        const hourly = synthesizeHourlyWeather([dryDays[0]], { startDate: '2026-07-01', utcOffset: -7 }).hourly;
+
+        expect(hourly[14].timestamp).toBe('2026-07-01T14:00:00-07:00');
+        expect(new Date(hourly[14].timestamp).toISOString()).toBe('2026-07-01T21:00:00.000Z');
+        expect(() => synthesizeHourlyWeather([dryDays[0]], { utcOffset: 'PDT' })).toThrow(TypeError);
+    });
+
+    test('should accept explicit sunrise and sunset hours', () => {
+        const late = synthesizeHourlyWeather([Object.assign({ sunrise: 8, sunset: 18 }, dryDays[0])]).hourly;
+        const early = synthesizeHourlyWeather([Object.assign({ sunrise: 5, sunset: 19 }, dryDays[0])]).hourly;
+        expect(late[7].temp).toBeLessThan(early[7].temp);
+    });
+
+    test('should feed simulateDrying and predictDryingTrend', () => {
+        const weather = synthesizeHourlyWeather(dryDays, { startDate: '2026-07-01' });
+
+        const series = simulateDrying(Object.assign({ initialState: { m1: 10, m10: 12, m100: 15 } }, weather));
+        expect(series).toHaveLength(48);
+        expect(series[47].m10).toBeLessThan(12);
+
+        const trend = predictDryingTrend({
+            currentMoisture: 12,
+            historicalWeather: [{ temp: 70, rh: 50 }],
+            predictedWeather: weather.hourly,
+            timeLag: 10
+        });
+        expect(trend.trend).toHaveLength(49);
+        expect(trend.summary.endingMoisture).toBeLessThan(12);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => synthesizeHourlyWeather([])).toThrow(TypeError);
+        expect(() => synthesizeHourlyWeather([{ tempMax: 90 }])).toThrow(TypeError);
+        expect(() => synthesizeHourlyWeather([{ tempMax: 50, tempMin: 60, rhMax: 60, rhMin: 12 }])).toThrow(TypeError);
+        expect(() => synthesizeHourlyWeather([Object.assign({ sunrise: 19, sunset: 6 }, dryDays[0])]))
+            .toThrow(TypeError);
+        expect(() => synthesizeHourlyWeather(dryDays, { latitude: 'north' })).toThrow(TypeError);
+        expect(() => synthesizeHourlyWeather(dryDays, { startDate: 'soon' })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,89 @@
+// Tests for the ensemble / Monte Carlo forecast mode
+const { runEnsemble, runModel } = require('../fuel-moisture-calculator');
+
+const forecast = [
+    { label: 'Monday', temp: 85, rh: 25, hours: 12, wind: 8 },
+    { label: 'Monday night', temp: 62, rh: 55, hours: 12, wind: 3 },
+    { label: 'Tuesday', temp: 92, rh: 12, hours: 12, wind: 12 }
+];
+const perturbations = { temp: { sd: 4 }, rh: { sd: 8 }, wind: { sd: 3, perPeriod: true } };
+
+describe('runEnsemble', () => {
+    test('should report ordered percentile bands for each fuel class and period', () => {
+        const ensemble = runEnsemble(8, 10, forecast, { perturbations: perturbations, members: 200, seed: 42 });
+
+        expect(ensemble.members).toBe(200);
+        expect(ensemble.periods).toHaveLength(3);
+        expect(ensemble.periods[0].period).toBe('Monday');
+        ensemble.periods.forEach(period => {
+            ['moisture1Hr', 'moisture10Hr'].forEach(field => {
+                expect(period[field].p10).toBeLessThanOrEqual(period[field].p50);
+                expect(period[field].p50).toBeLessThanOrEqual(period[field].p90);
+            });
+            expect(period).not.toHaveProperty('moisture100Hr');
+        });
+        expect(ensemble.periods[2].moisture1Hr.p90).toBeGreaterThan(ensemble.periods[2].moisture1Hr.p10);
+    });
+
+    test('should centre on the deterministic run for unbiased perturbations', () => {
+        const deterministic = runModel(8, 10, forecast);
+        const ensemble = runEnsemble(8, 10, forecast, { perturbations: { temp: { sd: 2 } }, members: 400 });
+
+        expect(ensemble.summary.final1Hr.p50).toBeCloseTo(deterministic.summary.final1Hr, 0);
+    });
+
+    test('should be reproducible for a seed', () => {
+        const options = { perturbations: perturbations, members: 30, seed: 7 };
+        expect(runEnsemble(8, 10, forecast, options)).toEqual(runEnsemble(8, 10, forecast, options));
+        expect(runEnsemble(8, 10, forecast, Object.assign({}, options, { seed: 8 })))
+            .not.toEqual(runEnsemble(8, 10, forecast, options));
+    });
+
+    test('should accumulate the probability of reaching the threshold', () => {
+        const ensemble = runEnsemble(8, 10, forecast, { perturbations: perturbations, members: 100 });
+        const probabilities = ensemble.periods.map(period => period.probabilityCritical);
+
+        probabilities.slice(1).forEach((probability, index) => {
+            expect(probability).toBeGreaterThanOrEqual(probabilities[index]);
+        });
+        expect(probabilities[2]).toBeGreaterThan(50);
+        expect(ensemble.summary.probabilityCritical).toBe(probabilities[2]);
+        expect(ensemble.summary.firstLikelyCritical)
+            .toBe(ensemble.periods.find(period => period.probabilityCritical >= 50).period);
+    });
+
+    test('should run explicit forecast members', () => {
+        const cooler = forecast.map(entry => Object.assign({}, entry, { temp: entry.temp - 10, rh: entry.rh + 20 }));
+        const ensemble = runEnsemble(8, 10, [forecast, cooler], { percentiles: [0, 100], criticalThreshold: 5 });
+        const dry = runModel(8, 10, forecast).dailyResults[2].moisture1Hr;
+        const wet = runModel(8, 10, cooler).dailyResults[2].moisture1Hr;
+
+        expect(ensemble.members).toBe(2);
+        expect(ensemble.periods[2].moisture1Hr).toEqual({ p0: dry, p100: wet });
+        expect(ensemble.summary.criticalThreshold).toBe(5);
+    });
+
+    test('should band the large fuel classes when runModel carries them', () => {
+        const ensemble = runEnsemble(8, 10, forecast, {
+            perturbations: perturbations,
+            members: 10,
+            initial100hr: 14,
+            initial1000hr: 18
+        });
+        expect(ensemble.periods[2].moisture1000Hr).toHaveProperty('p50');
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => runEnsemble(8, 10, [])).toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, forecast)).toThrow(/Perturbations/);
+        expect(() => runEnsemble(8, 10, forecast, { perturbations: { precip: { sd: 1 } } })).toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, forecast, { perturbations: { temp: { sd: -1 } } })).toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, forecast, { perturbations: perturbations, members: 0 })).toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, forecast, { perturbations: perturbations, seed: 'abc' })).toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, forecast, { perturbations: perturbations, percentiles: [150] }))
+            .toThrow(TypeError);
+        expect(() => runEnsemble(8, 10, [forecast, forecast.slice(1)])).toThrow(TypeError);
+        const badMember = forecast.map(entry => Object.assign({}, entry, { temp: 'hot' }));
+        expect(() => runEnsemble(8, 10, [forecast, badMember])).toThrow(/member 1/);
+    });
+});
@@ -0,0 +1,119 @@
+// Tests for NFDRS adjective fire danger ratings and staffing levels
+const {
+    computeFireDangerRating,
+    runFireDangerRating,
+    runNFDRSIndices,
+    runModel,
+    simulateDrying,
+    createStationRegistry,
+    runStationBatch,
+    NFDRS_ADJECTIVE_CLASSES
+} = require('../fuel-moisture-calculator');
+
+const breakpoints = { breakpoints: [20, 40, 60, 70] };
+
+const forecast = [
+    { label: 'Mon', temp: 70, rh: 60, hours: 24, wind: 5 },
+    { label: 'Tue', temp: 85, rh: 25, hours: 24, wind: 10 },
+    { label: 'Wed', temp: 100, rh: 6, hours: 24, wind: 20 }
+];
+
+describe('computeFireDangerRating', () => {
+    test('should map the staffing index and IC through the adjective table', () => {
+        expect(computeFireDangerRating({ erc: 10, ic: 5 }, breakpoints)).toEqual({
+            staffingLevel: 1, staffingIndex: 10, adjective: 'Low', adjectiveCode: 'L'
+        });
+        expect(computeFireDangerRating({ erc: 40, ic: 50 }, breakpoints).adjectiveCode).toBe('H');
+        expect(computeFireDangerRating({ erc: 65, ic: 21 }, breakpoints))
+            .toMatchObject({ staffingLevel: 4, adjective: 'Very High' });
+        expect(computeFireDangerRating({ erc: 70, ic: 66 }, breakpoints))
+            .toMatchObject({ staffingLevel: 5, adjective: 'Extreme' });
+        expect(computeFireDangerRating({ erc: 59.9, ic: 100 }, breakpoints).adjectiveCode).toBe('VH');
+    });
+
+    test('should derive WIMS breakpoints from the 90th and 97th percentiles', () => {
+        const rating = { index: 'bi', percentile90: 60, percentile97: 75 };
+
+        expect(computeFireDangerRating({ bi: 19, ic: 0 }, rating).staffingLevel).toBe(1);
+        expect(computeFireDangerRating({ bi: 20, ic: 0 }, rating).staffingLevel).toBe(2);
+        expect(computeFireDangerRating({ bi: 40, ic: 0 }, rating).staffingLevel).toBe(3);
+        expect(computeFireDangerRating({ bi: 60, ic: 0 }, rating).staffingLevel).toBe(4);
+        expect(computeFireDangerRating({ bi: 75, ic: 0 }, rating).staffingLevel).toBe(5);
+    });
+
+    test('should rate on a fuel moisture with falling breakpoints', () => {
+        const rating = { index: 'moisture1000hr', breakpoints: [20, 16, 12, 9] };
+
+        expect(computeFireDangerRating({ moisture1000hr: 22, ic: 30 }, rating).staffingLevel).toBe(1);
+        expect(computeFireDangerRating({ moisture1000hr: 12, ic: 30 }, rating).staffingLevel).toBe(4);
+    });
+
+    test('should accept a replacement adjective table', () => {
+        const table = NFDRS_ADJECTIVE_CLASSES.map(adjective => Array(5).fill(adjective.code));
+        expect(computeFireDangerRating({ erc: 45, ic: 0 }, Object.assign({ adjectiveTable: table }, breakpoints)))
+            .toMatchObject({ staffingLevel: 3, adjective: 'High' });
+    });
+
+    test('should throw TypeError for invalid values and settings', () => {
+        expect(() => computeFireDangerRating({ erc: 30 }, breakpoints)).toThrow(TypeError);
+        expect(() => computeFireDangerRating({ ic: 30 }, breakpoints)).toThrow(TypeError);
+        expect(() => computeFireDangerRating({ erc: 30, ic: 30 }, {})).toThrow(TypeError);
+        expect(() => computeFireDangerRating({ erc: 30, ic: 30 }, { breakpoints: [20, 10, 60, 70] }))
+            .toThrow(TypeError);
+        expect(() => computeFireDangerRating({ erc: 30, ic: 30 }, { index: 'kbdi', breakpoints: [1, 2, 3, 4] }))
+            .toThrow(TypeError);
+        const badTable = Object.assign({ adjectiveTable: [['L']] }, breakpoints);
+        expect(() => computeFireDangerRating({ erc: 30, ic: 30 }, badTable)).toThrow(TypeError);
+    });
+});
+
+describe('runFireDangerRating', () => {
+    const results = runModel(10, 12, forecast, { initial100hr: 16, initial1000hr: 20 });
+
+    test('should attach a rating to every runModel period', () => {
+        const rated = runFireDangerRating(results, 'G', breakpoints);
+        const indices = runNFDRSIndices(results, 'G');
+
+        expect(rated.fuelModel).toBe('G');
+        expect(rated.periods).toHaveLength(3);
+        rated.periods.forEach((period, i) => {
+            expect(period).toMatchObject(indices.periods[i]);
+            expect(period).toEqual(Object.assign({}, indices.periods[i], computeFireDangerRating(period, breakpoints)));
+        });
+        expect(rated.summary.maxStaffingLevel).toBe(Math.max(...rated.periods.map(period => period.staffingLevel)));
+        expect(Object.values(rated.summary.adjectivePeriods).reduce((sum, n) => sum + n, 0)).toBe(3);
+        expect(rated.periods.find(period => period.period === rated.summary.peakPeriod).adjective)
+            .toBe(rated.summary.maxAdjective);
+    });
+
+    test('should read moistures from the model output for a moisture index', () => {
+        const rating = { index: 'moisture1hr', breakpoints: [12, 9, 6, 4] };
+        const rated = runFireDangerRating(results, 'G', rating);
+
+        rated.periods.forEach((period, i) => {
+            expect(period.staffingIndex).toBe(results.dailyResults[i].moisture1Hr);
+        });
+    });
+
+    test('should rate simulateDrying output with default conditions', () => {
+        const series = simulateDrying({
+            tempSeries: [80, 90], rhSeries: [30, 15], initialState: { m1: 8, m10: 10, m100: 14 }
+        });
+        const rated = runFireDangerRating(series, 'A', breakpoints, { wind: 10 });
+        expect(rated.periods.map(period => period.period)).toEqual([1, 2]);
+    });
+
+    test('should add ratings to station batches', () => {
+        const registry = createStationRegistry([
+            { id: 'A1', initial1hr: 10, initial10hr: 12, initial100hr: 16, initial1000hr: 20, fuelModel: 'G',
+                rating: breakpoints },
+            { id: 'B2', initial1hr: 10, initial10hr: 12, fuelModel: 'A' }
+        ]);
+        const batch = runStationBatch(registry, { A1: forecast, B2: forecast });
+
+        expect(batch.stations.A1.rating).toEqual(runFireDangerRating(batch.stations.A1.result, 'G', breakpoints));
+        expect(batch.stations.B2).not.toHaveProperty('rating');
+        expect(() => createStationRegistry([{ id: 'C3', initial1hr: 10, initial10hr: 12, rating: breakpoints }]))
+            .toThrow(TypeError);
+    });
+});
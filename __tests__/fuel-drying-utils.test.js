@@ -494,8 +494,9 @@ describe('Backward Compatibility', () => {
     const input = { temperature: 80, humidity: 40 };
     const result = FuelMoistureCalculator.calculateMoisture(input);
     
+    // Returns a number since the fix recorded in the CHANGELOG; it used to be a string
     expect(result).toBeDefined();
-    expect(typeof result).toBe('string');
+    expect(typeof result).toBe('number');
   });
 
   test('should maintain legacy someOtherFunction', () => {
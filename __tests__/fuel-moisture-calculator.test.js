@@ -87,9 +87,10 @@ describe('stepMoisture Tests', () => {
     });
     
     test('Should handle 100-hour time lag', () => {
-        const result = stepMoisture(15, 10, 1, 100);
-        expect(result).toBeLessThan(15);
-        expect(result).toBeCloseTo(15, 0); // Should change very little in 1 hour
+        // One hour changes the moisture by 0.05%, which rounds away at one decimal place
+        expect(stepMoisture(15, 10, 1, 100)).toBe(15);
+        expect(stepMoisture(15, 10, 12, 100)).toBeLessThan(15);
+        expect(stepMoisture(15, 10, 12, 100)).toBeCloseTo(14.4, 1);
     });
     
     test('Should throw error for invalid inputs', () => {
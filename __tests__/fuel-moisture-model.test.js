@@ -0,0 +1,126 @@
+// Tests for the stateful, serializable FuelMoistureModel
+const { FuelMoistureModel, runModel } = require('../fuel-moisture-calculator');
+
+// Two days of hourly observations
+const hourly = Array.from({ length: 48 }, (_, hour) => {
+    const phase = Math.sin((hour - 9) / 24 * 2 * Math.PI);
+    return {
+        timestamp: new Date(Date.UTC(2026, 6, 1, hour)).toISOString(),
+        temp: 75 + 15 * phase,
+        rh: 35 - 20 * phase,
+        precip: hour === 20 ? 0.3 : 0
+    };
+});
+
+describe('FuelMoistureModel', () => {
+    test('should match runModel when fed in pieces through JSON', () => {
+        const options = { initial1hr: 9, initial10hr: 11, initial100hr: 14, initial1000hr: 18 };
+        const expected = runModel(9, 11, hourly, Object.assign({ observations: [] }, options)).dailyResults;
+
+        let saved = JSON.stringify(new FuelMoistureModel(options));
+        const results = [];
+        for (let hour = 0; hour < hourly.length; hour += 5) {
+            const model = FuelMoistureModel.fromJSON(saved);
+            Array.prototype.push.apply(results, model.update(hourly.slice(hour, hour + 5)));
+            saved = JSON.stringify(model);
+        }
+
+        expect(results).toEqual(expected);
+        expect(FuelMoistureModel.fromJSON(saved).state).toMatchObject({
+            periods: 48,
+            timestamp: hourly[47].timestamp,
+            moisture1Hr: expected[47].moisture1Hr,
+            moisture100Hr: expected[47].moisture100Hr
+        });
+    });
+
+    test('should continue a Nelson stick exactly', () => {
+        const options = { initial1hr: 9, initial10hr: 11, engine: 'nelson2000' };
+        const whole = new FuelMoistureModel(options);
+        whole.update(hourly);
+
+        const first = new FuelMoistureModel(options);
+        first.update(hourly.slice(0, 17));
+        const second = FuelMoistureModel.fromJSON(first.toJSON());
+        second.update(hourly.slice(17));
+
+        expect(second.toJSON()).toEqual(whole.toJSON());
+        expect(second.state).not.toHaveProperty('uncertainty');
+        expect(() => second.assimilate({ moisture: 12 })).toThrow(TypeError);
+    });
+
+    test('should take period lengths from the last timestamp of the previous update', () => {
+        const model = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 });
+        model.update(hourly.slice(0, 2));
+        const [result] = model.update(hourly[4]);
+
+        expect(result.hours).toBe(3);
+        expect(model.state.periods).toBe(3);
+    });
+
+    test('should start the clock at a lone first timestamped entry', () => {
+        const model = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 });
+        const [first] = model.update({ timestamp: hourly[0].timestamp, temp: 80, rh: 20 });
+
+        expect(first.hours).toBe(0);
+        expect(first.moisture1Hr).toBe(9);
+        expect(model.state.timestamp).toBe(hourly[0].timestamp);
+        expect(model.update(hourly[2])[0].hours).toBe(2);
+    });
+
+    test('should number untimestamped periods across updates', () => {
+        const model = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 });
+        model.update([{ temp: 85, rh: 20, hours: 12 }]);
+        expect(model.update({ temp: 90, rh: 15, hours: 12 })[0].day).toBe('Day 2');
+        expect(model.state.timestamp).toBeNull();
+    });
+
+    test('should assimilate measurements into the current state', () => {
+        const model = new FuelMoistureModel({
+            initial1hr: 9,
+            initial10hr: 11,
+            assimilation: { initialUncertainty: 2 }
+        });
+        model.update(hourly.slice(0, 6));
+        const before = model.state;
+        const [record] = model.assimilate([{ moisture: before.moisture10Hr + 2, uncertainty: 0.5 }]);
+
+        expect(record.forecast).toBe(before.moisture10Hr);
+        expect(model.state.moisture10Hr).toBe(record.analysis);
+        expect(model.state.uncertainty.moisture10Hr).toBeLessThan(before.uncertainty.moisture10Hr);
+        expect(FuelMoistureModel.fromJSON(JSON.stringify(model)).state).toEqual(model.state);
+    });
+
+    test('should leave the state unchanged when an update fails', () => {
+        const model = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 });
+        model.update(hourly.slice(0, 3));
+        const saved = model.toJSON();
+
+        expect(() => model.update([hourly[3], Object.assign({}, hourly[4], { rh: 'dry' })])).toThrow(TypeError);
+        expect(model.toJSON()).toEqual(saved);
+        expect(() => model.update(hourly[1])).toThrow(TypeError);
+        expect(model.toJSON()).toEqual(saved);
+    });
+
+    test('should keep its settings through serialization', () => {
+        const site = { aspect: 'S', slope: 40, hour: 6, month: 7 };
+        const model = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11, site: site, ignition: true });
+        const restored = FuelMoistureModel.fromJSON(model.toJSON());
+        // A lone first timestamp has no previous one to measure from
+        const entry = Object.assign({ hours: 1 }, hourly[0]);
+
+        expect(restored.update(entry)[0]).toEqual(model.update(entry)[0]);
+        expect(restored.toJSON().options).toEqual({ site: site, ignition: true });
+    });
+
+    test('should throw TypeError for invalid settings and states', () => {
+        expect(() => new FuelMoistureModel({ initial1hr: 9 })).toThrow(TypeError);
+        expect(() => new FuelMoistureModel({ initial1hr: 9, initial10hr: 11, engine: 'magic' })).toThrow(TypeError);
+        expect(() => new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 }).update([])).toThrow(TypeError);
+        expect(() => FuelMoistureModel.fromJSON('{')).toThrow(TypeError);
+        expect(() => FuelMoistureModel.fromJSON({ version: 99 })).toThrow(TypeError);
+        const saved = new FuelMoistureModel({ initial1hr: 9, initial10hr: 11 }).toJSON();
+        expect(() => FuelMoistureModel.fromJSON(Object.assign({}, saved, { fuel1Hr: { moisture: 'wet' } })))
+            .toThrow(TypeError);
+    });
+});
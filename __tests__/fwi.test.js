@@ -0,0 +1,113 @@
+// Tests for the Canadian Forest Fire Weather Index (FWI) system
+const {
+    computeFWI,
+    computeISI,
+    computeBUI,
+    computeFWIIndex,
+    runFWI,
+    celsiusToFahrenheit,
+    FWI_STARTUP_CODES
+} = require('../fuel-moisture-calculator');
+
+// First days of the Van Wagner & Pickett (1985) reference table
+const referenceWeather = [
+    { temp: 17, rh: 42, wind: 25, precip: 0, month: 4 },
+    { temp: 20, rh: 21, wind: 25, precip: 2.4, month: 4 },
+    { temp: 8.5, rh: 40, wind: 17, precip: 0, month: 4 },
+    { temp: 6.5, rh: 25, wind: 6, precip: 0, month: 4 }
+];
+
+const referenceCodes = [
+    { ffmc: 87.7, dmc: 8.5, dc: 19.0, isi: 10.9, bui: 8.5, fwi: 10.1 },
+    { ffmc: 86.2, dmc: 10.4, dc: 23.6, isi: 8.8, bui: 10.4, fwi: 9.3 },
+    { ffmc: 87.0, dmc: 11.8, dc: 26.1, isi: 6.5, bui: 11.7, fwi: 7.6 },
+    { ffmc: 88.8, dmc: 13.2, dc: 28.2, isi: 4.9, bui: 13.1, fwi: 6.2 }
+];
+
+describe('computeFWI', () => {
+    test('should match the reference table from start-up codes', () => {
+        const codes = computeFWI(referenceWeather[0], FWI_STARTUP_CODES, { units: 'metric' });
+        expect(codes).toEqual(referenceCodes[0]);
+    });
+
+    test('should accept imperial units by default', () => {
+        const metric = computeFWI(referenceWeather[0], undefined, { units: 'metric' });
+        const imperial = computeFWI({
+            temp: celsiusToFahrenheit(17),
+            rh: 42,
+            wind: 25 / 1.609344,
+            precip: 0,
+            month: 4
+        });
+        expect(imperial).toEqual(metric);
+    });
+
+    test('should take the month from a date', () => {
+        const byMonth = computeFWI({ temp: 80, rh: 30, wind: 10, month: 7 });
+        const byDate = computeFWI({ temp: 80, rh: 30, wind: 10, date: '2026-07-15' });
+        expect(byDate).toEqual(byMonth);
+    });
+
+    test('should lower FFMC after heavy rain', () => {
+        const dry = computeFWI({ temp: 80, rh: 30, wind: 10, month: 7 }, { ffmc: 92, dmc: 40, dc: 300 });
+        const wet = computeFWI({ temp: 80, rh: 30, wind: 10, precip: 1, month: 7 }, { ffmc: 92, dmc: 40, dc: 300 });
+        expect(wet.ffmc).toBeLessThan(dry.ffmc);
+        expect(wet.dmc).toBeLessThan(dry.dmc);
+        expect(wet.dc).toBeLessThan(dry.dc);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeFWI(null)).toThrow(TypeError);
+        expect(() => computeFWI({ temp: NaN, rh: 30, month: 7 })).toThrow(TypeError);
+        expect(() => computeFWI({ temp: 80, rh: 30 })).toThrow(TypeError);
+        expect(() => computeFWI({ temp: 80, rh: 30, month: 13 })).toThrow(TypeError);
+        expect(() => computeFWI({ temp: 80, rh: 30, wind: -1, month: 7 })).toThrow(TypeError);
+        expect(() => computeFWI({ temp: 80, rh: 30, month: 7 }, { ffmc: 'x', dmc: 6, dc: 15 })).toThrow(TypeError);
+        expect(() => computeFWI({ temp: 80, rh: 30, month: 7 }, undefined, { units: 'kelvin' })).toThrow(TypeError);
+    });
+});
+
+describe('FWI component indices', () => {
+    test('should compute ISI, BUI and FWI', () => {
+        expect(computeISI(87.7, 25)).toBeCloseTo(10.9, 0);
+        expect(computeBUI(8.5, 19)).toBeCloseTo(8.5, 0);
+        expect(computeFWIIndex(10.9, 8.5)).toBeCloseTo(10.1, 0);
+    });
+
+    test('should return zero BUI for zero codes', () => {
+        expect(computeBUI(0, 0)).toBe(0);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeISI(NaN, 10)).toThrow(TypeError);
+        expect(() => computeBUI(10, Infinity)).toThrow(TypeError);
+        expect(() => computeFWIIndex('x', 10)).toThrow(TypeError);
+    });
+});
+
+describe('runFWI', () => {
+    test('should carry codes forward and match the reference table', () => {
+        const result = runFWI(referenceWeather, undefined, { units: 'metric' });
+
+        result.dailyResults.forEach((day, index) => {
+            expect(day).toEqual(Object.assign({ day: `Day ${index + 1}` }, referenceCodes[index]));
+        });
+        expect(result.summary.finalCodes).toEqual({ ffmc: 88.8, dmc: 13.2, dc: 28.2 });
+        expect(result.summary.maxFWI).toBe(10.1);
+        expect(result.summary.maxFWIDay).toBe('Day 1');
+    });
+
+    test('should continue from yesterday\'s codes', () => {
+        const full = runFWI(referenceWeather, undefined, { units: 'metric' });
+        const firstDay = runFWI(referenceWeather.slice(0, 1), undefined, { units: 'metric' });
+        const rest = runFWI(referenceWeather.slice(1), firstDay.summary.finalCodes, { units: 'metric' });
+
+        expect(rest.summary.finalCodes.dc).toBeCloseTo(full.summary.finalCodes.dc, 0);
+        expect(rest.summary.finalCodes.ffmc).toBeCloseTo(full.summary.finalCodes.ffmc, 0);
+    });
+
+    test('should throw TypeError for empty input', () => {
+        expect(() => runFWI([])).toThrow(TypeError);
+        expect(() => runFWI(null)).toThrow(TypeError);
+    });
+});
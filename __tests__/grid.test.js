@@ -0,0 +1,106 @@
+// Tests for the gridded EMC and time-lag moisture functions
+const {
+    computeEMC,
+    stepMoisture,
+    computeEMCGrid,
+    stepMoistureGrid
+} = require('../fuel-moisture-calculator');
+
+const temps = [60, 75, 90, 95];
+const rhs = [80, 40, 15, 5];
+
+describe('computeEMCGrid', () => {
+    test('should match computeEMC cell by cell', () => {
+        const emc = computeEMCGrid(new Float64Array(temps), new Float64Array(rhs));
+
+        expect(emc).toBeInstanceOf(Float64Array);
+        temps.forEach((temp, i) => expect(emc[i]).toBeCloseTo(computeEMC(temp, rhs[i]), 1));
+    });
+
+    test('should fill a supplied output grid', () => {
+        const out = new Float32Array(4);
+        expect(computeEMCGrid(new Float32Array(temps), new Float32Array(rhs), { out: out })).toBe(out);
+        expect(out[2]).toBeCloseTo(computeEMC(90, 15), 1);
+    });
+
+    test('should write nodata for masked and missing cells', () => {
+        const temp = new Float32Array([60, NaN, 90, -9999]);
+        const mask = new Uint8Array([1, 0, 0, 0]);
+        const emc = computeEMCGrid(temp, new Float32Array(rhs), { nodata: -9999, mask: mask });
+
+        expect(Array.from(emc)).toEqual([-9999, -9999, expect.any(Number), -9999]);
+    });
+
+    test('should match a non-integer nodata stored in a Float32Array', () => {
+        const temp = new Float32Array([60, -9999.9, 90, 95]);
+        const rh = new Float64Array([80, 40, -9999.9, 5]);
+        const emc = computeEMCGrid(temp, rh, { nodata: -9999.9 });
+
+        expect(emc[1]).toBe(-9999.9);
+        expect(emc[2]).toBe(-9999.9);
+        expect(emc[3]).toBeCloseTo(computeEMC(95, 5), 1);
+
+        const moisture = new Float32Array([12, 12, 12, -9999.9]);
+        stepMoistureGrid(moisture, new Float32Array(temps), new Float32Array(rhs), 1, 1, { nodata: -9999.9 });
+        expect(moisture[3]).toBe(Math.fround(-9999.9));
+    });
+});
+
+describe('stepMoistureGrid', () => {
+    test('should step every cell in place like stepMoisture', () => {
+        const moisture = new Float64Array([12, 12, 12, 12]);
+        const emc = computeEMCGrid(new Float64Array(temps), new Float64Array(rhs));
+        const result = stepMoistureGrid(moisture, new Float64Array(temps), new Float64Array(rhs), 6, 10);
+
+        // Grid values are unrounded; stepMoisture rounds to one decimal place
+        expect(result).toBe(moisture);
+        emc.forEach((value, i) => expect(moisture[i]).toBeCloseTo(stepMoisture(12, value, 6, 10), 1));
+    });
+
+    test('should leave nodata cells untouched and report EMC', () => {
+        const moisture = new Float32Array([12, 12, NaN, 12]);
+        const emcOut = new Float32Array(4);
+        stepMoistureGrid(moisture, new Float32Array(temps), new Float32Array([80, 40, 15, NaN]), 1, 1, {
+            mask: new Uint8Array([0, 1, 0, 0]),
+            emcOut: emcOut
+        });
+
+        expect(moisture[0]).not.toBe(12);
+        expect(moisture[1]).toBe(12);
+        expect(moisture[2]).toBeNaN();
+        expect(moisture[3]).toBe(12);
+        expect(emcOut[1]).toBeNaN();
+        expect(emcOut[0]).toBeCloseTo(computeEMC(60, 80), 1);
+    });
+
+    test('should not drift when stepped repeatedly', () => {
+        const grid = new Float64Array([20]);
+        for (let hour = 0; hour < 10; hour++) {
+            stepMoistureGrid(grid, new Float64Array([90]), new Float64Array([15]), 1, 10);
+        }
+        const once = stepMoistureGrid(new Float64Array([20]), new Float64Array([90]), new Float64Array([15]), 10, 10);
+        expect(grid[0]).toBeCloseTo(once[0], 10);
+    });
+
+    test('should handle a million cells without per-cell objects', () => {
+        const size = 1000000;
+        const moisture = new Float32Array(size).fill(15);
+        const temp = new Float32Array(size).fill(85);
+        const rh = new Float32Array(size).fill(20);
+
+        stepMoistureGrid(moisture, temp, rh, 1, 1);
+        expect(moisture[size - 1]).toBeCloseTo(moisture[0], 5);
+        expect(moisture[0]).toBeLessThan(15);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        const grid = new Float64Array(4);
+        expect(() => stepMoistureGrid([12, 12], grid, grid, 1, 1)).toThrow(TypeError);
+        expect(() => stepMoistureGrid(grid, new Float64Array(3), grid, 1, 1)).toThrow(TypeError);
+        expect(() => stepMoistureGrid(grid, grid, grid, -1, 1)).toThrow(TypeError);
+        expect(() => stepMoistureGrid(grid, grid, grid, 1, 0)).toThrow(TypeError);
+        expect(() => stepMoistureGrid(grid, grid, grid, 1, 1, { mask: [0, 0, 0, 0] })).toThrow(TypeError);
+        expect(() => computeEMCGrid(grid, grid, { nodata: 'none' })).toThrow(TypeError);
+        expect(() => computeEMCGrid(grid, grid, { out: new Float64Array(2) })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,89 @@
+// Tests for the probability of ignition (Pig)
+const {
+    computeProbabilityOfIgnition,
+    runModel,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+describe('computeProbabilityOfIgnition', () => {
+    test('should fall as 1-hour moisture rises', () => {
+        const dry = computeProbabilityOfIgnition(85, 3);
+        const moist = computeProbabilityOfIgnition(85, 12);
+        expect(dry).toBeGreaterThan(moist);
+        expect(dry).toBeLessThanOrEqual(100);
+        expect(moist).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should be near the published tables for warm, dry fuels', () => {
+        expect(computeProbabilityOfIgnition(85, 6)).toBeGreaterThan(45);
+        expect(computeProbabilityOfIgnition(85, 6)).toBeLessThan(65);
+        expect(computeProbabilityOfIgnition(85, 2)).toBeGreaterThan(90);
+    });
+
+    test('should lower Pig under shading and cloud', () => {
+        const open = computeProbabilityOfIgnition(80, 6);
+        const shaded = computeProbabilityOfIgnition(80, 6, { shading: 1 });
+        const overcast = computeProbabilityOfIgnition(80, 6, { cloudCover: 1 });
+        expect(shaded).toBeLessThan(open);
+        expect(overcast).toBe(shaded);
+    });
+
+    test('should match fuel 20°F cooler when fully shaded', () => {
+        expect(computeProbabilityOfIgnition(90, 6, { shading: 1 })).toBe(computeProbabilityOfIgnition(70, 6));
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeProbabilityOfIgnition(NaN, 6)).toThrow(TypeError);
+        expect(() => computeProbabilityOfIgnition(80, -1)).toThrow(TypeError);
+        expect(() => computeProbabilityOfIgnition(80, 6, { shading: 1.5 })).toThrow(TypeError);
+        expect(() => computeProbabilityOfIgnition(80, 6, { cloudCover: 'x' })).toThrow(TypeError);
+    });
+});
+
+describe('probability of ignition in modelling functions', () => {
+    const forecast = [
+        { temp: 90, rh: 15, hours: 12 },
+        { temp: 60, rh: 60, hours: 12, cloudCover: 1 }
+    ];
+
+    test('runModel should leave results unchanged when not requested', () => {
+        const results = runModel(8, 10, forecast);
+        expect(results.dailyResults[0]).not.toHaveProperty('probabilityOfIgnition');
+    });
+
+    test('runModel should add Pig per period', () => {
+        const results = runModel(8, 10, forecast, { ignition: true });
+        const day1 = results.dailyResults[0];
+        const day2 = results.dailyResults[1];
+
+        expect(day1.probabilityOfIgnition).toBe(computeProbabilityOfIgnition(90, day1.moisture1Hr));
+        expect(day2.probabilityOfIgnition).toBe(computeProbabilityOfIgnition(60, day2.moisture1Hr, { cloudCover: 1 }));
+    });
+
+    test('runModel should apply default shading', () => {
+        const results = runModel(8, 10, forecast, { ignition: { shading: 0.5 } });
+        const day1 = results.dailyResults[0];
+        expect(day1.probabilityOfIgnition).toBe(computeProbabilityOfIgnition(90, day1.moisture1Hr, { shading: 0.5 }));
+    });
+
+    test('runModel should throw TypeError for invalid exposure', () => {
+        expect(() => runModel(8, 10, forecast, { ignition: { shading: 2 } })).toThrow(TypeError);
+        expect(() => runModel(8, 10, [{ temp: 80, rh: 20, hours: 1, cloudCover: -1 }], { ignition: true }))
+            .toThrow(TypeError);
+    });
+
+    test('predictDryingTrend should add Pig for 1-hour fuels', () => {
+        const inputs = {
+            currentMoisture: 10,
+            historicalWeather: [{ temp: 70, rh: 50 }],
+            predictedWeather: [{ temp: 92, rh: 12 }],
+            timeLag: 1
+        };
+        const result = predictDryingTrend(inputs, { ignition: true });
+
+        expect(result.trend[1].probabilityOfIgnition)
+            .toBe(computeProbabilityOfIgnition(92, result.trend[1].moisture));
+        expect(() => predictDryingTrend(Object.assign({}, inputs, { timeLag: 10 }), { ignition: true }))
+            .toThrow(TypeError);
+    });
+});
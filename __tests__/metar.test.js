@@ -0,0 +1,121 @@
+// Tests for the METAR/SPECI decoder
+const {
+    decodeMETAR,
+    metarsToForecast,
+    interpolateWeatherData,
+    runModel
+} = require('../fuel-moisture-calculator');
+
+const reference = { referenceDate: '2026-07-02T00:00:00Z' };
+
+describe('decodeMETAR', () => {
+    test('should decode temperature, dew point, RH and wind', () => {
+        const decoded = decodeMETAR('METAR KBOI 011353Z 32012G20KT 10SM FEW100 31/M02 A2992', reference);
+
+        expect(decoded).toEqual({
+            type: 'METAR',
+            station: 'KBOI',
+            timestamp: '2026-07-01T13:53:00.000Z',
+            temp: 87.8,
+            dewpoint: 28.4,
+            rh: 11.7,
+            wind: 13.8,
+            windDirection: 320,
+            gust: 23,
+            precip: null
+        });
+    });
+
+    test('should prefer the remarks T-group and read hourly precipitation', () => {
+        const decoded = decodeMETAR('SPECI KBOI 011353Z 32012KT 10SM 31/M02 A2992 RMK AO2 P0012 T03110017=', reference);
+
+        expect(decoded.type).toBe('SPECI');
+        expect(decoded.temp).toBe(88);
+        expect(decoded.dewpoint).toBe(35.1);
+        expect(decoded.precip).toBe(0.12);
+    });
+
+    test('should handle calm, variable and metric winds', () => {
+        expect(decodeMETAR('KBOI 011353Z 00000KT 20/10', reference)).toMatchObject({ wind: 0, windDirection: 0 });
+        expect(decodeMETAR('KBOI 011353Z VRB03KT 20/10', reference)).toMatchObject({ wind: 3.5, windDirection: null });
+        expect(decodeMETAR('LFPG 011353Z 27005MPS 20/10', reference).wind).toBeCloseTo(11.2, 1);
+        expect(decodeMETAR('UUEE 011353Z 27018KMH 20/10', reference).wind).toBeCloseTo(11.2, 1);
+    });
+
+    test('should place the report in the previous month when the day is ahead', () => {
+        expect(decodeMETAR('KBOI 302356Z 00000KT 22/15', reference).timestamp).toBe('2026-06-30T23:56:00.000Z');
+        expect(decodeMETAR('KBOI 311200Z 00000KT 22/15', { referenceDate: '2026-07-01T00:00:00Z' }).timestamp)
+            .toBe('2026-05-31T12:00:00.000Z');
+    });
+
+    test('should leave missing groups null', () => {
+        const decoded = decodeMETAR('KBOI 011353Z AUTO 32012KT 10SM 31/', reference);
+        expect(decoded.temp).toBe(87.8);
+        expect(decoded.dewpoint).toBeNull();
+        expect(decoded.rh).toBeNull();
+    });
+
+    test('should throw TypeError for undecodable reports', () => {
+        expect(() => decodeMETAR(null)).toThrow(TypeError);
+        expect(() => decodeMETAR('hello world', reference)).toThrow(TypeError);
+        expect(() => decodeMETAR('KBOI 019953Z 32012KT 31/M02', reference)).toThrow(TypeError);
+        expect(() => decodeMETAR('KBOI 011353Z 31/M02', { referenceDate: 'soon' })).toThrow(TypeError);
+    });
+});
+
+describe('metarsToForecast', () => {
+    const reports = [
+        'METAR KBOI 011453Z 33010KT 10SM 32/M03 A2991',
+        'METAR KBOI 011353Z 32012G20KT 10SM FEW100 31/M02 A2992',
+        'METAR KBOI 011753Z 33015KT 10SM 35/M04 A2988',
+        'METAR KBOI 011553Z 33010KT 10SM 33/M03 A2991'
+    ];
+
+    test('should order reports and use the time between them as hours', () => {
+        const entries = metarsToForecast(reports, reference);
+
+        expect(entries.map(entry => entry.hours)).toEqual([1, 1, 1, 2]);
+        expect(entries[0]).toEqual({
+            label: '2026-07-01T13:53:00.000Z',
+            timestamp: '2026-07-01T13:53:00.000Z',
+            temp: 87.8,
+            rh: 11.7,
+            wind: 13.8,
+            hours: 1
+        });
+    });
+
+    test('should replace a report with a later correction for the same time', () => {
+        const entries = metarsToForecast(reports.concat(['METAR COR KBOI 011553Z 33010KT 10SM 34/M03 A2991']), reference);
+
+        expect(entries).toHaveLength(4);
+        expect(entries[2].temp).toBe(93.2);
+    });
+
+    test('should feed runModel', () => {
+        const results = runModel(8, 10, metarsToForecast(reports, reference));
+
+        expect(results.dailyResults).toHaveLength(4);
+        expect(results.summary.final1Hr).toBeLessThan(8);
+    });
+
+    test('should leave missing values for interpolation', () => {
+        const entries = metarsToForecast([
+            'KBOI 011353Z 32012KT 31/M02',
+            'KBOI 011453Z 32012KT',
+            'KBOI 011553Z 32012KT 33/M02'
+        ], reference);
+
+        expect(entries[1]).not.toHaveProperty('temp');
+        expect(interpolateWeatherData(entries)[1].temp).toBeCloseTo(89.6, 1);
+    });
+
+    test('should use options.hours for a single report', () => {
+        expect(metarsToForecast([reports[0]], Object.assign({ hours: 3 }, reference))[0].hours).toBe(3);
+    });
+
+    test('should throw TypeError naming the bad report', () => {
+        expect(() => metarsToForecast([])).toThrow(TypeError);
+        expect(() => metarsToForecast([reports[0], 'garbage'], reference)).toThrow(/report 1/);
+    });
+});
@@ -0,0 +1,168 @@
+// Tests for the Nelson (2000) dead fuel moisture engine
+const {
+    createNelsonStick,
+    stepNelsonStick,
+    runModel,
+    simulateDrying,
+    predictDryingTrend,
+    MOISTURE_ENGINES
+} = require('../fuel-moisture-calculator');
+
+describe('createNelsonStick', () => {
+    test('should size sticks to match NFDRS timelag classes', () => {
+        expect(createNelsonStick(1, 10).radius).toBeCloseTo(0.2, 2);
+        expect(createNelsonStick(10, 10).radius).toBeCloseTo(0.63, 2);
+        expect(createNelsonStick(100, 10).radius).toBeCloseTo(2.0, 2);
+    });
+
+    test('should start with a uniform profile at the initial moisture', () => {
+        const stick = createNelsonStick(10, 15);
+        expect(stick.moisture).toBe(15);
+        stick.profile.forEach(node => expect(node).toBeCloseTo(0.15, 5));
+    });
+
+    test('should be JSON serializable', () => {
+        const stick = createNelsonStick(10, 15);
+        stepNelsonStick(stick, { temp: 85, rh: 20 }, 6);
+        const restored = JSON.parse(JSON.stringify(stick));
+        expect(stepNelsonStick(restored, { temp: 85, rh: 20 }, 6))
+            .toBe(stepNelsonStick(stick, { temp: 85, rh: 20 }, 6));
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => createNelsonStick(0, 10)).toThrow(TypeError);
+        expect(() => createNelsonStick(10, NaN)).toThrow(TypeError);
+    });
+});
+
+describe('stepNelsonStick', () => {
+    test('should dry sticks in hot, dry weather', () => {
+        const stick = createNelsonStick(10, 20);
+        const moisture = stepNelsonStick(stick, { temp: 90, rh: 15 }, 12);
+        expect(moisture).toBeLessThan(20);
+        expect(moisture).toBeGreaterThan(0);
+    });
+
+    test('should respond faster for smaller timelag classes', () => {
+        const weather = { temp: 85, rh: 20 };
+        const m1 = stepNelsonStick(createNelsonStick(1, 20), weather, 6);
+        const m10 = stepNelsonStick(createNelsonStick(10, 20), weather, 6);
+        const m100 = stepNelsonStick(createNelsonStick(100, 20), weather, 6);
+        expect(m1).toBeLessThan(m10);
+        expect(m10).toBeLessThan(m100);
+    });
+
+    test('should dry further under solar heating', () => {
+        const shaded = stepNelsonStick(createNelsonStick(1, 15), { temp: 80, rh: 30 }, 3);
+        const sunny = stepNelsonStick(createNelsonStick(1, 15), { temp: 80, rh: 30, solar: 900 }, 3);
+        expect(sunny).toBeLessThan(shaded);
+    });
+
+    test('should wet sticks above fiber saturation during rain', () => {
+        const stick = createNelsonStick(1, 8);
+        const moisture = stepNelsonStick(stick, { temp: 60, rh: 95, precip: 0.5 }, 3);
+        expect(moisture).toBeGreaterThan(30);
+    });
+
+    test('should leave moisture unchanged for a zero-length period', () => {
+        const stick = createNelsonStick(10, 12);
+        expect(stepNelsonStick(stick, { temp: 90, rh: 10 }, 0)).toBe(12);
+    });
+
+    test('should throw TypeError for invalid weather', () => {
+        const stick = createNelsonStick(10, 12);
+        expect(() => stepNelsonStick(stick, { temp: NaN, rh: 20 }, 1)).toThrow(TypeError);
+        expect(() => stepNelsonStick(stick, { temp: 80, rh: 20, precip: -1 }, 1)).toThrow(TypeError);
+        expect(() => stepNelsonStick({}, { temp: 80, rh: 20 }, 1)).toThrow(TypeError);
+    });
+});
+
+describe('nelson2000 engine in modelling functions', () => {
+    const forecast = [
+        { temp: 90, rh: 20, hours: 12, solar: 800 },
+        { temp: 60, rh: 80, hours: 12 },
+        { temp: 65, rh: 90, hours: 6, precip: 0.5 }
+    ];
+
+    test('should list available engines', () => {
+        expect(MOISTURE_ENGINES).toEqual(['exponential', 'nelson2000']);
+    });
+
+    test('runModel should keep the result shape', () => {
+        const exponential = runModel(10, 12, forecast);
+        const nelson = runModel(10, 12, forecast, { engine: 'nelson2000' });
+
+        expect(Object.keys(nelson.dailyResults[0])).toEqual(Object.keys(exponential.dailyResults[0]));
+        expect(Object.keys(nelson.summary)).toEqual(Object.keys(exponential.summary));
+        expect(nelson.dailyResults[0].moisture1Hr).toBeLessThan(10);
+    });
+
+    test('runModel should respond to rainfall', () => {
+        const results = runModel(10, 12, forecast, { engine: 'nelson2000' });
+        expect(results.dailyResults[2].moisture1Hr).toBeGreaterThan(results.dailyResults[1].moisture1Hr);
+        expect(results.dailyResults[2].moisture1Hr).toBeGreaterThan(30);
+    });
+
+    test('runModel should throw TypeError for unknown engines and bad inputs', () => {
+        expect(() => runModel(10, 12, forecast, { engine: 'magic' })).toThrow(TypeError);
+        expect(() => runModel(10, 12, [{ temp: 80, rh: 20, hours: 1, precip: -2 }], { engine: 'nelson2000' }))
+            .toThrow(TypeError);
+    });
+
+    test('simulateDrying series form should accept solar and precipitation series', () => {
+        const results = simulateDrying({
+            tempSeries: [80, 85, 70],
+            rhSeries: [30, 25, 90],
+            solarSeries: [600, 800, 0],
+            precipSeries: [0, 0, 0.3],
+            initialState: { m1: 12, m10: 14, m100: 16 },
+            engine: 'nelson2000'
+        });
+
+        expect(results).toHaveLength(3);
+        expect(Object.keys(results[0])).toEqual(['step', 'temp', 'rh', 'emc', 'm1', 'm10', 'm100']);
+        expect(results[1].m1).toBeLessThan(12);
+        expect(results[2].m1).toBeGreaterThan(results[1].m1);
+    });
+
+    test('simulateDrying series form should reject mismatched solar series', () => {
+        expect(() => simulateDrying({
+            tempSeries: [80, 85],
+            rhSeries: [30, 25],
+            solarSeries: [600],
+            initialState: { m1: 12, m10: 14, m100: 16 },
+            engine: 'nelson2000'
+        })).toThrow(TypeError);
+    });
+
+    test('simulateDrying scenario form should keep the result shape', () => {
+        const results = simulateDrying({
+            initial1hr: 15,
+            initial10hr: 18,
+            initial100hr: 20,
+            tempF: 95,
+            rh: 15,
+            durationHours: 24,
+            stepHours: 6,
+            engine: 'nelson2000'
+        });
+
+        expect(results.timeSeries).toHaveLength(5);
+        expect(results.timeSeries[0].moisture1hr).toBe(15);
+        expect(results.final.moisture1hr).toBeLessThan(results.final.moisture10hr);
+        expect(results.final.moisture10hr).toBeLessThan(results.final.moisture100hr);
+    });
+
+    test('predictDryingTrend should report the engine used', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 15,
+            historicalWeather: [{ temp: 70, rh: 60 }],
+            predictedWeather: [{ temp: 90, rh: 20, solar: 700 }],
+            timeLag: 10
+        }, { engine: 'nelson2000' });
+
+        expect(result.metadata.engine).toBe('nelson2000');
+        expect(result.trend).toHaveLength(2);
+        expect(result.summary.endingMoisture).toBeLessThan(15);
+    });
+});
@@ -0,0 +1,139 @@
+// Tests for the NFDRS Spread, Energy Release, Ignition and Burning indices
+const {
+    computeNFDRSIndices,
+    runNFDRSIndices,
+    runModel,
+    simulateDrying,
+    NFDRS_FUEL_MODELS
+} = require('../fuel-moisture-calculator');
+
+const dry = { moisture1hr: 4, moisture10hr: 6, moisture100hr: 10, moisture1000hr: 14, wind: 10, temp: 90 };
+const moist = { moisture1hr: 12, moisture10hr: 15, moisture100hr: 20, moisture1000hr: 25, wind: 10, temp: 90 };
+
+describe('computeNFDRSIndices', () => {
+    test('should provide the 1978 and 2016 fuel models', () => {
+        expect(Object.keys(NFDRS_FUEL_MODELS)).toEqual([
+            'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'N',
+            'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z'
+        ]);
+    });
+
+    test('should return whole-number indices', () => {
+        const indices = computeNFDRSIndices(dry, 'G');
+        expect(Object.keys(indices)).toEqual(['sc', 'erc', 'ic', 'bi']);
+        Object.values(indices).forEach(value => {
+            expect(Number.isInteger(value)).toBe(true);
+            expect(value).toBeGreaterThan(0);
+        });
+    });
+
+    test('should rise as fuels dry', () => {
+        const wet = computeNFDRSIndices(moist, 'G');
+        const parched = computeNFDRSIndices(dry, 'G');
+        expect(parched.sc).toBeGreaterThan(wet.sc);
+        expect(parched.erc).toBeGreaterThan(wet.erc);
+        expect(parched.ic).toBeGreaterThan(wet.ic);
+        expect(parched.bi).toBeGreaterThan(wet.bi);
+    });
+
+    test('should increase spread with wind and slope but not ERC', () => {
+        const calm = computeNFDRSIndices(Object.assign({}, dry, { wind: 0 }), 'C');
+        const windy = computeNFDRSIndices(Object.assign({}, dry, { wind: 20 }), 'C');
+        const steep = computeNFDRSIndices(Object.assign({}, dry, { wind: 0, slope: 60 }), 'C');
+        expect(windy.sc).toBeGreaterThan(calm.sc);
+        expect(steep.sc).toBeGreaterThan(calm.sc);
+        expect(windy.erc).toBe(calm.erc);
+    });
+
+    test('should use 1000-hour moisture only in ERC', () => {
+        const base = computeNFDRSIndices(dry, 'G');
+        const wetLogs = computeNFDRSIndices(Object.assign({}, dry, { moisture1000hr: 30 }), 'G');
+        expect(wetLogs.sc).toBe(base.sc);
+        expect(wetLogs.erc).toBeLessThan(base.erc);
+    });
+
+    test('should lower the ignition component under cloud', () => {
+        const clear = computeNFDRSIndices(dry, 'A');
+        const overcast = computeNFDRSIndices(Object.assign({}, dry, { skyCover: 3 }), 'A');
+        expect(overcast.ic).toBeLessThan(clear.ic);
+    });
+
+    test('should accept custom fuel models and lower-case letters', () => {
+        const custom = Object.assign({ id: 'G-local' }, NFDRS_FUEL_MODELS.G);
+        expect(computeNFDRSIndices(dry, custom)).toEqual(computeNFDRSIndices(dry, 'g'));
+    });
+
+    test('should not need large fuel moistures for grass models', () => {
+        expect(() => computeNFDRSIndices({ moisture1hr: 4, moisture10hr: 6, temp: 90 }, 'A')).not.toThrow();
+        expect(() => computeNFDRSIndices({ moisture1hr: 4, moisture10hr: 6, temp: 90 }, 'G')).toThrow(TypeError);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeNFDRSIndices(null, 'G')).toThrow(TypeError);
+        expect(() => computeNFDRSIndices(dry, 'M')).toThrow(TypeError);
+        expect(() => computeNFDRSIndices(dry, { W1: 1 })).toThrow(TypeError);
+        expect(() => computeNFDRSIndices(Object.assign({}, dry, { moisture1hr: NaN }), 'G')).toThrow(TypeError);
+        expect(() => computeNFDRSIndices(Object.assign({}, dry, { temp: undefined }), 'G')).toThrow(TypeError);
+        expect(() => computeNFDRSIndices(Object.assign({}, dry, { skyCover: 4 }), 'G')).toThrow(TypeError);
+    });
+});
+
+describe('runNFDRSIndices', () => {
+    const forecast = [
+        { temp: 90, rh: 15, hours: 12, wind: 12 },
+        { temp: 60, rh: 60, hours: 12 },
+        { temp: 92, rh: 12, hours: 12, wind: 15 },
+        { temp: 62, rh: 55, hours: 12 }
+    ];
+
+    test('should compute indices for each runModel period', () => {
+        const results = runModel(8, 10, forecast, { initial100hr: 15, initial1000hr: 20 });
+        const indices = runNFDRSIndices(results, 'G');
+
+        expect(indices.fuelModel).toBe('G');
+        expect(indices.periods).toHaveLength(4);
+        expect(indices.periods[0].period).toBe('Day 1');
+        expect(indices.periods[0]).toEqual(Object.assign({ period: 'Day 1' }, computeNFDRSIndices({
+            moisture1hr: results.dailyResults[0].moisture1Hr,
+            moisture10hr: results.dailyResults[0].moisture10Hr,
+            moisture100hr: results.dailyResults[0].moisture100Hr,
+            moisture1000hr: results.dailyResults[0].moisture1000Hr,
+            temp: 90,
+            wind: 12
+        }, 'G')));
+        expect(indices.summary.maxBI).toBe(Math.max(...indices.periods.map(p => p.bi)));
+        expect(indices.summary.maxBIPeriod).toBe('Day 3');
+    });
+
+    test('should take missing conditions from options', () => {
+        const results = runModel(8, 10, forecast);
+        expect(() => runNFDRSIndices(results, 'G')).toThrow(TypeError);
+
+        const indices = runNFDRSIndices(results, 'G', { moisture100hr: 12, moisture1000hr: 16 });
+        expect(indices.periods).toHaveLength(4);
+    });
+
+    test('should accept both simulateDrying forms', () => {
+        const series = simulateDrying({
+            tempSeries: [80, 85, 90],
+            rhSeries: [30, 25, 20],
+            initialState: { m1: 12, m10: 14, m100: 16 }
+        });
+        const scenario = simulateDrying({
+            initial1hr: 12, initial10hr: 14, initial100hr: 16,
+            tempF: 90, rh: 20, durationHours: 6, stepHours: 3
+        });
+
+        const fromSeries = runNFDRSIndices(series, 'U', { wind: 8 });
+        const fromScenario = runNFDRSIndices(scenario, 'U', { wind: 8, temp: 90 });
+        expect(fromSeries.periods.map(p => p.period)).toEqual([1, 2, 3]);
+        expect(fromScenario.periods.map(p => p.period)).toEqual([0, 3, 6]);
+        expect(fromScenario.periods[2].erc).toBeGreaterThan(fromScenario.periods[0].erc);
+    });
+
+    test('should throw TypeError for unrecognised output', () => {
+        expect(() => runNFDRSIndices({}, 'G')).toThrow(TypeError);
+        expect(() => runNFDRSIndices([], 'G')).toThrow(TypeError);
+        expect(() => runNFDRSIndices(null, 'G')).toThrow(TypeError);
+    });
+});
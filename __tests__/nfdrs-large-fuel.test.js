@@ -0,0 +1,139 @@
+// Tests for the NFDRS 100-hour and 1000-hour daily moisture model
+const {
+    computeDaylength,
+    runNFDRSLargeFuelModel,
+    runModel
+} = require('../fuel-moisture-calculator');
+
+const dryDay = { tempMax: 92, tempMin: 60, rhMax: 60, rhMin: 12 };
+
+describe('computeDaylength', () => {
+    test('should give about 12 hours at the equinox', () => {
+        expect(computeDaylength(40, 81)).toBeCloseTo(12, 0);
+        expect(computeDaylength(0, 172)).toBeCloseTo(12, 0);
+    });
+
+    test('should give longer days in the northern summer', () => {
+        expect(computeDaylength(40, '2026-06-21')).toBeGreaterThan(14.5);
+        expect(computeDaylength(40, '2026-12-21')).toBeLessThan(9.5);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeDaylength(NaN, 100)).toThrow(TypeError);
+        expect(() => computeDaylength(40, 'not a date')).toThrow(TypeError);
+    });
+});
+
+describe('runNFDRSLargeFuelModel', () => {
+    test('should dry 100-hour fuels faster than 1000-hour fuels', () => {
+        const days = Array.from({ length: 10 }, () => dryDay);
+        const result = runNFDRSLargeFuelModel(18, 25, days);
+
+        expect(result.dailyResults).toHaveLength(10);
+        expect(18 - result.summary.final100Hr).toBeGreaterThan(25 - result.summary.final1000Hr);
+        expect(result.summary.final1000Hr).toBeLessThan(25);
+    });
+
+    test('should blend afternoon and night EMC by daylength', () => {
+        const result = runNFDRSLargeFuelModel(18, 25, [
+            Object.assign({ daylength: 24 }, dryDay),
+            Object.assign({ daylength: 0 }, dryDay)
+        ]);
+
+        expect(result.dailyResults[0].emcBar).toBe(result.dailyResults[0].emcMin);
+        expect(result.dailyResults[1].emcBar).toBe(result.dailyResults[1].emcMax);
+    });
+
+    test('should raise boundary moisture with precipitation duration', () => {
+        const result = runNFDRSLargeFuelModel(15, 20, [
+            dryDay,
+            Object.assign({ precipHours: 8 }, dryDay)
+        ]);
+
+        const dry = result.dailyResults[0];
+        const wet = result.dailyResults[1];
+        expect(wet.boundary100hr).toBeGreaterThan(dry.boundary100hr);
+        expect(wet.boundary1000hr).toBeGreaterThan(dry.boundary1000hr);
+        expect(wet.moisture100Hr).toBeGreaterThan(dry.moisture100Hr);
+    });
+
+    test('should average the 1000-hour boundary over 7 days', () => {
+        const days = Array.from({ length: 8 }, () => dryDay);
+        const result = runNFDRSLargeFuelModel(15, 20, days);
+
+        // The first day averages one new boundary with six seeded values
+        const boundary = result.dailyResults[0].boundary1000hr;
+        expect(result.dailyResults[0].boundaryAverage1000hr).toBeCloseTo((boundary + 6 * 20) / 7, 0);
+        expect(result.dailyResults[7].boundaryAverage1000hr).toBeCloseTo(boundary, 1);
+    });
+
+    test('should use latitude and dates for daylength', () => {
+        const result = runNFDRSLargeFuelModel(15, 20, [
+            Object.assign({ date: '2026-06-21' }, dryDay)
+        ], { latitude: 45 });
+
+        expect(result.dailyResults[0].daylength).toBeGreaterThan(15);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => runNFDRSLargeFuelModel(NaN, 20, [dryDay])).toThrow(TypeError);
+        expect(() => runNFDRSLargeFuelModel(15, 20, [])).toThrow(TypeError);
+        expect(() => runNFDRSLargeFuelModel(15, 20, [{ tempMax: 90 }])).toThrow(TypeError);
+        expect(() => runNFDRSLargeFuelModel(15, 20, [dryDay], { latitude: 'north' })).toThrow(TypeError);
+    });
+});
+
+describe('runModel with NFDRS large fuel classes', () => {
+    const forecast = [
+        { temp: 90, rh: 15, hours: 12 },
+        { temp: 60, rh: 60, hours: 12 },
+        { temp: 92, rh: 12, hours: 12 },
+        { temp: 62, rh: 55, hours: 12 }
+    ];
+
+    test('should leave results unchanged when not enabled', () => {
+        const results = runModel(8, 10, forecast);
+        expect(results.dailyResults[0]).not.toHaveProperty('moisture1000Hr');
+        expect(results.summary).not.toHaveProperty('final1000Hr');
+    });
+
+    test('should step large fuels once per 24 hours of forecast', () => {
+        const results = runModel(8, 10, forecast, { initial100hr: 15, initial1000hr: 20 });
+
+        expect(results.dailyResults[0].moisture100Hr).toBe(15);
+        expect(results.dailyResults[1].moisture100Hr).toBeLessThan(15);
+        expect(results.summary.largeFuelDays).toBe(2);
+        expect(results.summary.final1000Hr).toBeLessThan(20);
+    });
+
+    test('should match the standalone model for whole days', () => {
+        const results = runModel(8, 10, forecast, { initial100hr: 15, initial1000hr: 20 });
+        const standalone = runNFDRSLargeFuelModel(15, 20, [
+            { tempMax: 90, tempMin: 60, rhMax: 60, rhMin: 15 },
+            { tempMax: 92, tempMin: 62, rhMax: 55, rhMin: 12 }
+        ]);
+
+        expect(results.summary.final100Hr).toBe(standalone.summary.final100Hr);
+        expect(results.summary.final1000Hr).toBe(standalone.summary.final1000Hr);
+    });
+
+    test('should follow the calendar across a leap year end for daylength', () => {
+        // 2028 has 366 days, so the run passes day 366 before 1 January
+        const dates = Array.from({ length: 14 }, (_, i) =>
+            new Date(Date.UTC(2028, 11, 31 + i)).toISOString().slice(0, 10));
+        const halfDays = [].concat(...dates.map(() =>
+            [{ temp: 50, rh: 20, hours: 12 }, { temp: 20, rh: 80, hours: 12 }]));
+        const results = runModel(8, 10, halfDays, {
+            initial100hr: 15, initial1000hr: 20, latitude: 60, startDate: '2028-12-31'
+        });
+        const standalone = runNFDRSLargeFuelModel(15, 20, dates.map(date =>
+            ({ date: date, tempMax: 50, tempMin: 20, rhMax: 80, rhMin: 20 })), { latitude: 60 });
+
+        expect(results.summary.final100Hr).toBe(standalone.summary.final100Hr);
+        expect(results.summary.final1000Hr).toBe(standalone.summary.final1000Hr);
+    });
+
+    test('should throw TypeError when only one large fuel class is initialised', () => {
+        expect(() => runModel(8, 10, forecast, { initial1000hr: 20 })).toThrow(TypeError);
+    });
+});
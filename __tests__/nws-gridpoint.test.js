@@ -0,0 +1,151 @@
+// Tests for the NWS gridpoint forecast adapter
+const {
+    nwsGridpointToHourly,
+    simulateDrying,
+    runModel,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+// Trimmed gridpoint document in the api.weather.gov layout
+const gridpoint = {
+    type: 'Feature',
+    properties: {
+        updateTime: '2026-07-01T10:00:00+00:00',
+        temperature: {
+            uom: 'wmoUnit:degC',
+            values: [
+                { validTime: '2026-07-01T12:00:00+00:00/PT2H', value: 25 },
+                { validTime: '2026-07-01T14:00:00+00:00/PT1H', value: 30 },
+                { validTime: '2026-07-01T15:00:00+00:00/PT3H', value: 32 }
+            ]
+        },
+        relativeHumidity: {
+            uom: 'wmoUnit:percent',
+            values: [
+                { validTime: '2026-07-01T12:00:00+00:00/PT3H', value: 30 },
+                { validTime: '2026-07-01T15:00:00+00:00/PT2H', value: 18 },
+                { validTime: '2026-07-01T17:00:00+00:00/PT1H', value: null }
+            ]
+        },
+        windSpeed: {
+            uom: 'wmoUnit:km_h-1',
+            values: [{ validTime: '2026-07-01T12:00:00+00:00/PT6H', value: 16.09344 }]
+        },
+        skyCover: {
+            uom: 'wmoUnit:percent',
+            values: [{ validTime: '2026-07-01T12:00:00+00:00/PT6H', value: 40 }]
+        },
+        quantitativePrecipitation: {
+            uom: 'wmoUnit:mm',
+            values: [
+                { validTime: '2026-07-01T12:00:00+00:00/PT2H', value: 5.08 },
+                { validTime: '2026-07-01T14:00:00+00:00/PT4H', value: 0 }
+            ]
+        }
+    }
+};
+
+describe('nwsGridpointToHourly', () => {
+    test('should expand duration-valued layers into hourly entries', () => {
+        const { hourly } = nwsGridpointToHourly(gridpoint);
+
+        // 17:00 has no humidity, so the forecast ends at 16:00
+        expect(hourly).toHaveLength(5);
+        expect(hourly[0]).toEqual({
+            timestamp: '2026-07-01T13:00:00.000Z',
+            temp: 77,
+            rh: 30,
+            wind: 10,
+            cloudCover: 0.4,
+            precip: 0.1,
+            hours: 1
+        });
+        expect(hourly.map(entry => entry.temp)).toEqual([77, 77, 86, 89.6, 89.6]);
+        expect(hourly.map(entry => entry.rh)).toEqual([30, 30, 30, 18, 18]);
+        hourly.slice(1).forEach(entry => expect(entry).not.toHaveProperty('hours'));
+    });
+
+    test('should spread QPF over its interval', () => {
+        const { precipSeries } = nwsGridpointToHourly(gridpoint);
+        expect(precipSeries).toEqual([0.1, 0.1, 0, 0, 0]);
+    });
+
+    test('should accept the properties object and clip to start and end', () => {
+        const { hourly } = nwsGridpointToHourly(gridpoint.properties, {
+            start: '2026-07-01T13:00:00Z',
+            end: '2026-07-01T15:00:00Z'
+        });
+        expect(hourly.map(entry => entry.timestamp.slice(11, 13))).toEqual(['14', '15']);
+    });
+
+    test('should convert Fahrenheit and knots', () => {
+        const { hourly } = nwsGridpointToHourly({
+            temperature: { uom: 'wmoUnit:degF', values: [{ validTime: '2026-07-01T12:00:00Z/PT1H', value: 80 }] },
+            relativeHumidity: { uom: 'wmoUnit:percent', values: [{ validTime: '2026-07-01T12:00:00Z/PT1H', value: 25 }] },
+            windSpeed: { uom: 'wmoUnit:kt', values: [{ validTime: '2026-07-01T12:00:00Z/PT1H', value: 10 }] }
+        });
+        expect(hourly[0]).toMatchObject({ temp: 80, wind: 11.5, precip: 0 });
+    });
+
+    test('should feed simulateDrying, runModel and predictDryingTrend', () => {
+        const weather = nwsGridpointToHourly(gridpoint);
+
+        const series = simulateDrying(Object.assign({ initialState: { m1: 8, m10: 10, m100: 12 } }, weather));
+        expect(series).toHaveLength(5);
+        expect(series[0].rainAffected).toBe(true);
+        expect(series[0].hours).toBe(1);
+
+        const results = runModel(8, 10, weather.hourly, { ignition: true });
+        expect(results.dailyResults).toHaveLength(5);
+        expect(results.dailyResults[4]).toHaveProperty('probabilityOfIgnition');
+
+        const trend = predictDryingTrend({
+            currentMoisture: 8,
+            historicalWeather: weather.hourly.slice(0, 1),
+            predictedWeather: weather.hourly.slice(1),
+            timeLag: 1
+        });
+        expect(trend.trend).toHaveLength(5);
+    });
+
+    test('should apply each hour to the period that ends with it in runModel', () => {
+        const { dailyResults } = runModel(8, 10, nwsGridpointToHourly(gridpoint).hourly);
+
+        // The 14:00-15:00 value (30 °C) lands on the period ending at 15:00
+        expect(dailyResults.map(result => result.hours)).toEqual([1, 1, 1, 1, 1]);
+        expect(dailyResults[2]).toMatchObject({ timestamp: '2026-07-01T15:00:00.000Z', temp: 86 });
+        expect(dailyResults[0].rainAffected).toBe(true);
+    });
+
+    test('should leave a missing hour as a gap', () => {
+        const { hourly } = nwsGridpointToHourly({
+            temperature: { uom: 'wmoUnit:degF', values: [{ validTime: '2026-07-01T12:00:00Z/PT4H', value: 80 }] },
+            relativeHumidity: {
+                uom: 'wmoUnit:percent',
+                values: [
+                    { validTime: '2026-07-01T12:00:00Z/PT1H', value: 25 },
+                    { validTime: '2026-07-01T14:00:00Z/PT2H', value: 20 }
+                ]
+            }
+        });
+        const { dailyResults } = runModel(8, 10, hourly, { maxGapHours: 1 });
+
+        expect(dailyResults.map(result => result.hours)).toEqual([1, 2, 1]);
+        expect(dailyResults[1].gap).toBe(true);
+    });
+
+    test('should throw TypeError for invalid documents', () => {
+        expect(() => nwsGridpointToHourly(null)).toThrow(TypeError);
+        expect(() => nwsGridpointToHourly({ properties: { temperature: gridpoint.properties.temperature } }))
+            .toThrow(TypeError);
+        expect(() => nwsGridpointToHourly({
+            temperature: { uom: 'wmoUnit:K', values: [] },
+            relativeHumidity: gridpoint.properties.relativeHumidity
+        })).toThrow(TypeError);
+        expect(() => nwsGridpointToHourly({
+            temperature: { uom: 'wmoUnit:degC', values: [{ validTime: '2026-07-01T12:00:00Z/3 hours', value: 20 }] },
+            relativeHumidity: gridpoint.properties.relativeHumidity
+        })).toThrow(TypeError);
+        expect(() => nwsGridpointToHourly(gridpoint, { start: 'noon' })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,119 @@
+// Tests for precipitation-driven wetting in the exponential engine
+const {
+    runModel,
+    simulateDrying,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+describe('rain wetting in runModel', () => {
+    const dry = { temp: 80, rh: 30, hours: 6 };
+    const rain = { temp: 65, rh: 85, hours: 6, precip: 0.5 };
+
+    test('should wet fuels well above the humid EMC', () => {
+        const humid = runModel(6, 8, [dry, Object.assign({}, rain, { precip: 0 })]);
+        const wet = runModel(6, 8, [dry, rain]);
+
+        expect(wet.dailyResults[1].moisture1Hr).toBeGreaterThan(humid.dailyResults[1].moisture1Hr + 10);
+        expect(wet.dailyResults[1].moisture1Hr).toBeGreaterThan(wet.dailyResults[1].emc);
+        expect(wet.dailyResults[1].moisture10Hr).toBeGreaterThan(humid.dailyResults[1].moisture10Hr);
+    });
+
+    test('should wet 1-hour fuels faster than 10-hour fuels', () => {
+        const wet = runModel(6, 6, [rain]);
+        expect(wet.dailyResults[0].moisture1Hr - 6).toBeGreaterThan(wet.dailyResults[0].moisture10Hr - 6);
+    });
+
+    test('should wet more with heavier and longer rain', () => {
+        const light = runModel(6, 8, [Object.assign({}, rain, { precip: 0.05 })]);
+        const heavy = runModel(6, 8, [Object.assign({}, rain, { precip: 1.0 })]);
+        expect(heavy.dailyResults[0].moisture10Hr).toBeGreaterThan(light.dailyResults[0].moisture10Hr);
+    });
+
+    test('should let fuels recover after a short shower', () => {
+        const allPeriod = runModel(6, 8, [Object.assign({ precipHours: 6 }, rain)]);
+        const shower = runModel(6, 8, [Object.assign({ precipHours: 1 }, rain)]);
+        expect(shower.dailyResults[0].moisture1Hr).toBeLessThan(allPeriod.dailyResults[0].moisture1Hr);
+    });
+
+    test('should report rain-affected periods', () => {
+        const results = runModel(6, 8, [dry, rain, dry]);
+        expect(results.dailyResults[0]).not.toHaveProperty('rainAffected');
+        expect(results.dailyResults[1].rainAffected).toBe(true);
+        expect(results.summary.rainAffectedPeriods).toEqual(['Day 2']);
+    });
+
+    test('should ignore trace amounts below the wetting threshold', () => {
+        const trace = runModel(6, 8, [Object.assign({}, rain, { precip: 0.001 })]);
+        const none = runModel(6, 8, [Object.assign({}, rain, { precip: 0 })]);
+        expect(trace.dailyResults[0].moisture1Hr).toBe(none.dailyResults[0].moisture1Hr);
+        expect(trace.summary.rainAffectedPeriods).toEqual([]);
+    });
+
+    test('should throw TypeError for invalid precipitation duration', () => {
+        expect(() => runModel(6, 8, [Object.assign({ precipHours: -1 }, rain)])).toThrow(TypeError);
+    });
+});
+
+describe('rain wetting in simulateDrying and predictDryingTrend', () => {
+    test('series form should accept amount and duration series', () => {
+        const results = simulateDrying({
+            tempSeries: [80, 65, 70],
+            rhSeries: [30, 90, 70],
+            precipSeries: [0, 0.3, 0],
+            precipHoursSeries: [0, 1, 0],
+            initialState: { m1: 8, m10: 10, m100: 12 }
+        });
+
+        expect(results[1].m1).toBeGreaterThan(results[0].m1 + 10);
+        expect(results[1].rainAffected).toBe(true);
+        expect(results[2]).not.toHaveProperty('rainAffected');
+    });
+
+    test('series form should reject mismatched duration series', () => {
+        expect(() => simulateDrying({
+            tempSeries: [80, 65],
+            rhSeries: [30, 90],
+            precipHoursSeries: [1],
+            initialState: { m1: 8, m10: 10, m100: 12 }
+        })).toThrow(TypeError);
+    });
+
+    test('scenario form should spread rain over the duration', () => {
+        const results = simulateDrying({
+            initial1hr: 6, initial10hr: 8, initial100hr: 12,
+            tempF: 60, rh: 90, durationHours: 6, stepHours: 2, precip: 0.6
+        });
+
+        expect(results.timeSeries[0]).not.toHaveProperty('rainAffected');
+        expect(results.timeSeries[3].rainAffected).toBe(true);
+        expect(results.final.moisture1hr).toBeGreaterThan(results.emc + 10);
+        expect(results.final.moisture100hr).toBeGreaterThan(12);
+    });
+
+    test('scenario form should end with a shortened step that applies all the rain', () => {
+        const results = simulateDrying({
+            initial1hr: 6, initial10hr: 8, initial100hr: 12,
+            tempF: 60, rh: 90, durationHours: 10, stepHours: 3, precip: 1.0
+        });
+        // The same rain split over periods of 3, 3, 3 and 1 hours
+        const periods = runModel(6, 8, [3, 3, 3, 1].map(hours =>
+            ({ temp: 60, rh: 90, hours: hours, precip: hours / 10 })));
+        const last = periods.dailyResults[3];
+
+        expect(results.timeSeries.map(point => point.hour)).toEqual([0, 3, 6, 9, 10]);
+        expect(results.final.moisture1hr).toBe(last.moisture1Hr);
+        expect(results.final.moisture10hr).toBe(last.moisture10Hr);
+    });
+
+    test('predictDryingTrend should wet fuels during rain', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 6,
+            historicalWeather: [{ temp: 80, rh: 30 }],
+            predictedWeather: [{ temp: 60, rh: 90, precip: 0.5, precipHours: 2 }],
+            timeLag: 10
+        }, { resolution: 'hourly' });
+
+        expect(result.trend[1].rainAffected).toBe(true);
+        expect(result.trend[1].moisture).toBeGreaterThan(result.trend[0].moisture);
+    });
+});
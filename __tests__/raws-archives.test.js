@@ -0,0 +1,180 @@
+// Tests for the RAWS FW13 and FW21 fire weather archive parsers
+const {
+    parseFW13,
+    parseFW21,
+    interpolateWeatherData,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+const fw13 = [
+    // U.S. units, RH reading
+    'W13045101202607011300O0 88 18225  9 6 92 58 65 14 000000N1215213 850230 21N',
+    // Dew point reading with 0.350 inches of rain over 4 hours
+    'W13045101202607021300O6 62 58180  514 75 55 98 60 400350Y1215313 220       ',
+    '',
+    // Metric record without the trailing optional fields
+    'W13045101202607031300O0 30 20270 16 8 33 14 80 25 000000N    223 900'
+].join('\n');
+
+const fw21 = [
+    'StationID,ObservationTime,Temperature,RelativeHumidity,Precipitation,WindSpeed,WindAzimuth,' +
+        'GustSpeed,GustAzimuth,SnowFlag,SolarRadiation,Tflag',
+    '045101,2026-07-01T13:00:00-07:00,88,18,0.00,9,225,21,230,N,850,',
+    '045101,2026-07-01T14:00:00-07:00,,16,0.00,10,230,22,235,N,870,M',
+    '045101,2026-07-01T15:00:00-07:00,91,14,0.00,12,240,25,240,N,820,'
+].join('\r\n');
+
+describe('parseFW13', () => {
+    test('should parse fixed-width records into imperial observations', () => {
+        const { records, errors } = parseFW13(fw13);
+
+        expect(errors).toEqual([]);
+        expect(records).toHaveLength(3);
+        expect(records[0]).toMatchObject({
+            stationId: '045101',
+            timestamp: '2026-07-01T13:00:00',
+            temp: 88,
+            rh: 18,
+            wind: 9,
+            windDirection: 225,
+            precip: 0,
+            solar: 850,
+            tempMax: 92,
+            rhMin: 14,
+            gust: 21
+        });
+    });
+
+    test('should convert dew points and implied-decimal precipitation', () => {
+        const record = parseFW13(fw13).records[1];
+
+        expect(record.rh).toBeCloseTo(86.7, 0);
+        expect(record.precip).toBe(0.35);
+        expect(record.precipHours).toBe(4);
+        expect(record.gust).toBeNull();
+    });
+
+    test('should convert metric records', () => {
+        const record = parseFW13(fw13).records[2];
+
+        expect(record.temp).toBe(86);
+        expect(record.wind).toBeCloseTo(9.9, 1);
+        expect(record.tempMin).toBeCloseTo(57.2, 1);
+    });
+
+    test('should add a UTC offset to the timestamps', () => {
+        const { records } = parseFW13(fw13, { utcOffset: -7 });
+        expect(records[0].timestamp).toBe('2026-07-01T13:00:00-07:00');
+    });
+
+    test('should report malformed lines and keep parsing', () => {
+        const { records, errors } = parseFW13([
+            'W13045101202607011300O0 88 18225  9 6 92 58 65 14 000000N1215213 850230 21N',
+            'W13045101202607011400O0 8x 18225  9 6 92 58 65 14 000000N1215213 850230 21N',
+            'W98045101202607011500O0 88 18225  9 6 92 58 65 14 000000N1215213 850230 21N',
+            'W13045101202602301600O0 88 18225  9 6 92 58 65 14 000000N1215213 850230 21N',
+            'W13045101202607011700O0 88',
+            'W13045101202607011800O0 88 18225  9 6 92 58 65 14 000000N1215213 850230 21N'
+        ].join('\n'));
+
+        expect(records).toHaveLength(2);
+        expect(errors.map(error => error.line)).toEqual([2, 3, 4, 5]);
+        expect(errors[0].message).toMatch(/temp/);
+        expect(errors[1].message).toMatch(/record type/);
+        expect(errors[2].message).toMatch(/date/);
+        expect(errors[3].text).toBe('W13045101202607011700O0 88');
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+        expect(() => parseFW13(null)).toThrow(TypeError);
+        expect(() => parseFW13(fw13, { utcOffset: 'PDT' })).toThrow(TypeError);
+    });
+});
+
+describe('parseFW21', () => {
+    test('should parse records by header name', () => {
+        const { records, errors } = parseFW21(fw21);
+
+        expect(errors).toEqual([]);
+        expect(records).toHaveLength(3);
+        expect(records[0]).toEqual({
+            stationId: '045101',
+            timestamp: '2026-07-01T13:00:00-07:00',
+            temp: 88,
+            rh: 18,
+            wind: 9,
+            windDirection: 225,
+            precip: 0,
+            solar: 850,
+            gust: 21,
+            gustDirection: 230,
+            snowFlag: false
+        });
+        expect(records[1].temp).toBeNull();
+    });
+
+    test('should convert metric archives', () => {
+        const metricArchive = 'StationID,ObservationTime,Temperature,RelativeHumidity,Precipitation,WindSpeed\n' +
+            '045101,2026-07-01T13:00:00Z,30,20,2.54,16.09344';
+        const record = parseFW21(metricArchive, { units: 'metric' }).records[0];
+
+        expect(record.temp).toBe(86);
+        expect(record.precip).toBe(0.1);
+        expect(record.wind).toBe(10);
+        expect(parseFW21(metricArchive).records[0].temp).toBe(30);
+    });
+
+    test('should report malformed lines and keep parsing', () => {
+        const { records, errors } = parseFW21([
+            'StationID,ObservationTime,Temperature,RelativeHumidity',
+            '045101,2026-07-01T13:00:00-07:00,88,18',
+            '045101,yesterday,88,18',
+            '045101,2026-07-01T15:00:00-07:00,88,180',
+            '045101,2026-07-01T16:00:00-07:00,88',
+            '045101,2026-07-01T17:00:00-07:00,warm,18'
+        ].join('\n'));
+
+        expect(records).toHaveLength(1);
+        expect(errors.map(error => error.line)).toEqual([3, 4, 5, 6]);
+    });
+
+    test('should honour quoted fields and missing options', () => {
+        const { records, errors } = parseFW21([
+            'StationID,StationName,ObservationTime,Temperature,RelativeHumidity',
+            '"045101","Reno, NV",2026-07-01T13:00:00-07:00,88,18'
+        ].join('\n'), null);
+
+        expect(errors).toEqual([]);
+        expect(records[0]).toMatchObject({ stationId: '045101', temp: 88, rh: 18 });
+    });
+
+    test('should report a header without the required columns', () => {
+        const { records, errors } = parseFW21('StationID,Temperature\n045101,88');
+
+        expect(records).toEqual([]);
+        expect(errors[0]).toMatchObject({ line: 1 });
+        expect(errors[0].message).toMatch(/ObservationTime/);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+        expect(() => parseFW21(42)).toThrow(TypeError);
+        expect(() => parseFW21(fw21, { units: 'kelvin' })).toThrow(TypeError);
+    });
+});
+
+describe('archive records in the modelling functions', () => {
+    test('should fill gaps and drive predictDryingTrend', () => {
+        const records = interpolateWeatherData(parseFW21(fw21).records);
+        expect(records[1].temp).toBeCloseTo(89.5, 1);
+
+        const result = predictDryingTrend({
+            currentMoisture: 10,
+            historicalWeather: records.slice(0, 1),
+            predictedWeather: records.slice(1),
+            timeLag: 1
+        });
+
+        expect(result.trend.map(point => point.hours)).toEqual([1, 1, 1]);
+        expect(result.summary.endingMoisture).toBeLessThan(10);
+    });
+});
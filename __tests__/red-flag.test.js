@@ -0,0 +1,106 @@
+// Tests for the Red Flag Warning criteria evaluator
+const { evaluateRedFlagCriteria, runModel, predictDryingTrend } = require('../fuel-moisture-calculator');
+
+const hourly = [
+    { rh: 25, wind: 15 },
+    { rh: 14, wind: 22 },
+    { rh: 12, wind: 12, gust: 38 },
+    { rh: 11, wind: 24, gust: 40 },
+    { rh: 13, wind: 10 },
+    { rh: 12, wind: 25 },
+    { rh: 10, wind: 26 }
+].map((weather, hour) => Object.assign({
+    timestamp: new Date(Date.UTC(2026, 7, 10, 18 + hour)).toISOString(),
+    temp: 95
+}, weather));
+
+describe('evaluateRedFlagCriteria', () => {
+    const results = runModel(6, 8, hourly, { maxGapHours: 3 });
+
+    test('should find windows meeting the default criteria for 3 hours', () => {
+        const evaluation = evaluateRedFlagCriteria(results);
+
+        expect(evaluation.periods.map(period => period.qualifies)).toEqual([false, true, true, true, false, true, true]);
+        expect(evaluation.windows).toEqual([{
+            start: hourly[1].timestamp,
+            end: hourly[3].timestamp,
+            startIndex: 1,
+            endIndex: 3,
+            hours: 3,
+            criteriaHours: { rh: 3, wind: 2, gust: 2 },
+            minRh: 11,
+            maxWind: 24,
+            maxGust: 40,
+            minMoisture: results.dailyResults[3].moisture1Hr
+        }]);
+        expect(evaluation.summary).toEqual({
+            zone: null,
+            redFlag: true,
+            windowCount: 1,
+            firstWindowStart: hourly[1].timestamp,
+            longestWindowHours: 3,
+            totalHours: 3
+        });
+    });
+
+    test('should apply zone criteria and critical dryness', () => {
+        const evaluation = evaluateRedFlagCriteria(results, {
+            zone: 'CAZ283',
+            maxRh: 20,
+            minGust: null,
+            criticalDryness: true,
+            minDuration: 2
+        });
+
+        expect(evaluation.criteria.maxMoisture).toBe(6);
+        expect(evaluation.periods[1].met).toEqual({ rh: true, wind: true, fuelMoisture: true });
+        expect(evaluation.windows.map(window => [window.startIndex, window.endIndex])).toEqual([[5, 6]]);
+        expect(evaluation.summary.zone).toBe('CAZ283');
+    });
+
+    test('should require both wind and gusts in both mode', () => {
+        const evaluation = evaluateRedFlagCriteria(results, { windMode: 'both', minDuration: 1 });
+        expect(evaluation.windows.map(window => window.startIndex)).toEqual([3]);
+    });
+
+    test('should end windows at data gaps', () => {
+        const gapped = hourly.slice(0, 4).concat(Object.assign({}, hourly[6], {
+            timestamp: new Date(Date.UTC(2026, 7, 11, 6)).toISOString()
+        }));
+        const evaluation = evaluateRedFlagCriteria(runModel(6, 8, gapped, { maxGapHours: 3 }), { minDuration: 1 });
+
+        expect(evaluation.windows.map(window => [window.startIndex, window.endIndex])).toEqual([[1, 3], [4, 4]]);
+    });
+
+    test('should scan predictDryingTrend results with their threshold and resolution', () => {
+        const trend = predictDryingTrend({
+            currentMoisture: 9,
+            historicalWeather: [{ temp: 85, rh: 30, wind: 10 }],
+            predictedWeather: [{ temp: 95, rh: 10, wind: 25 }, { temp: 98, rh: 8, wind: 5, gust: 36 }],
+            timeLag: 1
+        }, { criticalThreshold: 8 });
+        const evaluation = evaluateRedFlagCriteria(trend, { criticalDryness: true, minDuration: 48 });
+
+        expect(evaluation.criteria.maxMoisture).toBe(8);
+        expect(evaluation.windows).toHaveLength(1);
+        expect(evaluation.windows[0]).toMatchObject({ start: 'Forecast 1', end: 'Forecast 2', hours: 48 });
+    });
+
+    test('should take period lengths for untimestamped runModel results', () => {
+        const daily = runModel(8, 10, [{ temp: 95, rh: 10, wind: 25, hours: 12 }, { temp: 70, rh: 50, hours: 12 }]);
+
+        expect(() => evaluateRedFlagCriteria(daily)).toThrow(TypeError);
+        expect(evaluateRedFlagCriteria(daily, {}, { periodHours: 12 }).windows[0].hours).toBe(12);
+    });
+
+    test('should throw TypeError for invalid results and criteria', () => {
+        expect(() => evaluateRedFlagCriteria(null)).toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria([])).toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria(results, { maxRh: 'low' })).toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria(results, { windMode: 'any' })).toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria(results, { timeLag: 100 })).toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria(results, { maxRh: null, minWind: null, minGust: null }))
+            .toThrow(TypeError);
+        expect(() => evaluateRedFlagCriteria(results, {}, { periodHours: 0 })).toThrow(TypeError);
+    });
+});
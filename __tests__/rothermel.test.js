@@ -0,0 +1,115 @@
+// Tests for the Rothermel (1972) surface fire spread model
+const {
+    computeSurfaceFireSpread,
+    runSurfaceFireSpread,
+    runModel,
+    simulateDrying,
+    SURFACE_FUEL_MODELS
+} = require('../fuel-moisture-calculator');
+
+const conditions = { moisture1hr: 6, moisture10hr: 7, moisture100hr: 8, herbMoisture: 60, woodMoisture: 90, wind: 5 };
+
+describe('computeSurfaceFireSpread', () => {
+    test('should provide the Anderson and Scott & Burgan fuel models', () => {
+        const ids = Object.keys(SURFACE_FUEL_MODELS);
+        expect(ids).toHaveLength(53);
+        expect(ids.slice(0, 13)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13']);
+        expect(ids).toContain('GR2');
+        expect(ids).toContain('SB4');
+    });
+
+    test('should return fire behaviour outputs', () => {
+        const result = computeSurfaceFireSpread(conditions, 1);
+        expect(Object.keys(result)).toEqual([
+            'rateOfSpread', 'reactionIntensity', 'heatPerUnitArea',
+            'firelineIntensity', 'flameLength', 'windLimited'
+        ]);
+        expect(result.rateOfSpread).toBeGreaterThan(50);
+        expect(result.rateOfSpread).toBeLessThan(150);
+        expect(result.flameLength).toBeGreaterThan(0);
+    });
+
+    test('should relate intensity and flame length by Byram', () => {
+        const result = computeSurfaceFireSpread(conditions, 4);
+        expect(result.firelineIntensity).toBeCloseTo(result.heatPerUnitArea * result.rateOfSpread / 60, -1);
+        expect(result.flameLength).toBeCloseTo(0.45 * Math.pow(result.firelineIntensity, 0.46), 0);
+    });
+
+    test('should spread faster in drier fuels, wind and slope', () => {
+        const base = computeSurfaceFireSpread(conditions, 'TL8');
+        const drier = computeSurfaceFireSpread(Object.assign({}, conditions, { moisture1hr: 3 }), 'TL8');
+        const windier = computeSurfaceFireSpread(Object.assign({}, conditions, { wind: 10 }), 'TL8');
+        const steeper = computeSurfaceFireSpread(Object.assign({}, conditions, { slope: 50 }), 'TL8');
+        expect(drier.rateOfSpread).toBeGreaterThan(base.rateOfSpread);
+        expect(windier.rateOfSpread).toBeGreaterThan(base.rateOfSpread);
+        expect(steeper.rateOfSpread).toBeGreaterThan(base.rateOfSpread);
+    });
+
+    test('should not spread at the dead moisture of extinction', () => {
+        const result = computeSurfaceFireSpread({ moisture1hr: 12, wind: 5 }, 1);
+        expect(result.rateOfSpread).toBe(0);
+        expect(result.flameLength).toBe(0);
+    });
+
+    test('should cure herbaceous fuel in dynamic models', () => {
+        const green = computeSurfaceFireSpread(Object.assign({}, conditions, { herbMoisture: 120 }), 'GR2');
+        const cured = computeSurfaceFireSpread(Object.assign({}, conditions, { herbMoisture: 30 }), 'GR2');
+        expect(cured.rateOfSpread).toBeGreaterThan(green.rateOfSpread);
+    });
+
+    test('should apply a wind adjustment factor', () => {
+        const midflame = computeSurfaceFireSpread(Object.assign({}, conditions, { wind: 4 }), 'GR2');
+        const adjusted = computeSurfaceFireSpread(Object.assign({}, conditions, { wind: 10, windAdjustment: 0.4 }), 'GR2');
+        expect(adjusted).toEqual(midflame);
+    });
+
+    test('should accept custom fuel models', () => {
+        const custom = Object.assign({ id: 'local' }, SURFACE_FUEL_MODELS['9']);
+        expect(computeSurfaceFireSpread(conditions, custom)).toEqual(computeSurfaceFireSpread(conditions, '9'));
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => computeSurfaceFireSpread(null, 1)).toThrow(TypeError);
+        expect(() => computeSurfaceFireSpread(conditions, 14)).toThrow(TypeError);
+        expect(() => computeSurfaceFireSpread(conditions, { load1hr: 1 })).toThrow(TypeError);
+        expect(() => computeSurfaceFireSpread({ moisture1hr: 6, moisture10hr: 7 }, 10)).toThrow(TypeError);
+        expect(() => computeSurfaceFireSpread(Object.assign({}, conditions, { wind: -1 }), 1)).toThrow(TypeError);
+    });
+});
+
+describe('runSurfaceFireSpread', () => {
+    const forecast = [
+        { temp: 90, rh: 15, hours: 12, wind: 8 },
+        { temp: 60, rh: 60, hours: 12, wind: 2 }
+    ];
+
+    test('should take moistures and wind from runModel results', () => {
+        const results = runModel(8, 10, forecast);
+        const spread = runSurfaceFireSpread(results, 'GR2', { windAdjustment: 0.4 });
+
+        expect(spread.fuelModel).toBe('GR2');
+        expect(spread.periods[0]).toEqual(Object.assign({ period: 'Day 1' }, computeSurfaceFireSpread({
+            moisture1hr: results.dailyResults[0].moisture1Hr,
+            moisture10hr: results.dailyResults[0].moisture10Hr,
+            wind: 8,
+            windAdjustment: 0.4
+        }, 'GR2')));
+        expect(spread.summary.peakPeriod).toBe('Day 1');
+        expect(spread.summary.maxFlameLength).toBe(spread.periods[0].flameLength);
+    });
+
+    test('should accept simulateDrying output', () => {
+        const series = simulateDrying({
+            tempSeries: [80, 85, 90],
+            rhSeries: [30, 25, 20],
+            initialState: { m1: 12, m10: 14, m100: 16 }
+        });
+        const spread = runSurfaceFireSpread(series, 10, { wind: 5 });
+        expect(spread.periods).toHaveLength(3);
+        expect(spread.periods[2].rateOfSpread).toBeGreaterThan(spread.periods[0].rateOfSpread);
+    });
+
+    test('should throw TypeError for unrecognised output', () => {
+        expect(() => runSurfaceFireSpread({}, 1)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,114 @@
+// Tests for Rothermel (1986) fine dead fuel moisture site corrections
+const {
+    computeSiteCorrection,
+    computeEMC,
+    runModel,
+    simulateDrying,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+describe('computeSiteCorrection', () => {
+    test('should be small for exposed, level sites at midday in summer', () => {
+        expect(computeSiteCorrection({ aspect: 'S', month: 7, hour: 13 })).toBe(0);
+    });
+
+    test('should be larger in the morning and evening', () => {
+        const midday = computeSiteCorrection({ aspect: 'N', month: 7, hour: 13 });
+        expect(computeSiteCorrection({ aspect: 'N', month: 7, hour: 8 })).toBeGreaterThan(midday);
+        expect(computeSiteCorrection({ aspect: 'N', month: 7, hour: 19 })).toBeGreaterThan(midday);
+    });
+
+    test('should be larger for shaded sites and in winter', () => {
+        const exposed = computeSiteCorrection({ aspect: 'S', month: 7, hour: 13 });
+        expect(computeSiteCorrection({ aspect: 'S', month: 7, hour: 13, shading: 0.8 })).toBeGreaterThan(exposed);
+        expect(computeSiteCorrection({ aspect: 'S', month: 12, hour: 13 })).toBeGreaterThan(exposed);
+    });
+
+    test('should follow slope, aspect and elevation difference', () => {
+        // Steep west slopes stay moist in the morning and dry out in the afternoon
+        expect(computeSiteCorrection({ aspect: 'W', slope: 45, month: 6, hour: 10 })).toBe(3);
+        expect(computeSiteCorrection({ aspect: 'W', slope: 45, month: 6, hour: 16 })).toBe(0);
+        expect(computeSiteCorrection({ aspect: 'N', month: 6, hour: 8, elevationDifference: -1500 })).toBe(2);
+        expect(computeSiteCorrection({ aspect: 'N', month: 6, hour: 8, elevationDifference: 1500 })).toBe(4);
+    });
+
+    test('should accept aspects in degrees and months from dates', () => {
+        expect(computeSiteCorrection({ aspect: 270, slope: 45, month: 6, hour: 10 }))
+            .toBe(computeSiteCorrection({ aspect: 'W', slope: 45, month: 6, hour: 10 }));
+        expect(computeSiteCorrection({ aspect: 'E', date: '2026-06-15', hour: 17 }))
+            .toBe(computeSiteCorrection({ aspect: 'E', month: 6, hour: 17 }));
+    });
+
+    test('should throw TypeError for invalid sites', () => {
+        expect(() => computeSiteCorrection(null)).toThrow(TypeError);
+        expect(() => computeSiteCorrection({ aspect: 'S' })).toThrow(TypeError);
+        expect(() => computeSiteCorrection({ aspect: 'up', month: 7 })).toThrow(TypeError);
+        expect(() => computeSiteCorrection({ month: 7, hour: 25 })).toThrow(TypeError);
+        expect(() => computeSiteCorrection({ month: 7, shading: 2 })).toThrow(TypeError);
+        expect(() => computeSiteCorrection({ month: 7, slope: -5 })).toThrow(TypeError);
+    });
+});
+
+describe('site corrections in modelling functions', () => {
+    const site = { aspect: 'N', slope: 40, month: 7, hour: 6 };
+
+    test('runModel should add the correction to EMC by time of day', () => {
+        const forecast = [
+            { temp: 90, rh: 20, hours: 6 },
+            { temp: 90, rh: 20, hours: 6 }
+        ];
+        const plain = runModel(10, 12, forecast);
+        const corrected = runModel(10, 12, forecast, { site: site });
+
+        // 0600-1200 centres on the 0800 block, 1200-1800 on the 1400 block
+        expect(corrected.dailyResults[0].emc).toBe(computeEMC(90, 20) + 4);
+        expect(corrected.dailyResults[1].emc).toBe(computeEMC(90, 20) + 1);
+        expect(corrected.summary.final1Hr).toBeGreaterThan(plain.summary.final1Hr);
+    });
+
+    test('runModel should use entry hours and the start date', () => {
+        const results = runModel(10, 12, [{ temp: 90, rh: 20, hours: 1, hour: 13 }], {
+            startDate: '2026-07-01',
+            site: { aspect: 'S' }
+        });
+        expect(results.dailyResults[0].emc).toBe(computeEMC(90, 20));
+    });
+
+    test('simulateDrying series form should correct each step', () => {
+        const results = simulateDrying({
+            tempSeries: [85, 85],
+            rhSeries: [25, 25],
+            initialState: { m1: 10, m10: 12, m100: 14 },
+            timeStep: 6,
+            site: site
+        });
+        expect(results[0].emc).toBeGreaterThan(results[1].emc);
+    });
+
+    test('simulateDrying scenario form should vary EMC through the day', () => {
+        const results = simulateDrying({
+            initial1hr: 15, initial10hr: 18, initial100hr: 20,
+            tempF: 90, rh: 20, durationHours: 12, stepHours: 4,
+            site: { month: 7, hour: 6 }
+        });
+        const emcs = results.timeSeries.map(point => point.emc);
+        expect(new Set(emcs).size).toBeGreaterThan(1);
+        expect(Math.min(...emcs)).toBe(computeEMC(90, 20));
+    });
+
+    test('predictDryingTrend should apply the site', () => {
+        const inputs = {
+            currentMoisture: 10,
+            historicalWeather: [{ temp: 80, rh: 30 }],
+            predictedWeather: [{ temp: 90, rh: 20, hour: 8 }],
+            timeLag: 1
+        };
+        const result = predictDryingTrend(inputs, { resolution: 'hourly', site: { aspect: 'N', month: 7 } });
+        expect(result.trend[1].emc).toBe(computeEMC(90, 20) + 3);
+    });
+
+    test('should reject sites with the nelson2000 engine', () => {
+        expect(() => runModel(10, 12, [{ temp: 90, rh: 20, hours: 6 }], { site: site, engine: 'nelson2000' }))
+            .toThrow(TypeError);
+    });
+});
@@ -0,0 +1,164 @@
+// Tests for the station registry and multi-station batch runner
+const {
+    createStationRegistry,
+    addStation,
+    runStationBatch,
+    runModel,
+    predictDryingTrend
+} = require('../fuel-moisture-calculator');
+
+const forecast = [
+    { label: 'Monday', temp: 85, rh: 25, hours: 12 },
+    { label: 'Tuesday', temp: 92, rh: 12, hours: 12 },
+    { label: 'Wednesday', temp: 95, rh: 8, hours: 12 }
+];
+const humidForecast = forecast.map(entry => Object.assign({}, entry, { temp: 70, rh: 60 }));
+
+function registry() {
+    return createStationRegistry([
+        { id: '045101', name: 'Ridge', initial1hr: 8, initial10hr: 10, elevation: 5200, fuelModel: 'a' },
+        { id: '045102', name: 'Valley', initial1hr: 14, initial10hr: 16 },
+        {
+            id: '045103',
+            initial1hr: 7,
+            initial10hr: 9,
+            initial100hr: 14,
+            initial1000hr: 18,
+            latitude: 43.6,
+            fuelModel: 'G'
+        }
+    ]);
+}
+
+describe('createStationRegistry and addStation', () => {
+    test('should store validated plain station records', () => {
+        const stations = registry();
+
+        expect(Object.keys(stations.stations)).toEqual(['045101', '045102', '045103']);
+        expect(stations.stations['045101']).toEqual({
+            id: '045101', name: 'Ridge', initial1hr: 8, initial10hr: 10, elevation: 5200, fuelModel: 'A'
+        });
+        expect(JSON.parse(JSON.stringify(stations))).toEqual(stations);
+    });
+
+    test('should add stations to an existing registry', () => {
+        const stations = createStationRegistry();
+        expect(addStation(stations, { id: 7, initial1hr: 9, initial10hr: 11 }).id).toBe('7');
+        expect(stations.stations['7'].initial10hr).toBe(11);
+    });
+
+    test('should throw TypeError for invalid and duplicate stations', () => {
+        const stations = registry();
+        expect(() => addStation(stations, { id: '045101', initial1hr: 8, initial10hr: 10 })).toThrow(/already/);
+        expect(() => addStation(stations, { id: '', initial1hr: 8, initial10hr: 10 })).toThrow(TypeError);
+        expect(() => addStation(stations, { id: 'X', initial1hr: 8 })).toThrow(TypeError);
+        expect(() => addStation(stations, { id: 'X', initial1hr: 8, initial10hr: 10, fuelModel: 'Q1' }))
+            .toThrow(TypeError);
+        expect(() => addStation(stations, { id: 'X', initial1hr: 8, initial10hr: 10, latitude: 95 }))
+            .toThrow(TypeError);
+        expect(() => addStation({}, { id: 'X', initial1hr: 8, initial10hr: 10 })).toThrow(TypeError);
+        expect(() => createStationRegistry('045101')).toThrow(TypeError);
+    });
+});
+
+describe('runStationBatch', () => {
+    const weather = { '045101': forecast, '045102': humidForecast, '045103': forecast };
+
+    test('should run runModel for each station with its own inputs', () => {
+        const batch = runStationBatch(registry(), weather);
+
+        expect(batch.errors).toEqual([]);
+        expect(batch.stations['045101'].result).toEqual(runModel(8, 10, forecast));
+        expect(batch.stations['045103'].result.summary).toHaveProperty('final1000Hr');
+        expect(batch.stations['045101'].indices.fuelModel).toBe('A');
+        expect(batch.stations['045103'].indices.periods).toHaveLength(3);
+        expect(batch.stations['045102']).not.toHaveProperty('indices');
+    });
+
+    test('should summarise across stations', () => {
+        const batch = runStationBatch(registry(), weather);
+        const ridge = batch.stations['045101'];
+        const third = batch.stations['045103'];
+        const earliest = ridge.criticalIndex <= third.criticalIndex ? '045101' : '045103';
+        const driest = ridge.finalMoisture <= third.finalMoisture ? '045101' : '045103';
+
+        expect(batch.stations['045102'].criticalPeriod).toBeNull();
+        expect(batch.summary).toEqual({
+            stationCount: 3,
+            earliestCritical: { stationId: earliest, period: batch.stations[earliest].criticalPeriod, time: null },
+            driestStation: { stationId: driest, moisture: batch.stations[driest].finalMoisture },
+            stationsBelowThreshold: 2,
+            criticalThreshold: 6
+        });
+    });
+
+    test('should compare critical times across stations with timestamps', () => {
+        const stations = createStationRegistry([
+            { id: 'early', initial1hr: 6.5, initial10hr: 9 },
+            { id: 'late', initial1hr: 6.5, initial10hr: 9 }
+        ]);
+        const hourly = start => [0, 1, 2].map(hour => ({
+            timestamp: new Date(Date.parse(start) + hour * 3600000).toISOString(),
+            temp: 95,
+            rh: 8,
+            hours: 1
+        }));
+        const batch = runStationBatch(stations, {
+            late: hourly('2026-07-01T15:00:00Z'),
+            early: hourly('2026-07-01T13:00:00Z')
+        });
+
+        expect(batch.summary.earliestCritical).toEqual({
+            stationId: 'early',
+            period: '2026-07-01T13:00:00.000Z',
+            time: '2026-07-01T13:00:00.000Z'
+        });
+    });
+
+    test('should run predictDryingTrend for the chosen fuel class', () => {
+        const trendWeather = {
+            historicalWeather: [{ temp: 75, rh: 40 }],
+            predictedWeather: [{ temp: 90, rh: 15 }, { temp: 95, rh: 10 }]
+        };
+        const batch = runStationBatch(registry(), {
+            '045101': trendWeather,
+            '045102': trendWeather,
+            '045103': trendWeather
+        }, { model: 'predictDryingTrend', timeLag: 10, criticalThreshold: 8 });
+
+        expect(batch.stations['045102'].result).toEqual(predictDryingTrend(
+            Object.assign({ currentMoisture: 16, timeLag: 10 }, trendWeather), { criticalThreshold: 8 }));
+        expect(batch.stations['045101'].finalMoisture)
+            .toBe(batch.stations['045101'].result.summary.endingMoisture);
+        expect(batch.summary.criticalThreshold).toBe(8);
+    });
+
+    test('should pass model options and let them override station values', () => {
+        const batch = runStationBatch(registry(), weather, { modelOptions: { ignition: true } });
+        expect(batch.stations['045102'].result.dailyResults[0]).toHaveProperty('probabilityOfIgnition');
+    });
+
+    test('should report failing stations and run the rest', () => {
+        const stations = registry();
+        addStation(stations, { id: 'needs-large-fuels', initial1hr: 8, initial10hr: 10, fuelModel: 'G' });
+        const batch = runStationBatch(stations, {
+            '045101': forecast,
+            '045102': [{ temp: 'hot', rh: 40, hours: 12 }],
+            'needs-large-fuels': forecast,
+            'unknown': forecast
+        });
+
+        expect(Object.keys(batch.stations)).toEqual(['045101']);
+        expect(batch.errors.map(error => error.stationId))
+            .toEqual(['045102', '045103', 'needs-large-fuels', 'unknown']);
+        expect(batch.errors[1].message).toBe('No weather for station');
+        expect(batch.summary.stationCount).toBe(1);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+        expect(() => runStationBatch({}, {})).toThrow(TypeError);
+        expect(() => runStationBatch(registry(), null)).toThrow(TypeError);
+        expect(() => runStationBatch(registry(), weather, { model: 'simulateDrying' })).toThrow(TypeError);
+        expect(() => runStationBatch(registry(), weather, { criticalThreshold: 'low' })).toThrow(TypeError);
+    });
+});
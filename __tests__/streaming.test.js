@@ -0,0 +1,89 @@
+// Tests for the async-iterator streaming API
+const { streamMoisture, FuelMoistureModel, runModel } = require('../fuel-moisture-calculator');
+
+const records = Array.from({ length: 6 }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2026, 6, 1, 12 + hour)).toISOString(),
+    temp: 80 + hour * 2,
+    rh: 30 - hour * 3
+}));
+
+async function* feed(items, log) {
+    for (const item of items) {
+        if (log) log.push(`read ${item.timestamp || item.temp}`);
+        await Promise.resolve();
+        yield item;
+    }
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+describe('streamMoisture', () => {
+    test('should yield updated moisture for each record', async () => {
+        const items = await collect(streamMoisture(feed(records), { initial1hr: 10, initial10hr: 12 }));
+
+        // The first record starts the clock, so the model steps from the second
+        const expected = runModel(10, 12, [Object.assign({ hours: 0 }, records[0])].concat(records.slice(1)),
+            { observations: [] });
+        expect(items).toHaveLength(6);
+        expect(items.map(item => item.index)).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(items.map(item => item.result)).toEqual(expected.dailyResults);
+        expect(items[0].state.moisture1Hr).toBe(10);
+        expect(items[5].state).toMatchObject({
+            periods: 6,
+            timestamp: records[5].timestamp,
+            moisture1Hr: expected.summary.final1Hr,
+            moisture10Hr: expected.summary.final10Hr
+        });
+    });
+
+    test('should read the next record only when the consumer asks', async () => {
+        const log = [];
+        const stream = streamMoisture(feed(records, log), { initial1hr: 10, initial10hr: 12 });
+
+        await stream.next();
+        log.push('consumed 0');
+        await stream.next();
+        log.push('consumed 1');
+        await stream.return();
+
+        expect(log).toEqual([
+            `read ${records[0].timestamp}`,
+            'consumed 0',
+            `read ${records[1].timestamp}`,
+            'consumed 1'
+        ]);
+    });
+
+    test('should continue an existing model and accept plain iterables', async () => {
+        const model = new FuelMoistureModel({ initial1hr: 10, initial10hr: 12 });
+        model.update(Object.assign({ hours: 1 }, records[0]));
+
+        const items = await collect(streamMoisture(records.slice(1, 3), { model: model }));
+        expect(items[0].result.hours).toBe(1);
+        expect(model.state.periods).toBe(3);
+    });
+
+    test('should skip invalid records when asked', async () => {
+        const bad = Object.assign({}, records[2], { rh: 'n/a' });
+        const items = await collect(streamMoisture(feed([records[0], records[1], bad, records[3]]), {
+            initial1hr: 10,
+            initial10hr: 12,
+            skipInvalid: true
+        }));
+
+        expect(items[2]).toEqual({ index: 2, record: bad, error: 'Forecast entry 2 has invalid values' });
+        expect(items[3].result.hours).toBe(2);
+    });
+
+    test('should throw TypeError for invalid records and arguments', async () => {
+        await expect(collect(streamMoisture(feed([records[0], { temp: 80 }]), { initial1hr: 10, initial10hr: 12 })))
+            .rejects.toThrow(TypeError);
+        await expect(collect(streamMoisture(42, { initial1hr: 10, initial10hr: 12 }))).rejects.toThrow(TypeError);
+        await expect(collect(streamMoisture(records, { model: {} }))).rejects.toThrow(TypeError);
+        await expect(collect(streamMoisture(records, { initial1hr: 10 }))).rejects.toThrow(TypeError);
+    });
+});
@@ -0,0 +1,214 @@
+// Tests for timestamp-based stepping, gap flags and resampling
+const {
+    runModel,
+    simulateDrying,
+    predictDryingTrend,
+    resampleWeather
+} = require('../fuel-moisture-calculator');
+
+// Hourly RAWS observations with a six-hour outage before a shower
+const observations = [
+    { timestamp: '2026-07-01T12:00:00Z', temp: 85, rh: 20 },
+    { timestamp: '2026-07-01T13:00:00Z', temp: 88, rh: 18 },
+    { timestamp: '2026-07-01T14:00:00Z', temp: 90, rh: 15 },
+    { timestamp: '2026-07-01T20:00:00Z', temp: 70, rh: 40, precip: 0.3 },
+    { timestamp: '2026-07-01T21:00:00Z', temp: 68, rh: 45 }
+];
+
+describe('runModel with timestamps', () => {
+    test('should derive period lengths from the time between observations', () => {
+        const results = runModel(8, 10, observations);
+        const hours = results.dailyResults.map(result => result.hours);
+
+        // The first observation takes the following interval
+        expect(hours).toEqual([1, 1, 1, 6, 1]);
+        expect(results.dailyResults[0].day).toBe('2026-07-01T12:00:00.000Z');
+        expect(results.dailyResults[0].timestamp).toBe('2026-07-01T12:00:00.000Z');
+    });
+
+    test('should match explicit hours', () => {
+        const timed = runModel(8, 10, observations);
+        const explicit = runModel(8, 10, observations.map((entry, index) => ({
+            temp: entry.temp,
+            rh: entry.rh,
+            precip: entry.precip,
+            hours: [1, 1, 1, 6, 1][index]
+        })));
+
+        expect(timed.summary.final1Hr).toBe(explicit.summary.final1Hr);
+        expect(timed.summary.final10Hr).toBe(explicit.summary.final10Hr);
+    });
+
+    test('should flag gaps longer than twice the median interval', () => {
+        const results = runModel(8, 10, observations);
+
+        expect(results.dailyResults[3].gap).toBe(true);
+        expect(results.dailyResults[2]).not.toHaveProperty('gap');
+        expect(results.summary.gapPeriods).toEqual(['2026-07-01T20:00:00.000Z']);
+    });
+
+    test('should honour a configured gap limit', () => {
+        expect(runModel(8, 10, observations, { maxGapHours: 12 }).summary.gapPeriods).toEqual([]);
+        expect(runModel(8, 10, observations, { maxGapHours: 0.5 }).summary.gapPeriods).toHaveLength(4);
+    });
+
+    test('should leave untimed forecasts unchanged', () => {
+        const results = runModel(8, 10, [{ temp: 85, rh: 20, hours: 6 }]);
+        expect(results.dailyResults[0]).not.toHaveProperty('timestamp');
+        expect(results.summary).not.toHaveProperty('gapPeriods');
+    });
+
+    test('should resample to a regular grid first', () => {
+        const results = runModel(8, 10, observations, { resampleHours: 1 });
+
+        expect(results.dailyResults).toHaveLength(10);
+        results.dailyResults.forEach(result => expect(result.hours).toBe(1));
+        expect(results.summary.gapPeriods).toHaveLength(6);
+    });
+
+    test('should throw TypeError for out-of-order or invalid timestamps', () => {
+        expect(() => runModel(8, 10, [observations[1], observations[0]])).toThrow(TypeError);
+        expect(() => runModel(8, 10, [{ timestamp: '2026-13-45', temp: 80, rh: 20 }])).toThrow(TypeError);
+        expect(() => runModel(8, 10, [observations[0]])).toThrow(TypeError);
+        expect(() => runModel(8, 10, observations, { maxGapHours: -1 })).toThrow(TypeError);
+    });
+
+    test('should reject negative period lengths', () => {
+        expect(() => runModel(8, 10, [{ temp: 85, rh: 20, hours: -6 }])).toThrow(TypeError);
+        expect(() => runModel(8, 10, [Object.assign({ hours: -1 }, observations[0])])).toThrow(TypeError);
+    });
+
+    test('should ask a single timestamped entry for its hours', () => {
+        expect(() => runModel(8, 10, [observations[0]])).toThrow(/single timestamped entry and needs hours/);
+        expect(runModel(8, 10, [Object.assign({ hours: 3 }, observations[0])]).dailyResults[0].hours).toBe(3);
+
+        // Functions with a default period length fall back to it
+        const [step] = simulateDrying({
+            tempSeries: [85],
+            rhSeries: [20],
+            timestamps: [observations[0].timestamp],
+            timeStep: 2,
+            initialState: { m1: 8, m10: 10, m100: 12 }
+        });
+        expect(step.hours).toBe(2);
+        expect(resampleWeather([observations[0]], 1)).toHaveLength(1);
+    });
+});
+
+describe('resampleWeather', () => {
+    test('should interpolate values onto the grid', () => {
+        const resampled = resampleWeather(observations, 2);
+
+        expect(resampled.map(entry => entry.timestamp)).toEqual([
+            '2026-07-01T12:00:00.000Z',
+            '2026-07-01T14:00:00.000Z',
+            '2026-07-01T16:00:00.000Z',
+            '2026-07-01T18:00:00.000Z',
+            '2026-07-01T20:00:00.000Z'
+        ]);
+        expect(resampled[2].temp).toBeCloseTo(83.3, 1);
+        expect(resampled[2].rh).toBeCloseTo(23.3, 1);
+        resampled.forEach(entry => expect(entry.hours).toBe(2));
+    });
+
+    test('should share rainfall out over the intervals it fell in', () => {
+        const resampled = resampleWeather(observations, 2);
+        const total = resampled.reduce((sum, entry) => sum + (entry.precip || 0), 0);
+
+        expect(total).toBeCloseTo(0.3, 3);
+        expect(resampled[2].precip).toBeCloseTo(0.1, 3);
+    });
+
+    test('should share rainfall from a long explicit period over every step it covers', () => {
+        const hourly = [0, 1, 2, 3, 4, 5, 6].map(hour => ({
+            timestamp: `2026-07-01T0${hour}:00:00Z`,
+            temp: 80,
+            rh: 30
+        }));
+        hourly[6] = Object.assign({}, hourly[6], { hours: 6, precip: 0.6 });
+
+        const resampled = resampleWeather(hourly, 1);
+
+        expect(resampled.map(entry => entry.precip)).toEqual([undefined, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1]);
+    });
+
+    test('should carry gap flags from the source data', () => {
+        const resampled = resampleWeather(observations, 1);
+        const gaps = resampled.filter(entry => entry.gap).map(entry => entry.timestamp.slice(11, 13));
+        expect(gaps).toEqual(['15', '16', '17', '18', '19', '20']);
+    });
+
+    test('should throw TypeError for invalid inputs', () => {
+        expect(() => resampleWeather([], 1)).toThrow(TypeError);
+        expect(() => resampleWeather(observations, 0)).toThrow(TypeError);
+        expect(() => resampleWeather([{ temp: 80, rh: 20 }], 1)).toThrow(TypeError);
+    });
+});
+
+describe('simulateDrying with timestamps', () => {
+    const series = {
+        tempSeries: observations.map(entry => entry.temp),
+        rhSeries: observations.map(entry => entry.rh),
+        timestamps: observations.map(entry => entry.timestamp),
+        initialState: { m1: 8, m10: 10, m100: 12 }
+    };
+
+    test('should use the time between steps instead of timeStep', () => {
+        const results = simulateDrying(series);
+
+        expect(results.map(step => step.hours)).toEqual([1, 1, 1, 6, 1]);
+        expect(results[3].gap).toBe(true);
+        expect(results[3].m100).toBeLessThan(results[2].m100);
+    });
+
+    test('should resample the series', () => {
+        const results = simulateDrying(Object.assign({ resampleHours: 3 }, series));
+
+        expect(results.map(step => step.timestamp.slice(11, 13))).toEqual(['12', '15', '18', '21']);
+        expect(results[1].gap).toBe(true);
+    });
+
+    test('should reject mismatched timestamps', () => {
+        expect(() => simulateDrying(Object.assign({}, series, { timestamps: ['2026-07-01T12:00:00Z'] })))
+            .toThrow(TypeError);
+    });
+});
+
+describe('predictDryingTrend with timestamps', () => {
+    test('should derive period lengths across history and forecast', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 10,
+            historicalWeather: observations.slice(0, 3),
+            predictedWeather: observations.slice(3),
+            timeLag: 10
+        });
+
+        expect(result.trend.map(point => point.hours)).toEqual([1, 1, 1, 6, 1]);
+        expect(result.summary.gapPeriods).toEqual(['2026-07-01T20:00:00Z']);
+    });
+
+    test('should keep free-text timestamps as labels', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 10,
+            historicalWeather: [{ temp: 70, rh: 50, timestamp: 'Yesterday' }],
+            predictedWeather: [{ temp: 85, rh: 25, timestamp: 'Day 3' }],
+            timeLag: 10
+        });
+
+        expect(result.trend[1].period).toBe('Day 3');
+        expect(result.trend[1]).not.toHaveProperty('hours');
+        expect(result.summary).not.toHaveProperty('gapPeriods');
+    });
+
+    test('should split resampled periods at the last historical observation', () => {
+        const result = predictDryingTrend({
+            currentMoisture: 10,
+            historicalWeather: observations.slice(0, 3),
+            predictedWeather: observations.slice(3),
+            timeLag: 1
+        }, { resampleHours: 1 });
+
+        expect(result.metadata.historicalPeriods).toBe(3);
+        expect(result.metadata.forecastPeriods).toBe(7);
+    });
+});
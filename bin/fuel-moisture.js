@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+ * fuel-moisture: command-line interface to the Fuel Moisture Calculator.
+ *
+ * Usage: fuel-moisture <command> [file] [options]
+ * Run `fuel-moisture --help` for the commands and options.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FuelMoistureCalculator = require('../fuel-moisture-calculator.js');
+
+// Exit codes: success, invalid input or failed run, bad command line, and a
+// fuel class (or EMC) at or below the critical threshold
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    CRITICAL: 3
+};
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+const INPUT_FORMATS = ['json', 'csv'];
+
+// Options shared by the commands that read weather records
+const INPUT_OPTIONS = ['input', 'units', 'delimiter'];
+
+// Options each command accepts (besides --format, --threshold and --help)
+const COMMAND_OPTIONS = {
+    emc: ['temp', 'rh'],
+    step: ['moisture', 'emc', 'temp', 'rh', 'hours', 'time-lag'],
+    forecast: INPUT_OPTIONS.concat(['initial-1hr', 'initial-10hr', 'initial-100hr', 'initial-1000hr', 'engine',
+        'time-lag', 'max-gap-hours', 'resample-hours']),
+    simulate: INPUT_OPTIONS.concat(['initial-1hr', 'initial-10hr', 'initial-100hr', 'engine', 'time-step', 'time-lag',
+        'temp', 'rh', 'duration', 'step-hours']),
+    trend: INPUT_OPTIONS.concat(['moisture', 'time-lag', 'historical', 'engine', 'resolution', 'resample-hours'])
+};
+const COMMON_OPTIONS = ['format', 'threshold', 'help'];
+const FLAG_OPTIONS = ['help', 'version'];
+
+const USAGE = `Usage: fuel-moisture <command> [file] [options]
+
+Commands:
+  emc        Equilibrium moisture content        --temp F --rh %
+  step       One time-lag step                    --moisture % (--emc % | --temp F --rh %)
+                                                  --hours h [--time-lag 1|10|100|1000]
+  forecast   runModel over forecast records       --initial-1hr % --initial-10hr %
+                                                  [--initial-100hr % --initial-1000hr %] [--engine name]
+                                                  [--time-lag 1|10] [--max-gap-hours h] [--resample-hours h]
+  simulate   simulateDrying over weather records  --initial-1hr % --initial-10hr % --initial-100hr %
+                                                  [--time-step h] [--time-lag 1|10|100] [--engine name]
+             or at constant weather               --temp F --rh % --duration h [--step-hours h]
+  trend      predictDryingTrend                   --moisture % --time-lag h [--historical n]
+                                                  [--resolution daily|hourly] [--engine name]
+
+Input (forecast, simulate, trend):
+  [file]               JSON array of records, or CSV/TSV with a header row; '-' or no file reads stdin
+  --input json|csv     Input format (default: from the file extension or the content)
+  --units imperial|metric
+                       Units of CSV input (default imperial)
+  --delimiter char     CSV delimiter (default: detected)
+
+Output:
+  --format table|json|csv
+                       Output format (default table)
+  --threshold %        Critical moisture threshold (default ${FuelMoistureCalculator.CRITICAL_MOISTURE_THRESHOLD})
+
+Exit codes:
+  ${EXIT_CODES.OK}  success, nothing at or below the threshold
+  ${EXIT_CODES.ERROR}  invalid input or failed run
+  ${EXIT_CODES.USAGE}  unknown command or option
+  ${EXIT_CODES.CRITICAL}  moisture at or below the critical threshold
+`;
+
+/**
+ * Command-line usage error (exit code 2).
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Splits the arguments into the command, positional arguments and options.
+ * Options are `--name value`, `--name=value` or a bare flag.
+ * @private
+ */
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const body = arg.slice(2);
+            const equals = body.indexOf('=');
+            const name = equals === -1 ? body : body.slice(0, equals);
+            if (name === '') {
+                throw new UsageError(`Invalid option: ${arg}`);
+            }
+            if (equals !== -1) {
+                options[name] = body.slice(equals + 1);
+            } else if (FLAG_OPTIONS.includes(name)) {
+                options[name] = true;
+            } else {
+                if (i + 1 >= argv.length) {
+                    throw new UsageError(`Option --${name} needs a value`);
+                }
+                options[name] = argv[++i];
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command: positional.shift(), positional: positional, options: options };
+}
+
+/**
+ * Reads a numeric option; the library validates the value itself.
+ * @private
+ */
+function numberOption(options, name, fallback) {
+    if (options[name] === undefined) {
+        if (fallback === undefined) {
+            throw new UsageError(`Missing option --${name}`);
+        }
+        return fallback;
+    }
+    const value = Number(options[name]);
+    if (options[name] === '' || !isFinite(value)) {
+        throw new UsageError(`Option --${name} must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Reads a length of time in hours, which cannot be negative.
+ * @private
+ */
+function hoursOption(options, name, fallback) {
+    const value = numberOption(options, name, fallback);
+    if (value < 0) {
+        throw new UsageError(`Option --${name} must not be negative`);
+    }
+    return value;
+}
+
+/**
+ * Reads the weather records of a command from a file or stdin.
+ * @private
+ */
+async function readRecords(file, options, io) {
+    const fromStdin = file === undefined || file === '-';
+    const text = fromStdin ? await io.readStdin() : io.readFile(file);
+
+    let format = options.input;
+    if (format === undefined) {
+        const extension = fromStdin ? '' : path.extname(file).toLowerCase();
+        if (extension === '.json') {
+            format = 'json';
+        } else if (['.csv', '.tsv', '.txt'].includes(extension)) {
+            format = 'csv';
+        } else {
+            format = /^\s*[[{]/.test(text) ? 'json' : 'csv';
+        }
+    }
+    if (!INPUT_FORMATS.includes(format)) {
+        throw new UsageError(`Input format must be one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new TypeError(`Input is not valid JSON: ${error.message}`);
+        }
+        return data;
+    }
+
+    const csvOptions = {};
+    if (options.units !== undefined) csvOptions.units = options.units;
+    if (options.delimiter !== undefined) csvOptions.delimiter = options.delimiter === '\\t' ? '\t' : options.delimiter;
+    const { records, errors } = FuelMoistureCalculator.parseWeatherCSV(text, csvOptions);
+    errors.forEach(error => io.stderr(`fuel-moisture: line ${error.line}: ${error.message}\n`));
+    if (records.length === 0) {
+        throw new TypeError('Input has no valid weather records');
+    }
+    return records;
+}
+
+/**
+ * Returns the record array of JSON input given as an array or `{ forecast }`.
+ * @private
+ */
+function recordArray(data) {
+    const records = Array.isArray(data) ? data : data && (data.forecast || data.records);
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new TypeError('Input must be a non-empty array of weather records');
+    }
+    return records;
+}
+
+/**
+ * First row whose field is at or below the threshold, as `{ field, period, moisture }`.
+ * @private
+ */
+function firstAtOrBelow(rows, field, threshold, label) {
+    const row = rows.find(candidate => Number(candidate[field]) <= threshold);
+    return row === undefined ? null : { field: field, period: label(row), moisture: row[field] };
+}
+
+/**
+ * `emc`: computeEMC for one temperature and humidity.
+ * @private
+ */
+function runEMC(options) {
+    const temp = numberOption(options, 'temp');
+    const rh = numberOption(options, 'rh');
+    const emc = FuelMoistureCalculator.computeEMC(temp, rh);
+    return {
+        output: { temp: temp, rh: rh, emc: emc },
+        critical: firstAtOrBelow([{ emc: emc }], 'emc', options.threshold, () => 'now')
+    };
+}
+
+/**
+ * `step`: stepMoisture from a moisture towards an EMC given directly or from weather.
+ * @private
+ */
+function runStep(options) {
+    const moisture = numberOption(options, 'moisture');
+    const hours = hoursOption(options, 'hours');
+    const timeLag = numberOption(options, 'time-lag', 10);
+    const row = { moisture: moisture };
+    if (options.emc === undefined) {
+        row.temp = numberOption(options, 'temp');
+        row.rh = numberOption(options, 'rh');
+        row.emc = FuelMoistureCalculator.computeEMC(row.temp, row.rh);
+    } else {
+        row.emc = numberOption(options, 'emc');
+    }
+    row.hours = hours;
+    row.timeLag = timeLag;
+    row.result = FuelMoistureCalculator.stepMoisture(moisture, row.emc, hours, timeLag);
+    return {
+        output: row,
+        critical: firstAtOrBelow([row], 'result', options.threshold, () => `after ${hours} h`)
+    };
+}
+
+/**
+ * `forecast`: runModel over forecast records; the threshold applies to the `--time-lag` class.
+ * @private
+ */
+async function runForecast(file, options, io) {
+    const records = recordArray(await readRecords(file, options, io));
+    const modelOptions = {};
+    if (options['initial-100hr'] !== undefined || options['initial-1000hr'] !== undefined) {
+        modelOptions.initial100hr = numberOption(options, 'initial-100hr');
+        modelOptions.initial1000hr = numberOption(options, 'initial-1000hr');
+    }
+    if (options.engine !== undefined) modelOptions.engine = options.engine;
+    if (options['max-gap-hours'] !== undefined) modelOptions.maxGapHours = numberOption(options, 'max-gap-hours');
+    if (options['resample-hours'] !== undefined) modelOptions.resampleHours = numberOption(options, 'resample-hours');
+
+    const timeLag = numberOption(options, 'time-lag', 1);
+    if (timeLag !== 1 && timeLag !== 10) {
+        throw new UsageError('Option --time-lag must be 1 or 10 for forecast');
+    }
+    const results = FuelMoistureCalculator.runModel(numberOption(options, 'initial-1hr'),
+        numberOption(options, 'initial-10hr'), records, modelOptions);
+    return {
+        output: results,
+        rows: results.dailyResults,
+        critical: firstAtOrBelow(results.dailyResults, `moisture${timeLag}Hr`, options.threshold, row => row.day)
+    };
+}
+
+/**
+ * `simulate`: simulateDrying over weather records, or the constant-weather
+ * scenario when `--duration` is given.
+ * @private
+ */
+async function runSimulate(file, options, io) {
+    const timeLag = numberOption(options, 'time-lag', 1);
+    if (![1, 10, 100].includes(timeLag)) {
+        throw new UsageError('Option --time-lag must be 1, 10 or 100 for simulate');
+    }
+    const params = {};
+    if (options.engine !== undefined) params.engine = options.engine;
+
+    if (options.duration !== undefined) {
+        Object.assign(params, {
+            initial1hr: numberOption(options, 'initial-1hr'),
+            initial10hr: numberOption(options, 'initial-10hr'),
+            initial100hr: numberOption(options, 'initial-100hr'),
+            tempF: numberOption(options, 'temp'),
+            rh: numberOption(options, 'rh'),
+            durationHours: hoursOption(options, 'duration'),
+            stepHours: hoursOption(options, 'step-hours', 1)
+        });
+        const simulation = FuelMoistureCalculator.simulateDrying(params);
+        return {
+            output: simulation,
+            rows: simulation.timeSeries,
+            critical: firstAtOrBelow(simulation.timeSeries, `moisture${timeLag}hr`, options.threshold,
+                row => `hour ${row.hour}`)
+        };
+    }
+
+    const records = recordArray(await readRecords(file, options, io));
+    Object.assign(params, {
+        tempSeries: records.map(record => record.temp),
+        rhSeries: records.map(record => record.rh),
+        initialState: {
+            m1: numberOption(options, 'initial-1hr'),
+            m10: numberOption(options, 'initial-10hr'),
+            m100: numberOption(options, 'initial-100hr')
+        },
+        timeStep: hoursOption(options, 'time-step', 1)
+    });
+    ['solar', 'precip'].forEach(key => {
+        if (records.some(record => record[key] !== undefined)) {
+            params[`${key}Series`] = records.map(record => (record[key] === undefined ? 0 : record[key]));
+        }
+    });
+    if (records.every(record => record.timestamp !== undefined)) {
+        params.timestamps = records.map(record => record.timestamp);
+    }
+    const series = FuelMoistureCalculator.simulateDrying(params);
+    return {
+        output: series,
+        rows: series,
+        critical: firstAtOrBelow(series, `m${timeLag}`, options.threshold, row => row.timestamp || `step ${row.step}`)
+    };
+}
+
+/**
+ * `trend`: predictDryingTrend over `{ historicalWeather, predictedWeather }`
+ * JSON, or records whose first `--historical` entries are history. Only
+ * forecast periods count towards the critical exit code.
+ * @private
+ */
+async function runTrend(file, options, io) {
+    const data = await readRecords(file, options, io);
+    let historicalWeather;
+    let predictedWeather;
+    if (data && !Array.isArray(data) && Array.isArray(data.historicalWeather)) {
+        historicalWeather = data.historicalWeather;
+        predictedWeather = data.predictedWeather;
+    } else {
+        const records = recordArray(data);
+        const historical = numberOption(options, 'historical', 1);
+        if (!Number.isInteger(historical) || historical < 1 || historical >= records.length) {
+            throw new UsageError('Option --historical must leave at least one historical and one predicted record');
+        }
+        historicalWeather = records.slice(0, historical);
+        predictedWeather = records.slice(historical);
+    }
+
+    const trendOptions = { criticalThreshold: options.threshold };
+    if (options.engine !== undefined) trendOptions.engine = options.engine;
+    if (options.resolution !== undefined) trendOptions.resolution = options.resolution;
+    if (options['resample-hours'] !== undefined) trendOptions.resampleHours = numberOption(options, 'resample-hours');
+
+    const result = FuelMoistureCalculator.predictDryingTrend({
+        currentMoisture: numberOption(options, 'moisture'),
+        historicalWeather: historicalWeather,
+        predictedWeather: predictedWeather,
+        timeLag: numberOption(options, 'time-lag')
+    }, trendOptions);
+    return {
+        output: result,
+        rows: result.trend,
+        critical: firstAtOrBelow(result.trend.filter(row => row.type === 'forecast'), 'moisture', options.threshold,
+            row => row.period)
+    };
+}
+
+/**
+ * Columns of a result table: every key holding a plain value, in order of
+ * first appearance.
+ * @private
+ */
+function tableColumns(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key) && (row[key] === null || typeof row[key] !== 'object')) {
+            columns.push(key);
+        }
+    }));
+    return columns;
+}
+
+/**
+ * Formats rows as an aligned text table, with numbers right-aligned.
+ * @private
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => (row[column] === undefined || row[column] === null
+        ? ''
+        : String(row[column]))));
+    const widths = columns.map((column, k) => Math.max(column.length, ...cells.map(line => line[k].length)));
+    const numeric = columns.map(column =>
+        rows.every(row => row[column] === undefined || typeof row[column] === 'number'));
+    const pad = (text, k) => (numeric[k] ? text.padStart(widths[k]) : text.padEnd(widths[k]));
+
+    const lines = [columns.map(pad), widths.map(width => '-'.repeat(width))]
+        .concat(cells.map(line => line.map(pad)));
+    return lines.map(line => line.join('  ').trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Writes a command's result in the requested format.
+ * @private
+ */
+function writeOutput(outcome, format, io) {
+    if (format === 'json') {
+        io.stdout(JSON.stringify(outcome.output, null, 2) + '\n');
+        return;
+    }
+
+    const rows = outcome.rows || [outcome.output];
+    const columns = tableColumns(rows);
+    io.stdout(format === 'csv'
+        ? FuelMoistureCalculator.formatResultsCSV(rows, { columns: columns })
+        : formatTable(rows, columns));
+}
+
+/**
+ * Default input and output: the process streams and the file system.
+ * @private
+ */
+function processIO() {
+    return {
+        stdout: text => process.stdout.write(text),
+        stderr: text => process.stderr.write(text),
+        readFile: file => fs.readFileSync(file, 'utf8'),
+        readStdin: () => new Promise((resolve, reject) => {
+            const chunks = [];
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', chunk => chunks.push(chunk));
+            process.stdin.on('end', () => resolve(chunks.join('')));
+            process.stdin.on('error', reject);
+        })
+    };
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} [io] - Replacement `{ stdout, stderr, readFile, readStdin }` functions
+ *   (defaults to the process streams and file system)
+ * @returns {Promise<number>} - The exit code (see EXIT_CODES)
+ */
+async function main(argv, io) {
+    const streams = Object.assign(processIO(), io);
+
+    try {
+        const { command, positional, options } = parseArguments(argv);
+        if (options.version) {
+            streams.stdout(`${require('../package.json').version}\n`);
+            return EXIT_CODES.OK;
+        }
+        if (options.help || command === undefined || command === 'help') {
+            streams.stdout(USAGE);
+            return command === undefined && !options.help ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+        }
+        if (!Object.prototype.hasOwnProperty.call(COMMAND_OPTIONS, command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        const allowed = COMMAND_OPTIONS[command].concat(COMMON_OPTIONS);
+        Object.keys(options).forEach(name => {
+            if (!allowed.includes(name)) {
+                throw new UsageError(`Unknown option for ${command}: --${name}`);
+            }
+        });
+        if (positional.length > (['emc', 'step'].includes(command) ? 0 : 1)) {
+            throw new UsageError(`Too many arguments for ${command}`);
+        }
+
+        const format = options.format === undefined ? 'table' : options.format;
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new UsageError(`Output format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        options.threshold = numberOption(options, 'threshold', FuelMoistureCalculator.CRITICAL_MOISTURE_THRESHOLD);
+
+        let outcome;
+        if (command === 'emc') {
+            outcome = runEMC(options);
+        } else if (command === 'step') {
+            outcome = runStep(options);
+        } else if (command === 'forecast') {
+            outcome = await runForecast(positional[0], options, streams);
+        } else if (command === 'simulate') {
+            outcome = await runSimulate(positional[0], options, streams);
+        } else {
+            outcome = await runTrend(positional[0], options, streams);
+        }
+
+        writeOutput(outcome, format, streams);
+        if (outcome.critical !== null) {
+            streams.stderr(`fuel-moisture: ${outcome.critical.field} ${outcome.critical.moisture}% is at or below ` +
+                `the ${options.threshold}% threshold (${outcome.critical.period})\n`);
+            return EXIT_CODES.CRITICAL;
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            streams.stderr(`fuel-moisture: ${error.message}\nRun 'fuel-moisture --help' for usage.\n`);
+            return EXIT_CODES.USAGE;
+        }
+        if (error instanceof TypeError || error.code === 'ENOENT' || error.code === 'EISDIR') {
+            streams.stderr(`fuel-moisture: ${error.message}\n`);
+            return EXIT_CODES.ERROR;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`fuel-moisture: ${error.stack || error}\n`);
+        process.exitCode = EXIT_CODES.ERROR;
+    });
+}
+
+module.exports = { main, EXIT_CODES };
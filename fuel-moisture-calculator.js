@@ -1,3 +1,15 @@
+/**
+ * Fuel Moisture Calculator
+ *
+ * Robust JavaScript library for calculating fuel moisture content using EMC
+ * and time-lag models for fire weather forecasting. Supports browser,
+ * Node.js, Deno, and Bun environments.
+ *
+ * @module fuel-moisture-calculator
+ */
+
+'use strict';
+
 // EMC Equation Constants (Nelson's equation for fine dead fuels)
 // These coefficients are based on empirical research for fuel moisture equilibrium
 const EMC_LOW_RH_COEFFICIENTS = {
@@ -27,48 +39,585 @@ const EMC_MAX_PERCENT = 30;
 // Critical moisture threshold for fire danger (based on NFDRS standards)
 const CRITICAL_MOISTURE_THRESHOLD = 6;
 
-/**
- * Fuel Moisture Calculator
- * 
- * Robust JavaScript library for calculating fuel moisture content using EMC 
- * and time-lag models for fire weather forecasting.
- * 
- * @module fuel-moisture-calculator
- */
+// Wind shortens the effective time lag in predictDryingTrend:
+// up to 20% faster drying at 30 mph and above
+const WIND_DRYING_MAX_REDUCTION = 0.2;
+const WIND_DRYING_MAX_SPEED = 30;
 
-'use strict';
+// Default period length in hours for each predictDryingTrend resolution
+const TREND_RESOLUTION_HOURS = {
+    hourly: 1,
+    daily: 24
+};
+
+// Moisture engines selectable through the `engine` option of the modelling functions
+const EXPONENTIAL_ENGINE = 'exponential';
+const NELSON_ENGINE = 'nelson2000';
+const MOISTURE_ENGINES = [EXPONENTIAL_ENGINE, NELSON_ENGINE];
+
+// Nelson (2000) stick model constants.
+// Moisture is diffused radially through a cylindrical stick whose surface is
+// driven by the sorption isotherm (or by liquid water while it rains).
+// The stick radius for a timelag class is chosen so that the first diffusion
+// eigenmode of the cylinder decays with that time lag; this reproduces the
+// NFDRS 2016 stick radii (0.20, 0.64, 2.0 and 6.4 cm).
+const NELSON_CONSTANTS = {
+    NODES: 11,                       // Radial computation nodes, centre to surface
+    DIFFUSIVITY: 0.006917,           // Bound-water diffusivity at 20°C (cm²/h)
+    DIFFUSIVITY_ACTIVATION: 2500,    // Arrhenius temperature term for diffusivity (K)
+    CYLINDER_EIGENVALUE: 5.783,      // First root of J0, squared
+    FIBER_SATURATION: 0.30,          // Upper limit of sorption moisture (fraction)
+    RAIN_MAX_MOISTURE: 0.60,         // Surface moisture under saturating rain (fraction)
+    RAIN_RATE_SCALE: 0.25,           // Rainfall rate giving ~63% of the rain surface rise (cm/h)
+    SOLAR_ABSORPTIVITY: 0.6,         // Fraction of incident solar radiation absorbed by the stick
+    HEAT_TRANSFER: 25,               // Convective/radiative heat transfer coefficient (W/m²/K)
+    GAS_CONSTANT: 8.314,             // J/mol/K
+    WATER_MOLAR_MASS: 0.018,         // kg/mol
+    // Gibbs free energy isotherm M = A - B * ln(ΔG), for desorption and adsorption
+    DESORPTION: { A: 0.7076, B: 0.0534 },
+    ADSORPTION: { A: 0.6280, B: 0.0477 }
+};
+
+// Rain wetting for the exponential engine (after Mandel et al. 2014). While
+// rain falls faster than the threshold, fuel moisture rises toward a
+// saturation value with a time lag proportional to the drying time lag,
+// shortened as intensity grows: rate = (1 - e^(-(r - r0) / rs)) / (k * timelag).
+// Liquid water is absorbed faster than vapour, so k is below 1.
+const RAIN_WETTING = {
+    SATURATION: 60,              // % (the Nelson rain surface maximum)
+    THRESHOLD: 0.05,             // Rainfall intensity below which rain is ignored (mm/h)
+    INTENSITY_SCALE: 8,          // Intensity scale rs for saturating rain (mm/h)
+    TIMELAG_FACTOR: 0.5          // Wetting time lag per hour of drying time lag at saturating intensity
+};
+
+// NFDRS (1978/1988) daily large fuel moisture constants.
+// Boundary moisture during rain rises with precipitation duration:
+//   100-hr:  0.5 * PPTDUR + 41    1000-hr: 2.7 * PPTDUR + 76
+// The 100-hr class steps once a day from yesterday's value; the 1000-hr class
+// steps from its value seven days ago toward the 7-day mean boundary moisture.
+const NFDRS_LARGE_FUEL_CONSTANTS = {
+    RAIN_100HR_SLOPE: 0.5,
+    RAIN_100HR_INTERCEPT: 41,
+    RAIN_1000HR_SLOPE: 2.7,
+    RAIN_1000HR_INTERCEPT: 76,
+    RESPONSE_100HR: 1 - 0.87 * Math.exp(-0.24),
+    RESPONSE_1000HR: 1 - 0.82 * Math.exp(-0.168),
+    BOUNDARY_DAYS: 7,
+    DEFAULT_DAYLENGTH: 12
+};
+
+// Timestamped observations: strings matching this ISO-8601 pattern are read as
+// times; other strings (e.g. 'Tomorrow') remain plain labels
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const MS_PER_HOUR = 3600000;
+
+// Intervals longer than this multiple of the median observation interval are
+// flagged as gaps when no maxGapHours limit is given
+const GAP_INTERVAL_MULTIPLE = 2;
+
+// FW13 fixed-width weather record fields: [name, first column (1-based), width]
+const FW13_COLUMNS = [
+    ['recordType', 1, 3],
+    ['stationId', 4, 6],
+    ['date', 10, 8],
+    ['time', 18, 4],
+    ['observationType', 22, 1],
+    ['stateOfWeather', 23, 1],
+    ['temp', 24, 3],
+    ['moisture', 27, 3],
+    ['windDirection', 30, 3],
+    ['wind', 33, 3],
+    ['moisture10Hr', 36, 2],
+    ['tempMax', 38, 3],
+    ['tempMin', 41, 3],
+    ['rhMax', 44, 3],
+    ['rhMin', 47, 3],
+    ['precipHours', 50, 2],
+    ['precip', 52, 5],
+    ['wetFlag', 57, 1],
+    ['herbGreenness', 58, 2],
+    ['shrubGreenness', 60, 2],
+    ['moistureType', 62, 1],
+    ['measurementType', 63, 1],
+    ['seasonCode', 64, 1],
+    ['solar', 65, 4],
+    ['gustDirection', 69, 3],
+    ['gust', 72, 3],
+    ['snowFlag', 75, 1]
+];
+
+// FW13 records must reach the end of the precipitation amount; later fields are optional
+const FW13_MIN_LENGTH = 56;
+
+// Implied decimals of the FW13 precipitation amount: thousandths of an inch
+// (U.S. units) or tenths of a millimetre (metric) when the field has no point
+const FW13_PRECIP_SCALE = { english: 1000, metric: 10 };
+
+// FW21 CSV columns mapped to record fields; the first four are required
+const FW21_COLUMNS = {
+    stationid: 'stationId',
+    observationtime: 'timestamp',
+    temperature: 'temp',
+    relativehumidity: 'rh',
+    precipitation: 'precip',
+    windspeed: 'wind',
+    windazimuth: 'windDirection',
+    gustspeed: 'gust',
+    gustazimuth: 'gustDirection',
+    snowflag: 'snowFlag',
+    solarradiation: 'solar'
+};
+const FW21_REQUIRED_COLUMNS = ['StationID', 'ObservationTime', 'Temperature', 'RelativeHumidity'];
+
+// Fields read by parseWeatherCSV: numeric fields are converted, text fields kept as is
+const CSV_NUMERIC_FIELDS = ['temp', 'rh', 'hours', 'wind', 'precip', 'precipHours', 'solar', 'cloudCover',
+    'tempMax', 'tempMin', 'rhMax', 'rhMin', 'hour'];
+const CSV_TEXT_FIELDS = ['label', 'timestamp', 'date'];
+
+// Unit conversions to the library's imperial inputs, by field group and unit name
+const CSV_UNIT_CONVERSIONS = {
+    temp: {
+        F: value => value,
+        C: value => celsiusToFahrenheit(value),
+        K: value => celsiusToFahrenheit(value - 273.15)
+    },
+    wind: {
+        'mph': value => value,
+        'km/h': value => value / MPH_TO_KMH,
+        'm/s': value => value * 3.6 / MPH_TO_KMH,
+        'kn': value => value * 1.852 / MPH_TO_KMH
+    },
+    precip: {
+        'in': value => value,
+        'mm': value => value / INCHES_TO_MM,
+        'cm': value => value * 10 / INCHES_TO_MM
+    }
+};
+
+// Fields converted with each unit group
+const CSV_UNIT_FIELDS = { temp: ['temp', 'tempMax', 'tempMin'], wind: ['wind'], precip: ['precip'] };
+
+// Unit shorthands accepted by parseWeatherCSV
+const CSV_UNIT_SYSTEMS = {
+    imperial: { temp: 'F', wind: 'mph', precip: 'in' },
+    metric: { temp: 'C', wind: 'km/h', precip: 'mm' }
+};
+
+// NWS gridpoint layers read by nwsGridpointToHourly and the entry field each fills
+const NWS_GRIDPOINT_LAYERS = {
+    temperature: 'temp',
+    relativeHumidity: 'rh',
+    windSpeed: 'wind',
+    skyCover: 'cloudCover',
+    quantitativePrecipitation: 'precip'
+};
+
+// Station pressure (hPa) assumed when converting FW13 wet bulb readings to RH
+const STANDARD_PRESSURE_HPA = 1013.25;
+
+// Parton & Logan (1981) diurnal air temperature parameters (hours): lag of the
+// maximum after solar noon, night-time exponential decay coefficient and lag
+// of the minimum after sunrise
+const DIURNAL_TEMPERATURE = {
+    MAX_LAG: 1.86,
+    NIGHT_DECAY: 2.2,
+    MIN_LAG: -0.17
+};
+
+// Canadian Forest Fire Weather Index (FWI) system constants (Van Wagner 1987)
+// Standard start-up codes used when no previous day is available
+const FWI_STARTUP_CODES = {
+    ffmc: 85,
+    dmc: 6,
+    dc: 15
+};
+
+// Effective day length (DMC) and day length adjustment (DC) by month, Jan-Dec
+const FWI_DMC_DAY_LENGTH = [6.5, 7.5, 9.0, 12.8, 13.9, 13.9, 12.4, 10.9, 9.4, 8.0, 7.0, 6.0];
+const FWI_DC_DAY_LENGTH = [-1.6, -1.6, -1.6, 0.9, 3.8, 5.8, 6.4, 5.0, 2.4, 0.4, -1.6, -1.6];
+
+// NFDRS fuel models: 1978/1988 models A-U and the NFDRS 2016 models V-Z.
+// Loads in tons/acre, surface-area-to-volume ratios in 1/ft, depth in ft,
+// dead fuel moisture of extinction (MXD) in %, heat content (HD) in Btu/lb,
+// spread component normaliser (SCM) and wind reduction factor (WNDFC).
+const NFDRS_FUEL_MODELS = {
+    A: { name: 'Western annual grasses', W1: 0.2, W10: 0, W100: 0, W1000: 0, WWOOD: 0, WHERB: 0.3, SG1: 3000, SGWOOD: 0, SGHERB: 3000, DEPTH: 0.8, MXD: 15, HD: 8000, SCM: 301, WNDFC: 0.6 },
+    B: { name: 'California chaparral', W1: 3.5, W10: 4.0, W100: 0.5, W1000: 0, WWOOD: 11.5, WHERB: 0, SG1: 700, SGWOOD: 1250, SGHERB: 0, DEPTH: 4.5, MXD: 15, HD: 9500, SCM: 58, WNDFC: 0.5 },
+    C: { name: 'Pine-grass savanna', W1: 0.4, W10: 1.0, W100: 0, W1000: 0, WWOOD: 0.5, WHERB: 0.8, SG1: 2000, SGWOOD: 1500, SGHERB: 2500, DEPTH: 0.75, MXD: 20, HD: 8000, SCM: 32, WNDFC: 0.4 },
+    D: { name: 'Southern rough', W1: 2.0, W10: 1.0, W100: 0, W1000: 0, WWOOD: 3.0, WHERB: 0.75, SG1: 1250, SGWOOD: 1500, SGHERB: 1500, DEPTH: 2.0, MXD: 30, HD: 9000, SCM: 68, WNDFC: 0.4 },
+    E: { name: 'Hardwood litter (winter)', W1: 1.5, W10: 0.5, W100: 0.25, W1000: 0, WWOOD: 0.5, WHERB: 0.5, SG1: 2000, SGWOOD: 1500, SGHERB: 2000, DEPTH: 0.4, MXD: 25, HD: 8000, SCM: 25, WNDFC: 0.4 },
+    F: { name: 'Intermediate brush', W1: 2.5, W10: 2.0, W100: 1.5, W1000: 0, WWOOD: 7.0, WHERB: 0, SG1: 700, SGWOOD: 1250, SGHERB: 0, DEPTH: 4.5, MXD: 15, HD: 9500, SCM: 24, WNDFC: 0.5 },
+    G: { name: 'Short needle (heavy dead)', W1: 2.5, W10: 2.0, W100: 5.0, W1000: 12.0, WWOOD: 0.5, WHERB: 0.5, SG1: 2000, SGWOOD: 1500, SGHERB: 2000, DEPTH: 1.0, MXD: 25, HD: 8000, SCM: 30, WNDFC: 0.4 },
+    H: { name: 'Short needle (normal dead)', W1: 1.5, W10: 1.0, W100: 2.0, W1000: 2.0, WWOOD: 0.5, WHERB: 0.5, SG1: 2000, SGWOOD: 1500, SGHERB: 2000, DEPTH: 0.3, MXD: 20, HD: 8000, SCM: 8, WNDFC: 0.4 },
+    I: { name: 'Heavy slash', W1: 12.0, W10: 12.0, W100: 10.0, W1000: 12.0, WWOOD: 0, WHERB: 0, SG1: 1500, SGWOOD: 0, SGHERB: 0, DEPTH: 2.0, MXD: 25, HD: 8000, SCM: 65, WNDFC: 0.5 },
+    J: { name: 'Intermediate slash', W1: 7.0, W10: 7.0, W100: 6.0, W1000: 5.5, WWOOD: 0, WHERB: 0, SG1: 1500, SGWOOD: 0, SGHERB: 0, DEPTH: 1.3, MXD: 25, HD: 8000, SCM: 44, WNDFC: 0.5 },
+    K: { name: 'Light slash', W1: 2.5, W10: 2.5, W100: 2.0, W1000: 2.5, WWOOD: 0, WHERB: 0, SG1: 1500, SGWOOD: 0, SGHERB: 0, DEPTH: 0.6, MXD: 25, HD: 8000, SCM: 23, WNDFC: 0.5 },
+    L: { name: 'Western perennial grass', W1: 0.25, W10: 0, W100: 0, W1000: 0, WWOOD: 0, WHERB: 0.5, SG1: 2000, SGWOOD: 0, SGHERB: 2000, DEPTH: 1.0, MXD: 15, HD: 8000, SCM: 178, WNDFC: 0.6 },
+    N: { name: 'Sawgrass', W1: 1.5, W10: 1.5, W100: 0, W1000: 0, WWOOD: 2.0, WHERB: 0, SG1: 1600, SGWOOD: 1500, SGHERB: 0, DEPTH: 3.0, MXD: 25, HD: 8700, SCM: 167, WNDFC: 0.6 },
+    O: { name: 'High pocosin', W1: 2.0, W10: 3.0, W100: 3.0, W1000: 2.0, WWOOD: 7.0, WHERB: 0, SG1: 1500, SGWOOD: 1500, SGHERB: 0, DEPTH: 4.0, MXD: 30, HD: 9000, SCM: 99, WNDFC: 0.5 },
+    P: { name: 'Southern pine plantation', W1: 1.0, W10: 1.0, W100: 0.5, W1000: 0, WWOOD: 0.5, WHERB: 0.5, SG1: 1750, SGWOOD: 1500, SGHERB: 2000, DEPTH: 0.4, MXD: 30, HD: 8000, SCM: 14, WNDFC: 0.4 },
+    Q: { name: 'Alaskan black spruce', W1: 2.0, W10: 2.5, W100: 2.0, W1000: 1.0, WWOOD: 4.0, WHERB: 0.5, SG1: 1500, SGWOOD: 1200, SGHERB: 1500, DEPTH: 3.0, MXD: 25, HD: 8000, SCM: 59, WNDFC: 0.4 },
+    R: { name: 'Hardwood litter (summer)', W1: 0.5, W10: 0.5, W100: 0.5, W1000: 0, WWOOD: 0.5, WHERB: 0.5, SG1: 1500, SGWOOD: 1500, SGHERB: 2000, DEPTH: 0.25, MXD: 25, HD: 8000, SCM: 6, WNDFC: 0.4 },
+    S: { name: 'Tundra', W1: 0.5, W10: 0.5, W100: 0.5, W1000: 0.5, WWOOD: 0.5, WHERB: 0.5, SG1: 1500, SGWOOD: 1200, SGHERB: 1500, DEPTH: 0.4, MXD: 25, HD: 8000, SCM: 17, WNDFC: 0.6 },
+    T: { name: 'Sagebrush-grass', W1: 1.0, W10: 0.5, W100: 0, W1000: 0, WWOOD: 2.5, WHERB: 0.5, SG1: 2500, SGWOOD: 1500, SGHERB: 2000, DEPTH: 1.25, MXD: 15, HD: 8000, SCM: 96, WNDFC: 0.6 },
+    U: { name: 'Western long-needle pine', W1: 1.5, W10: 1.5, W100: 1.0, W1000: 0, WWOOD: 0, WHERB: 0.5, SG1: 1750, SGWOOD: 0, SGHERB: 2000, DEPTH: 0.5, MXD: 20, HD: 8000, SCM: 16, WNDFC: 0.4 },
+    V: { name: 'Grass (NFDRS 2016)', W1: 0.1, W10: 0, W100: 0, W1000: 0, WWOOD: 0, WHERB: 1.0, SG1: 2000, SGWOOD: 0, SGHERB: 2000, DEPTH: 1.0, MXD: 15, HD: 8000, SCM: 108, WNDFC: 0.6 },
+    W: { name: 'Grass-shrub (NFDRS 2016)', W1: 0.5, W10: 0.5, W100: 0, W1000: 0, WWOOD: 1.0, WHERB: 0.6, SG1: 2000, SGWOOD: 1500, SGHERB: 2000, DEPTH: 1.5, MXD: 15, HD: 8000, SCM: 62, WNDFC: 0.4 },
+    X: { name: 'Brush (NFDRS 2016)', W1: 4.5, W10: 2.45, W100: 0, W1000: 0, WWOOD: 7.0, WHERB: 1.55, SG1: 2000, SGWOOD: 1500, SGHERB: 2000, DEPTH: 4.4, MXD: 25, HD: 8000, SCM: 104, WNDFC: 0.4 },
+    Y: { name: 'Timber (NFDRS 2016)', W1: 2.5, W10: 2.2, W100: 3.6, W1000: 10.16, WWOOD: 0, WHERB: 0, SG1: 1500, SGWOOD: 0, SGHERB: 0, DEPTH: 0.6, MXD: 25, HD: 8000, SCM: 5, WNDFC: 0.4 },
+    Z: { name: 'Slash/blowdown (NFDRS 2016)', W1: 4.5, W10: 14.0, W100: 16.5, W1000: 24.0, WWOOD: 0, WHERB: 0, SG1: 1500, SGWOOD: 0, SGHERB: 0, DEPTH: 2.1, MXD: 25, HD: 8000, SCM: 145, WNDFC: 0.5 }
+};
+
+// Fixed NFDRS fuel properties, shared with the Rothermel (1972) surface fire model
+const NFDRS_CONSTANTS = {
+    SG10: 109,                   // 10-hour surface-area-to-volume ratio (1/ft)
+    SG100: 30,                   // 100-hour surface-area-to-volume ratio (1/ft)
+    SG1000: 8,                   // 1000-hour surface-area-to-volume ratio (1/ft)
+    PARTICLE_DENSITY: 32,        // lb/ft³
+    TOTAL_MINERAL: 0.0555,
+    EFFECTIVE_MINERAL: 0.01,
+    TONS_PER_ACRE_TO_LB_PER_FT2: 0.0459137,
+    DEFAULT_HERB_MOISTURE: 30,   // Cured herbaceous fuels
+    DEFAULT_WOOD_MOISTURE: 60,   // Pre-green woody fuels
+    // Heating of surface fine fuels above air temperature (°F) by sky cover
+    // (clear, scattered, broken, overcast)
+    FUEL_TEMP_INCREMENT: [25, 19, 12, 5]
+};
+
+// NFDRS adjective fire danger classes (lowest first) and the WIMS adjective
+// table: the class for each staffing level (rows 1-5) and Ignition Component
+// band (columns 0-20, 21-45, 46-65, 66-80, 81-100). Each IC breakpoint starts
+// the next column.
+const NFDRS_ADJECTIVE_CLASSES = [
+    { code: 'L', name: 'Low' },
+    { code: 'M', name: 'Moderate' },
+    { code: 'H', name: 'High' },
+    { code: 'VH', name: 'Very High' },
+    { code: 'E', name: 'Extreme' }
+];
+const NFDRS_ADJECTIVE_TABLE = [
+    ['L', 'L', 'L', 'M', 'M'],
+    ['L', 'M', 'M', 'M', 'H'],
+    ['M', 'M', 'H', 'H', 'VH'],
+    ['H', 'VH', 'VH', 'VH', 'E'],
+    ['VH', 'VH', 'E', 'E', 'E']
+];
+const NFDRS_ADJECTIVE_IC_BREAKPOINTS = [21, 46, 66, 81];
+
+// Staffing indices: NFDRS indices rise with fire danger, fuel moistures fall
+const STAFFING_INDICES = ['erc', 'bi', 'sc', 'ic'];
+const STAFFING_MOISTURES = ['moisture1hr', 'moisture10hr', 'moisture100hr', 'moisture1000hr'];
+
+// Heating of surface fine fuels above air temperature (°F): the clear and
+// overcast ends of the NFDRS table, for unshaded and fully shaded or overcast
+// fuels. Partial cover interpolates linearly.
+const FUEL_TEMPERATURE_INCREMENT = {
+    UNSHADED: NFDRS_CONSTANTS.FUEL_TEMP_INCREMENT[0],
+    SHADED: NFDRS_CONSTANTS.FUEL_TEMP_INCREMENT[NFDRS_CONSTANTS.FUEL_TEMP_INCREMENT.length - 1]
+};
+
+// Rothermel (1983, 1986) fine dead fuel moisture corrections (%), added to the
+// reference moisture. Each row lists the 0800, 1000, 1200, 1400, 1600 and
+// 1800 two-hour blocks as [below, level, above] for sites 1000-2000 ft below,
+// within 1000 ft of, or 1000-2000 ft above the weather station. Exposed rows
+// are [0-30% slope, >30% slope]; shaded rows (>= 50% canopy or cloud) ignore slope.
+const SITE_CORRECTION_TABLES = {
+    mayJul: {
+        exposed: {
+            N: [
+                [[2, 3, 4], [1, 1, 1], [0, 0, 1], [0, 0, 1], [1, 1, 1], [2, 3, 4]],
+                [[3, 4, 4], [1, 2, 2], [1, 1, 2], [1, 1, 2], [1, 2, 2], [3, 4, 4]]
+            ],
+            E: [
+                [[2, 2, 3], [1, 1, 1], [0, 0, 1], [0, 0, 1], [1, 1, 2], [3, 4, 4]],
+                [[1, 2, 2], [0, 0, 1], [0, 0, 1], [1, 1, 2], [2, 3, 4], [4, 5, 6]]
+            ],
+            S: [
+                [[2, 3, 3], [1, 1, 1], [0, 0, 1], [0, 0, 1], [1, 1, 1], [2, 3, 3]],
+                [[2, 3, 3], [1, 1, 2], [0, 1, 1], [0, 1, 1], [1, 1, 2], [2, 3, 3]]
+            ],
+            W: [
+                [[2, 3, 4], [1, 1, 2], [0, 0, 1], [0, 0, 1], [0, 1, 1], [2, 3, 3]],
+                [[4, 5, 6], [2, 3, 4], [1, 1, 2], [0, 0, 1], [0, 0, 1], [1, 2, 2]]
+            ]
+        },
+        shaded: {
+            N: [[4, 5, 5], [3, 4, 5], [3, 3, 4], [3, 3, 4], [3, 4, 5], [4, 5, 5]],
+            E: [[4, 4, 5], [3, 4, 5], [3, 3, 4], [3, 4, 4], [3, 4, 5], [4, 5, 6]],
+            S: [[4, 4, 5], [3, 4, 5], [3, 3, 4], [3, 3, 4], [3, 4, 5], [4, 5, 5]],
+            W: [[4, 5, 6], [3, 4, 5], [3, 3, 4], [3, 3, 4], [3, 4, 5], [4, 4, 5]]
+        }
+    },
+    febAprAugOct: {
+        exposed: {
+            N: [
+                [[3, 4, 5], [1, 2, 3], [1, 1, 2], [1, 1, 2], [1, 2, 3], [3, 4, 5]],
+                [[3, 4, 5], [3, 3, 4], [2, 3, 4], [2, 3, 4], [3, 3, 4], [3, 4, 5]]
+            ],
+            E: [
+                [[3, 4, 5], [1, 2, 3], [1, 1, 1], [1, 1, 2], [1, 2, 4], [3, 4, 5]],
+                [[3, 3, 4], [1, 1, 1], [1, 1, 1], [1, 2, 3], [3, 4, 5], [4, 5, 6]]
+            ],
+            S: [
+                [[3, 4, 5], [1, 2, 2], [0, 1, 1], [0, 1, 1], [1, 2, 2], [3, 4, 5]],
+                [[3, 4, 5], [1, 1, 2], [0, 0, 1], [0, 0, 1], [1, 1, 2], [3, 4, 5]]
+            ],
+            W: [
+                [[3, 4, 5], [1, 2, 3], [1, 1, 1], [1, 1, 1], [1, 2, 3], [3, 4, 5]],
+                [[4, 5, 6], [3, 4, 5], [1, 2, 3], [1, 1, 1], [1, 1, 1], [3, 3, 4]]
+            ]
+        },
+        shaded: {
+            N: [[4, 5, 6], [4, 5, 6], [3, 4, 5], [3, 4, 5], [4, 5, 6], [4, 5, 6]],
+            E: [[4, 5, 6], [3, 4, 5], [3, 4, 5], [4, 5, 6], [4, 5, 6], [5, 6, 7]],
+            S: [[4, 5, 6], [3, 4, 5], [3, 4, 5], [3, 4, 5], [3, 4, 5], [4, 5, 6]],
+            W: [[5, 6, 7], [4, 5, 6], [3, 4, 5], [3, 4, 5], [3, 4, 5], [4, 5, 6]]
+        }
+    },
+    novJan: {
+        exposed: {
+            N: [
+                [[4, 5, 6], [3, 4, 5], [2, 3, 4], [2, 3, 4], [3, 4, 5], [4, 5, 6]],
+                [[4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6]]
+            ],
+            E: [
+                [[4, 5, 6], [3, 4, 4], [2, 3, 3], [2, 3, 3], [3, 4, 5], [4, 5, 6]],
+                [[4, 5, 6], [2, 3, 4], [2, 2, 3], [3, 4, 4], [4, 5, 6], [4, 5, 6]]
+            ],
+            S: [
+                [[4, 5, 6], [3, 4, 5], [2, 3, 3], [2, 2, 3], [3, 4, 4], [4, 5, 6]],
+                [[3, 4, 5], [2, 3, 3], [1, 1, 2], [1, 1, 2], [2, 3, 3], [3, 4, 5]]
+            ],
+            W: [
+                [[4, 5, 6], [3, 4, 5], [2, 3, 3], [2, 3, 3], [3, 4, 4], [4, 5, 6]],
+                [[4, 5, 6], [4, 5, 6], [3, 4, 4], [2, 2, 3], [2, 3, 4], [4, 5, 6]]
+            ]
+        },
+        shaded: {
+            N: [[4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6]],
+            E: [[4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6]],
+            S: [[4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6]],
+            W: [[4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6], [4, 5, 6]]
+        }
+    }
+};
+
+// Hour of day used for site corrections when none is given (the 1400 block)
+const DEFAULT_SITE_HOUR = 14;
+
+// Surface fire behaviour fuel models: Anderson (1982) 1-13 and Scott & Burgan
+// (2005) 40 models. Columns: name, 1h/10h/100h/live herb/live woody loads
+// (tons/acre), 1h/herb/woody surface-area-to-volume (1/ft), depth (ft), dead
+// moisture of extinction (%), heat content (Btu/lb), dynamic herb curing.
+const SURFACE_FUEL_MODEL_ROWS = {
+    1: ['Short grass', 0.74, 0, 0, 0, 0, 3500, 0, 0, 1.0, 12, 8000, false],
+    2: ['Timber grass and understory', 2.0, 1.0, 0.5, 0.5, 0, 3000, 1500, 0, 1.0, 15, 8000, false],
+    3: ['Tall grass', 3.01, 0, 0, 0, 0, 1500, 0, 0, 2.5, 25, 8000, false],
+    4: ['Chaparral', 5.01, 4.01, 2.0, 0, 5.01, 2000, 0, 1500, 6.0, 20, 8000, false],
+    5: ['Brush', 1.0, 0.5, 0, 0, 2.0, 2000, 0, 1500, 2.0, 20, 8000, false],
+    6: ['Dormant brush', 1.5, 2.5, 2.0, 0, 0, 1750, 0, 0, 2.5, 25, 8000, false],
+    7: ['Southern rough', 1.13, 1.87, 1.5, 0, 0.37, 1750, 0, 1550, 2.5, 40, 8000, false],
+    8: ['Compact timber litter', 1.5, 1.0, 2.5, 0, 0, 2000, 0, 0, 0.2, 30, 8000, false],
+    9: ['Hardwood litter', 2.92, 0.41, 0.15, 0, 0, 2500, 0, 0, 0.2, 25, 8000, false],
+    10: ['Timber litter and understory', 3.01, 2.0, 5.01, 0, 2.0, 2000, 0, 1500, 1.0, 25, 8000, false],
+    11: ['Light logging slash', 1.5, 4.51, 5.51, 0, 0, 1500, 0, 0, 1.0, 15, 8000, false],
+    12: ['Medium logging slash', 4.01, 14.03, 16.53, 0, 0, 1500, 0, 0, 2.3, 20, 8000, false],
+    13: ['Heavy logging slash', 7.01, 23.04, 28.05, 0, 0, 1500, 0, 0, 3.0, 25, 8000, false],
+    GR1: ['Short, sparse dry climate grass', 0.10, 0, 0, 0.30, 0, 2200, 2000, 0, 0.4, 15, 8000, true],
+    GR2: ['Low load, dry climate grass', 0.10, 0, 0, 1.0, 0, 2000, 1800, 0, 1.0, 15, 8000, true],
+    GR3: ['Low load, very coarse, humid climate grass', 0.10, 0.40, 0, 1.50, 0, 1500, 1300, 0, 2.0, 30, 8000, true],
+    GR4: ['Moderate load, dry climate grass', 0.25, 0, 0, 1.90, 0, 2000, 1800, 0, 2.0, 15, 8000, true],
+    GR5: ['Low load, humid climate grass', 0.40, 0, 0, 2.50, 0, 1800, 1600, 0, 1.5, 40, 8000, true],
+    GR6: ['Moderate load, humid climate grass', 0.10, 0, 0, 3.40, 0, 2200, 2000, 0, 1.5, 40, 9000, true],
+    GR7: ['High load, dry climate grass', 1.0, 0, 0, 5.40, 0, 2000, 1800, 0, 3.0, 15, 8000, true],
+    GR8: ['High load, very coarse, humid climate grass', 0.50, 1.0, 0, 7.30, 0, 1500, 1300, 0, 4.0, 30, 8000, true],
+    GR9: ['Very high load, humid climate grass', 1.0, 1.0, 0, 9.0, 0, 1800, 1600, 0, 5.0, 40, 8000, true],
+    GS1: ['Low load, dry climate grass-shrub', 0.20, 0, 0, 0.50, 0.65, 2000, 1800, 1800, 0.9, 15, 8000, true],
+    GS2: ['Moderate load, dry climate grass-shrub', 0.50, 0.50, 0, 0.60, 1.0, 2000, 1800, 1800, 1.5, 15, 8000, true],
+    GS3: ['Moderate load, humid climate grass-shrub', 0.30, 0.25, 0, 1.45, 1.25, 1800, 1600, 1600, 1.8, 40, 8000, true],
+    GS4: ['High load, humid climate grass-shrub', 1.90, 0.30, 0.10, 3.40, 7.10, 1800, 1600, 1600, 2.1, 40, 8000, true],
+    SH1: ['Low load, dry climate shrub', 0.25, 0.25, 0, 0.15, 1.30, 2000, 1800, 1600, 1.0, 15, 8000, true],
+    SH2: ['Moderate load, dry climate shrub', 1.35, 2.40, 0.75, 0, 3.85, 2000, 0, 1600, 1.0, 15, 8000, false],
+    SH3: ['Moderate load, humid climate shrub', 0.45, 3.0, 0, 0, 6.20, 1600, 0, 1400, 2.4, 40, 8000, false],
+    SH4: ['Low load, humid climate timber-shrub', 0.85, 1.15, 0.20, 0, 2.55, 2000, 1800, 1600, 3.0, 30, 8000, false],
+    SH5: ['High load, dry climate shrub', 3.60, 2.10, 0, 0, 2.90, 750, 0, 1600, 6.0, 15, 8000, false],
+    SH6: ['Low load, humid climate shrub', 2.90, 1.45, 0, 0, 1.40, 750, 0, 1600, 2.0, 30, 8000, false],
+    SH7: ['Very high load, dry climate shrub', 3.50, 5.30, 2.20, 0, 3.40, 750, 0, 1600, 6.0, 15, 8000, false],
+    SH8: ['High load, humid climate shrub', 2.05, 3.40, 0.85, 0, 4.35, 750, 0, 1600, 3.0, 40, 8000, false],
+    SH9: ['Very high load, humid climate shrub', 4.50, 2.45, 0, 1.55, 7.0, 750, 1800, 1500, 4.4, 40, 8000, true],
+    TU1: ['Low load, dry climate timber-grass-shrub', 0.20, 0.90, 1.50, 0.20, 0.90, 2000, 1800, 1600, 0.6, 20, 8000, true],
+    TU2: ['Moderate load, humid climate timber-shrub', 0.95, 1.80, 1.25, 0, 0.20, 2000, 0, 1600, 1.0, 30, 8000, false],
+    TU3: ['Moderate load, humid climate timber-grass-shrub', 1.10, 0.15, 0.25, 0.65, 1.10, 1800, 1600, 1400, 1.3, 30, 8000, true],
+    TU4: ['Dwarf conifer with understory', 4.50, 0, 0, 0, 2.0, 2300, 0, 2000, 0.5, 12, 8000, false],
+    TU5: ['Very high load, dry climate timber-shrub', 4.0, 4.0, 3.0, 0, 3.0, 1500, 0, 750, 1.0, 25, 8000, false],
+    TL1: ['Low load compact conifer litter', 1.0, 2.20, 3.60, 0, 0, 2000, 0, 0, 0.2, 30, 8000, false],
+    TL2: ['Low load broadleaf litter', 1.40, 2.30, 2.20, 0, 0, 2000, 0, 0, 0.2, 25, 8000, false],
+    TL3: ['Moderate load conifer litter', 0.50, 2.20, 2.80, 0, 0, 2000, 0, 0, 0.3, 20, 8000, false],
+    TL4: ['Small downed logs', 0.50, 1.50, 4.20, 0, 0, 2000, 0, 0, 0.4, 25, 8000, false],
+    TL5: ['High load conifer litter', 1.15, 2.50, 4.40, 0, 0, 2000, 0, 0, 0.6, 25, 8000, false],
+    TL6: ['Moderate load broadleaf litter', 2.40, 1.20, 1.20, 0, 0, 2000, 0, 0, 0.3, 25, 8000, false],
+    TL7: ['Large downed logs', 0.30, 1.40, 8.10, 0, 0, 2000, 0, 0, 0.4, 25, 8000, false],
+    TL8: ['Long-needle litter', 5.80, 1.40, 1.10, 0, 0, 1800, 0, 0, 0.3, 35, 8000, false],
+    TL9: ['Very high load broadleaf litter', 6.65, 3.30, 4.15, 0, 0, 1800, 0, 0, 0.6, 35, 8000, false],
+    SB1: ['Low load activity fuel', 1.50, 3.0, 11.0, 0, 0, 2000, 0, 0, 1.0, 25, 8000, false],
+    SB2: ['Moderate load activity fuel or low load blowdown', 4.50, 4.25, 4.0, 0, 0, 2000, 0, 0, 1.0, 25, 8000, false],
+    SB3: ['High load activity fuel or moderate load blowdown', 5.50, 2.75, 3.0, 0, 0, 2000, 0, 0, 1.2, 25, 8000, false],
+    SB4: ['High load blowdown', 5.25, 3.50, 5.25, 0, 0, 2000, 0, 0, 2.7, 25, 8000, false]
+};
+
+const SURFACE_FUEL_MODELS = Object.keys(SURFACE_FUEL_MODEL_ROWS).reduce((models, id) => {
+    const row = SURFACE_FUEL_MODEL_ROWS[id];
+    models[id] = {
+        name: row[0],
+        load1hr: row[1],
+        load10hr: row[2],
+        load100hr: row[3],
+        loadHerb: row[4],
+        loadWoody: row[5],
+        sav1hr: row[6],
+        savHerb: row[7],
+        savWoody: row[8],
+        depth: row[9],
+        extinctionMoisture: row[10],
+        heatContent: row[11],
+        dynamic: row[12]
+    };
+    return models;
+}, {});
+
+const MPH_TO_KMH = 1.609344;
+const INCHES_TO_MM = 25.4;
+
+// METAR wind speed units converted to mph
+const METAR_WIND_TO_MPH = { KT: 1.150779, MPS: 2.236936, KMH: 1 / MPH_TO_KMH };
+
+// NWS gridpoint units of measure (wmoUnit/nwsUnit codes) converted to the library's units
+const NWS_UNIT_CONVERSIONS = {
+    degC: value => celsiusToFahrenheit(value),
+    degF: value => value,
+    percent: value => value,
+    'km_h-1': value => value / MPH_TO_KMH,
+    'm_s-1': value => value * 3.6 / MPH_TO_KMH,
+    'mi_h-1': value => value,
+    kt: value => value * METAR_WIND_TO_MPH.KT,
+    mm: value => value / INCHES_TO_MM,
+    in: value => value
+};
+
+// Ensemble forecasts: defaults, the weather fields that can be perturbed and
+// the runModel moisture fields summarised as percentile bands
+const ENSEMBLE_DEFAULTS = { MEMBERS: 50, SEED: 1, PERCENTILES: [10, 50, 90] };
+const ENSEMBLE_PERTURBED_FIELDS = ['temp', 'rh', 'wind'];
+const ENSEMBLE_MOISTURE_FIELDS = ['moisture1Hr', 'moisture10Hr', 'moisture100Hr', 'moisture1000Hr'];
+
+// Calibration search: fitted time lags lie between these multiples of the
+// nominal lag, found by golden-section search on log(tau)
+const CALIBRATION_SEARCH = { MIN_FACTOR: 0.1, MAX_FACTOR: 10, ITERATIONS: 60, SWEEPS: 10, TOLERANCE: 1e-6 };
+
+// Observation assimilation (scalar Kalman filter): fuel classes that take
+// observations, default growth of the model error variance (%² per hour) and
+// default standard deviations (%) of the starting state and of an observation
+const ASSIMILATION_TIME_LAGS = [1, 10];
+const ASSIMILATION_DEFAULTS = {
+    PROCESS_VARIANCE: { 1: 0.5, 10: 0.1 },
+    INITIAL_UNCERTAINTY: 1,
+    OBSERVATION_UNCERTAINTY: 1
+};
+
+// FuelMoistureModel serialization: state format version and the settings
+// saved alongside the state
+const MODEL_STATE_VERSION = 1;
+const MODEL_STATE_OPTIONS = ['engine', 'site', 'calibration', 'ignition', 'latitude', 'startDate',
+    'maxGapHours', 'assimilation', 'alerts'];
+
+// Red Flag Warning criteria defaults (common NWS thresholds): RH at or below
+// 15% with sustained wind of 20 mph or gusts of 35 mph, lasting 3 hours. Each
+// key is the criterion option in UPPER_CASE (MAX_RH for maxRh).
+const RED_FLAG_DEFAULTS = {
+    MAX_RH: 15,
+    MIN_WIND: 20,
+    MIN_GUST: 35,
+    WIND_MODE: 'either',
+    MIN_TEMP: null,
+    MAX_MOISTURE: null,
+    CRITICAL_DRYNESS: false,
+    TIME_LAG: 1,
+    MIN_DURATION: 3
+};
+const RED_FLAG_WIND_MODES = ['either', 'both'];
+
+// Moisture alerts: fuel classes that can be monitored, the default classes
+// and levels (moisture at or below the threshold, least severe first) and the
+// default hysteresis (%) a class must recover above a threshold to clear it
+const ALERT_TIME_LAGS = [1, 10, 100, 1000];
+const ALERT_DEFAULTS = {
+    TIME_LAGS: [1, 10],
+    LEVELS: [
+        { name: 'watch', threshold: 8 },
+        { name: 'warning', threshold: CRITICAL_MOISTURE_THRESHOLD },
+        { name: 'extreme', threshold: 4 }
+    ],
+    HYSTERESIS: 0.5
+};
 
 /**
  * Computes Equilibrium Moisture Content (EMC) based on temperature and relative humidity.
- * Uses an empirical approximation commonly used in fire weather tools.
- * 
+ * Uses Nelson's EMC equation for fine dead fuels, with separate formulas for
+ * low, medium and high humidity ranges.
+ *
  * @param {number} tempF - Temperature in Fahrenheit
- * @param {number} rh - Relative humidity (0-100%)
+ * @param {number} rh - Relative humidity (0-100%, values outside are clamped)
  * @returns {number} - Equilibrium moisture content as a percentage (1 decimal place)
  * @throws {TypeError} - If inputs are not finite numbers
  */
 function computeEMC(tempF, rh) {
     const T = Number(tempF);
-    let RH = Number(rh);
-    
+    const RH = Number(rh);
+
     if (!isFinite(T) || !isFinite(RH)) {
         throw new TypeError('Temperature and humidity must be finite numbers');
     }
-    
+
+    return Math.round(unroundedEMC(T, RH) * 10) / 10;
+}
+
+/**
+ * Nelson EMC before rounding, shared by computeEMC and the grid functions.
+ * RH is clamped to 0-100 and the result to the EMC bounds.
+ * @private
+ */
+function unroundedEMC(T, rh) {
     // Clamp RH to valid range after checking for finiteness
-    RH = Math.max(0, Math.min(100, RH));
-    
-    // Empirical EMC formula used in fire weather (simplified approximation)
-    // Based on the relationship between temperature, humidity, and fuel moisture
-    const emc = 0.03229 + 0.281073 * RH - 0.000578 * RH * T;
-    
-    return Math.max(0, Math.round(emc * 10) / 10);
+    const RH = Math.max(0, Math.min(100, rh));
+
+    let emc;
+
+    if (RH < 10) {
+        // Low humidity: linear approximation
+        emc = EMC_LOW_RH_COEFFICIENTS.INTERCEPT +
+              EMC_LOW_RH_COEFFICIENTS.RH_FACTOR * RH -
+              EMC_LOW_RH_COEFFICIENTS.TEMP_RH_FACTOR * RH * T;
+    } else if (RH < 50) {
+        // Medium humidity: moderate temperature sensitivity
+        emc = EMC_MEDIUM_RH_COEFFICIENTS.INTERCEPT +
+              EMC_MEDIUM_RH_COEFFICIENTS.RH_FACTOR * RH -
+              EMC_MEDIUM_RH_COEFFICIENTS.TEMP_FACTOR * T;
+    } else {
+        // High humidity: quadratic relationship with RH
+        emc = EMC_HIGH_RH_COEFFICIENTS.INTERCEPT +
+              EMC_HIGH_RH_COEFFICIENTS.RH_SQUARED_FACTOR * RH * RH -
+              EMC_HIGH_RH_COEFFICIENTS.TEMP_RH_FACTOR * RH * T -
+              EMC_HIGH_RH_COEFFICIENTS.RH_FACTOR * RH;
+    }
+
+    // Ensure EMC is within reasonable bounds for fine dead fuels
+    return Math.max(EMC_MIN_PERCENT, Math.min(EMC_MAX_PERCENT, emc));
 }
 
 /**
  * Calculate new fuel moisture using exponential time-lag model.
  * Models the drying or wetting of fuel over time toward equilibrium.
- * 
+ *
  * @param {number} initial - Current fuel moisture (%)
  * @param {number} emc - Equilibrium moisture content (%)
  * @param {number} hours - Time period in hours
@@ -81,21 +630,167 @@ function stepMoisture(initial, emc, hours, timeLag) {
     const Me = Number(emc);
     const t = Number(hours);
     const tau = Number(timeLag);
-    
+
     if (!isFinite(M0) || !isFinite(Me) || !isFinite(t) || !isFinite(tau)) {
         throw new TypeError('All parameters must be finite numbers');
     }
-    
+
     if (tau <= 0) {
         throw new TypeError('Time lag must be positive');
     }
-    
+
     // Exponential decay/wetting model: M(t) = Me + (M0 - Me) * e^(-t/tau)
     const moisture = Me + (M0 - Me) * Math.exp(-t / tau);
-    
+
     return Math.round(moisture * 10) / 10;
 }
 
+/**
+ * Checks that a grid argument is a Float32Array or Float64Array of the expected length.
+ * @private
+ */
+function checkGrid(grid, name, length) {
+    if (!(grid instanceof Float32Array || grid instanceof Float64Array)) {
+        throw new TypeError(`${name} must be a Float32Array or Float64Array`);
+    }
+    if (length !== undefined && grid.length !== length) {
+        throw new TypeError(`${name} must have ${length} cells`);
+    }
+}
+
+/**
+ * Resolves the nodata value and mask shared by the grid functions.
+ * @private
+ */
+function resolveGridNodata(options, length) {
+    if (options.nodata !== undefined && typeof options.nodata !== 'number') {
+        throw new TypeError('Nodata value must be a number');
+    }
+    const nodata = options.nodata === undefined ? NaN : options.nodata;
+    const mask = options.mask === undefined || options.mask === null ? null : options.mask;
+    if (mask !== null && (!(mask instanceof Uint8Array) || mask.length !== length)) {
+        throw new TypeError(`Mask must be a Uint8Array with ${length} cells`);
+    }
+    return { nodata: nodata, mask: mask };
+}
+
+/**
+ * Returns the nodata value as stored in a grid: a Float32Array holds the
+ * nearest single-precision value, so -9999.9 does not compare equal otherwise.
+ * @private
+ */
+function storedNodata(grid, nodata) {
+    return grid instanceof Float32Array ? Math.fround(nodata) : nodata;
+}
+
+/**
+ * Computes EMC for every cell of a temperature and RH grid.
+ *
+ * Cells are nodata when the mask is non-zero there, or when the temperature or
+ * humidity is NaN or equals `options.nodata`. Nodata cells get the nodata
+ * value in the output. Values are not rounded.
+ *
+ * @param {Float32Array|Float64Array} tempGrid - Temperature per cell (°F)
+ * @param {Float32Array|Float64Array} rhGrid - Relative humidity per cell (%)
+ * @param {Object} [options] - Grid options
+ * @param {number} [options.nodata=NaN] - Nodata value in the inputs and output
+ * @param {Uint8Array} [options.mask] - Non-zero for cells to skip
+ * @param {Float32Array|Float64Array} [options.out] - Output grid to fill (a new Float64Array otherwise)
+ * @returns {Float32Array|Float64Array} - EMC per cell (%)
+ * @throws {TypeError} - If the grids or options are invalid
+ */
+function computeEMCGrid(tempGrid, rhGrid, options = {}) {
+    checkGrid(tempGrid, 'Temperature grid');
+    const length = tempGrid.length;
+    checkGrid(rhGrid, 'Humidity grid', length);
+    const settings = options || {};
+    const out = settings.out === undefined ? new Float64Array(length) : settings.out;
+    checkGrid(out, 'Output grid', length);
+    const { nodata, mask } = resolveGridNodata(settings, length);
+    const tempNodata = storedNodata(tempGrid, nodata);
+    const rhNodata = storedNodata(rhGrid, nodata);
+
+    for (let i = 0; i < length; i++) {
+        const T = tempGrid[i];
+        const RH = rhGrid[i];
+        if ((mask !== null && mask[i] !== 0) || T !== T || RH !== RH || T === tempNodata || RH === rhNodata) {
+            out[i] = nodata;
+        } else {
+            out[i] = unroundedEMC(T, RH);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Steps a moisture grid in place through one period of the exponential
+ * time-lag model, with the EMC of each cell from its temperature and RH.
+ *
+ * Nodata cells (non-zero mask, or NaN / `options.nodata` in any input,
+ * including the moisture) are left unchanged. No per-cell objects are
+ * created and values are not rounded, so the grid can be stepped repeatedly
+ * without drift.
+ *
+ * @param {Float32Array|Float64Array} moistureGrid - Previous moisture per cell (%), updated in place
+ * @param {Float32Array|Float64Array} tempGrid - Temperature per cell (°F)
+ * @param {Float32Array|Float64Array} rhGrid - Relative humidity per cell (%)
+ * @param {number} hours - Period length in hours
+ * @param {number} timeLag - Fuel time lag in hours
+ * @param {Object} [options] - Grid options
+ * @param {number} [options.nodata=NaN] - Nodata value in the inputs
+ * @param {Uint8Array} [options.mask] - Non-zero for cells to skip
+ * @param {Float32Array|Float64Array} [options.emcOut] - Grid to receive each cell's EMC
+ * @returns {Float32Array|Float64Array} - The updated moisture grid
+ * @throws {TypeError} - If the grids or parameters are invalid
+ */
+function stepMoistureGrid(moistureGrid, tempGrid, rhGrid, hours, timeLag, options = {}) {
+    checkGrid(moistureGrid, 'Moisture grid');
+    const length = moistureGrid.length;
+    checkGrid(tempGrid, 'Temperature grid', length);
+    checkGrid(rhGrid, 'Humidity grid', length);
+
+    const t = Number(hours);
+    const tau = Number(timeLag);
+    if (!isFinite(t) || t < 0) {
+        throw new TypeError('Hours must be a non-negative number');
+    }
+    if (!isFinite(tau) || tau <= 0) {
+        throw new TypeError('Time lag must be positive');
+    }
+
+    const settings = options || {};
+    const emcOut = settings.emcOut === undefined ? null : settings.emcOut;
+    if (emcOut !== null) {
+        checkGrid(emcOut, 'EMC output grid', length);
+    }
+    const { nodata, mask } = resolveGridNodata(settings, length);
+    const moistureNodata = storedNodata(moistureGrid, nodata);
+    const tempNodata = storedNodata(tempGrid, nodata);
+    const rhNodata = storedNodata(rhGrid, nodata);
+    const decay = Math.exp(-t / tau);
+
+    for (let i = 0; i < length; i++) {
+        const M0 = moistureGrid[i];
+        const T = tempGrid[i];
+        const RH = rhGrid[i];
+        if ((mask !== null && mask[i] !== 0) || M0 !== M0 || T !== T || RH !== RH ||
+            M0 === moistureNodata || T === tempNodata || RH === rhNodata) {
+            if (emcOut !== null) {
+                emcOut[i] = nodata;
+            }
+            continue;
+        }
+        const emc = unroundedEMC(T, RH);
+        moistureGrid[i] = emc + (M0 - emc) * decay;
+        if (emcOut !== null) {
+            emcOut[i] = emc;
+        }
+    }
+
+    return moistureGrid;
+}
+
 /**
  * Convert Celsius to Fahrenheit
  * @param {number} celsius - Temperature in Celsius
@@ -125,548 +820,5826 @@ function fahrenheitToCelsius(fahrenheit) {
 }
 
 /**
- * Run a multi-day forecast model for fuel moisture.
- * Processes forecast data and tracks 1-hour and 10-hour fuel moisture.
- * 
- * @param {number} initial1hr - Initial 1-hour fuel moisture (%)
- * @param {number} initial10hr - Initial 10-hour fuel moisture (%)
- * @param {Array<Object>} forecastEntries - Array of forecast periods
- * @param {string} [forecastEntries[].label] - Optional label for the period (e.g., "Monday")
- * @param {number} forecastEntries[].temp - Temperature in Fahrenheit
- * @param {number} forecastEntries[].rh - Relative humidity (%)
- * @param {number} forecastEntries[].hours - Duration in hours
- * @param {number} [forecastEntries[].wind] - Optional wind speed (preserved in output)
- * @returns {Object} - Results object with daily moisture values and summary
- * @throws {TypeError} - If inputs are invalid
+ * Saturation vapour pressure over water (Tetens formula).
+ * @param {number} tempC - Temperature in Celsius
+ * @returns {number} - Saturation vapour pressure in hPa
+ * @private
  */
-function runModel(initial1hr, initial10hr, forecastEntries) {
-    const m1 = Number(initial1hr);
-    const m10 = Number(initial10hr);
-    
-    if (!isFinite(m1) || !isFinite(m10)) {
-        throw new TypeError('Initial moisture values must be finite numbers');
-    }
-    
-    if (!Array.isArray(forecastEntries) || forecastEntries.length === 0) {
-        throw new TypeError('Forecast entries must be a non-empty array');
-    }
-    
-    let moisture1Hr = m1;
-    let moisture10Hr = m10;
-    const dailyResults = [];
-    let firstCritical1HrDay = null;
-    let firstCritical10HrDay = null;
-    
-    forecastEntries.forEach((entry, index) => {
-        const temp = Number(entry.temp);
-        const rh = Number(entry.rh);
-        const hours = Number(entry.hours);
-        
-        if (!isFinite(temp) || !isFinite(rh) || !isFinite(hours)) {
-            throw new TypeError(`Forecast entry ${index} has invalid values`);
-        }
-        
-        const emc = computeEMC(temp, rh);
-        moisture1Hr = stepMoisture(moisture1Hr, emc, hours, 1);
-        moisture10Hr = stepMoisture(moisture10Hr, emc, hours, 10);
-        
-        const dayLabel = entry.label || `Day ${index + 1}`;
-        
-        // Check for critical moisture (≤6%)
-        if (firstCritical1HrDay === null && moisture1Hr <= 6) {
-            firstCritical1HrDay = dayLabel;
-        }
-        if (firstCritical10HrDay === null && moisture10Hr <= 6) {
-            firstCritical10HrDay = dayLabel;
-        }
-        
-        const result = {
-            day: dayLabel,
-            temp: temp,
-            rh: rh,
-            emc: emc,
-            moisture1Hr: moisture1Hr,
-            moisture10Hr: moisture10Hr
-        };
-        
-        // Preserve wind if provided
-        if (entry.wind !== undefined) {
-            result.wind = entry.wind;
-        }
-        
-        dailyResults.push(result);
-    });
-    
-    return {
-        initial1hr: m1,
-        initial10hr: m10,
-        dailyResults: dailyResults,
-        summary: {
-            firstCritical1HrDay: firstCritical1HrDay,
-            firstCritical10HrDay: firstCritical10HrDay,
-            final1Hr: moisture1Hr,
-            final10Hr: moisture10Hr
-        }
-    };
+function saturationVaporPressure(tempC) {
+    return 6.1078 * Math.exp(17.27 * tempC / (tempC + 237.3));
 }
 
 /**
- * Computes moisture content based on temperature and relative humidity.
- * @param {Object} input - The input object containing temperature and humidity.
- * @param {number} input.temperature - The temperature in Fahrenheit.
- * @param {number} input.humidity - The relative humidity in percentage.
- * @returns {number} - The calculated moisture content.
- * @throws {Error} - If input is invalid.
- * @note BREAKING CHANGE (v2.0.0): Returns number instead of string for better arithmetic operations
- * Fuel Moisture Calculator
- * 
- * A comprehensive library for calculating fuel moisture content using EMC and time-lag models
- * for fire weather forecasting. Supports browser, Node.js, Deno, and Bun environments.
- * 
- * @module fuel-moisture-calculator
+ * Nelson sorption isotherm: moisture content (fraction) in equilibrium with
+ * the humidity and temperature at the stick surface.
+ * @param {number} tempC - Surface temperature in Celsius
+ * @param {number} humidity - Surface relative humidity as a fraction (0-1)
+ * @param {Object} coefficients - DESORPTION or ADSORPTION coefficients
+ * @returns {number} - Equilibrium moisture as a fraction
+ * @private
  */
-
-'use strict';
+function nelsonIsotherm(tempC, humidity, coefficients) {
+    const h = Math.max(0.001, Math.min(0.999, humidity));
+    const tempK = tempC + 273.15;
+    // Gibbs free energy change of sorbed water (J/kg)
+    const deltaG = -(NELSON_CONSTANTS.GAS_CONSTANT * tempK / NELSON_CONSTANTS.WATER_MOLAR_MASS) * Math.log(h);
+    const m = coefficients.A - coefficients.B * Math.log(deltaG);
+    return Math.max(0, Math.min(NELSON_CONSTANTS.FIBER_SATURATION, m));
+}
 
 /**
- * Computes Equilibrium Moisture Content (EMC) based on temperature and relative humidity.
- * Uses empirical approximation formulas from fire weather forecasting standards.
- * 
- * @param {number} tempF - Temperature in Fahrenheit
- * @param {number} rh - Relative humidity in percentage (0-100)
- * @returns {number} EMC value as percentage with one decimal place
- * @throws {TypeError} If inputs are not finite numbers
- */
-function computeEMC(tempF, rh) {
-  const T = Number(tempF);
-  const RH_raw = Number(rh);
-  
-  if (!isFinite(T) || !isFinite(RH_raw)) {
-    throw new TypeError('Temperature and humidity must be finite numbers');
-  }
-  
-  const RH = Math.max(0, Math.min(100, RH_raw));
-  // Empirical EMC approximation based on NFDRS formulas
-  // Separate calculations for different humidity ranges
-  let emc;
-  
-  if (RH < 10) {
-    emc = 0.03 + 0.2626 * RH - 0.00104 * RH * T;
-  } else if (RH <= 50) {
-    emc = 2.22 + 0.160 * RH - 0.01 * T;
-  } else {
-    emc = 21.06 - 0.4944 * (100 - RH) + 0.005565 * (100 - RH) * (100 - RH) - 0.00035 * (100 - RH) * T;
-  }
-  
-  // Ensure EMC is non-negative and return with one decimal place
-  return Math.max(0, parseFloat(emc.toFixed(1)));
-}
-
-/**
- * Calculates new fuel moisture after a time period using exponential time-lag model.
- * Models the drying or wetting behavior of different fuel classes.
- * 
- * @param {number} initial - Initial moisture content (%)
- * @param {number} emc - Equilibrium moisture content target (%)
- * @param {number} hours - Time period in hours
- * @param {number} timeLag - Fuel time-lag class in hours (1, 10, 100, or 1000)
- * @returns {number} New moisture content as percentage with one decimal place
- * @throws {TypeError} If inputs are not finite numbers or timeLag is invalid
- */
-function stepMoisture(initial, emc, hours, timeLag) {
-  const M0 = Number(initial);
-  const EMC = Number(emc);
-  const t = Number(hours);
-  const tau = Number(timeLag);
-  
-  if (!isFinite(M0) || !isFinite(EMC) || !isFinite(t) || !isFinite(tau)) {
-    throw new TypeError('All parameters must be finite numbers');
-  }
-  
-  if (tau <= 0) {
-    throw new TypeError('Time-lag must be greater than zero');
-  }
-  
-  // Exponential approach to equilibrium
-  // M(t) = EMC + (M0 - EMC) * exp(-t/tau)
-  const moisture = EMC + (M0 - EMC) * Math.exp(-t / tau);
-  
-  return parseFloat(moisture.toFixed(1));
-}
-
-/**
- * Runs multi-day forecast model for 1-hour and 10-hour fuel moisture.
- * Processes daily weather data and tracks moisture evolution over time.
- * 
- * @param {number} initial1hr - Starting 1-hour fuel moisture (%)
- * @param {number} initial10hr - Starting 10-hour fuel moisture (%)
- * @param {Array<Object>} forecastEntries - Array of forecast periods
- * @param {number} forecastEntries[].temp - Temperature in Fahrenheit
- * @param {number} forecastEntries[].rh - Relative humidity (%)
- * @param {number} forecastEntries[].hours - Duration of period in hours
- * @param {string} [forecastEntries[].label] - Optional label for the period
- * @returns {Object} Forecast results with daily values and summary
- */
-function runModel(initial1hr, initial10hr, forecastEntries) {
-  const M1 = Number(initial1hr);
-  const M10 = Number(initial10hr);
-  
-  if (!isFinite(M1) || !isFinite(M10)) {
-    throw new TypeError('Initial moisture values must be finite numbers');
-  }
-  
-  if (!Array.isArray(forecastEntries) || forecastEntries.length === 0) {
-    throw new TypeError('Forecast entries must be a non-empty array');
-  }
-  
-  let current1hr = M1;
-  let current10hr = M10;
-  const dailyResults = [];
-  let firstCritical1HrDay = null;
-  
-  forecastEntries.forEach((entry, index) => {
-    const temp = Number(entry.temp);
-    const rh = Number(entry.rh);
-    const hours = Number(entry.hours);
-    
-    if (!isFinite(temp) || !isFinite(rh) || !isFinite(hours)) {
-      throw new TypeError(`Forecast entry ${index} has invalid values`);
-    }
-    
-    // Compute EMC for this period
-    const emc = computeEMC(temp, rh);
-    
-    // Step moisture forward
-    current1hr = stepMoisture(current1hr, emc, hours, 1);
-    current10hr = stepMoisture(current10hr, emc, hours, 10);
-    
-    // Check for critical drying (≤6%)
-    if (firstCritical1HrDay === null && current1hr <= 6) {
-      firstCritical1HrDay = entry.label || `Day ${index + 1}`;
-    }
-    
-    dailyResults.push({
-      day: entry.label || `Day ${index + 1}`,
-      temp: temp,
-      rh: rh,
-      emc: emc,
-      moisture1Hr: current1hr,
-      moisture10Hr: current10hr,
-      wind: entry.wind || null
-    });
-  });
-  
-  return {
-    initial1hr: M1,
-    initial10hr: M10,
-    dailyResults: dailyResults,
-    summary: {
-      firstCritical1HrDay: firstCritical1HrDay,
-      final1Hr: current1hr,
-      final10Hr: current10hr
-    }
-  };
-}
-
-/**
- * Simulates drying process for multiple fuel classes over a time period.
- * Returns detailed moisture evolution for 1-hour, 10-hour, and 100-hour fuels.
- * 
- * @param {Object} params - Simulation parameters
- * @param {number} params.initial1hr - Starting 1-hour fuel moisture (%)
- * @param {number} params.initial10hr - Starting 10-hour fuel moisture (%)
- * @param {number} params.initial100hr - Starting 100-hour fuel moisture (%)
- * @param {number} params.tempF - Temperature in Fahrenheit
- * @param {number} params.rh - Relative humidity (%)
- * @param {number} params.durationHours - Total simulation duration in hours
- * @param {number} [params.stepHours=1] - Time step for output (default: 1 hour)
- * @returns {Object} Simulation results with time series data
+ * Solve a tridiagonal system in place (Thomas algorithm).
+ * @private
  */
-function simulateDrying(params) {
-  const {
-    initial1hr,
-    initial10hr,
-    initial100hr,
-    tempF,
-    rh,
-    durationHours,
-    stepHours = 1
-  } = params;
-  
-  // Validate inputs
-  const M1 = Number(initial1hr);
-  const M10 = Number(initial10hr);
-  const M100 = Number(initial100hr);
-  const T = Number(tempF);
-  const RH = Number(rh);
-  const duration = Number(durationHours);
-  const step = Number(stepHours);
-  
-  if (!isFinite(M1) || !isFinite(M10) || !isFinite(M100) ||
-      !isFinite(T) || !isFinite(RH) || !isFinite(duration) || !isFinite(step)) {
-    throw new TypeError('All parameters must be finite numbers');
-  }
-  
-  if (duration <= 0 || step <= 0) {
-    throw new TypeError('Duration and step must be positive');
-  }
-  
-  // Compute target EMC
-  const emc = computeEMC(T, RH);
-  
-  // Generate time series
-  const timeSeries = [];
-  const numSteps = Math.ceil(duration / step);
-  
-  for (let i = 0; i <= numSteps; i++) {
-    const t = i * step;
-    if (t > duration) break;
-    
-    timeSeries.push({
-      hour: t,
-      moisture1hr: stepMoisture(M1, emc, t, 1),
-      moisture10hr: stepMoisture(M10, emc, t, 10),
-      moisture100hr: stepMoisture(M100, emc, t, 100),
-      emc: emc
-    });
-  }
-  
-  return {
-    emc: emc,
-    timeSeries: timeSeries,
-    initial: { moisture1hr: M1, moisture10hr: M10, moisture100hr: M100 },
-    final: {
-      moisture1hr: timeSeries[timeSeries.length - 1].moisture1hr,
-      moisture10hr: timeSeries[timeSeries.length - 1].moisture10hr,
-      moisture100hr: timeSeries[timeSeries.length - 1].moisture100hr
-    }
-    return parseFloat((input.humidity - input.temperature * 0.1).toFixed(2));
-};
-
-/**
- * Computes Equilibrium Moisture Content (EMC) based on temperature and relative humidity.
- * Uses Nelson's EMC equation for fine dead fuels.
- * @param {number} temp - Temperature in Fahrenheit
- * @param {number} rh - Relative humidity in percentage (0-100)
- * @returns {number} - EMC in percentage
- */
-const computeEMC = (temp, rh) => {
-    if (typeof temp !== 'number' || typeof rh !== 'number') {
-        throw new Error('Invalid input: temperature and humidity must be numbers');
-    }
-    
-    // Nelson's EMC equation for fine dead fuels
-    // Separate equations for humidity ranges based on empirical research
-    let emc;
-    
-    if (rh < 10) {
-        // Low humidity: linear approximation
-        emc = EMC_LOW_RH_COEFFICIENTS.INTERCEPT + 
-              EMC_LOW_RH_COEFFICIENTS.RH_FACTOR * rh - 
-              EMC_LOW_RH_COEFFICIENTS.TEMP_RH_FACTOR * rh * temp;
-    } else if (rh < 50) {
-        // Medium humidity: moderate temperature sensitivity
-        emc = EMC_MEDIUM_RH_COEFFICIENTS.INTERCEPT + 
-              EMC_MEDIUM_RH_COEFFICIENTS.RH_FACTOR * rh - 
-              EMC_MEDIUM_RH_COEFFICIENTS.TEMP_FACTOR * temp;
-    } else {
-        // High humidity: quadratic relationship with RH
-        emc = EMC_HIGH_RH_COEFFICIENTS.INTERCEPT + 
-              EMC_HIGH_RH_COEFFICIENTS.RH_SQUARED_FACTOR * rh * rh - 
-              EMC_HIGH_RH_COEFFICIENTS.TEMP_RH_FACTOR * rh * temp - 
-              EMC_HIGH_RH_COEFFICIENTS.RH_FACTOR * rh;
+function solveTridiagonal(lower, diag, upper, rhs) {
+    const n = diag.length;
+    for (let i = 1; i < n; i++) {
+        const w = lower[i] / diag[i - 1];
+        diag[i] -= w * upper[i - 1];
+        rhs[i] -= w * rhs[i - 1];
     }
-    
-    // Ensure EMC is within reasonable bounds for fine dead fuels
-    return Math.max(EMC_MIN_PERCENT, Math.min(EMC_MAX_PERCENT, parseFloat(emc.toFixed(2))));
-};
-
-/**
- * Updates fuel moisture content using time-lag model.
- * Uses exponential approach to equilibrium moisture content.
- * @param {number} currentMoisture - Current fuel moisture percentage
- * @param {number} emc - Equilibrium moisture content percentage
- * @param {number} hours - Time period in hours
- * @param {number} timeLag - Time lag constant in hours (1, 10, or 100)
- * @returns {number} - New moisture content percentage
- */
-const stepMoisture = (currentMoisture, emc, hours, timeLag) => {
-    if (typeof currentMoisture !== 'number' || typeof emc !== 'number' || 
-        typeof hours !== 'number' || typeof timeLag !== 'number') {
-        throw new Error('Invalid input: all parameters must be numbers');
-    }
-    
-    if (timeLag <= 0) {
-        throw new Error('Time lag must be greater than 0');
-    }
-    
-    // Exponential approach: M(t) = EMC + (M0 - EMC) * exp(-t/τ)
-    // where τ is the time lag constant
-    const newMoisture = emc + (currentMoisture - emc) * Math.exp(-hours / timeLag);
-    
-    return parseFloat(newMoisture.toFixed(2));
-};
+    rhs[n - 1] /= diag[n - 1];
+    for (let i = n - 2; i >= 0; i--) {
+        rhs[i] = (rhs[i] - upper[i] * rhs[i + 1]) / diag[i];
+    }
+    return rhs;
+}
 
 /**
- * Simulates drying trends for multiple fuel classes over time.
- * @param {Object} dryingInputs - Input parameters for drying simulation
- * @param {number[]} dryingInputs.tempSeries - Array of temperatures in Fahrenheit
- * @param {number[]} dryingInputs.rhSeries - Array of relative humidity percentages
- * @param {Object} dryingInputs.initialState - Initial moisture states
- * @param {number} dryingInputs.initialState.m1 - Initial 1-hour fuel moisture
- * @param {number} dryingInputs.initialState.m10 - Initial 10-hour fuel moisture
- * @param {number} dryingInputs.initialState.m100 - Initial 100-hour fuel moisture
- * @param {number} dryingInputs.timeStep - Time step in hours (default: 1.0)
- * @returns {Object[]} - Array of moisture trends for each time step
- */
-const simulateDrying = (dryingInputs) => {
-    if (!dryingInputs || !dryingInputs.tempSeries || !dryingInputs.rhSeries || !dryingInputs.initialState) {
-        throw new Error('Invalid input: dryingInputs must contain tempSeries, rhSeries, and initialState');
-    }
-    
-    const { tempSeries, rhSeries, initialState, timeStep = 1.0 } = dryingInputs;
-    
-    if (tempSeries.length !== rhSeries.length) {
-        throw new Error('Temperature and humidity series must have the same length');
-    }
-    
-    const results = [];
-    let m1 = initialState.m1 || 0;
-    let m10 = initialState.m10 || 0;
-    let m100 = initialState.m100 || 0;
-    
-    for (let i = 0; i < tempSeries.length; i++) {
-        const temp = tempSeries[i];
-        const rh = rhSeries[i];
-        const emc = computeEMC(temp, rh);
-        
-        // Update each fuel class
-        m1 = stepMoisture(m1, emc, timeStep, 1);
-        m10 = stepMoisture(m10, emc, timeStep, 10);
-        m100 = stepMoisture(m100, emc, timeStep, 100);
-        
-        results.push({
-            step: i + 1,
-            temp,
-            rh,
-            emc,
-            m1,
-            m10,
-            m100
-        });
+ * Area-weighted mean moisture of a stick's radial profile (fraction).
+ * @private
+ */
+function nelsonMeanMoisture(stick) {
+    const n = stick.profile.length;
+    const dr = stick.radius / (n - 1);
+    let total = 0;
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+        const r = i * dr;
+        const inner = Math.max(0, r - dr / 2);
+        const outer = Math.min(stick.radius, r + dr / 2);
+        const a = outer * outer - inner * inner;
+        total += stick.profile[i] * a;
+        area += a;
     }
-    
-    return results;
-};
+    return total / area;
+}
 
 /**
- * Runs a multi-day forecast model for fuel moisture.
- * @param {number} initial1hr - Initial 1-hour fuel moisture percentage
- * @param {number} initial10hr - Initial 10-hour fuel moisture percentage
- * @param {Array} forecast - Array of forecast periods
- * @param {number} forecast[].temp - Temperature in Fahrenheit
- * @param {number} forecast[].rh - Relative humidity percentage
- * @param {number} forecast[].hours - Duration of period in hours
- * @param {string} [forecast[].label] - Optional label for the period
- * @returns {Object} - Forecast results with daily moisture values
+ * Creates a dead fuel stick for the Nelson (2000) moisture model.
+ * The stick holds a radial moisture profile and is advanced with `stepNelsonStick`.
+ * The returned object is plain data and can be stored with JSON.stringify.
+ *
+ * @param {number} timeLag - Fuel time lag class in hours (1, 10, 100, 1000, ...)
+ * @param {number} initialMoisture - Initial (uniform) stick moisture (%)
+ * @returns {Object} - Stick state with timeLag, radius (cm), profile and moisture (%)
+ * @throws {TypeError} - If inputs are not finite numbers or timeLag is not positive
  */
-const runModel = (initial1hr, initial10hr, forecast) => {
-    if (typeof initial1hr !== 'number' || typeof initial10hr !== 'number') {
-        throw new Error('Invalid input: initial moisture values must be numbers');
+function createNelsonStick(timeLag, initialMoisture) {
+    const tau = Number(timeLag);
+    const M0 = Number(initialMoisture);
+
+    if (!isFinite(tau) || !isFinite(M0)) {
+        throw new TypeError('Time lag and initial moisture must be finite numbers');
     }
-    
-    if (!Array.isArray(forecast) || forecast.length === 0) {
-        throw new Error('Invalid input: forecast must be a non-empty array');
+
+    if (tau <= 0) {
+        throw new TypeError('Time lag must be positive');
     }
-    
-    const dailyResults = [];
-    let moisture1Hr = initial1hr;
-    let moisture10Hr = initial10hr;
-    let firstCritical1HrDay = null;
-    
-    for (let i = 0; i < forecast.length; i++) {
-        const period = forecast[i];
-        const { temp, rh, hours, label, wind } = period;
-        
-        if (typeof temp !== 'number' || typeof rh !== 'number' || typeof hours !== 'number') {
-            throw new Error(`Invalid forecast data at index ${i}`);
-        }
-        
-        const emc = computeEMC(temp, rh);
-        
-        // Update moisture for each fuel class
-        moisture1Hr = stepMoisture(moisture1Hr, emc, hours, 1);
-        moisture10Hr = stepMoisture(moisture10Hr, emc, hours, 10);
-        
-        // Check for critical drying (based on NFDRS standards)
-        if (moisture1Hr <= CRITICAL_MOISTURE_THRESHOLD && firstCritical1HrDay === null) {
-            firstCritical1HrDay = label || `Period ${i + 1}`;
-        }
-        
-        const result = {
-            day: label || `Period ${i + 1}`,
-            temp,
-            rh,
-            moisture1Hr,
-            moisture10Hr
-        };
-        
-        // Include wind if provided
-        if (wind !== undefined) {
-            result.wind = wind;
-        }
-        
-        dailyResults.push(result);
+
+    const radius = Math.sqrt(NELSON_CONSTANTS.CYLINDER_EIGENVALUE * NELSON_CONSTANTS.DIFFUSIVITY * tau);
+    const profile = [];
+    for (let i = 0; i < NELSON_CONSTANTS.NODES; i++) {
+        profile.push(Math.max(0, M0) / 100);
     }
-    
+
     return {
-        initial1hr,
-        initial10hr,
-        dailyResults,
-        summary: {
-            firstCritical1HrDay,
-            finalMoisture1Hr: moisture1Hr,
-            finalMoisture10Hr: moisture10Hr
-        }
+        timeLag: tau,
+        radius: radius,
+        profile: profile,
+        moisture: Math.round(Math.max(0, M0) * 10) / 10
     };
-};
+}
 
 /**
- * Converts Celsius to Fahrenheit.
- * @param {number} celsius - Temperature in Celsius
- * @returns {number} - Temperature in Fahrenheit
+ * Advances a Nelson (2000) dead fuel stick through a period of constant weather.
+ * Solar radiation heats the stick above air temperature, which lowers the
+ * humidity at its surface; the surface moisture follows the sorption isotherm
+ * (with adsorption/desorption hysteresis) or is raised by rainfall, and moisture
+ * diffuses radially into the stick.
+ *
+ * @param {Object} stick - Stick state from createNelsonStick (updated in place)
+ * @param {Object} weather - Weather for the period
+ * @param {number} weather.temp - Air temperature in Fahrenheit
+ * @param {number} weather.rh - Relative humidity (%)
+ * @param {number} [weather.solar=0] - Solar radiation (W/m²)
+ * @param {number} [weather.precip=0] - Rainfall over the period (inches)
+ * @param {number} hours - Period length in hours
+ * @returns {number} - Mean stick moisture (%) with 1 decimal place
+ * @throws {TypeError} - If the stick or weather values are invalid
  */
-const celsiusToFahrenheit = (celsius) => {
-    if (typeof celsius !== 'number') {
-        throw new Error('Invalid input: temperature must be a number');
+function stepNelsonStick(stick, weather, hours) {
+    if (!stick || !Array.isArray(stick.profile) || !isFinite(Number(stick.radius))) {
+        throw new TypeError('Stick must be created with createNelsonStick');
     }
-    return (celsius * 9/5) + 32;
-};
 
-/**
- * Converts Fahrenheit to Celsius.
- * @param {number} fahrenheit - Temperature in Fahrenheit
- * @returns {number} - Temperature in Celsius
- */
-const fahrenheitToCelsius = (fahrenheit) => {
-    if (typeof fahrenheit !== 'number') {
-        throw new Error('Invalid input: temperature must be a number');
+    if (!weather || typeof weather !== 'object') {
+        throw new TypeError('Weather must be an object');
     }
-    return (fahrenheit - 32) * 5/9;
-};
 
-const someOtherFunction = () => {
-  return true;
-};
+    const tempF = Number(weather.temp);
+    const rh = Number(weather.rh);
+    const solar = weather.solar === undefined || weather.solar === null ? 0 : Number(weather.solar);
+    const precip = weather.precip === undefined || weather.precip === null ? 0 : Number(weather.precip);
+    const t = Number(hours);
+
+    if (!isFinite(tempF) || !isFinite(rh) || !isFinite(solar) || !isFinite(precip) || !isFinite(t)) {
+        throw new TypeError('Weather values and hours must be finite numbers');
+    }
+
+    if (t < 0 || solar < 0 || precip < 0) {
+        throw new TypeError('Hours, solar radiation and precipitation cannot be negative');
+    }
+
+    if (t === 0) {
+        return stick.moisture;
+    }
+
+    const airC = fahrenheitToCelsius(tempF);
+    const humidity = Math.max(0, Math.min(100, rh)) / 100;
+
+    // Solar heating of the stick surface (flux per unit surface area is S/π for a cylinder)
+    const surfaceC = airC + NELSON_CONSTANTS.SOLAR_ABSORPTIVITY * solar / (Math.PI * NELSON_CONSTANTS.HEAT_TRANSFER);
+    // Vapour pressure is unchanged by heating, so surface humidity drops
+    const surfaceHumidity = humidity * saturationVaporPressure(airC) / saturationVaporPressure(surfaceC);
+
+    const rainRate = precip * 2.54 / t;
+    const n = stick.profile.length;
+    const dr = stick.radius / (n - 1);
+    const diffusivity = NELSON_CONSTANTS.DIFFUSIVITY *
+        Math.exp(NELSON_CONSTANTS.DIFFUSIVITY_ACTIVATION * (1 / 293.15 - 1 / (surfaceC + 273.15)));
+
+    // Backward Euler is unconditionally stable; sub-steps keep the response smooth
+    const maxStep = Math.min(1, stick.timeLag / 10);
+    let remaining = t;
+
+    while (remaining > 1e-9) {
+        const dt = Math.min(maxStep, remaining);
+        remaining -= dt;
+
+        // Surface boundary condition
+        let surface;
+        if (rainRate > 0) {
+            surface = NELSON_CONSTANTS.FIBER_SATURATION +
+                (NELSON_CONSTANTS.RAIN_MAX_MOISTURE - NELSON_CONSTANTS.FIBER_SATURATION) *
+                (1 - Math.exp(-rainRate / NELSON_CONSTANTS.RAIN_RATE_SCALE));
+        } else {
+            const desorption = nelsonIsotherm(surfaceC, surfaceHumidity, NELSON_CONSTANTS.DESORPTION);
+            const adsorption = nelsonIsotherm(surfaceC, surfaceHumidity, NELSON_CONSTANTS.ADSORPTION);
+            const current = stick.profile[n - 1];
+            // Between the two isotherms the surface holds its moisture (hysteresis)
+            surface = Math.max(adsorption, Math.min(desorption, current));
+        }
+
+        const lower = new Array(n).fill(0);
+        const diag = new Array(n).fill(1);
+        const upper = new Array(n).fill(0);
+        const rhs = stick.profile.slice();
+
+        for (let i = 0; i < n - 1; i++) {
+            const r = i * dr;
+            const inner = Math.max(0, r - dr / 2);
+            const outer = r + dr / 2;
+            const volume = outer * outer - inner * inner;
+            const outward = 2 * outer * diffusivity / (dr * volume);
+            const inward = i === 0 ? 0 : 2 * inner * diffusivity / (dr * volume);
+            lower[i] = -dt * inward;
+            upper[i] = -dt * outward;
+            diag[i] = 1 + dt * (outward + inward);
+        }
+
+        // Dirichlet surface node
+        lower[n - 1] = 0;
+        diag[n - 1] = 1;
+        rhs[n - 1] = surface;
+
+        stick.profile = solveTridiagonal(lower, diag, upper, rhs);
+    }
+
+    stick.moisture = Math.round(nelsonMeanMoisture(stick) * 1000) / 10;
+    return stick.moisture;
+}
+
+/**
+ * Day of year (1-366) for a Date or date string.
+ * @private
+ */
+function dayOfYear(date) {
+    const d = date instanceof Date ? date : new Date(date);
+    if (isNaN(d.getTime())) {
+        throw new TypeError(`Invalid date: ${date}`);
+    }
+    const start = Date.UTC(d.getUTCFullYear(), 0, 1);
+    return Math.floor((d.getTime() - start) / 86400000) + 1;
+}
+
+/**
+ * Computes daylength (photoperiod) using the NFDRS approximation.
+ *
+ * @param {number} latitude - Latitude in decimal degrees (north positive)
+ * @param {number|string|Date} day - Day of year (1-366), or a date
+ * @returns {number} - Hours of daylight (0-24)
+ * @throws {TypeError} - If latitude is not finite or the day is invalid
+ */
+function computeDaylength(latitude, day) {
+    const lat = Number(latitude);
+    const julian = typeof day === 'number' ? day : dayOfYear(day);
+
+    if (!isFinite(lat) || !isFinite(julian)) {
+        throw new TypeError('Latitude and day of year must be finite numbers');
+    }
+
+    const phi = Math.max(-89.9, Math.min(89.9, lat)) * Math.PI / 180;
+    const declination = 0.41008 * Math.sin((julian - 82) * Math.PI / 180);
+    const cosHourAngle = Math.max(-1, Math.min(1, Math.tan(phi) * Math.tan(declination)));
+
+    return 24 * (1 - Math.acos(cosHourAngle) / Math.PI);
+}
+
+/**
+ * Create the running state of the NFDRS 100-hour/1000-hour daily model.
+ * Both 7-day histories are seeded with the initial 1000-hour moisture.
+ * @private
+ */
+function createLargeFuelState(initial100hr, initial1000hr) {
+    const history = [];
+    for (let i = 0; i < NFDRS_LARGE_FUEL_CONSTANTS.BOUNDARY_DAYS; i++) {
+        history.push(initial1000hr);
+    }
+    return {
+        moisture100Hr: initial100hr,
+        moisture1000Hr: initial1000hr,
+        boundaryHistory: history.slice(),
+        moistureHistory: history.slice()
+    };
+}
+
+/**
+ * Advance the NFDRS large fuel state by one day.
+ * @param {Object} state - State from createLargeFuelState (updated in place)
+ * @param {Object} day - `{ tempMax, tempMin, rhMax, rhMin, precipHours, daylength }`
+ * @returns {Object} - Boundary values and new moistures for the day
+ * @private
+ */
+function stepLargeFuelDay(state, day) {
+    const C = NFDRS_LARGE_FUEL_CONSTANTS;
+    const daylength = Math.max(0, Math.min(24, day.daylength));
+    const precipHours = Math.max(0, Math.min(24, day.precipHours));
+
+    // Daylight hours sit at the afternoon (minimum) EMC, night hours at the maximum
+    const emcMin = computeEMC(day.tempMax, day.rhMin);
+    const emcMax = computeEMC(day.tempMin, day.rhMax);
+    const emcBar = (daylength * emcMin + (24 - daylength) * emcMax) / 24;
+
+    const boundary100hr = ((24 - precipHours) * emcBar +
+        precipHours * (C.RAIN_100HR_SLOPE * precipHours + C.RAIN_100HR_INTERCEPT)) / 24;
+    const boundary1000hr = ((24 - precipHours) * emcBar +
+        precipHours * (C.RAIN_1000HR_SLOPE * precipHours + C.RAIN_1000HR_INTERCEPT)) / 24;
+
+    state.boundaryHistory.push(boundary1000hr);
+    state.boundaryHistory.shift();
+    const boundaryAverage = state.boundaryHistory.reduce((sum, b) => sum + b, 0) / state.boundaryHistory.length;
+
+    // 1000-hour moisture responds from its value seven days ago
+    const weekAgo1000hr = state.moistureHistory[0];
+    const moisture100Hr = state.moisture100Hr + (boundary100hr - state.moisture100Hr) * C.RESPONSE_100HR;
+    const moisture1000Hr = weekAgo1000hr + (boundaryAverage - weekAgo1000hr) * C.RESPONSE_1000HR;
+
+    state.moisture100Hr = Math.round(moisture100Hr * 10) / 10;
+    state.moisture1000Hr = Math.round(moisture1000Hr * 10) / 10;
+    state.moistureHistory.push(state.moisture1000Hr);
+    state.moistureHistory.shift();
+
+    return {
+        emcMin: emcMin,
+        emcMax: emcMax,
+        emcBar: Math.round(emcBar * 10) / 10,
+        boundary100hr: Math.round(boundary100hr * 10) / 10,
+        boundary1000hr: Math.round(boundary1000hr * 10) / 10,
+        boundaryAverage1000hr: Math.round(boundaryAverage * 10) / 10,
+        moisture100Hr: state.moisture100Hr,
+        moisture1000Hr: state.moisture1000Hr
+    };
+}
+
+/**
+ * Runs the NFDRS daily 100-hour and 1000-hour fuel moisture model.
+ * Each day's boundary moisture blends the afternoon and night EMC by daylength
+ * and is raised by rainfall duration. 100-hour moisture steps from yesterday's
+ * value; 1000-hour moisture steps from its value seven days ago toward the
+ * running 7-day average boundary moisture.
+ *
+ * @param {number} initial100hr - Initial 100-hour fuel moisture (%)
+ * @param {number} initial1000hr - Initial 1000-hour fuel moisture (%)
+ * @param {Array<Object>} dailyWeather - Daily observations
+ * @param {number} dailyWeather[].tempMax - Maximum temperature (°F)
+ * @param {number} dailyWeather[].tempMin - Minimum temperature (°F)
+ * @param {number} dailyWeather[].rhMax - Maximum relative humidity (%)
+ * @param {number} dailyWeather[].rhMin - Minimum relative humidity (%)
+ * @param {number} [dailyWeather[].precipHours=0] - Precipitation duration (hours, 0-24)
+ * @param {number} [dailyWeather[].daylength] - Hours of daylight (overrides latitude/date)
+ * @param {string|Date} [dailyWeather[].date] - Date, used with options.latitude for daylength
+ * @param {string} [dailyWeather[].label] - Optional label for the day
+ * @param {Object} [options] - Model options
+ * @param {number} [options.latitude] - Station latitude for daylength; 12 hours is assumed without it
+ * @returns {Object} - Results with daily boundary values, moistures and summary
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runNFDRSLargeFuelModel(initial100hr, initial1000hr, dailyWeather, options = {}) {
+    const m100 = Number(initial100hr);
+    const m1000 = Number(initial1000hr);
+
+    if (!isFinite(m100) || !isFinite(m1000)) {
+        throw new TypeError('Initial moisture values must be finite numbers');
+    }
+
+    if (!Array.isArray(dailyWeather) || dailyWeather.length === 0) {
+        throw new TypeError('Daily weather must be a non-empty array');
+    }
+
+    const latitude = options.latitude === undefined ? null : Number(options.latitude);
+    if (latitude !== null && !isFinite(latitude)) {
+        throw new TypeError('Latitude must be a finite number');
+    }
+
+    const state = createLargeFuelState(m100, m1000);
+    const dailyResults = [];
+
+    dailyWeather.forEach((entry, index) => {
+        const tempMax = Number(entry.tempMax);
+        const tempMin = Number(entry.tempMin);
+        const rhMax = Number(entry.rhMax);
+        const rhMin = Number(entry.rhMin);
+        const precipHours = entry.precipHours === undefined ? 0 : Number(entry.precipHours);
+
+        if (!isFinite(tempMax) || !isFinite(tempMin) || !isFinite(rhMax) || !isFinite(rhMin) || !isFinite(precipHours)) {
+            throw new TypeError(`Daily weather entry ${index} has invalid values`);
+        }
+
+        let daylength = NFDRS_LARGE_FUEL_CONSTANTS.DEFAULT_DAYLENGTH;
+        if (entry.daylength !== undefined) {
+            daylength = Number(entry.daylength);
+            if (!isFinite(daylength)) {
+                throw new TypeError(`Daily weather entry ${index} has an invalid daylength`);
+            }
+        } else if (latitude !== null && entry.date !== undefined) {
+            daylength = computeDaylength(latitude, entry.date);
+        }
+
+        const step = stepLargeFuelDay(state, {
+            tempMax: tempMax,
+            tempMin: tempMin,
+            rhMax: rhMax,
+            rhMin: rhMin,
+            precipHours: precipHours,
+            daylength: daylength
+        });
+
+        dailyResults.push(Object.assign({
+            day: entry.label || `Day ${index + 1}`,
+            tempMax: tempMax,
+            tempMin: tempMin,
+            rhMax: rhMax,
+            rhMin: rhMin,
+            precipHours: precipHours,
+            daylength: Math.round(daylength * 10) / 10
+        }, step));
+    });
+
+    const moisture1000 = dailyResults.map(day => day.moisture1000Hr);
+
+    return {
+        initial100hr: m100,
+        initial1000hr: m1000,
+        dailyResults: dailyResults,
+        summary: {
+            final100Hr: state.moisture100Hr,
+            final1000Hr: state.moisture1000Hr,
+            min100Hr: Math.min(...dailyResults.map(day => day.moisture100Hr)),
+            min1000Hr: Math.min(...moisture1000)
+        }
+    };
+}
+
+/**
+ * Create the accumulator that groups runModel periods into NFDRS days.
+ * Returns null when no large fuel initial moisture is given.
+ * @private
+ */
+function createLargeFuelAccumulator(options) {
+    if (options.initial100hr === undefined && options.initial1000hr === undefined) {
+        return null;
+    }
+
+    const m100 = Number(options.initial100hr);
+    const m1000 = Number(options.initial1000hr);
+    if (!isFinite(m100) || !isFinite(m1000)) {
+        throw new TypeError('Initial 100-hour and 1000-hour moisture must both be finite numbers');
+    }
+
+    const latitude = options.latitude === undefined ? null : Number(options.latitude);
+    if (latitude !== null && !isFinite(latitude)) {
+        throw new TypeError('Latitude must be a finite number');
+    }
+
+    // UTC midnight of the first day; each later day is a whole number of days after it
+    let startTime = null;
+    if (options.startDate !== undefined) {
+        startTime = calendarDate(options.startDate, 0).getTime();
+        if (isNaN(startTime)) {
+            throw new TypeError(`Invalid date: ${options.startDate}`);
+        }
+    }
+
+    return {
+        state: createLargeFuelState(m100, m1000),
+        latitude: latitude,
+        startTime: startTime,
+        days: 0,
+        day: null
+    };
+}
+
+/**
+ * Add one forecast period to the current NFDRS day, stepping the large fuel
+ * model each time 24 hours have been accumulated.
+ * @private
+ */
+function accumulateLargeFuelPeriod(acc, temp, rh, hours, precipHours) {
+    let remaining = hours;
+
+    while (remaining > 1e-9) {
+        if (acc.day === null) {
+            acc.day = { tempMax: -Infinity, tempMin: Infinity, rhMax: -Infinity, rhMin: Infinity, precipHours: 0, hours: 0 };
+        }
+
+        const day = acc.day;
+        const take = Math.min(remaining, 24 - day.hours);
+        day.tempMax = Math.max(day.tempMax, temp);
+        day.tempMin = Math.min(day.tempMin, temp);
+        day.rhMax = Math.max(day.rhMax, rh);
+        day.rhMin = Math.min(day.rhMin, rh);
+        day.precipHours += precipHours * take / hours;
+        day.hours += take;
+        remaining -= take;
+
+        if (day.hours >= 24 - 1e-9) {
+            day.daylength = acc.latitude !== null && acc.startTime !== null
+                ? computeDaylength(acc.latitude, new Date(acc.startTime + acc.days * 86400000))
+                : NFDRS_LARGE_FUEL_CONSTANTS.DEFAULT_DAYLENGTH;
+            stepLargeFuelDay(acc.state, day);
+            acc.days++;
+            acc.day = null;
+        }
+    }
+}
+
+/**
+ * Validate an engine name, defaulting to the exponential time-lag model.
+ * @private
+ */
+function resolveEngine(engine) {
+    if (engine === undefined || engine === null) {
+        return EXPONENTIAL_ENGINE;
+    }
+    if (MOISTURE_ENGINES.indexOf(engine) === -1) {
+        throw new TypeError(`Unknown moisture engine: ${engine}`);
+    }
+    return engine;
+}
+
+/**
+ * Create the running moisture state for one fuel class under the given engine.
+ * `tau` is the drying time lag: the nominal lag unless a calibration fits it.
+ * @private
+ */
+function createFuelState(engine, timeLag, initialMoisture, calibration) {
+    if (engine === NELSON_ENGINE) {
+        const stick = createNelsonStick(timeLag, initialMoisture);
+        return { engine: engine, timeLag: timeLag, moisture: stick.moisture, stick: stick };
+    }
+    return {
+        engine: engine,
+        timeLag: timeLag,
+        tau: calibratedTimeLag(timeLag, calibration),
+        moisture: initialMoisture
+    };
+}
+
+/**
+ * Validates fitted parameters from calibrateFuelMoisture (or its whole
+ * result) for the modelling functions. Returns null when none are given.
+ * @private
+ */
+function resolveCalibration(calibration, engine) {
+    if (calibration === undefined || calibration === null) {
+        return null;
+    }
+    if (typeof calibration !== 'object') {
+        throw new TypeError('Calibration must be an object');
+    }
+    if (engine !== EXPONENTIAL_ENGINE) {
+        throw new TypeError('Calibration applies to the exponential engine only');
+    }
+
+    const parameters = calibration.parameters && typeof calibration.parameters === 'object'
+        ? calibration.parameters
+        : calibration;
+    const resolved = { timeLags: {}, emc: null };
+
+    if (parameters.timeLags !== undefined) {
+        if (!parameters.timeLags || typeof parameters.timeLags !== 'object') {
+            throw new TypeError('Calibration timeLags must be an object keyed by nominal time lag');
+        }
+        Object.keys(parameters.timeLags).forEach(key => {
+            const tau = Number(parameters.timeLags[key]);
+            if (!isFinite(Number(key)) || !isFinite(tau) || tau <= 0) {
+                throw new TypeError(`Calibrated time lag for ${key} hours must be a positive number`);
+            }
+            resolved.timeLags[Number(key)] = tau;
+        });
+    }
+
+    if (parameters.emc !== undefined) {
+        const emc = parameters.emc || {};
+        const scale = emc.scale === undefined ? 1 : Number(emc.scale);
+        const offset = emc.offset === undefined ? 0 : Number(emc.offset);
+        if (!isFinite(scale) || scale <= 0 || !isFinite(offset)) {
+            throw new TypeError('Calibration EMC needs a positive scale and a finite offset');
+        }
+        resolved.emc = { scale: scale, offset: offset };
+    }
+
+    return resolved;
+}
+
+/**
+ * The fitted time lag for a nominal fuel class, or the nominal lag.
+ * @private
+ */
+function calibratedTimeLag(timeLag, calibration) {
+    if (!calibration || calibration.timeLags[timeLag] === undefined) {
+        return timeLag;
+    }
+    return calibration.timeLags[timeLag];
+}
+
+/**
+ * EMC with the calibrated linear adjustment, kept within the EMC range.
+ * @private
+ */
+function calibratedEMC(emc, calibration) {
+    if (!calibration || calibration.emc === null) {
+        return emc;
+    }
+    const adjusted = calibration.emc.scale * emc + calibration.emc.offset;
+    return Math.round(Math.max(EMC_MIN_PERCENT, Math.min(EMC_MAX_PERCENT, adjusted)) * 10) / 10;
+}
+
+/**
+ * Advance a fuel state through one period and return its new moisture.
+ * The exponential engine wets the fuel for the first `precipHours` of the
+ * period when rain falls (see RAIN_WETTING) and steps toward `emc` for the
+ * rest; the Nelson engine uses the raw weather (temp, rh, solar, precip).
+ * `timeLag` overrides the state's own lag for the exponential drying step
+ * (used for wind-adjusted drying).
+ * @private
+ */
+function advanceFuelState(state, weather, emc, hours, timeLag) {
+    if (state.engine === NELSON_ENGINE) {
+        state.moisture = stepNelsonStick(state.stick, weather, hours);
+        return state.moisture;
+    }
+
+    const tau = timeLag === undefined ? state.tau : timeLag;
+    const rainHours = weather ? rainDuration(weather, hours) : 0;
+    let moisture = state.moisture;
+
+    if (rainHours > 0) {
+        const intensity = weather.precip * INCHES_TO_MM / rainHours;
+        const rate = (1 - Math.exp(-(intensity - RAIN_WETTING.THRESHOLD) / RAIN_WETTING.INTENSITY_SCALE)) /
+            (RAIN_WETTING.TIMELAG_FACTOR * state.timeLag);
+        // Fuels keep adsorbing from the humid air, so rain never wets slower than the EMC response
+        const humid = emc + (moisture - emc) * Math.exp(-rainHours / tau);
+        if (moisture < RAIN_WETTING.SATURATION) {
+            moisture = RAIN_WETTING.SATURATION - (RAIN_WETTING.SATURATION - moisture) * Math.exp(-rate * rainHours);
+        }
+        moisture = Math.max(moisture, humid);
+    }
+
+    state.moisture = stepMoisture(moisture, emc, hours - rainHours, tau);
+    return state.moisture;
+}
+
+/**
+ * Hours of wetting rain in a period: `precipHours` (default the whole period)
+ * when the rainfall intensity exceeds the wetting threshold, otherwise 0.
+ * @private
+ */
+function rainDuration(weather, hours) {
+    if (!(weather.precip > 0) || !(hours > 0)) {
+        return 0;
+    }
+    const duration = weather.precipHours === undefined ? hours : Math.min(weather.precipHours, hours);
+    if (!(duration > 0) || weather.precip * INCHES_TO_MM / duration <= RAIN_WETTING.THRESHOLD) {
+        return 0;
+    }
+    return duration;
+}
+
+/**
+ * Validates a site descriptor for fine dead fuel moisture corrections. The
+ * month comes from `site.month`, `site.date` or the fallback date.
+ * @private
+ */
+function resolveSite(site, fallbackDate) {
+    if (site === undefined || site === null) {
+        return null;
+    }
+    if (typeof site !== 'object') {
+        throw new TypeError('Site must be an object');
+    }
+
+    let aspect = site.aspect === undefined ? 'S' : site.aspect;
+    if (typeof aspect === 'number' || (typeof aspect === 'string' && isFinite(Number(aspect)) && aspect.trim() !== '')) {
+        const degrees = ((Number(aspect) % 360) + 360) % 360;
+        aspect = ['N', 'E', 'S', 'W'][Math.round(degrees / 90) % 4];
+    } else {
+        aspect = String(aspect).toUpperCase();
+    }
+    if (['N', 'E', 'S', 'W'].indexOf(aspect) === -1) {
+        throw new TypeError('Site aspect must be N, E, S, W or degrees');
+    }
+
+    const slope = optionalWeatherValue(site.slope, 'Site slope must be a non-negative number');
+    const shading = optionalFraction(site.shading, 'Site shading must be a fraction between 0 and 1');
+    const elevationDifference = site.elevationDifference === undefined ? 0 : Number(site.elevationDifference);
+    if (!isFinite(elevationDifference)) {
+        throw new TypeError('Site elevation difference must be a finite number');
+    }
+
+    let month = site.month === undefined ? NaN : Number(site.month);
+    const date = site.date !== undefined ? site.date : fallbackDate;
+    if (site.month === undefined && date !== undefined && date !== null) {
+        const d = date instanceof Date ? date : new Date(date);
+        if (isNaN(d.getTime())) {
+            throw new TypeError(`Invalid date: ${date}`);
+        }
+        month = d.getUTCMonth() + 1;
+    }
+    if (!isFinite(month) || month < 1 || month > 12 || Math.floor(month) !== month) {
+        throw new TypeError('Site corrections need a month (1-12) or date');
+    }
+
+    const hour = site.hour === undefined ? DEFAULT_SITE_HOUR : Number(site.hour);
+    if (!isFinite(hour) || hour < 0 || hour >= 24) {
+        throw new TypeError('Site hour must be between 0 and 24');
+    }
+
+    let season = 'febAprAugOct';
+    if (month >= 5 && month <= 7) season = 'mayJul';
+    if (month === 11 || month === 12 || month === 1) season = 'novJan';
+
+    let elevation = 1;
+    if (elevationDifference < -1000) elevation = 0;
+    if (elevationDifference > 1000) elevation = 2;
+
+    return {
+        aspect: aspect,
+        steep: slope > 30,
+        shaded: shading >= 0.5,
+        elevation: elevation,
+        season: season,
+        hour: hour
+    };
+}
+
+/**
+ * Tabulated correction (%) for a resolved site at an hour of day. Hours
+ * outside 0800-1959 use the nearest (0800 or 1800) block.
+ * @private
+ */
+function siteCorrection(site, hour) {
+    const block = Math.max(0, Math.min(5, Math.floor((hour - 8) / 2)));
+    const table = SITE_CORRECTION_TABLES[site.season];
+    const row = site.shaded
+        ? table.shaded[site.aspect]
+        : table.exposed[site.aspect][site.steep ? 1 : 0];
+    return row[block][site.elevation];
+}
+
+/**
+ * Hour of day for a model period: the entry's own `hour`, otherwise the
+ * site's start hour advanced to the middle of the period.
+ * @private
+ */
+function periodSiteHour(site, entry, elapsedHours, hours, index) {
+    if (entry && entry.hour !== undefined) {
+        const hour = Number(entry.hour);
+        if (!isFinite(hour) || hour < 0 || hour >= 24) {
+            throw new TypeError(`Period ${index} has an invalid hour`);
+        }
+        return hour;
+    }
+    return (site.hour + elapsedHours + hours / 2) % 24;
+}
+
+/**
+ * EMC adjusted by a site correction, kept within the EMC range.
+ * @private
+ */
+function correctedEMC(emc, correction) {
+    return Math.round(Math.max(EMC_MIN_PERCENT, Math.min(EMC_MAX_PERCENT, emc + correction)) * 10) / 10;
+}
+
+/**
+ * Rejects site corrections for engines that do not use EMC.
+ * @private
+ */
+function checkSiteEngine(site, engine) {
+    if (site !== null && engine !== EXPONENTIAL_ENGINE) {
+        throw new TypeError('Site corrections apply to the exponential engine only');
+    }
+}
+
+/**
+ * Computes the Rothermel (1986) fine dead fuel moisture correction for a site:
+ * the percentage points to add to the reference (level, exposed, midday)
+ * moisture for aspect, slope, shading, elevation difference and time of day.
+ *
+ * @param {Object} site - Site descriptor
+ * @param {string|number} [site.aspect='S'] - N, E, S, W or degrees from north
+ * @param {number} [site.slope=0] - Slope (%); above 30% uses the steep rows
+ * @param {number} [site.shading=0] - Canopy or cloud shading fraction (0-1); 0.5 or more counts as shaded
+ * @param {number} [site.elevationDifference=0] - Site elevation minus weather station elevation (ft)
+ * @param {number} [site.month] - Month (1-12); or give `site.date`
+ * @param {string|Date} [site.date] - Date used for the month
+ * @param {number} [site.hour=14] - Hour of day (0-24)
+ * @returns {number} - Correction in moisture percentage points
+ * @throws {TypeError} - If the site is invalid
+ */
+function computeSiteCorrection(site) {
+    const resolved = resolveSite(site);
+    if (resolved === null) {
+        throw new TypeError('Site must be an object');
+    }
+    return siteCorrection(resolved, resolved.hour);
+}
+
+/**
+ * Reads a calendar date as UTC midnight of that date. A Date gives its local
+ * year, month and day; a date-only string such as '2026-07-01' is taken as
+ * written. Returns an invalid Date for unreadable input.
+ * @private
+ */
+function calendarDate(value, offsetDays) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        return date;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + offsetDays));
+    }
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate() + offsetDays));
+}
+
+/**
+ * Resolves one day of synthesizeHourlyWeather input to extremes, sun times,
+ * label and date (UTC midnight of the calendar day).
+ * @private
+ */
+function resolveDiurnalDay(entry, index, latitude, startDate) {
+    const tempMax = Number(entry.tempMax);
+    const tempMin = Number(entry.tempMin);
+    const rhMax = Number(entry.rhMax);
+    const rhMin = Number(entry.rhMin);
+
+    if (!isFinite(tempMax) || !isFinite(tempMin) || !isFinite(rhMax) || !isFinite(rhMin)) {
+        throw new TypeError(`Daily weather entry ${index} has invalid values`);
+    }
+    if (tempMax < tempMin || rhMax < rhMin || rhMin < 0 || rhMax > 100) {
+        throw new TypeError(`Daily weather entry ${index} has inconsistent extremes`);
+    }
+
+    let date = null;
+    if (entry.date !== undefined) {
+        date = calendarDate(entry.date, 0);
+    } else if (startDate !== undefined && startDate !== null) {
+        date = calendarDate(startDate, index);
+    }
+    if (date !== null && isNaN(date.getTime())) {
+        throw new TypeError(`Daily weather entry ${index} has an invalid date`);
+    }
+
+    let daylength = NFDRS_LARGE_FUEL_CONSTANTS.DEFAULT_DAYLENGTH;
+    if (latitude !== null && date !== null) {
+        daylength = computeDaylength(latitude, date);
+    }
+    const sunrise = entry.sunrise === undefined ? 12 - daylength / 2 : Number(entry.sunrise);
+    const sunset = entry.sunset === undefined ? 12 + daylength / 2 : Number(entry.sunset);
+
+    if (!isFinite(sunrise) || !isFinite(sunset) || sunrise < 0 || sunset > 24 || sunrise >= sunset) {
+        throw new TypeError(`Daily weather entry ${index} has invalid sunrise/sunset hours`);
+    }
+
+    return {
+        label: entry.label || `Day ${index + 1}`,
+        date: date,
+        tempMax: tempMax,
+        tempMin: tempMin,
+        rhMax: rhMax,
+        rhMin: rhMin,
+        sunrise: sunrise,
+        sunset: sunset
+    };
+}
+
+/**
+ * Parton & Logan daytime temperature `hoursAfterMin` hours after the minimum.
+ * @private
+ */
+function diurnalDayTemperature(day, hoursAfterMin) {
+    const daylength = day.sunset - day.sunrise;
+    return day.tempMin + (day.tempMax - day.tempMin) *
+        Math.sin(Math.PI * hoursAfterMin / (daylength + 2 * DIURNAL_TEMPERATURE.MAX_LAG));
+}
+
+/**
+ * Night-time temperature decaying from the sunset temperature to the next
+ * minimum over `nightLength` hours.
+ * @private
+ */
+function diurnalNightTemperature(sunsetTemp, nextMin, hoursAfterSunset, nightLength) {
+    const decay = Math.exp(-DIURNAL_TEMPERATURE.NIGHT_DECAY);
+    return (nextMin - sunsetTemp * decay +
+        (sunsetTemp - nextMin) * Math.exp(-DIURNAL_TEMPERATURE.NIGHT_DECAY * hoursAfterSunset / nightLength)) /
+        (1 - decay);
+}
+
+/**
+ * Builds hourly temperature and relative humidity from daily extremes.
+ *
+ * Temperature follows Parton & Logan (1981): a truncated sine from just
+ * before sunrise to sunset, peaking in mid-afternoon, and an exponential
+ * decay overnight to the next day's minimum. Vapour pressure moves linearly
+ * with temperature between its night-time value (`rhMax` at `tempMin`) and
+ * afternoon value (`rhMin` at `tempMax`), and RH follows from it.
+ *
+ * Sunrise and sunset default to solar time from the NFDRS daylength for
+ * `options.latitude` and each day's date (12 hours without them).
+ * Timestamps are local times, with `options.utcOffset` as their offset when
+ * given.
+ *
+ * @param {Array<Object>} dailyWeather - Daily `{ tempMax, tempMin, rhMax, rhMin, date?, sunrise?, sunset?, label? }`
+ *   (°F, %, hours of the day)
+ * @param {Object} [options] - Synthesis options
+ * @param {number} [options.latitude] - Latitude in degrees for daylength
+ * @param {string|Date} [options.startDate] - Date of the first day when entries omit `date`
+ * @param {number} [options.utcOffset] - UTC offset in hours added to the timestamps
+ *   (local time without it)
+ * @returns {Object} - `{ hourly, tempSeries, rhSeries, timeStep }`; `hourly` entries are
+ *   `{ day, hour, temp, rh, hours, timestamp? }` for predictDryingTrend, and the series
+ *   feed simulateDrying directly
+ * @throws {TypeError} - If inputs are invalid
+ */
+function synthesizeHourlyWeather(dailyWeather, options = {}) {
+    if (!Array.isArray(dailyWeather) || dailyWeather.length === 0) {
+        throw new TypeError('Daily weather must be a non-empty array');
+    }
+
+    const settings = options || {};
+    const latitude = settings.latitude === undefined ? null : Number(settings.latitude);
+    if (latitude !== null && !isFinite(latitude)) {
+        throw new TypeError('Latitude must be a finite number');
+    }
+    const offsetSuffix = utcOffsetSuffix(settings.utcOffset);
+
+    const days = dailyWeather.map((entry, index) => resolveDiurnalDay(entry || {}, index, latitude, settings.startDate));
+    const minimumHour = day => day.sunrise + DIURNAL_TEMPERATURE.MIN_LAG;
+    const sunsetTemp = day => diurnalDayTemperature(day, day.sunset - minimumHour(day));
+    const hourly = [];
+
+    days.forEach((day, index) => {
+        const previous = index > 0 ? days[index - 1] : day;
+        const next = index < days.length - 1 ? days[index + 1] : day;
+        const vaporMin = day.rhMax / 100 * saturationVaporPressure(fahrenheitToCelsius(day.tempMin));
+        const vaporMax = day.rhMin / 100 * saturationVaporPressure(fahrenheitToCelsius(day.tempMax));
+
+        for (let hour = 0; hour < 24; hour++) {
+            let temp;
+            if (hour < minimumHour(day)) {
+                temp = diurnalNightTemperature(sunsetTemp(previous), day.tempMin,
+                    hour + 24 - previous.sunset, minimumHour(day) + 24 - previous.sunset);
+            } else if (hour <= day.sunset) {
+                temp = diurnalDayTemperature(day, hour - minimumHour(day));
+            } else {
+                temp = diurnalNightTemperature(sunsetTemp(day), next.tempMin,
+                    hour - day.sunset, minimumHour(next) + 24 - day.sunset);
+            }
+
+            const range = day.tempMax - day.tempMin;
+            const fraction = range > 0 ? Math.max(0, Math.min(1, (temp - day.tempMin) / range)) : 0;
+            const vapor = vaporMin + (vaporMax - vaporMin) * fraction;
+            const rh = Math.max(0, Math.min(100, 100 * vapor / saturationVaporPressure(fahrenheitToCelsius(temp))));
+
+            const point = {
+                day: day.label,
+                hour: hour,
+                temp: Math.round(temp * 10) / 10,
+                rh: Math.round(rh * 10) / 10,
+                hours: 1
+            };
+            if (day.date !== null) {
+                const pad = value => String(value).padStart(2, '0');
+                point.timestamp = `${day.date.getUTCFullYear()}-${pad(day.date.getUTCMonth() + 1)}-` +
+                    `${pad(day.date.getUTCDate())}T${pad(hour)}:00:00${offsetSuffix}`;
+            }
+            hourly.push(point);
+        }
+    });
+
+    return {
+        hourly: hourly,
+        tempSeries: hourly.map(point => point.temp),
+        rhSeries: hourly.map(point => point.rh),
+        timeStep: 1
+    };
+}
+
+/**
+ * Read an optional non-negative weather value (solar, precip) from an entry.
+ * @private
+ */
+function optionalWeatherValue(value, message) {
+    if (value === undefined || value === null) {
+        return 0;
+    }
+    const v = Number(value);
+    if (!isFinite(v) || v < 0) {
+        throw new TypeError(message);
+    }
+    return v;
+}
+
+/**
+ * Reads an ISO-8601 timestamp (or Date) as milliseconds; returns null for
+ * missing values and non-ISO labels.
+ * @private
+ */
+function timestampMillis(value, message) {
+    let time;
+    if (value instanceof Date) {
+        time = value.getTime();
+    } else if (typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value)) {
+        time = new Date(value).getTime();
+    } else {
+        return null;
+    }
+    if (isNaN(time)) {
+        throw new TypeError(message);
+    }
+    return time;
+}
+
+/**
+ * Derives the length of each period from the time since the previous
+ * timestamped entry and flags gaps. The first entry of a timestamped run
+ * takes the following interval. Explicit `hours` still win. A timestamped
+ * entry with no neighbouring timestamp to measure from takes `fallbackHours`,
+ * or throws when there is none. Returns null when no entry carries a
+ * timestamp.
+ * @private
+ * @returns {Array<Object>|null} - `{ time, hours, gap }` per entry (`hours` undefined for
+ *   untimestamped entries without `hours`)
+ */
+function resolvePeriodHours(entries, maxGapHours, fallbackHours) {
+    const times = entries.map((entry, index) =>
+        timestampMillis(entry.timestamp, `Entry ${index} has an invalid timestamp`));
+
+    if (times.every(time => time === null)) {
+        return null;
+    }
+
+    const intervals = times.map((time, index) => {
+        if (index === 0 || time === null || times[index - 1] === null) {
+            return null;
+        }
+        const hours = (time - times[index - 1]) / MS_PER_HOUR;
+        if (hours <= 0) {
+            throw new TypeError(`Entry ${index} timestamp must be later than the previous entry`);
+        }
+        return hours;
+    });
+
+    let limit = null;
+    if (maxGapHours !== undefined && maxGapHours !== null) {
+        limit = Number(maxGapHours);
+        if (!isFinite(limit) || limit <= 0) {
+            throw new TypeError('Maximum gap must be a positive number of hours');
+        }
+    } else {
+        const sorted = intervals.filter(hours => hours !== null).sort((a, b) => a - b);
+        if (sorted.length > 0) {
+            limit = GAP_INTERVAL_MULTIPLE * sorted[Math.floor((sorted.length - 1) / 2)];
+        }
+    }
+
+    return entries.map((entry, index) => {
+        let hours = intervals[index];
+        if (hours === null && times[index] !== null && index + 1 < entries.length) {
+            hours = intervals[index + 1];
+        }
+        if (entry.hours !== undefined) {
+            hours = Number(entry.hours);
+        }
+        if (hours === null && times[index] !== null) {
+            if (fallbackHours === undefined) {
+                throw new TypeError(`Entry ${index} is a single timestamped entry and needs hours`);
+            }
+            hours = fallbackHours;
+        }
+        return {
+            time: times[index],
+            hours: hours === null ? undefined : hours,
+            gap: entry.gap === true || (limit !== null && intervals[index] !== null && intervals[index] > limit)
+        };
+    });
+}
+
+/**
+ * Resamples `options.resampleHours` when given, returning the entries unchanged otherwise.
+ * @private
+ */
+function maybeResample(entries, options) {
+    if (options.resampleHours === undefined || options.resampleHours === null) {
+        return entries;
+    }
+    return resampleWeather(entries, options.resampleHours, { maxGapHours: options.maxGapHours });
+}
+
+/**
+ * Creates the scalar Kalman filter state (error variance and its growth per
+ * hour) for each fuel class that takes observations.
+ * @private
+ */
+function createAssimilationFilters(assimilation) {
+    const settings = assimilation || {};
+    const initialUncertainty = settings.initialUncertainty === undefined
+        ? ASSIMILATION_DEFAULTS.INITIAL_UNCERTAINTY
+        : Number(settings.initialUncertainty);
+    if (!isFinite(initialUncertainty) || initialUncertainty < 0) {
+        throw new TypeError('Initial uncertainty must be a non-negative number');
+    }
+
+    const filters = {};
+    ASSIMILATION_TIME_LAGS.forEach(timeLag => {
+        const processVariance = settings.processVariance && settings.processVariance[timeLag] !== undefined
+            ? Number(settings.processVariance[timeLag])
+            : ASSIMILATION_DEFAULTS.PROCESS_VARIANCE[timeLag];
+        if (!isFinite(processVariance) || processVariance < 0) {
+            throw new TypeError(`Process variance for ${timeLag}-hour fuels must be a non-negative number`);
+        }
+        filters[timeLag] = { variance: initialUncertainty * initialUncertainty, processVariance: processVariance };
+    });
+    return filters;
+}
+
+/**
+ * Validates the measured moisture, fuel class and uncertainty of an observation.
+ * @private
+ */
+function resolveMeasurement(observation, i) {
+    if (!observation || typeof observation !== 'object') {
+        throw new TypeError(`Observation ${i} must be an object`);
+    }
+    const timeLag = observation.timeLag === undefined ? 10 : Number(observation.timeLag);
+    const moisture = Number(observation.moisture);
+    const uncertainty = observation.uncertainty === undefined
+        ? ASSIMILATION_DEFAULTS.OBSERVATION_UNCERTAINTY
+        : Number(observation.uncertainty);
+    if (ASSIMILATION_TIME_LAGS.indexOf(timeLag) === -1) {
+        throw new TypeError(`Observation ${i} time lag must be one of: ${ASSIMILATION_TIME_LAGS.join(', ')}`);
+    }
+    if (observation.moisture === null || !isFinite(moisture) || moisture < 0) {
+        throw new TypeError(`Observation ${i} moisture must be a non-negative number`);
+    }
+    if (!isFinite(uncertainty) || uncertainty <= 0) {
+        throw new TypeError(`Observation ${i} uncertainty must be a positive number`);
+    }
+    return { timeLag: timeLag, moisture: moisture, uncertainty: uncertainty };
+}
+
+/**
+ * Validates runModel observations for assimilation and assigns each to the
+ * period it falls in: by `period` index, or by `timestamp` within the period
+ * `(end - hours, end]` of a timestamped forecast. Returns null without
+ * observations.
+ * @private
+ */
+function resolveAssimilation(options, periods, count, engine) {
+    const observations = options.observations;
+    if (observations === undefined || observations === null) {
+        return null;
+    }
+    if (!Array.isArray(observations)) {
+        throw new TypeError('Observations must be an array');
+    }
+    if (engine !== EXPONENTIAL_ENGINE) {
+        throw new TypeError('Observation assimilation applies to the exponential engine only');
+    }
+
+    const filters = createAssimilationFilters(options.assimilation);
+    const byPeriod = Array.from({ length: count }, () => []);
+    const unmatched = [];
+    observations.forEach((observation, i) => {
+        const measurement = resolveMeasurement(observation, i);
+        let period = -1;
+        if (observation.period !== undefined) {
+            period = Number(observation.period);
+            if (!Number.isInteger(period)) {
+                throw new TypeError(`Observation ${i} period must be an integer index`);
+            }
+        } else {
+            const time = timestampMillis(observation.timestamp, `Observation ${i} has an invalid timestamp`);
+            if (time === null) {
+                throw new TypeError(`Observation ${i} needs an ISO-8601 timestamp or a period index`);
+            }
+            if (periods === null) {
+                throw new TypeError('Timestamped observations need a timestamped forecast');
+            }
+            period = periods.findIndex(entry => entry.time !== null && entry.time >= time);
+            if (period !== -1 && time <= periods[period].time - periods[period].hours * MS_PER_HOUR) {
+                period = -1;
+            }
+        }
+
+        if (period < 0 || period >= count) {
+            unmatched.push(i);
+            return;
+        }
+        byPeriod[period].push(measurement);
+    });
+
+    return { filters: filters, byPeriod: byPeriod, unmatched: unmatched, assimilated: 0 };
+}
+
+/**
+ * Scalar Kalman filter step for the runModel fuel states: grows each error
+ * variance through the period, then blends in the period's observations.
+ * Returns the analysis record of each observation.
+ * @private
+ */
+function assimilatePeriod(assimilation, fuels, hours, index) {
+    const records = [];
+    fuels.forEach(fuel => {
+        const filter = assimilation.filters[fuel.timeLag];
+        const decay = Math.exp(-hours / fuel.tau);
+        filter.variance = decay * decay * filter.variance + filter.processVariance * hours;
+
+        if (assimilation.byPeriod === null) return;
+        assimilation.byPeriod[index].filter(observation => observation.timeLag === fuel.timeLag)
+            .forEach(observation => {
+                records.push(applyMeasurement(fuel, filter, observation));
+                assimilation.assimilated++;
+            });
+    });
+    return records;
+}
+
+/**
+ * Kalman analysis: moves a fuel state toward a measurement by the gain and
+ * shrinks its error variance. Returns the analysis record.
+ * @private
+ */
+function applyMeasurement(fuel, filter, measurement) {
+    const forecast = fuel.moisture;
+    const innovation = measurement.moisture - forecast;
+    const gain = filter.variance / (filter.variance + measurement.uncertainty * measurement.uncertainty);
+    fuel.moisture = Math.round((forecast + gain * innovation) * 10) / 10;
+    filter.variance *= 1 - gain;
+    return {
+        timeLag: fuel.timeLag,
+        observed: measurement.moisture,
+        uncertainty: measurement.uncertainty,
+        forecast: forecast,
+        innovation: Math.round(innovation * 10) / 10,
+        gain: Math.round(gain * 1000) / 1000,
+        analysis: fuel.moisture
+    };
+}
+
+/**
+ * Validates and orders the alert levels for one fuel class.
+ * @private
+ */
+function resolveAlertLevels(levels, timeLag, hysteresis) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        throw new TypeError(`Alert levels for the ${timeLag}-hour class must be a non-empty array`);
+    }
+
+    const names = new Set();
+    const resolved = levels.map((level, i) => {
+        const threshold = Number(level && level.threshold);
+        const levelHysteresis = level && level.hysteresis !== undefined ? Number(level.hysteresis) : hysteresis;
+        if (!level || typeof level.name !== 'string' || level.name === '' || names.has(level.name)) {
+            throw new TypeError(`Alert level ${i} for the ${timeLag}-hour class needs a unique name`);
+        }
+        if (!isFinite(threshold) || !isFinite(levelHysteresis) || levelHysteresis < 0) {
+            throw new TypeError(`Alert level "${level.name}" has an invalid threshold or hysteresis`);
+        }
+        names.add(level.name);
+        return { name: level.name, threshold: threshold, hysteresis: levelHysteresis, active: false, periods: 0 };
+    });
+
+    // Least severe (wettest threshold) first
+    return resolved.sort((a, b) => b.threshold - a.threshold);
+}
+
+/**
+ * Creates a moisture alert monitor.
+ *
+ * Each level of each fuel class is tracked on its own. A level is entered
+ * when the moisture falls to or below its threshold and is left only when the
+ * moisture recovers above the threshold plus the hysteresis band, so values
+ * hovering at a threshold do not raise and clear the alert on alternate
+ * periods. Levels nest: a class in `extreme` is also in `warning` and `watch`.
+ *
+ * The monitor is a plain object that serializes with JSON.stringify.
+ *
+ * @param {boolean|Object} [config] - `true` (or omitted) for the defaults, or settings:
+ * @param {Array<Object>|Object} [config.levels] - `{ name, threshold, hysteresis? }` levels for every
+ *   monitored class, or an object of level arrays keyed by time lag (`{ 1: [...], 10: [...] }`).
+ *   Defaults to watch (8%), warning (6%) and extreme (4%)
+ * @param {number[]} [config.timeLags=[1, 10]] - Fuel classes to monitor when `levels` is an array
+ * @param {number} [config.hysteresis=0.5] - Recovery (%) above a threshold needed to leave its level
+ * @returns {Object} - Monitor state for updateAlertMonitor
+ * @throws {TypeError} - If the settings are invalid
+ */
+function createAlertMonitor(config) {
+    const settings = config === true || config === undefined ? {} : config;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new TypeError('Alert settings must be true or an object');
+    }
+
+    const hysteresis = settings.hysteresis === undefined ? ALERT_DEFAULTS.HYSTERESIS : Number(settings.hysteresis);
+    if (!isFinite(hysteresis) || hysteresis < 0) {
+        throw new TypeError('Alert hysteresis must be a non-negative number');
+    }
+
+    const levels = settings.levels === undefined ? ALERT_DEFAULTS.LEVELS : settings.levels;
+    let byTimeLag = {};
+    if (Array.isArray(levels)) {
+        const timeLags = settings.timeLags === undefined ? ALERT_DEFAULTS.TIME_LAGS : settings.timeLags;
+        if (!Array.isArray(timeLags) || timeLags.length === 0) {
+            throw new TypeError('Alert time lags must be a non-empty array');
+        }
+        timeLags.forEach(timeLag => {
+            byTimeLag[timeLag] = levels;
+        });
+    } else if (levels && typeof levels === 'object') {
+        byTimeLag = levels;
+    } else {
+        throw new TypeError('Alert levels must be an array or an object keyed by time lag');
+    }
+
+    const classes = {};
+    Object.keys(byTimeLag).forEach(key => {
+        const timeLag = Number(key);
+        if (!ALERT_TIME_LAGS.includes(timeLag)) {
+            throw new TypeError(`Alerts apply to the ${ALERT_TIME_LAGS.join(', ')}-hour classes, not ${key}`);
+        }
+        classes[timeLag] = { levels: resolveAlertLevels(byTimeLag[key], timeLag, hysteresis), peak: null };
+    });
+    if (Object.keys(classes).length === 0) {
+        throw new TypeError('Alerts need at least one fuel class');
+    }
+
+    return { classes: classes };
+}
+
+/**
+ * Updates an alert monitor with one period's moistures and returns the
+ * events it raises.
+ *
+ * Events are `{ type, timeLag, level, threshold, moisture, periods, ...context }`
+ * where `type` is 'enter', 'persist' or 'exit' and `periods` counts the periods
+ * spent in the level, including this one ('exit' gives the total). Leaving a
+ * level also leaves any more severe active level. Within a period, exits come
+ * first (most severe level first), then persisting and entered levels (least
+ * severe first).
+ *
+ * @param {Object} monitor - Monitor from createAlertMonitor (updated in place)
+ * @param {Object} moistures - Moisture (%) of each monitored class keyed by time lag,
+ *   e.g. `{ 1: 5.8, 10: 7.2 }`
+ * @param {Object} [context] - Fields copied onto every event, such as `{ period, timestamp }`
+ * @returns {Array<Object>} - The events for this period
+ * @throws {TypeError} - If a monitored class has no finite moisture
+ */
+function updateAlertMonitor(monitor, moistures, context = {}) {
+    if (!monitor || !monitor.classes || !moistures || typeof moistures !== 'object') {
+        throw new TypeError('updateAlertMonitor needs a monitor and an object of moistures');
+    }
+
+    const events = [];
+    Object.keys(monitor.classes).forEach(key => {
+        const moisture = Number(moistures[key]);
+        if (moistures[key] === undefined || moistures[key] === null || !isFinite(moisture)) {
+            throw new TypeError(`Alerts need a moisture for the ${key}-hour class`);
+        }
+
+        const fuelClass = monitor.classes[key];
+        const event = (type, level) => Object.assign({
+            type: type,
+            timeLag: Number(key),
+            level: level.name,
+            threshold: level.threshold,
+            moisture: moisture,
+            periods: level.periods
+        }, context);
+
+        // The least severe level left; every more severe one goes with it
+        const leaving = fuelClass.levels.findIndex(level =>
+            level.active && moisture > level.threshold + level.hysteresis);
+        for (let i = fuelClass.levels.length - 1; leaving !== -1 && i >= leaving; i--) {
+            const level = fuelClass.levels[i];
+            if (level.active) {
+                level.active = false;
+                events.push(event('exit', level));
+                level.periods = 0;
+            }
+        }
+        fuelClass.levels.forEach((level, i) => {
+            if (level.active) {
+                level.periods++;
+                events.push(event('persist', level));
+            } else if (moisture <= level.threshold) {
+                level.active = true;
+                level.periods = 1;
+                events.push(event('enter', level));
+                const peakIndex = fuelClass.levels.findIndex(candidate => candidate.name === fuelClass.peak);
+                if (i > peakIndex) {
+                    fuelClass.peak = level.name;
+                }
+            }
+        });
+    });
+
+    return events;
+}
+
+/**
+ * Current and most severe alert level of each monitored class.
+ * @private
+ */
+function alertLevels(monitor) {
+    const current = {};
+    const peak = {};
+    Object.keys(monitor.classes).forEach(key => {
+        const active = monitor.classes[key].levels.filter(level => level.active);
+        current[key] = active.length === 0 ? null : active[active.length - 1].name;
+        peak[key] = monitor.classes[key].peak;
+    });
+    return { current: current, peak: peak };
+}
+
+/**
+ * Creates the running state of runModel and FuelMoistureModel: the fuel
+ * states and the resolved engine, calibration, site and ignition options.
+ * @private
+ */
+function createModelRun(m1, m10, options) {
+    const engine = resolveEngine(options.engine);
+    const calibration = resolveCalibration(options.calibration, engine);
+    const run = {
+        engine: engine,
+        calibration: calibration,
+        fuel1Hr: createFuelState(engine, 1, m1, calibration),
+        fuel10Hr: createFuelState(engine, 10, m10, calibration),
+        largeFuels: createLargeFuelAccumulator(options),
+        ignition: resolveIgnitionOption(options.ignition),
+        site: resolveSite(options.site, options.startDate),
+        assimilation: null,
+        alerts: options.alerts === undefined || options.alerts === false ? null : createAlertMonitor(options.alerts),
+        elapsedHours: 0
+    };
+    checkSiteEngine(run.site, engine);
+    if (run.alerts !== null && run.largeFuels === null && (run.alerts.classes[100] || run.alerts.classes[1000])) {
+        throw new TypeError('Alerts on the 100-hour and 1000-hour classes need initial100hr and initial1000hr');
+    }
+    return run;
+}
+
+/**
+ * Advances a model run through one forecast period and returns the period
+ * result. `period` is the entry's `{ time, gap }` from resolvePeriodHours
+ * (null without timestamps).
+ * @private
+ */
+function stepModelRun(run, entry, hours, index, period) {
+    const temp = Number(entry.temp);
+    const rh = Number(entry.rh);
+
+    if (!isFinite(temp) || !isFinite(rh) || !isFinite(hours) || hours < 0) {
+        throw new TypeError(`Forecast entry ${index} has invalid values`);
+    }
+
+    const weather = {
+        temp: temp,
+        rh: rh,
+        solar: optionalWeatherValue(entry.solar, `Forecast entry ${index} has invalid solar radiation`),
+        precip: optionalWeatherValue(entry.precip, `Forecast entry ${index} has invalid precipitation`)
+    };
+    weather.precipHours = weather.precip > 0 ? hours : 0;
+    if (entry.precipHours !== undefined) {
+        weather.precipHours = optionalWeatherValue(entry.precipHours,
+            `Forecast entry ${index} has invalid precipitation duration`);
+    }
+
+    const site = run.site;
+    let emc = calibratedEMC(computeEMC(temp, rh), run.calibration);
+    if (site !== null) {
+        emc = correctedEMC(emc, siteCorrection(site, periodSiteHour(site, entry, run.elapsedHours, hours, index)));
+    }
+    run.elapsedHours += hours;
+
+    advanceFuelState(run.fuel1Hr, weather, emc, hours);
+    advanceFuelState(run.fuel10Hr, weather, emc, hours);
+    const analyses = run.assimilation === null
+        ? null
+        : assimilatePeriod(run.assimilation, [run.fuel1Hr, run.fuel10Hr], hours, index);
+    const moisture1Hr = run.fuel1Hr.moisture;
+    const moisture10Hr = run.fuel10Hr.moisture;
+
+    const timestamp = period !== null && period.time !== null
+        ? new Date(period.time).toISOString()
+        : null;
+
+    const result = {
+        day: entry.label || timestamp || `Day ${index + 1}`,
+        temp: temp,
+        rh: rh,
+        emc: emc,
+        moisture1Hr: moisture1Hr,
+        moisture10Hr: moisture10Hr
+    };
+
+    // Preserve wind and gusts if provided
+    if (entry.wind !== undefined) {
+        result.wind = entry.wind;
+    }
+    if (entry.gust !== undefined) {
+        result.gust = entry.gust;
+    }
+
+    if (timestamp !== null) {
+        result.timestamp = timestamp;
+        result.hours = hours;
+        if (period.gap) {
+            result.gap = true;
+        }
+    }
+
+    if (run.ignition !== null) {
+        result.probabilityOfIgnition = periodIgnitionProbability(run.ignition, entry, temp, moisture1Hr, index);
+    }
+
+    if (rainDuration(weather, hours) > 0) {
+        result.rainAffected = true;
+    }
+
+    if (run.assimilation !== null) {
+        result.uncertainty = {
+            moisture1Hr: Math.round(Math.sqrt(run.assimilation.filters[1].variance) * 100) / 100,
+            moisture10Hr: Math.round(Math.sqrt(run.assimilation.filters[10].variance) * 100) / 100
+        };
+        if (analyses.length > 0) {
+            result.assimilation = analyses;
+        }
+    }
+
+    if (run.largeFuels !== null) {
+        accumulateLargeFuelPeriod(run.largeFuels, temp, rh, hours, weather.precipHours);
+        result.moisture100Hr = run.largeFuels.state.moisture100Hr;
+        result.moisture1000Hr = run.largeFuels.state.moisture1000Hr;
+    }
+
+    if (run.alerts !== null) {
+        const context = { period: index, day: result.day };
+        if (timestamp !== null) {
+            context.timestamp = timestamp;
+        }
+        result.alerts = updateAlertMonitor(run.alerts, {
+            1: moisture1Hr,
+            10: moisture10Hr,
+            100: result.moisture100Hr,
+            1000: result.moisture1000Hr
+        }, context);
+    }
+
+    return result;
+}
+
+/**
+ * Run a multi-day forecast model for fuel moisture.
+ * Processes forecast data and tracks 1-hour and 10-hour fuel moisture.
+ *
+ * @param {number} initial1hr - Initial 1-hour fuel moisture (%)
+ * @param {number} initial10hr - Initial 10-hour fuel moisture (%)
+ * @param {Array<Object>} forecastEntries - Array of forecast periods
+ * @param {string} [forecastEntries[].label] - Optional label for the period (e.g., "Monday")
+ * @param {number} forecastEntries[].temp - Temperature in Fahrenheit
+ * @param {number} forecastEntries[].rh - Relative humidity (%)
+ * @param {number} [forecastEntries[].hours] - Duration in hours (required unless derived from timestamps)
+ * @param {string|Date} [forecastEntries[].timestamp] - ISO-8601 observation time closing the period;
+ *   the period length is the time since the previous entry
+ * @param {number} [forecastEntries[].wind] - Optional wind speed (preserved in output)
+ * @param {number} [forecastEntries[].solar] - Solar radiation in W/m² (nelson2000 engine)
+ * @param {number} [forecastEntries[].precip] - Rainfall over the period in inches
+ * @param {number} [forecastEntries[].precipHours] - Rainfall duration in hours at the start of the
+ *   period (defaults to the whole period when `precip` is positive)
+ * @param {number} [forecastEntries[].cloudCover] - Cloud cover fraction (0-1) for the ignition output
+ * @param {Object} [options] - Model options
+ * @param {string} [options.engine='exponential'] - Moisture engine: 'exponential' or 'nelson2000'
+ * @param {number} [options.initial100hr] - Initial 100-hour moisture; enables the NFDRS large fuel classes
+ * @param {number} [options.initial1000hr] - Initial 1000-hour moisture; enables the NFDRS large fuel classes
+ * @param {number} [options.latitude] - Latitude for NFDRS daylength (with options.startDate)
+ * @param {string|Date} [options.startDate] - Date of the first forecast day
+ * @param {boolean|Object} [options.ignition] - Add `probabilityOfIgnition` to each period;
+ *   pass `{ shading, cloudCover }` (fractions 0-1) to describe fuel exposure
+ * @param {Object} [options.site] - Site descriptor for fine dead fuel moisture corrections
+ *   (see computeSiteCorrection; `site.hour` is the clock hour at the start of the forecast
+ *   and entries may give their own `hour`)
+ * @param {number} [options.maxGapHours] - Timestamp intervals longer than this are flagged as gaps
+ *   (defaults to twice the median interval)
+ * @param {number} [options.resampleHours] - Resample timestamped entries to this regular interval first
+ * @param {Object} [options.calibration] - Fitted time lags and EMC adjustment from calibrateFuelMoisture
+ * @param {Array<Object>} [options.observations] - Measured moistures to assimilate:
+ *   `{ timestamp | period, moisture, timeLag = 10, uncertainty = 1 }` (1- or 10-hour fuels, uncertainty
+ *   as a standard deviation in %)
+ * @param {Object} [options.assimilation] - Filter settings: `initialUncertainty` (%) and
+ *   `processVariance` (`{ 1, 10 }`, %² per hour)
+ * @param {boolean|Object} [options.alerts] - Moisture alert levels (see createAlertMonitor); each
+ *   period carries its `alerts` events, the results carry every event in `alerts`, and the summary
+ *   gives the final and most severe level of each class in `alertLevels` and `peakAlertLevels`
+ * @returns {Object} - Results object with daily moisture values and summary; periods with
+ *   wetting rain carry `rainAffected: true` and are listed in `summary.rainAffectedPeriods`.
+ *   Timestamped periods carry `timestamp` and `hours`, and gaps carry `gap: true` and are listed
+ *   in `summary.gapPeriods`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runModel(initial1hr, initial10hr, forecastEntries, options = {}) {
+    const m1 = Number(initial1hr);
+    const m10 = Number(initial10hr);
+
+    if (!isFinite(m1) || !isFinite(m10)) {
+        throw new TypeError('Initial moisture values must be finite numbers');
+    }
+
+    if (!Array.isArray(forecastEntries) || forecastEntries.length === 0) {
+        throw new TypeError('Forecast entries must be a non-empty array');
+    }
+
+    const entries = maybeResample(forecastEntries, options);
+    const periods = resolvePeriodHours(entries, options.maxGapHours);
+    const run = createModelRun(m1, m10, options);
+    run.assimilation = resolveAssimilation(options, periods, entries.length, run.engine);
+    const dailyResults = [];
+    const rainAffectedPeriods = [];
+    const gapPeriods = [];
+    const alerts = [];
+    let firstCritical1HrDay = null;
+    let firstCritical10HrDay = null;
+
+    entries.forEach((entry, index) => {
+        const hours = periods === null ? Number(entry.hours) : Number(periods[index].hours);
+        const result = stepModelRun(run, entry, hours, index, periods === null ? null : periods[index]);
+        const dayLabel = result.day;
+
+        // Check for critical moisture (≤6%)
+        if (firstCritical1HrDay === null && result.moisture1Hr <= CRITICAL_MOISTURE_THRESHOLD) {
+            firstCritical1HrDay = dayLabel;
+        }
+        if (firstCritical10HrDay === null && result.moisture10Hr <= CRITICAL_MOISTURE_THRESHOLD) {
+            firstCritical10HrDay = dayLabel;
+        }
+        if (result.gap) {
+            gapPeriods.push(dayLabel);
+        }
+        if (result.rainAffected) {
+            rainAffectedPeriods.push(dayLabel);
+        }
+        if (result.alerts !== undefined) {
+            alerts.push(...result.alerts);
+        }
+
+        dailyResults.push(result);
+    });
+
+    const summary = {
+        firstCritical1HrDay: firstCritical1HrDay,
+        firstCritical10HrDay: firstCritical10HrDay,
+        final1Hr: run.fuel1Hr.moisture,
+        final10Hr: run.fuel10Hr.moisture,
+        finalMoisture1Hr: run.fuel1Hr.moisture,
+        finalMoisture10Hr: run.fuel10Hr.moisture,
+        rainAffectedPeriods: rainAffectedPeriods
+    };
+
+    if (periods !== null) {
+        summary.gapPeriods = gapPeriods;
+    }
+
+    if (run.assimilation !== null) {
+        summary.assimilatedObservations = run.assimilation.assimilated;
+        summary.unmatchedObservations = run.assimilation.unmatched;
+    }
+
+    if (run.largeFuels !== null) {
+        summary.final100Hr = run.largeFuels.state.moisture100Hr;
+        summary.final1000Hr = run.largeFuels.state.moisture1000Hr;
+        summary.largeFuelDays = run.largeFuels.days;
+    }
+
+    const results = {
+        initial1hr: m1,
+        initial10hr: m10,
+        dailyResults: dailyResults,
+        summary: summary
+    };
+
+    if (run.alerts !== null) {
+        const levels = alertLevels(run.alerts);
+        summary.alertLevels = levels.current;
+        summary.peakAlertLevels = levels.peak;
+        results.alerts = alerts;
+    }
+
+    return results;
+}
+
+/**
+ * Restores a serialized FuelMoistureModel state onto a model.
+ * @private
+ */
+function restoreModelState(model, data) {
+    const run = model.run;
+    ['fuel1Hr', 'fuel10Hr'].forEach(key => {
+        const fuel = data[key];
+        if (!fuel || !isFinite(fuel.moisture) || fuel.engine !== run.engine) {
+            throw new TypeError(`Model state has an invalid ${key} fuel state`);
+        }
+        run[key] = JSON.parse(JSON.stringify(fuel));
+    });
+    if ((data.largeFuels === null || data.largeFuels === undefined) !== (run.largeFuels === null)) {
+        throw new TypeError('Model state large fuels do not match its options');
+    }
+    if (run.largeFuels !== null) {
+        run.largeFuels = JSON.parse(JSON.stringify(data.largeFuels));
+    }
+    if (run.assimilation !== null) {
+        run.assimilation.filters = JSON.parse(JSON.stringify(data.filters));
+    }
+    if (run.alerts !== null && data.alerts) {
+        run.alerts = JSON.parse(JSON.stringify(data.alerts));
+    }
+    run.elapsedHours = Number(data.elapsedHours) || 0;
+    model.periods = Number(data.periods) || 0;
+    model.lastTime = timestampMillis(data.timestamp, 'Model state has an invalid timestamp');
+}
+
+/**
+ * Fuel moisture model that keeps its state between runs.
+ *
+ * Where runModel starts from initial moistures on every call, a
+ * FuelMoistureModel holds the current 1-hour and 10-hour states (and the
+ * NFDRS 100-hour and 1000-hour states when given initial values) and
+ * advances them as new weather arrives. It steps with the same code as
+ * runModel, so feeding a forecast in pieces gives the same results as one
+ * runModel call. `toJSON` and `FuelMoistureModel.fromJSON` save and restore
+ * the exact state, including unrounded Nelson stick profiles and filter
+ * variances, so a scheduled job can continue where the last run stopped.
+ *
+ * With the exponential engine the model tracks the uncertainty of each
+ * state, and `assimilate` blends measured moistures into it.
+ */
+class FuelMoistureModel {
+    /**
+     * @param {Object} options - Model settings
+     * @param {number} options.initial1hr - Initial 1-hour fuel moisture (%)
+     * @param {number} options.initial10hr - Initial 10-hour fuel moisture (%)
+     * @param {number} [options.initial100hr] - Initial 100-hour moisture (with initial1000hr enables the
+     *   NFDRS large fuel classes)
+     * @param {number} [options.initial1000hr] - Initial 1000-hour moisture
+     * @param {string} [options.engine='exponential'] - Moisture engine: 'exponential' or 'nelson2000'
+     * @param {Object} [options.site] - Site descriptor for fine dead fuel moisture corrections
+     * @param {Object} [options.calibration] - Fitted parameters from calibrateFuelMoisture
+     * @param {boolean|Object} [options.ignition] - Add `probabilityOfIgnition` to each period
+     * @param {number} [options.latitude] - Latitude for NFDRS daylength (with options.startDate)
+     * @param {string|Date} [options.startDate] - Date of the first period
+     * @param {number} [options.maxGapHours] - Timestamp intervals longer than this are flagged as gaps
+     * @param {Object} [options.assimilation] - Filter settings (see runModel)
+     * @param {boolean|Object} [options.alerts] - Moisture alert levels (see createAlertMonitor); the
+     *   alert state carries over between updates
+     * @throws {TypeError} - If the settings are invalid
+     */
+    constructor(options) {
+        const settings = options || {};
+        const m1 = Number(settings.initial1hr);
+        const m10 = Number(settings.initial10hr);
+
+        if (settings.initial1hr === undefined || settings.initial10hr === undefined ||
+            !isFinite(m1) || !isFinite(m10)) {
+            throw new TypeError('Initial moisture values must be finite numbers');
+        }
+
+        this.options = {};
+        MODEL_STATE_OPTIONS.forEach(key => {
+            if (settings[key] !== undefined) {
+                this.options[key] = JSON.parse(JSON.stringify(settings[key]));
+            }
+        });
+        this.run = createModelRun(m1, m10, settings);
+        if (this.run.engine === EXPONENTIAL_ENGINE) {
+            this.run.assimilation = {
+                filters: createAssimilationFilters(settings.assimilation),
+                byPeriod: null,
+                unmatched: [],
+                assimilated: 0
+            };
+        }
+        this.periods = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Advances the model through new weather periods. Timestamped entries
+     * take their length from the previous timestamp, including the last
+     * one of the previous update. A new model's first timestamped entry
+     * takes the following interval; when there is none and it gives no
+     * `hours`, the initial moistures are taken to be valid at its time and
+     * it is stepped over zero hours. If any entry is invalid the model is
+     * left unchanged.
+     *
+     * @param {Object|Array<Object>} entries - One or more runModel forecast entries
+     * @returns {Array<Object>} - The period results, as in runModel's dailyResults
+     * @throws {TypeError} - If an entry is invalid
+     */
+    update(entries) {
+        const list = Array.isArray(entries) ? entries : [entries];
+        if (list.length === 0 || list.some(entry => !entry || typeof entry !== 'object')) {
+            throw new TypeError('Entries must be a forecast entry or a non-empty array of entries');
+        }
+
+        const previous = this.lastTime === null ? [] : [{ timestamp: new Date(this.lastTime).toISOString() }];
+        const timing = resolvePeriodHours(previous.concat(list), this.options.maxGapHours,
+            this.lastTime === null ? 0 : undefined);
+        const periods = timing === null ? null : timing.slice(previous.length);
+        const snapshot = this.toJSON();
+        const results = [];
+
+        try {
+            list.forEach((entry, i) => {
+                const hours = periods === null ? Number(entry.hours) : Number(periods[i].hours);
+                results.push(stepModelRun(this.run, entry, hours, this.periods, periods === null ? null : periods[i]));
+                this.periods++;
+                if (periods !== null && periods[i].time !== null) {
+                    this.lastTime = periods[i].time;
+                }
+            });
+        } catch (error) {
+            restoreModelState(this, snapshot);
+            throw error;
+        }
+
+        return results;
+    }
+
+    /**
+     * Blends measured moistures into the current state with the scalar
+     * Kalman filter (exponential engine only).
+     *
+     * @param {Object|Array<Object>} observations - `{ moisture, timeLag = 10, uncertainty = 1 }`
+     * @returns {Array<Object>} - `{ timeLag, observed, uncertainty, forecast, innovation, gain, analysis }`
+     *   for each observation
+     * @throws {TypeError} - If an observation is invalid
+     */
+    assimilate(observations) {
+        if (this.run.assimilation === null) {
+            throw new TypeError('Observation assimilation applies to the exponential engine only');
+        }
+        const list = Array.isArray(observations) ? observations : [observations];
+        const measurements = list.map((observation, i) => resolveMeasurement(observation, i));
+
+        return measurements.map(measurement => {
+            const fuel = measurement.timeLag === 1 ? this.run.fuel1Hr : this.run.fuel10Hr;
+            return applyMeasurement(fuel, this.run.assimilation.filters[measurement.timeLag], measurement);
+        });
+    }
+
+    /**
+     * The current moistures, with `uncertainty` (standard deviations in %)
+     * for the exponential engine and the active alert level of each class
+     * when alerts are set.
+     * @returns {Object} - `{ periods, timestamp, moisture1Hr, moisture10Hr, moisture100Hr?,
+     *   moisture1000Hr?, uncertainty?, alertLevels? }`
+     */
+    get state() {
+        const state = {
+            periods: this.periods,
+            timestamp: this.lastTime === null ? null : new Date(this.lastTime).toISOString(),
+            moisture1Hr: this.run.fuel1Hr.moisture,
+            moisture10Hr: this.run.fuel10Hr.moisture
+        };
+        if (this.run.largeFuels !== null) {
+            state.moisture100Hr = this.run.largeFuels.state.moisture100Hr;
+            state.moisture1000Hr = this.run.largeFuels.state.moisture1000Hr;
+        }
+        if (this.run.assimilation !== null) {
+            state.uncertainty = {
+                moisture1Hr: Math.round(Math.sqrt(this.run.assimilation.filters[1].variance) * 100) / 100,
+                moisture10Hr: Math.round(Math.sqrt(this.run.assimilation.filters[10].variance) * 100) / 100
+            };
+        }
+        if (this.run.alerts !== null) {
+            state.alertLevels = alertLevels(this.run.alerts).current;
+        }
+        return state;
+    }
+
+    /**
+     * Serializable copy of the settings and full state (used by JSON.stringify).
+     * @returns {Object} - Plain object for FuelMoistureModel.fromJSON
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify({
+            version: MODEL_STATE_VERSION,
+            options: this.options,
+            periods: this.periods,
+            timestamp: this.lastTime === null ? null : new Date(this.lastTime).toISOString(),
+            elapsedHours: this.run.elapsedHours,
+            fuel1Hr: this.run.fuel1Hr,
+            fuel10Hr: this.run.fuel10Hr,
+            largeFuels: this.run.largeFuels,
+            filters: this.run.assimilation === null ? null : this.run.assimilation.filters,
+            alerts: this.run.alerts
+        }));
+    }
+
+    /**
+     * Restores a model saved with toJSON.
+     *
+     * @param {Object|string} json - The toJSON object or its JSON text
+     * @returns {FuelMoistureModel} - A model that continues exactly where the saved one stopped
+     * @throws {TypeError} - If the saved state is invalid
+     */
+    static fromJSON(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new TypeError(`Model state is not valid JSON: ${error.message}`);
+            }
+        }
+        if (!data || typeof data !== 'object' || data.version !== MODEL_STATE_VERSION) {
+            throw new TypeError(`Model state must be a version ${MODEL_STATE_VERSION} FuelMoistureModel state`);
+        }
+        if (!data.fuel1Hr || !data.fuel10Hr) {
+            throw new TypeError('Model state is missing its fuel states');
+        }
+
+        const options = Object.assign({}, data.options, {
+            initial1hr: data.fuel1Hr.moisture,
+            initial10hr: data.fuel10Hr.moisture
+        });
+        if (data.largeFuels) {
+            options.initial100hr = data.largeFuels.state.moisture100Hr;
+            options.initial1000hr = data.largeFuels.state.moisture1000Hr;
+        }
+        const model = new FuelMoistureModel(options);
+        restoreModelState(model, data);
+        return model;
+    }
+}
+
+/**
+ * Runs a FuelMoistureModel over a feed of weather records, yielding the
+ * updated moistures after each one.
+ *
+ * `source` may be any async or sync iterable, such as a Node.js stream in
+ * object mode or an async generator reading station telemetry. Records are
+ * pulled one at a time: the next record is read only when the consumer asks
+ * for the next result, so a slow consumer holds back the feed instead of
+ * buffering it. Breaking out of the loop closes the source.
+ *
+ * The first timestamped record starts the clock (see FuelMoistureModel#update).
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} source - runModel forecast entries
+ *   `{ timestamp | hours, temp, rh, wind?, solar?, precip?, precipHours? }`
+ * @param {Object} [options] - FuelMoistureModel settings (initial1hr, initial10hr, ...)
+ * @param {FuelMoistureModel} [options.model] - Existing model to continue instead of a new one
+ * @param {boolean} [options.skipInvalid=false] - Yield `{ index, record, error }` for an invalid
+ *   record and carry on, instead of throwing
+ * @yields {Object} - `{ index, result, state }`: the period result (as in runModel's
+ *   dailyResults, with its `alerts` events when the model has alerts) and the model state after
+ *   the record
+ * @throws {TypeError} - If the source or options are invalid, or a record is invalid and
+ *   skipInvalid is not set
+ */
+async function* streamMoisture(source, options = {}) {
+    const settings = options || {};
+    if (!source || (typeof source[Symbol.asyncIterator] !== 'function' &&
+        typeof source[Symbol.iterator] !== 'function')) {
+        throw new TypeError('Source must be an iterable or async iterable of records');
+    }
+    if (settings.model !== undefined && !(settings.model instanceof FuelMoistureModel)) {
+        throw new TypeError('Model must be a FuelMoistureModel');
+    }
+
+    const model = settings.model || new FuelMoistureModel(settings);
+    let index = 0;
+
+    for await (const record of source) {
+        let result;
+        try {
+            result = model.update(record)[0];
+        } catch (error) {
+            if (!(error instanceof TypeError) || !settings.skipInvalid) throw error;
+            yield { index: index++, record: record, error: error.message };
+            continue;
+        }
+        yield { index: index++, result: result, state: model.state };
+    }
+}
+
+/**
+ * Creates a seeded uniform random number generator (mulberry32) returning
+ * values in [0, 1).
+ * @private
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draws a standard normal deviate (Box-Muller).
+ * @private
+ */
+function normalRandom(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Validates the ensemble perturbation distributions.
+ * @private
+ */
+function resolvePerturbations(perturbations) {
+    if (perturbations === undefined || perturbations === null) {
+        return null;
+    }
+    if (typeof perturbations !== 'object') {
+        throw new TypeError('Perturbations must be an object');
+    }
+
+    const resolved = {};
+    Object.keys(perturbations).forEach(field => {
+        if (ENSEMBLE_PERTURBED_FIELDS.indexOf(field) === -1) {
+            throw new TypeError(`Cannot perturb ${field}; use ${ENSEMBLE_PERTURBED_FIELDS.join(', ')}`);
+        }
+        const spec = perturbations[field] || {};
+        const sd = Number(spec.sd);
+        const mean = spec.mean === undefined ? 0 : Number(spec.mean);
+        if (!isFinite(sd) || sd < 0 || !isFinite(mean)) {
+            throw new TypeError(`Perturbation for ${field} needs a non-negative sd and a finite mean`);
+        }
+        resolved[field] = { sd: sd, mean: mean, perPeriod: Boolean(spec.perPeriod) };
+    });
+    return resolved;
+}
+
+/**
+ * Returns a copy of the forecast with normally distributed offsets added to
+ * temperature, RH and wind, clamping RH to 0-100 and wind to zero.
+ * @private
+ */
+function perturbForecast(entries, perturbations, random) {
+    const members = entries.map(entry => Object.assign({}, entry));
+    ENSEMBLE_PERTURBED_FIELDS.forEach(field => {
+        const spec = perturbations[field];
+        if (!spec) return;
+        let offset = spec.mean + spec.sd * normalRandom(random);
+        members.forEach(entry => {
+            if (spec.perPeriod) {
+                offset = spec.mean + spec.sd * normalRandom(random);
+            }
+            if (entry[field] === undefined || entry[field] === null) return;
+            let value = Number(entry[field]) + offset;
+            if (field === 'rh') value = Math.min(100, Math.max(0, value));
+            if (field === 'wind') value = Math.max(0, value);
+            entry[field] = value;
+        });
+    });
+    return members;
+}
+
+/**
+ * Linearly interpolated percentile of an ascending array.
+ * @private
+ */
+function percentileOf(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Percentile bands `{ p10, p50, p90, ... }` of a set of values (1 decimal place).
+ * @private
+ */
+function percentileBands(values, percentiles) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const bands = {};
+    percentiles.forEach(percentile => {
+        bands[`p${percentile}`] = Math.round(percentileOf(sorted, percentile) * 10) / 10;
+    });
+    return bands;
+}
+
+/**
+ * Runs runModel over an ensemble of forecasts and reports percentile bands.
+ *
+ * The ensemble is either a list of forecast members (for example the members
+ * of a numerical weather prediction ensemble), or one forecast perturbed by
+ * normal distributions for temperature, RH and wind. A perturbation draws
+ * one offset per member by default, so a warm member stays warm all forecast;
+ * `perPeriod: true` draws a fresh offset each period. Explicit members are
+ * perturbed too when perturbations are given. The seeded generator makes
+ * every run with the same seed identical.
+ *
+ * @param {number} initial1hr - Initial 1-hour fuel moisture (%)
+ * @param {number} initial10hr - Initial 10-hour fuel moisture (%)
+ * @param {Array<Object>|Array<Array<Object>>} forecast - One runModel forecast, or an array of
+ *   forecast members with the same number of periods
+ * @param {Object} [options] - Ensemble options; all runModel options are passed through
+ * @param {Object} [options.perturbations] - `{ temp?, rh?, wind? }`, each `{ sd, mean=0, perPeriod=false }`
+ *   in °F, % RH and mph (required for a single forecast)
+ * @param {number} [options.members=50] - Number of perturbed members for a single forecast
+ * @param {number} [options.seed=1] - Random seed
+ * @param {Array<number>} [options.percentiles=[10, 50, 90]] - Percentile bands to report
+ * @param {number} [options.criticalThreshold=6] - 1-hour moisture threshold for the crossing probability
+ * @returns {Object} - `{ members, seed, periods, summary }`; each period is `{ period, timestamp?,
+ *   moisture1Hr, moisture10Hr, moisture100Hr?, moisture1000Hr?, probabilityCritical }` with
+ *   `{ p10, p50, p90 }` bands per fuel class and the percentage of members that have reached the
+ *   threshold by that period
+ * @throws {TypeError} - If inputs are invalid or a member fails in runModel
+ */
+function runEnsemble(initial1hr, initial10hr, forecast, options = {}) {
+    const settings = options || {};
+
+    if (!Array.isArray(forecast) || forecast.length === 0) {
+        throw new TypeError('Forecast must be a non-empty array of entries or members');
+    }
+
+    const seed = settings.seed === undefined ? ENSEMBLE_DEFAULTS.SEED : Number(settings.seed);
+    if (!isFinite(seed)) {
+        throw new TypeError('Seed must be a finite number');
+    }
+
+    const percentiles = settings.percentiles === undefined ? ENSEMBLE_DEFAULTS.PERCENTILES : settings.percentiles;
+    if (!Array.isArray(percentiles) || percentiles.length === 0 ||
+        percentiles.some(value => typeof value !== 'number' || !(value >= 0 && value <= 100))) {
+        throw new TypeError('Percentiles must be an array of numbers between 0 and 100');
+    }
+
+    const threshold = settings.criticalThreshold === undefined
+        ? CRITICAL_MOISTURE_THRESHOLD
+        : Number(settings.criticalThreshold);
+    if (!isFinite(threshold)) {
+        throw new TypeError('Critical threshold must be a finite number');
+    }
+
+    const perturbations = resolvePerturbations(settings.perturbations);
+    const random = createSeededRandom(seed);
+    let members;
+    if (forecast.every(Array.isArray)) {
+        members = forecast;
+        if (members.some(member => member.length !== members[0].length)) {
+            throw new TypeError('Forecast members must have the same number of periods');
+        }
+    } else {
+        if (perturbations === null) {
+            throw new TypeError('Perturbations are required for a single forecast');
+        }
+        const count = settings.members === undefined ? ENSEMBLE_DEFAULTS.MEMBERS : Number(settings.members);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new TypeError('Members must be a positive integer');
+        }
+        members = Array.from({ length: count }, () => forecast);
+    }
+
+    const results = members.map((member, index) => {
+        const entries = perturbations === null ? member : perturbForecast(member, perturbations, random);
+        try {
+            return runModel(initial1hr, initial10hr, entries, settings);
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+            throw new TypeError(`Ensemble member ${index}: ${error.message}`);
+        }
+    });
+
+    const first = results[0].dailyResults;
+    const fields = ENSEMBLE_MOISTURE_FIELDS.filter(field => first[0][field] !== undefined);
+    const firstCritical = results.map(result =>
+        result.dailyResults.findIndex(day => day.moisture1Hr <= threshold));
+
+    const periods = first.map((day, index) => {
+        const period = { period: day.day };
+        if (day.timestamp !== undefined) {
+            period.timestamp = day.timestamp;
+        }
+        fields.forEach(field => {
+            period[field] = percentileBands(results.map(result => result.dailyResults[index][field]), percentiles);
+        });
+        const crossed = firstCritical.filter(crossing => crossing !== -1 && crossing <= index).length;
+        period.probabilityCritical = Math.round(crossed / results.length * 1000) / 10;
+        return period;
+    });
+
+    const likely = periods.find(period => period.probabilityCritical >= 50);
+
+    return {
+        members: results.length,
+        seed: seed,
+        periods: periods,
+        summary: {
+            final1Hr: periods[periods.length - 1].moisture1Hr,
+            final10Hr: periods[periods.length - 1].moisture10Hr,
+            probabilityCritical: periods[periods.length - 1].probabilityCritical,
+            firstLikelyCritical: likely ? likely.period : null,
+            criticalThreshold: threshold
+        }
+    };
+}
+
+/**
+ * Simulates drying trends for 1-hour, 10-hour and 100-hour fuel classes.
+ *
+ * Two input forms are accepted:
+ *
+ * - Weather series: `{ tempSeries, rhSeries, initialState: { m1, m10, m100 }, timeStep }`
+ *   steps every fuel class through the series and returns an array with one
+ *   entry per step (`step, temp, rh, emc, m1, m10, m100`).
+ * - Constant scenario: `{ initial1hr, initial10hr, initial100hr, tempF, rh,
+ *   durationHours, stepHours }` returns `{ emc, timeSeries, initial, final }`
+ *   with the moisture of each class at every output step from hour 0.
+ *
+ * @param {Object} params - Simulation parameters (see above)
+ * @param {number[]} [params.solarSeries] - Solar radiation per step in W/m² (series form, nelson2000 engine)
+ * @param {number[]} [params.precipSeries] - Rainfall per step in inches (series form)
+ * @param {number[]} [params.precipHoursSeries] - Rainfall duration per step in hours, at the start of
+ *   the step (series form; defaults to the whole step when rain falls)
+ * @param {number} [params.solar] - Solar radiation in W/m² (scenario form, nelson2000 engine)
+ * @param {number} [params.precip] - Total rainfall, spread evenly over the duration, in inches (scenario form)
+ * @param {string} [params.engine='exponential'] - Moisture engine: 'exponential' or 'nelson2000'
+ * @param {Object} [params.site] - Site descriptor for fine dead fuel moisture corrections (see
+ *   computeSiteCorrection); `site.hour` is the clock hour at the start of the simulation
+ * @param {Object} [params.calibration] - Fitted time lags and EMC adjustment from calibrateFuelMoisture
+ * @param {Array<string|Date>} [params.timestamps] - ISO-8601 time closing each step (series form);
+ *   step lengths come from the time since the previous step instead of `timeStep`
+ * @param {number} [params.maxGapHours] - Longest step that is not flagged as a gap (series form;
+ *   defaults to twice the median step)
+ * @param {number} [params.resampleHours] - Resample the timestamped series to this regular step
+ *   first (series form; `precipHoursSeries` is dropped)
+ * @param {boolean|Object} [params.alerts] - Moisture alert levels for the 1-, 10- and 100-hour classes
+ *   (see createAlertMonitor); every step or time point carries its `alerts` events, and the scenario
+ *   form also returns all events with `alertLevels` and `peakAlertLevels`
+ * @returns {Object[]|Object} - Step results (series form) or simulation summary (scenario form);
+ *   steps and time points wetted by rain carry `rainAffected: true`. Timestamped steps carry
+ *   `timestamp` and `hours`, and gaps carry `gap: true`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function simulateDrying(params) {
+    if (!params || typeof params !== 'object') {
+        throw new TypeError('Simulation parameters must be an object');
+    }
+
+    if (params.tempF !== undefined || params.durationHours !== undefined || params.initial1hr !== undefined) {
+        return simulateDryingScenario(params);
+    }
+
+    return simulateDryingSeries(params);
+}
+
+/**
+ * Resamples the series form of simulateDrying onto a regular time grid.
+ * @private
+ */
+function resampleDryingSeries(dryingInputs) {
+    const { tempSeries, rhSeries, solarSeries, precipSeries, timestamps } = dryingInputs;
+
+    if (!Array.isArray(tempSeries) || !Array.isArray(rhSeries) || !Array.isArray(timestamps)) {
+        throw new TypeError('Resampling needs tempSeries, rhSeries and timestamps');
+    }
+
+    const entries = timestamps.map((timestamp, i) => ({
+        timestamp: timestamp,
+        temp: tempSeries[i],
+        rh: rhSeries[i],
+        solar: solarSeries && solarSeries[i],
+        precip: precipSeries && precipSeries[i]
+    }));
+    const resampled = resampleWeather(entries, dryingInputs.resampleHours, { maxGapHours: dryingInputs.maxGapHours });
+    const inputs = Object.assign({}, dryingInputs, {
+        tempSeries: resampled.map(entry => entry.temp),
+        rhSeries: resampled.map(entry => entry.rh),
+        timestamps: resampled.map(entry => entry.timestamp)
+    });
+    delete inputs.resampleHours;
+    delete inputs.precipHoursSeries;
+    if (solarSeries !== undefined) {
+        inputs.solarSeries = resampled.map(entry => entry.solar);
+    }
+    if (precipSeries !== undefined) {
+        inputs.precipSeries = resampled.map(entry => entry.precip);
+    }
+
+    return simulateDryingSeries(inputs, resampled.map(entry => entry.gap === true));
+}
+
+/**
+ * Series form of simulateDrying. `gaps` carries gap flags from resampling.
+ * @private
+ */
+function simulateDryingSeries(dryingInputs, gaps) {
+    if (dryingInputs.resampleHours !== undefined && dryingInputs.resampleHours !== null) {
+        return resampleDryingSeries(dryingInputs);
+    }
+
+    const { tempSeries, rhSeries, initialState, solarSeries, precipSeries, precipHoursSeries, timestamps } = dryingInputs;
+
+    if (!Array.isArray(tempSeries) || !Array.isArray(rhSeries) || !initialState) {
+        throw new TypeError('Drying inputs must contain tempSeries, rhSeries, and initialState');
+    }
+
+    if (tempSeries.length !== rhSeries.length) {
+        throw new TypeError('Temperature and humidity series must have the same length');
+    }
+
+    if ([solarSeries, precipSeries, precipHoursSeries].some(series =>
+        series !== undefined && (!Array.isArray(series) || series.length !== tempSeries.length))) {
+        throw new TypeError('Solar and precipitation series must match the temperature series length');
+    }
+
+    if (timestamps !== undefined && (!Array.isArray(timestamps) || timestamps.length !== tempSeries.length)) {
+        throw new TypeError('Timestamps must match the temperature series length');
+    }
+
+    const timeStep = dryingInputs.timeStep === undefined ? 1.0 : Number(dryingInputs.timeStep);
+    const m1 = initialState.m1 === undefined ? 0 : Number(initialState.m1);
+    const m10 = initialState.m10 === undefined ? 0 : Number(initialState.m10);
+    const m100 = initialState.m100 === undefined ? 0 : Number(initialState.m100);
+
+    if (!isFinite(timeStep) || timeStep <= 0) {
+        throw new TypeError('Time step must be a positive number');
+    }
+
+    if (!isFinite(m1) || !isFinite(m10) || !isFinite(m100)) {
+        throw new TypeError('Initial moisture values must be finite numbers');
+    }
+
+    const engine = resolveEngine(dryingInputs.engine);
+    const site = resolveSite(dryingInputs.site);
+    checkSiteEngine(site, engine);
+    const calibration = resolveCalibration(dryingInputs.calibration, engine);
+    const fuel1 = createFuelState(engine, 1, m1, calibration);
+    const fuel10 = createFuelState(engine, 10, m10, calibration);
+    const fuel100 = createFuelState(engine, 100, m100, calibration);
+    const alerts = dryingInputs.alerts === undefined || dryingInputs.alerts === false
+        ? null
+        : createAlertMonitor(dryingInputs.alerts);
+    const periods = timestamps === undefined ? null : resolvePeriodHours(
+        timestamps.map((timestamp, i) => ({ timestamp: timestamp, gap: gaps !== undefined && gaps[i] })),
+        dryingInputs.maxGapHours, timeStep);
+    const results = [];
+    let elapsedHours = 0;
+
+    for (let i = 0; i < tempSeries.length; i++) {
+        const temp = Number(tempSeries[i]);
+        const rh = Number(rhSeries[i]);
+
+        if (!isFinite(temp) || !isFinite(rh)) {
+            throw new TypeError(`Weather series has invalid values at step ${i}`);
+        }
+
+        const weather = {
+            temp: temp,
+            rh: rh,
+            solar: optionalWeatherValue(solarSeries && solarSeries[i], `Solar series has an invalid value at step ${i}`),
+            precip: optionalWeatherValue(precipSeries && precipSeries[i], `Precipitation series has an invalid value at step ${i}`)
+        };
+        if (precipHoursSeries !== undefined) {
+            weather.precipHours = optionalWeatherValue(precipHoursSeries[i],
+                `Precipitation duration series has an invalid value at step ${i}`);
+        }
+        const period = periods === null ? null : periods[i];
+        const hours = period !== null && period.hours !== undefined ? period.hours : timeStep;
+        let emc = calibratedEMC(computeEMC(temp, rh), calibration);
+        if (site !== null) {
+            emc = correctedEMC(emc, siteCorrection(site, periodSiteHour(site, null, elapsedHours, hours, i)));
+        }
+        elapsedHours += hours;
+
+        const result = {
+            step: i + 1,
+            temp: temp,
+            rh: rh,
+            emc: emc,
+            m1: advanceFuelState(fuel1, weather, emc, hours),
+            m10: advanceFuelState(fuel10, weather, emc, hours),
+            m100: advanceFuelState(fuel100, weather, emc, hours)
+        };
+
+        if (period !== null && period.time !== null) {
+            result.timestamp = new Date(period.time).toISOString();
+            result.hours = hours;
+            if (period.gap) {
+                result.gap = true;
+            }
+        }
+
+        if (rainDuration(weather, hours) > 0) {
+            result.rainAffected = true;
+        }
+
+        if (alerts !== null) {
+            const context = result.timestamp === undefined
+                ? { step: result.step }
+                : { step: result.step, timestamp: result.timestamp };
+            result.alerts = updateAlertMonitor(alerts, { 1: result.m1, 10: result.m10, 100: result.m100 }, context);
+        }
+
+        results.push(result);
+    }
+
+    return results;
+}
+
+/**
+ * Constant-weather scenario form of simulateDrying.
+ * @private
+ */
+function simulateDryingScenario(params) {
+    const {
+        initial1hr,
+        initial10hr,
+        initial100hr,
+        tempF,
+        rh,
+        durationHours,
+        stepHours = 1
+    } = params;
+
+    const M1 = Number(initial1hr);
+    const M10 = Number(initial10hr);
+    const M100 = Number(initial100hr);
+    const T = Number(tempF);
+    const RH = Number(rh);
+    const duration = Number(durationHours);
+    const step = Number(stepHours);
+
+    if (!isFinite(M1) || !isFinite(M10) || !isFinite(M100) ||
+        !isFinite(T) || !isFinite(RH) || !isFinite(duration) || !isFinite(step)) {
+        throw new TypeError('All parameters must be finite numbers');
+    }
+
+    if (duration <= 0 || step <= 0) {
+        throw new TypeError('Duration and step must be positive');
+    }
+
+    const engine = resolveEngine(params.engine);
+    const solar = optionalWeatherValue(params.solar, 'Solar radiation must be a non-negative number');
+    const precip = optionalWeatherValue(params.precip, 'Precipitation must be a non-negative number');
+    const site = resolveSite(params.site);
+    checkSiteEngine(site, engine);
+    const calibration = resolveCalibration(params.calibration, engine);
+    const emc = calibratedEMC(computeEMC(T, RH), calibration);
+
+    const fuels = [
+        createFuelState(engine, 1, M1, calibration),
+        createFuelState(engine, 10, M10, calibration),
+        createFuelState(engine, 100, M100, calibration)
+    ];
+    const initials = [M1, M10, M100];
+    const alerts = params.alerts === undefined || params.alerts === false ? null : createAlertMonitor(params.alerts);
+
+    const timeSeries = [];
+    const numSteps = Math.ceil(duration / step);
+    let previousHour = 0;
+
+    for (let i = 0; i <= numSteps; i++) {
+        // The last step is shortened to end at the duration
+        const t = Math.min(i * step, duration);
+        if (i > 0 && t <= previousHour) break;
+
+        // Without rain or site corrections the exponential model is evaluated
+        // in closed form from hour 0; otherwise every fuel is stepped through
+        // each output interval.
+        const hours = t - previousHour;
+        const weather = { temp: T, rh: RH, solar: solar, precip: precip * hours / duration };
+        const intervalEMC = site === null
+            ? emc
+            : correctedEMC(emc, siteCorrection(site, periodSiteHour(site, null, previousHour, hours, i)));
+        const moistures = fuels.map((fuel, k) => {
+            if (engine === NELSON_ENGINE || site !== null || precip > 0) {
+                return advanceFuelState(fuel, weather, intervalEMC, hours);
+            }
+            return stepMoisture(initials[k], emc, t, fuel.tau);
+        });
+        previousHour = t;
+
+        const point = {
+            hour: t,
+            moisture1hr: moistures[0],
+            moisture10hr: moistures[1],
+            moisture100hr: moistures[2],
+            emc: intervalEMC
+        };
+
+        if (rainDuration(weather, hours) > 0) {
+            point.rainAffected = true;
+        }
+
+        if (alerts !== null) {
+            point.alerts = updateAlertMonitor(alerts, { 1: moistures[0], 10: moistures[1], 100: moistures[2] }, {
+                hour: t
+            });
+        }
+
+        timeSeries.push(point);
+    }
+
+    const last = timeSeries[timeSeries.length - 1];
+    const simulation = {
+        emc: emc,
+        timeSeries: timeSeries,
+        initial: { moisture1hr: M1, moisture10hr: M10, moisture100hr: M100 },
+        final: {
+            moisture1hr: last.moisture1hr,
+            moisture10hr: last.moisture10hr,
+            moisture100hr: last.moisture100hr
+        }
+    };
+
+    if (alerts !== null) {
+        const levels = alertLevels(alerts);
+        simulation.alerts = [].concat(...timeSeries.map(point => point.alerts));
+        simulation.alertLevels = levels.current;
+        simulation.peakAlertLevels = levels.peak;
+    }
+
+    return simulation;
+}
+
+/**
+ * Summarise drying/wetting rates for one fuel field of a moisture series.
+ * @private
+ */
+function summarizeRates(moistureData, field) {
+    const rates = [];
+    for (let i = 1; i < moistureData.length; i++) {
+        const dt = moistureData[i].hour - moistureData[i - 1].hour;
+        if (dt > 0) {
+            rates.push((moistureData[i][field] - moistureData[i - 1][field]) / dt);
+        }
+    }
+
+    if (rates.length === 0) {
+        return { avg: 0, max: 0, min: 0 };
+    }
+
+    const avg = rates.reduce((sum, r) => sum + r, 0) / rates.length;
+    return {
+        avg: Math.round(avg * 100) / 100,
+        max: Math.round(Math.max(...rates) * 100) / 100,
+        min: Math.round(Math.min(...rates) * 100) / 100
+    };
+}
+
+/**
+ * Analyses a moisture time series for drying rates, threshold crossings and
+ * critical periods. Negative rates indicate drying, positive rates wetting.
+ *
+ * @param {Array<Object>} moistureData - Series of `{ hour, moisture1hr, moisture10hr }` points
+ * @param {number} [threshold=6] - Critical moisture threshold (%)
+ * @returns {Object} - `{ dryingRates, thresholdCrossings, criticalPeriods }`
+ * @throws {TypeError} - If the series is empty or the threshold is not finite
+ */
+function analyzeDryingPattern(moistureData, threshold = CRITICAL_MOISTURE_THRESHOLD) {
+    if (!Array.isArray(moistureData) || moistureData.length === 0) {
+        throw new TypeError('Moisture data must be a non-empty array');
+    }
+
+    const limit = Number(threshold);
+    if (!isFinite(limit)) {
+        throw new TypeError('Threshold must be a finite number');
+    }
+
+    const firstCrossing = (field) => {
+        const point = moistureData.find(p => Number(p[field]) <= limit);
+        return point ? point.hour : null;
+    };
+
+    // Critical periods are contiguous runs of 1-hour moisture at or below the threshold
+    const criticalPeriods = [];
+    let current = null;
+    moistureData.forEach(point => {
+        if (Number(point.moisture1hr) <= limit) {
+            if (current === null) {
+                current = { start: point.hour, end: point.hour };
+            } else {
+                current.end = point.hour;
+            }
+        } else if (current !== null) {
+            criticalPeriods.push(current);
+            current = null;
+        }
+    });
+    if (current !== null) {
+        criticalPeriods.push(current);
+    }
+    criticalPeriods.forEach(period => {
+        period.duration = period.end - period.start;
+    });
+
+    return {
+        dryingRates: {
+            fuel1hr: summarizeRates(moistureData, 'moisture1hr'),
+            fuel10hr: summarizeRates(moistureData, 'moisture10hr')
+        },
+        thresholdCrossings: {
+            fuel1hr: firstCrossing('moisture1hr'),
+            fuel10hr: firstCrossing('moisture10hr')
+        },
+        criticalPeriods: criticalPeriods
+    };
+}
+
+/**
+ * Fills missing temperature and humidity values by linear interpolation.
+ * Gaps at the start or end of the series take the nearest available value.
+ * Entries are copied; the input array is not modified.
+ *
+ * @param {Array<Object>} weatherData - Series of `{ temp, rh, ... }` entries (null/undefined/NaN = missing)
+ * @returns {Array<Object>} - New series with gaps filled
+ * @throws {TypeError} - If weatherData is not an array
+ */
+function interpolateWeatherData(weatherData) {
+    if (!Array.isArray(weatherData)) {
+        throw new TypeError('Weather data must be an array');
+    }
+
+    const result = weatherData.map(entry => Object.assign({}, entry));
+
+    ['temp', 'rh'].forEach(field => {
+        const known = [];
+        result.forEach((entry, index) => {
+            if (entry[field] !== null && entry[field] !== undefined && isFinite(Number(entry[field]))) {
+                known.push(index);
+            }
+        });
+
+        if (known.length === 0) {
+            return;
+        }
+
+        result.forEach((entry, index) => {
+            if (known.indexOf(index) !== -1) {
+                return;
+            }
+
+            const before = known.filter(k => k < index).pop();
+            const after = known.find(k => k > index);
+
+            if (before === undefined) {
+                entry[field] = Number(result[after][field]);
+            } else if (after === undefined) {
+                entry[field] = Number(result[before][field]);
+            } else {
+                const v0 = Number(result[before][field]);
+                const v1 = Number(result[after][field]);
+                entry[field] = v0 + (v1 - v0) * (index - before) / (after - before);
+            }
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Resamples timestamped observations onto a regular grid starting at the
+ * first timestamp. Each observation describes the period ending at its
+ * timestamp: temperature, humidity, wind and solar radiation are
+ * interpolated linearly in time, and rainfall is shared out by overlap with
+ * each grid interval. Grid points falling in a gap of the source data carry
+ * `gap: true`.
+ *
+ * @param {Array<Object>} weatherData - `{ timestamp, temp, rh, wind?, solar?, precip?, hours? }` entries
+ *   with ISO-8601 timestamps in increasing order
+ * @param {number} intervalHours - Grid spacing in hours
+ * @param {Object} [options] - Resampling options
+ * @param {number} [options.maxGapHours] - Longest interval that is not a gap (defaults to twice the
+ *   median interval)
+ * @returns {Array<Object>} - `{ timestamp, hours, temp, rh, ... }` entries; timestamps are ISO strings (UTC)
+ * @throws {TypeError} - If inputs are invalid
+ */
+function resampleWeather(weatherData, intervalHours, options = {}) {
+    if (!Array.isArray(weatherData) || weatherData.length === 0) {
+        throw new TypeError('Weather data must be a non-empty array');
+    }
+
+    const step = Number(intervalHours);
+    if (!isFinite(step) || step <= 0) {
+        throw new TypeError('Resampling interval must be a positive number of hours');
+    }
+
+    const periods = resolvePeriodHours(weatherData, (options || {}).maxGapHours, step);
+    if (periods === null || periods.some(period => period.time === null)) {
+        throw new TypeError('Every entry needs an ISO-8601 timestamp to be resampled');
+    }
+
+    const first = periods[0].time;
+    const last = periods[periods.length - 1].time;
+    const stepMs = step * MS_PER_HOUR;
+    const periodMs = periods.map(period => (period.hours > 0 ? period.hours : step) * MS_PER_HOUR);
+    const longestMs = Math.max.apply(null, periodMs);
+    const resampled = [];
+
+    // Both the grid and the periods are sorted by time, so the interpolation index and the
+    // first period that can still overlap a grid step only ever move forward.
+    let after = 0;
+    let earliest = 0;
+    for (let time = first, k = 0; time <= last; time = first + (++k) * stepMs) {
+        while (periods[after].time < time) {
+            after++;
+        }
+        while (periods[earliest].time <= time - stepMs) {
+            earliest++;
+        }
+        const before = periods[after].time === time ? after : after - 1;
+
+        const entry = { timestamp: new Date(time).toISOString(), hours: step };
+        const fraction = before === after ? 0 :
+            (time - periods[before].time) / (periods[after].time - periods[before].time);
+
+        ['temp', 'rh', 'wind', 'solar'].forEach(field => {
+            const v0 = weatherData[before][field];
+            const v1 = weatherData[after][field];
+            if (v0 === undefined || v0 === null) {
+                return;
+            }
+            const a = Number(v0);
+            const b = v1 === undefined || v1 === null ? a : Number(v1);
+            entry[field] = Math.round((a + (b - a) * fraction) * 10) / 10;
+        });
+
+        let precip = 0;
+        let rainfall = false;
+        let gap = false;
+        for (let index = earliest; index < periods.length && periods[index].time - longestMs < time; index++) {
+            const period = periods[index];
+            const overlap = Math.min(period.time, time) - Math.max(period.time - periodMs[index], time - stepMs);
+            if (overlap <= 0) {
+                continue;
+            }
+            gap = gap || period.gap;
+            const value = weatherData[index].precip;
+            if (value !== undefined && value !== null) {
+                rainfall = true;
+                precip += optionalWeatherValue(value, `Entry ${index} has invalid precipitation`) *
+                    overlap / periodMs[index];
+            }
+        }
+
+        if (rainfall) {
+            entry.precip = Math.round(precip * 1000) / 1000;
+        }
+        if (gap) {
+            entry.gap = true;
+        }
+        resampled.push(entry);
+    }
+
+    return resampled;
+}
+
+/**
+ * Reads an optional numeric archive field; blank fields are missing (null).
+ * @private
+ */
+function archiveNumber(text, field) {
+    const trimmed = text === undefined ? '' : String(text).trim();
+    if (trimmed === '') {
+        return null;
+    }
+    const value = Number(trimmed);
+    if (!isFinite(value)) {
+        throw new TypeError(`Invalid ${field}: '${trimmed}'`);
+    }
+    return value;
+}
+
+/**
+ * Splits archive text into lines and runs `parseLine` on each non-blank
+ * line, collecting records and per-line errors.
+ * @private
+ */
+function parseArchiveLines(text, parseLine) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Archive contents must be a string');
+    }
+
+    const records = [];
+    const errors = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+        try {
+            const record = parseLine(line, index);
+            if (record !== null) {
+                records.push(record);
+            }
+        } catch (error) {
+            if (!(error instanceof TypeError)) {
+                throw error;
+            }
+            errors.push({ line: index + 1, text: line, message: error.message });
+        }
+    });
+
+    return { records: records, errors: errors };
+}
+
+/**
+ * Formats a UTC offset in hours as an ISO-8601 suffix ('' when not given).
+ * @private
+ */
+function utcOffsetSuffix(utcOffset) {
+    if (utcOffset === undefined || utcOffset === null) {
+        return '';
+    }
+    const offset = Number(utcOffset);
+    if (!isFinite(offset) || Math.abs(offset) > 14) {
+        throw new TypeError('UTC offset must be a number of hours between -14 and 14');
+    }
+    const minutes = Math.round(Math.abs(offset) * 60);
+    const pad = value => String(value).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Relative humidity from an FW13 wet bulb or dew point temperature (°C).
+ * @private
+ */
+function humidityFromTemperatures(tempC, moistureC, moistureType) {
+    const saturation = saturationVaporPressure(tempC);
+    let vapor;
+    if (moistureType === 1) {
+        const psychrometer = 0.00066 * (1 + 0.00115 * moistureC) * STANDARD_PRESSURE_HPA;
+        vapor = saturationVaporPressure(moistureC) - psychrometer * (tempC - moistureC);
+    } else {
+        vapor = saturationVaporPressure(moistureC);
+    }
+    return Math.round(Math.max(0, Math.min(100, 100 * vapor / saturation)) * 10) / 10;
+}
+
+/**
+ * Parses one FW13 weather record.
+ * @private
+ */
+function parseFW13Line(line, offsetSuffix) {
+    if (line.length < FW13_MIN_LENGTH) {
+        throw new TypeError(`Record is ${line.length} characters; FW13 records need at least ${FW13_MIN_LENGTH}`);
+    }
+
+    const raw = {};
+    FW13_COLUMNS.forEach(([name, column, width]) => {
+        raw[name] = line.slice(column - 1, column - 1 + width);
+    });
+
+    if (raw.recordType !== 'W13') {
+        throw new TypeError(`Unknown record type '${raw.recordType}'`);
+    }
+
+    const stationId = raw.stationId.trim();
+    if (stationId === '') {
+        throw new TypeError('Missing station ID');
+    }
+
+    const dateMatch = /^(\d{4})(\d{2})(\d{2})$/.exec(raw.date);
+    const timeMatch = /^([01]\d|2[0-3])([0-5]\d)$/.exec(raw.time.replace(/ /g, '0'));
+    if (!dateMatch || !timeMatch) {
+        throw new TypeError(`Invalid observation date/time '${raw.date} ${raw.time}'`);
+    }
+    const [, year, month, day] = dateMatch.map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        throw new TypeError(`Invalid observation date '${raw.date}'`);
+    }
+
+    const moistureType = raw.moistureType.trim() === '' ? 2 : archiveNumber(raw.moistureType, 'moisture type code');
+    const measurementType = raw.measurementType.trim() === '' ? 1 : archiveNumber(raw.measurementType, 'measurement type code');
+    if ([1, 2, 3].indexOf(moistureType) === -1) {
+        throw new TypeError(`Unknown moisture type code ${moistureType}`);
+    }
+    if (measurementType !== 1 && measurementType !== 2) {
+        throw new TypeError(`Unknown measurement type code ${measurementType}`);
+    }
+
+    const metric = measurementType === 2;
+    const toF = value => value === null ? null : Math.round((metric ? celsiusToFahrenheit(value) : value) * 10) / 10;
+    const toMph = value => value === null ? null : Math.round((metric ? value / MPH_TO_KMH : value) * 10) / 10;
+    const number = name => archiveNumber(raw[name], name);
+
+    const temp = number('temp');
+    const moisture = number('moisture');
+    let rh = moisture;
+    if (moistureType !== 2 && temp !== null && moisture !== null) {
+        const tempC = metric ? temp : fahrenheitToCelsius(temp);
+        const moistureC = metric ? moisture : fahrenheitToCelsius(moisture);
+        rh = humidityFromTemperatures(tempC, moistureC, moistureType);
+    } else if (moistureType !== 2) {
+        rh = null;
+    }
+    if (rh !== null && (rh < 0 || rh > 100)) {
+        throw new TypeError(`Relative humidity ${rh} is outside 0-100`);
+    }
+
+    let precip = null;
+    if (raw.precip.trim() !== '') {
+        precip = raw.precip.indexOf('.') === -1
+            ? number('precip') / FW13_PRECIP_SCALE[metric ? 'metric' : 'english']
+            : number('precip');
+        precip = Math.round((metric ? precip / INCHES_TO_MM : precip) * 1000) / 1000;
+    }
+
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        stationId: stationId,
+        timestamp: `${year}-${pad(month)}-${pad(day)}T${timeMatch[1]}:${timeMatch[2]}:00${offsetSuffix}`,
+        temp: toF(temp),
+        rh: rh,
+        wind: toMph(number('wind')),
+        windDirection: number('windDirection'),
+        precip: precip,
+        solar: number('solar'),
+        observationType: raw.observationType.trim() || null,
+        stateOfWeather: number('stateOfWeather'),
+        moisture10Hr: number('moisture10Hr'),
+        tempMax: toF(number('tempMax')),
+        tempMin: toF(number('tempMin')),
+        rhMax: number('rhMax'),
+        rhMin: number('rhMin'),
+        precipHours: number('precipHours'),
+        gust: toMph(number('gust')),
+        gustDirection: number('gustDirection')
+    };
+}
+
+/**
+ * Parses an FW13 fire weather archive (fixed-width NFDRS weather records,
+ * one observation per line).
+ *
+ * Temperatures, wind and precipitation are returned in °F, mph and inches
+ * whatever the record's measurement type, and wet bulb or dew point
+ * readings are converted to relative humidity. Blank fields are `null`, so
+ * the records can go through `interpolateWeatherData` and straight into
+ * `predictDryingTrend` (the timestamps set each period's length).
+ *
+ * @param {string} text - Archive contents
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.utcOffset] - Station UTC offset in hours added to the timestamps
+ *   (local time without it)
+ * @returns {Object} - `{ records, errors }`; records hold `stationId, timestamp, temp, rh, wind,
+ *   windDirection, precip, solar` plus the daily FW13 fields, and each error is
+ *   `{ line, text, message }` for a malformed line
+ * @throws {TypeError} - If the text is not a string or the offset is invalid
+ */
+function parseFW13(text, options = {}) {
+    const offsetSuffix = utcOffsetSuffix((options || {}).utcOffset);
+    return parseArchiveLines(text, line => parseFW13Line(line, offsetSuffix));
+}
+
+/**
+ * Parses an FW21 fire weather archive (comma-separated hourly observations
+ * with a header row naming the columns).
+ *
+ * Columns are matched by name, case-insensitively; `StationID`,
+ * `ObservationTime`, `Temperature` and `RelativeHumidity` are required.
+ * Fields may be double-quoted to hold commas. Blank values are `null`, and
+ * other columns (such as the quality flags) are ignored.
+ *
+ * @param {string} text - Archive contents
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.units='imperial'] - 'imperial' (°F, mph, inches) or 'metric' (°C, km/h, mm);
+ *   records are always imperial
+ * @returns {Object} - `{ records, errors }`; records hold `stationId, timestamp, temp, rh, wind,
+ *   windDirection, precip, solar, gust, gustDirection, snowFlag`, and each error is
+ *   `{ line, text, message }` for a malformed line (including a bad header)
+ * @throws {TypeError} - If the text is not a string or the units are unknown
+ */
+function parseFW21(text, options = {}) {
+    const settings = options || {};
+    const units = settings.units === undefined ? 'imperial' : settings.units;
+    if (units !== 'imperial' && units !== 'metric') {
+        throw new TypeError(`Unknown units: ${units}`);
+    }
+    const metric = units === 'metric';
+    let fields = null;
+
+    return parseArchiveLines(text, line => {
+        const cells = splitDelimitedLine(line, ',');
+
+        if (fields === null) {
+            const names = cells.map(cell => cell.toLowerCase());
+            const missing = FW21_REQUIRED_COLUMNS.filter(name => names.indexOf(name.toLowerCase()) === -1);
+            if (missing.length > 0) {
+                fields = [];
+                throw new TypeError(`Header is missing required columns: ${missing.join(', ')}`);
+            }
+            fields = names.map(name => FW21_COLUMNS[name] || null);
+            return null;
+        }
+
+        if (fields.length === 0) {
+            throw new TypeError('No valid header row');
+        }
+        if (cells.length !== fields.length) {
+            throw new TypeError(`Expected ${fields.length} fields but found ${cells.length}`);
+        }
+
+        const raw = {};
+        fields.forEach((field, i) => {
+            if (field !== null) {
+                raw[field] = cells[i];
+            }
+        });
+
+        if (raw.stationId === '') {
+            throw new TypeError('Missing station ID');
+        }
+        if (timestampMillis(raw.timestamp, `Invalid observation time '${raw.timestamp}'`) === null) {
+            throw new TypeError(`Invalid observation time '${raw.timestamp}'`);
+        }
+
+        const number = name => archiveNumber(raw[name], name);
+        const temp = number('temp');
+        const rh = number('rh');
+        const wind = number('wind');
+        const gust = number('gust');
+        const precip = number('precip');
+        if (rh !== null && (rh < 0 || rh > 100)) {
+            throw new TypeError(`Relative humidity ${rh} is outside 0-100`);
+        }
+        if (precip !== null && precip < 0) {
+            throw new TypeError(`Negative precipitation ${precip}`);
+        }
+
+        const round = value => Math.round(value * 10) / 10;
+        const toMph = value => value === null || !metric ? value : round(value / MPH_TO_KMH);
+        const snowFlag = raw.snowFlag === undefined || raw.snowFlag === '' ? null : raw.snowFlag.toUpperCase() === 'Y';
+
+        return {
+            stationId: raw.stationId,
+            timestamp: raw.timestamp,
+            temp: temp === null || !metric ? temp : round(celsiusToFahrenheit(temp)),
+            rh: rh,
+            wind: toMph(wind),
+            windDirection: number('windDirection'),
+            precip: precip === null || !metric ? precip : Math.round(precip / INCHES_TO_MM * 1000) / 1000,
+            solar: number('solar'),
+            gust: toMph(gust),
+            gustDirection: number('gustDirection'),
+            snowFlag: snowFlag
+        };
+    });
+}
+
+/**
+ * Splits one delimited line, honouring double-quoted fields ("" escapes a quote).
+ * @private
+ */
+function splitDelimitedLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new TypeError('Unterminated quoted field');
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Resolves parseWeatherCSV units to a converter per field.
+ * @private
+ */
+function resolveCSVUnits(units) {
+    let selected = units === undefined ? 'imperial' : units;
+    if (typeof selected === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(CSV_UNIT_SYSTEMS, selected)) {
+            throw new TypeError(`Unknown units: ${selected}`);
+        }
+        selected = CSV_UNIT_SYSTEMS[selected];
+    }
+    if (!selected || typeof selected !== 'object') {
+        throw new TypeError('Units must be a unit system name or an object');
+    }
+
+    const converters = {};
+    Object.keys(selected).forEach(group => {
+        const table = CSV_UNIT_CONVERSIONS[group];
+        if (!table) {
+            throw new TypeError(`Unknown unit group: ${group}`);
+        }
+        const convert = table[selected[group]];
+        if (!convert) {
+            throw new TypeError(`Unknown ${group} unit: ${selected[group]}. Use one of: ${Object.keys(table).join(', ')}`);
+        }
+        CSV_UNIT_FIELDS[group].forEach(field => {
+            converters[field] = convert;
+        });
+    });
+    return converters;
+}
+
+/**
+ * Reads delimited (CSV/TSV) weather observations or forecasts into entries
+ * for `runModel`, `predictDryingTrend` and `interpolateWeatherData`.
+ *
+ * The first non-blank line is the header. By default each field is read
+ * from the column of the same name (case-insensitive); `options.columns`
+ * maps fields to other header names. `temp` and `rh` columns are required.
+ * Blank cells are left out of the entry, so missing temperatures and
+ * humidities can be filled with `interpolateWeatherData`.
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options] - Reader options
+ * @param {string} [options.delimiter] - Field delimiter (default: tab when the header has one, otherwise comma)
+ * @param {Object} [options.columns] - Header name for each field, e.g. `{ temp: 'Air Temp', rh: 'RH %' }`.
+ *   Fields: temp, rh, hours, wind, precip, precipHours, solar, cloudCover, tempMax, tempMin, rhMax,
+ *   rhMin, hour, label, timestamp, date
+ * @param {string|Object} [options.units='imperial'] - 'imperial', 'metric' or per group
+ *   `{ temp: 'F'|'C'|'K', wind: 'mph'|'km/h'|'m/s'|'kn', precip: 'in'|'mm'|'cm' }`; entries are
+ *   always imperial
+ * @returns {Object} - `{ records, errors }`; each error is `{ line, text, message }` for a malformed line
+ * @throws {TypeError} - If the text is not a string or the options are invalid
+ */
+function parseWeatherCSV(text, options = {}) {
+    const settings = options || {};
+    const converters = resolveCSVUnits(settings.units);
+    const mapping = {};
+    CSV_NUMERIC_FIELDS.concat(CSV_TEXT_FIELDS).forEach(field => {
+        mapping[field] = field;
+    });
+    Object.keys(settings.columns || {}).forEach(field => {
+        if (!Object.prototype.hasOwnProperty.call(mapping, field)) {
+            throw new TypeError(`Unknown field in column mapping: ${field}`);
+        }
+        mapping[field] = String(settings.columns[field]);
+    });
+
+    let delimiter = settings.delimiter;
+    let fields = null;
+
+    return parseArchiveLines(text, line => {
+        if (fields === null) {
+            if (delimiter === undefined) {
+                delimiter = line.indexOf('\t') !== -1 ? '\t' : ',';
+            }
+            const names = splitDelimitedLine(line, delimiter).map(name => name.toLowerCase());
+            fields = names.map(() => null);
+            Object.keys(mapping).forEach(field => {
+                const index = names.indexOf(mapping[field].toLowerCase());
+                if (index !== -1) {
+                    fields[index] = field;
+                }
+            });
+            const missing = ['temp', 'rh'].filter(field => fields.indexOf(field) === -1).map(field => mapping[field]);
+            if (missing.length > 0) {
+                fields = [];
+                throw new TypeError(`Header is missing required columns: ${missing.join(', ')}`);
+            }
+            return null;
+        }
+
+        if (fields.length === 0) {
+            throw new TypeError('No valid header row');
+        }
+
+        const cells = splitDelimitedLine(line, delimiter);
+        if (cells.length !== fields.length) {
+            throw new TypeError(`Expected ${fields.length} fields but found ${cells.length}`);
+        }
+
+        const record = {};
+        fields.forEach((field, i) => {
+            if (field === null || cells[i] === '') {
+                return;
+            }
+            if (CSV_TEXT_FIELDS.indexOf(field) !== -1) {
+                record[field] = cells[i];
+                return;
+            }
+            const value = archiveNumber(cells[i], field);
+            record[field] = converters[field] ? Math.round(converters[field](value) * 100) / 100 : value;
+        });
+
+        ['rh', 'rhMax', 'rhMin'].forEach(field => {
+            if (record[field] !== undefined && (record[field] < 0 || record[field] > 100)) {
+                throw new TypeError(`Relative humidity ${record[field]} is outside 0-100`);
+            }
+        });
+        ['hours', 'precip', 'precipHours', 'solar', 'wind'].forEach(field => {
+            if (record[field] !== undefined && record[field] < 0) {
+                throw new TypeError(`Negative ${field} ${record[field]}`);
+            }
+        });
+
+        return record;
+    });
+}
+
+/**
+ * Quotes one CSV cell when it contains the delimiter, a quote or a line break.
+ * @private
+ */
+function formatCSVCell(value, delimiter) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    if (text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Writes model results as CSV (or TSV with `delimiter: '\t'`).
+ *
+ * Accepts `runModel` results (or their `dailyResults`), the `simulateDrying`
+ * series array or scenario result (its `timeSeries`), and `predictDryingTrend`
+ * results (their `trend`). Columns are every scalar field that appears in the
+ * rows, in order of first appearance, unless `options.columns` lists them.
+ * Nested fields such as `alerts`, `uncertainty` and `assimilation` are left
+ * out by default.
+ *
+ * @param {Object|Array<Object>} results - Model output or an array of row objects
+ * @param {Object} [options] - Writer options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {string[]} [options.columns] - Columns to write, in order
+ * @returns {string} - Header row and one row per period, each ending in a newline
+ * @throws {TypeError} - If the results are not recognised
+ */
+function formatResultsCSV(results, options = {}) {
+    let rows = results;
+    if (results && !Array.isArray(results)) {
+        rows = results.dailyResults || results.timeSeries || results.trend;
+    }
+    if (!Array.isArray(rows) || rows.length === 0 || rows.some(row => !row || typeof row !== 'object')) {
+        throw new TypeError('Results must be model output or a non-empty array of rows');
+    }
+
+    const settings = options || {};
+    const delimiter = settings.delimiter === undefined ? ',' : String(settings.delimiter);
+    let columns = settings.columns;
+    if (columns === undefined) {
+        columns = [];
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            const value = row[key];
+            const scalar = value === null || typeof value !== 'object' || value instanceof Date;
+            if (scalar && columns.indexOf(key) === -1) {
+                columns.push(key);
+            }
+        }));
+    } else if (!Array.isArray(columns) || columns.length === 0) {
+        throw new TypeError('Columns must be a non-empty array');
+    }
+
+    const lines = [columns.map(column => formatCSVCell(column, delimiter)).join(delimiter)];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCSVCell(row[column], delimiter)).join(delimiter));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Resolves a METAR day/hour/minute to a full UTC time: the most recent
+ * matching day on or before the reference date.
+ * @private
+ */
+function metarTime(day, hour, minute, referenceDate) {
+    let year = referenceDate.getUTCFullYear();
+    let month = referenceDate.getUTCMonth();
+    if (day > referenceDate.getUTCDate()) {
+        month -= 1;
+    }
+    // Step back past months too short for the day (e.g. the 31st)
+    for (let i = 0; i < 12; i++) {
+        const time = new Date(Date.UTC(year, month, day, hour, minute));
+        if (time.getUTCDate() === day) {
+            return time;
+        }
+        month -= 1;
+    }
+    return null;
+}
+
+/**
+ * Decodes one METAR or SPECI report.
+ *
+ * Temperature and dew point come from the RMK T-group (tenths of °C) when
+ * present, otherwise from the body group (e.g. `31/M02`). RH is derived
+ * from them, wind is converted from knots, m/s or km/h to mph, and the RMK
+ * P-group gives hourly precipitation. The report only carries the day of the
+ * month, so the time is placed on the most recent matching day on or before
+ * `options.referenceDate`.
+ *
+ * @param {string} report - Raw report text, e.g. `'METAR KBOI 011353Z 32012G20KT 10SM FEW100 31/M02 A2992'`
+ * @param {Object} [options] - Decoding options
+ * @param {string|Date} [options.referenceDate=now] - Date the report was issued on or shortly after
+ * @returns {Object} - `{ type, station, timestamp, temp, dewpoint, rh, wind, windDirection, gust, precip }`;
+ *   temperatures in °F, wind in mph, precipitation in inches, and `null` for groups not reported
+ * @throws {TypeError} - If the report cannot be decoded
+ */
+function decodeMETAR(report, options = {}) {
+    if (typeof report !== 'string') {
+        throw new TypeError('METAR report must be a string');
+    }
+
+    const settings = options || {};
+    const referenceDate = settings.referenceDate === undefined ? new Date()
+        : settings.referenceDate instanceof Date ? settings.referenceDate : new Date(settings.referenceDate);
+    if (isNaN(referenceDate.getTime())) {
+        throw new TypeError('Reference date must be a valid date');
+    }
+
+    const tokens = report.trim().replace(/=$/, '').split(/\s+/);
+    let index = 0;
+    let type = 'METAR';
+    if (tokens[index] === 'METAR' || tokens[index] === 'SPECI') {
+        type = tokens[index++];
+    }
+    if (tokens[index] === 'COR') {
+        index++;
+    }
+
+    const station = tokens[index++];
+    if (!station || !/^[A-Z][A-Z0-9]{3}$/.test(station)) {
+        throw new TypeError(`Invalid METAR station identifier '${station}'`);
+    }
+
+    const timeMatch = /^(\d{2})(\d{2})(\d{2})Z$/.exec(tokens[index++] || '');
+    const time = timeMatch && metarTime(Number(timeMatch[1]), Number(timeMatch[2]), Number(timeMatch[3]), referenceDate);
+    if (!time || Number(timeMatch[2]) > 23 || Number(timeMatch[3]) > 59) {
+        throw new TypeError(`Invalid METAR time group in '${report}'`);
+    }
+
+    const remarksAt = tokens.indexOf('RMK');
+    const body = remarksAt === -1 ? tokens.slice(index) : tokens.slice(index, remarksAt);
+    const remarks = remarksAt === -1 ? [] : tokens.slice(remarksAt + 1);
+    const round = value => Math.round(value * 10) / 10;
+    const decoded = {
+        type: type,
+        station: station,
+        timestamp: time.toISOString(),
+        temp: null,
+        dewpoint: null,
+        rh: null,
+        wind: null,
+        windDirection: null,
+        gust: null,
+        precip: null
+    };
+
+    const signed = text => text[0] === 'M' ? -Number(text.slice(1)) : Number(text);
+    let tempC = null;
+    let dewpointC = null;
+
+    body.forEach(token => {
+        const wind = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/.exec(token);
+        if (wind) {
+            const factor = METAR_WIND_TO_MPH[wind[4]];
+            decoded.windDirection = wind[1] === 'VRB' ? null : Number(wind[1]);
+            decoded.wind = round(Number(wind[2]) * factor);
+            decoded.gust = wind[3] === undefined ? null : round(Number(wind[3]) * factor);
+            return;
+        }
+        const temps = /^(M?\d{2})\/(M?\d{2})?$/.exec(token);
+        if (temps) {
+            tempC = signed(temps[1]);
+            dewpointC = temps[2] === undefined ? null : signed(temps[2]);
+        }
+    });
+
+    remarks.forEach(token => {
+        const precise = /^T([01])(\d{3})([01])(\d{3})$/.exec(token);
+        if (precise) {
+            tempC = (precise[1] === '1' ? -1 : 1) * Number(precise[2]) / 10;
+            dewpointC = (precise[3] === '1' ? -1 : 1) * Number(precise[4]) / 10;
+        }
+        const hourlyPrecip = /^P(\d{4})$/.exec(token);
+        if (hourlyPrecip) {
+            decoded.precip = Number(hourlyPrecip[1]) / 100;
+        }
+    });
+
+    if (tempC !== null) {
+        decoded.temp = round(celsiusToFahrenheit(tempC));
+    }
+    if (tempC !== null && dewpointC !== null) {
+        decoded.dewpoint = round(celsiusToFahrenheit(dewpointC));
+        decoded.rh = humidityFromTemperatures(tempC, dewpointC, 3);
+    }
+
+    return decoded;
+}
+
+/**
+ * Decodes a sequence of METAR/SPECI reports into `runModel` forecast
+ * entries. Reports are put in time order; a later report with the same time
+ * (a correction) replaces the earlier one. Each entry's `hours` is the time
+ * since the previous report, and the first report takes the following
+ * interval. Entries keep their `timestamp`, so long gaps are flagged by
+ * `runModel`.
+ *
+ * Reports without a temperature or dew point give entries without `temp`
+ * or `rh`; fill them with `interpolateWeatherData` before modelling.
+ *
+ * @param {string[]} reports - Raw METAR/SPECI reports
+ * @param {Object} [options] - Options passed to decodeMETAR
+ * @param {number} [options.hours=1] - Period length when there is only one report
+ * @returns {Array<Object>} - `{ label, timestamp, temp, rh, wind, hours, precip? }` entries
+ * @throws {TypeError} - If a report cannot be decoded (the message gives its index)
+ */
+function metarsToForecast(reports, options = {}) {
+    if (!Array.isArray(reports) || reports.length === 0) {
+        throw new TypeError('METAR reports must be a non-empty array');
+    }
+
+    const settings = options || {};
+    const singleHours = settings.hours === undefined ? 1 : Number(settings.hours);
+    if (!isFinite(singleHours) || singleHours <= 0) {
+        throw new TypeError('Hours must be a positive number');
+    }
+
+    const byTime = {};
+    reports.forEach((report, index) => {
+        try {
+            const decoded = decodeMETAR(report, settings);
+            byTime[decoded.timestamp] = decoded;
+        } catch (error) {
+            if (error instanceof TypeError) {
+                throw new TypeError(`METAR report ${index}: ${error.message}`);
+            }
+            throw error;
+        }
+    });
+
+    const decoded = Object.keys(byTime).sort().map(timestamp => byTime[timestamp]);
+    const times = decoded.map(entry => new Date(entry.timestamp).getTime());
+
+    return decoded.map((observation, index) => {
+        let hours = singleHours;
+        if (index > 0) {
+            hours = (times[index] - times[index - 1]) / MS_PER_HOUR;
+        } else if (decoded.length > 1) {
+            hours = (times[1] - times[0]) / MS_PER_HOUR;
+        }
+
+        const entry = { label: observation.timestamp, timestamp: observation.timestamp };
+        if (observation.temp !== null) {
+            entry.temp = observation.temp;
+        }
+        if (observation.rh !== null) {
+            entry.rh = observation.rh;
+        }
+        if (observation.wind !== null) {
+            entry.wind = observation.wind;
+        }
+        entry.hours = Math.round(hours * 1000) / 1000;
+        if (observation.precip !== null) {
+            entry.precip = observation.precip;
+        }
+        return entry;
+    });
+}
+
+/**
+ * Parses an ISO-8601 duration (PnDTnHnM) to hours.
+ * @private
+ */
+function isoDurationHours(text) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(text);
+    if (!match || text === 'P' || text === 'PT') {
+        return null;
+    }
+    return Number(match[1] || 0) * 24 + Number(match[2] || 0) + Number(match[3] || 0) / 60;
+}
+
+/**
+ * Builds hourly weather from an NWS gridpoint forecast document (the JSON
+ * returned by `api.weather.gov/gridpoints/{office}/{x},{y}`), already loaded
+ * or read from a saved file. Nothing is fetched.
+ *
+ * Each layer's `validTime` is an ISO-8601 start time and duration, such as
+ * `2026-07-01T12:00:00+00:00/PT3H`. Temperature, relative humidity, wind
+ * speed and sky cover apply to every hour of their interval. Precipitation
+ * (QPF) is spread evenly over its interval. Hours need both a temperature
+ * and a humidity value; missing hours are left out, so `runModel` and
+ * `predictDryingTrend` flag them as gaps. Each entry is stamped with the end
+ * of its hour, as the modelling functions expect; only the first carries
+ * `hours`, since the rest are measured from the previous timestamp.
+ *
+ * @param {Object} document - Gridpoint JSON (the whole document or its `properties`)
+ * @param {Object} [options] - Adapter options
+ * @param {string|Date} [options.start] - First hour to include
+ * @param {string|Date} [options.end] - Hours starting at or after this time are dropped
+ * @returns {Object} - `{ hourly, tempSeries, rhSeries, precipSeries, timestamps, timeStep }`; `hourly`
+ *   entries are `{ timestamp, temp, rh, wind?, cloudCover?, precip, hours? }` (°F, %, mph, 0-1,
+ *   inches) with `timestamp` the end of the hour, for runModel and predictDryingTrend, and the
+ *   series feed simulateDrying directly
+ * @throws {TypeError} - If the document, its layers or units are invalid
+ */
+function nwsGridpointToHourly(document, options = {}) {
+    const properties = document && document.properties ? document.properties : document;
+    if (!properties || typeof properties !== 'object') {
+        throw new TypeError('Gridpoint forecast must be an object');
+    }
+    if (!properties.temperature || !properties.relativeHumidity) {
+        throw new TypeError('Gridpoint forecast needs temperature and relativeHumidity layers');
+    }
+
+    const settings = options || {};
+    const bound = (value, name) => {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        const time = (value instanceof Date ? value : new Date(value)).getTime();
+        if (isNaN(time)) {
+            throw new TypeError(`Invalid ${name} time`);
+        }
+        return time;
+    };
+    const start = bound(settings.start, 'start');
+    const end = bound(settings.end, 'end');
+    const hours = {};
+
+    Object.keys(NWS_GRIDPOINT_LAYERS).forEach(layerName => {
+        const layer = properties[layerName];
+        if (!layer) {
+            return;
+        }
+        const field = NWS_GRIDPOINT_LAYERS[layerName];
+        const unit = String(layer.uom || '').replace(/^[a-zA-Z]+:/, '');
+        const convert = NWS_UNIT_CONVERSIONS[unit];
+        if (!convert || (field === 'cloudCover' && unit !== 'percent')) {
+            throw new TypeError(`Unsupported unit '${layer.uom}' for ${layerName}`);
+        }
+        if (!Array.isArray(layer.values)) {
+            throw new TypeError(`Layer ${layerName} has no values array`);
+        }
+
+        layer.values.forEach((item, index) => {
+            const parts = String(item && item.validTime).split('/');
+            const from = timestampMillis(parts[0], `Invalid validTime in ${layerName}[${index}]`);
+            const duration = parts.length === 2 ? isoDurationHours(parts[1]) : null;
+            if (from === null || duration === null || duration <= 0) {
+                throw new TypeError(`Invalid validTime '${item && item.validTime}' in ${layerName}[${index}]`);
+            }
+            if (item.value === null || item.value === undefined) {
+                return;
+            }
+            const value = Number(item.value);
+            if (!isFinite(value)) {
+                throw new TypeError(`Invalid value in ${layerName}[${index}]`);
+            }
+
+            const first = Math.floor(from / MS_PER_HOUR);
+            const count = Math.max(1, Math.round(duration));
+            for (let h = first; h < first + count; h++) {
+                const hour = hours[h] || (hours[h] = {});
+                if (field === 'precip') {
+                    hour.precip = convert(value) / count;
+                } else if (field === 'cloudCover') {
+                    hour.cloudCover = Math.round(Math.max(0, Math.min(100, value))) / 100;
+                } else {
+                    hour[field] = Math.round(convert(value) * 10) / 10;
+                }
+            }
+        });
+    });
+
+    const hourly = Object.keys(hours).map(Number).sort((a, b) => a - b)
+        .filter(h => hours[h].temp !== undefined && hours[h].rh !== undefined)
+        .filter(h => (start === null || h * MS_PER_HOUR >= start) && (end === null || h * MS_PER_HOUR < end))
+        .map((h, index) => {
+            const hour = hours[h];
+            const entry = {
+                timestamp: new Date((h + 1) * MS_PER_HOUR).toISOString(),
+                temp: hour.temp,
+                rh: Math.max(0, Math.min(100, hour.rh))
+            };
+            if (hour.wind !== undefined) {
+                entry.wind = hour.wind;
+            }
+            if (hour.cloudCover !== undefined) {
+                entry.cloudCover = hour.cloudCover;
+            }
+            entry.precip = Math.round((hour.precip || 0) * 1000) / 1000;
+            if (index === 0) {
+                entry.hours = 1;
+            }
+            return entry;
+        });
+
+    if (hourly.length === 0) {
+        throw new TypeError('Gridpoint forecast has no hours with both temperature and humidity');
+    }
+
+    return {
+        hourly: hourly,
+        tempSeries: hourly.map(entry => entry.temp),
+        rhSeries: hourly.map(entry => entry.rh),
+        precipSeries: hourly.map(entry => entry.precip),
+        timestamps: hourly.map(entry => entry.timestamp),
+        timeStep: 1
+    };
+}
+
+/**
+ * Prepares one fuel class of calibration data: the EMC and length of each
+ * period, and the observed moistures. Rain and gaps break the record into
+ * segments because the calibration fits the drying model only.
+ * @private
+ */
+function calibrationPeriods(weatherData, maxGapHours) {
+    const timing = resolvePeriodHours(weatherData, maxGapHours);
+    return weatherData.map((entry, index) => {
+        const temp = Number(entry.temp);
+        const rh = Number(entry.rh);
+        const derivedHours = timing === null ? undefined : timing[index].hours;
+        const hours = derivedHours === undefined ? Number(entry.hours) : derivedHours;
+
+        if (!isFinite(temp) || !isFinite(rh) || !isFinite(hours) || hours < 0) {
+            throw new TypeError(`Weather entry ${index} needs finite temp, rh and hours`);
+        }
+
+        return {
+            emc: unroundedEMC(temp, rh),
+            hours: hours,
+            breaks: entry.precip > 0 || (timing !== null && timing[index].gap === true)
+        };
+    });
+}
+
+/**
+ * Free-run predictions of one fuel class as `constant + scale * x + offset * y`
+ * at every observed period, so the EMC adjustment can be solved linearly for
+ * a trial time lag.
+ * @private
+ */
+function calibrationRows(periods, observed, tau) {
+    const rows = [];
+    let state = null;
+
+    periods.forEach((period, index) => {
+        const value = observed[index];
+        if (state !== null && !period.breaks) {
+            const decay = Math.exp(-period.hours / tau);
+            state.constant *= decay;
+            state.x = decay * state.x + (1 - decay) * period.emc;
+            state.y = decay * state.y + (1 - decay);
+            if (value !== null) {
+                rows.push({ observed: value, constant: state.constant, x: state.x, y: state.y });
+            }
+        } else {
+            state = null;
+        }
+        // Each observation after a break starts a new segment
+        if (state === null && value !== null) {
+            state = { constant: value, x: 0, y: 0 };
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Least-squares EMC scale and offset for a set of rows; the identity when
+ * the EMC adjustment is not being fitted.
+ * @private
+ */
+function solveEMCAdjustment(rows, fitEMC) {
+    if (!fitEMC) {
+        return { scale: 1, offset: 0 };
+    }
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    let sxt = 0;
+    let syt = 0;
+    rows.forEach(row => {
+        const target = row.observed - row.constant;
+        sxx += row.x * row.x;
+        sxy += row.x * row.y;
+        syy += row.y * row.y;
+        sxt += row.x * target;
+        syt += row.y * target;
+    });
+
+    const determinant = sxx * syy - sxy * sxy;
+    if (Math.abs(determinant) <= 1e-12 * sxx * syy) {
+        // EMC did not vary: only the offset can be identified
+        return { scale: 1, offset: syy > 0 ? (syt - sxy) / syy : 0 };
+    }
+    return {
+        scale: (syy * sxt - sxy * syt) / determinant,
+        offset: (sxx * syt - sxy * sxt) / determinant
+    };
+}
+
+/**
+ * Sum of squared residuals over every fuel class for trial time lags.
+ * @private
+ */
+function calibrationError(classes, taus, fitEMC) {
+    const rows = [];
+    classes.forEach((fuelClass, k) => {
+        fuelClass.rows = calibrationRows(fuelClass.periods, fuelClass.observed, taus[k]);
+        Array.prototype.push.apply(rows, fuelClass.rows);
+    });
+    const adjustment = solveEMCAdjustment(rows, fitEMC);
+    const sse = rows.reduce((sum, row) => {
+        const residual = row.constant + adjustment.scale * row.x + adjustment.offset * row.y - row.observed;
+        return sum + residual * residual;
+    }, 0);
+    return { sse: sse, adjustment: adjustment };
+}
+
+/**
+ * Fit statistics for observed and predicted moistures.
+ * @private
+ */
+function fitStatistics(rows, scale, offset) {
+    const n = rows.length;
+    const residuals = rows.map(row => row.constant + scale * row.x + offset * row.y - row.observed);
+    const mean = rows.reduce((sum, row) => sum + row.observed, 0) / n;
+    const total = rows.reduce((sum, row) => sum + (row.observed - mean) * (row.observed - mean), 0);
+    const sse = residuals.reduce((sum, residual) => sum + residual * residual, 0);
+
+    return {
+        n: n,
+        rmse: Math.round(Math.sqrt(sse / n) * 100) / 100,
+        bias: Math.round(residuals.reduce((sum, residual) => sum + residual, 0) / n * 100) / 100,
+        mae: Math.round(residuals.reduce((sum, residual) => sum + Math.abs(residual), 0) / n * 100) / 100,
+        r2: total > 0 ? Math.round((1 - sse / total) * 1000) / 1000 : null
+    };
+}
+
+/**
+ * Fits time-lag constants and a linear EMC adjustment to observed fuel
+ * moisture, such as 10-hour fuel stick weights from a RAWS station.
+ *
+ * The exponential time-lag model is run freely from each observation that
+ * follows rain or a data gap, and the parameters minimise the sum of squared
+ * differences from every later observation. For trial time lags the EMC
+ * adjustment (`scale * EMC + offset`) is solved exactly by linear least
+ * squares; each time lag is searched between a tenth and ten times its
+ * nominal value. Several fuel classes share one EMC adjustment.
+ *
+ * The returned `parameters` are plain JSON. Pass them (or the whole result)
+ * as the `calibration` option of runModel, simulateDrying,
+ * predictDryingTrend, runEnsemble or a registry station to use them.
+ *
+ * @param {Array<Object>} weatherData - Periods `{ temp, rh, hours?, timestamp?, precip? }`
+ * @param {Array<number|null>|Object} observedMoisture - Moisture observed at the end of each period
+ *   (null when missing), or an object of such arrays keyed by nominal time lag (`{ 1: [...], 10: [...] }`)
+ * @param {Object} [options] - Calibration options
+ * @param {number} [options.timeLag=10] - Nominal time lag of an observedMoisture array
+ * @param {boolean} [options.fitTimeLags=true] - Fit the time lags (otherwise keep the nominal values)
+ * @param {boolean} [options.fitEMC=true] - Fit the EMC scale and offset
+ * @param {number} [options.maxGapHours] - Timestamp intervals longer than this break the record
+ * @returns {Object} - `{ parameters: { timeLags?, emc? }, statistics }`; the statistics hold `n`,
+ *   `rmse`, `bias`, `mae` and `r2` for the fitted model, `defaultRmse` for the nominal model and the
+ *   same figures per fuel class in `byTimeLag`
+ * @throws {TypeError} - If inputs are invalid or there are too few observations to fit
+ */
+function calibrateFuelMoisture(weatherData, observedMoisture, options = {}) {
+    const settings = options || {};
+
+    if (!Array.isArray(weatherData) || weatherData.length === 0) {
+        throw new TypeError('Weather data must be a non-empty array');
+    }
+
+    let observedByLag = observedMoisture;
+    if (Array.isArray(observedMoisture)) {
+        const timeLag = settings.timeLag === undefined ? 10 : Number(settings.timeLag);
+        if (!isFinite(timeLag) || timeLag <= 0) {
+            throw new TypeError('Time lag must be a positive number');
+        }
+        observedByLag = {};
+        observedByLag[timeLag] = observedMoisture;
+    }
+    if (!observedByLag || typeof observedByLag !== 'object' || Object.keys(observedByLag).length === 0) {
+        throw new TypeError('Observed moisture must be an array or an object of arrays keyed by time lag');
+    }
+
+    const fitTimeLags = settings.fitTimeLags !== false;
+    const fitEMC = settings.fitEMC !== false;
+    if (!fitTimeLags && !fitEMC) {
+        throw new TypeError('Nothing to fit: enable fitTimeLags or fitEMC');
+    }
+
+    const periods = calibrationPeriods(weatherData, settings.maxGapHours);
+    const classes = Object.keys(observedByLag).map(key => {
+        const nominal = Number(key);
+        const series = observedByLag[key];
+        if (!isFinite(nominal) || nominal <= 0) {
+            throw new TypeError(`Time lag ${key} must be a positive number`);
+        }
+        if (!Array.isArray(series) || series.length !== weatherData.length) {
+            throw new TypeError(`Observed ${key}-hour moisture must have one value per weather entry`);
+        }
+        const observed = series.map((value, index) => {
+            if (value === null || value === undefined) return null;
+            const moisture = Number(value);
+            if (!isFinite(moisture) || moisture < 0) {
+                throw new TypeError(`Observed ${key}-hour moisture at entry ${index} must be a non-negative number`);
+            }
+            return moisture;
+        });
+        return { nominal: nominal, periods: periods, observed: observed, rows: [] };
+    });
+
+    const taus = classes.map(fuelClass => fuelClass.nominal);
+    const defaultRows = classes.map(fuelClass => calibrationRows(periods, fuelClass.observed, fuelClass.nominal));
+    if (defaultRows.some(rows => rows.length === 0) ||
+        defaultRows.reduce((sum, rows) => sum + rows.length, 0) < (fitEMC ? 3 : 1)) {
+        throw new TypeError('Too few observations follow a starting observation to calibrate');
+    }
+
+    if (fitTimeLags) {
+        // Golden-section search on log(tau), one fuel class at a time
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        for (let sweep = 0; sweep < (classes.length > 1 ? CALIBRATION_SEARCH.SWEEPS : 1); sweep++) {
+            const previous = taus.slice();
+            classes.forEach((fuelClass, k) => {
+                const errorAt = logTau => {
+                    taus[k] = Math.exp(logTau);
+                    return calibrationError(classes, taus, fitEMC).sse;
+                };
+                let low = Math.log(fuelClass.nominal * CALIBRATION_SEARCH.MIN_FACTOR);
+                let high = Math.log(fuelClass.nominal * CALIBRATION_SEARCH.MAX_FACTOR);
+                let a = high - ratio * (high - low);
+                let b = low + ratio * (high - low);
+                let errorA = errorAt(a);
+                let errorB = errorAt(b);
+                for (let i = 0; i < CALIBRATION_SEARCH.ITERATIONS; i++) {
+                    if (errorA < errorB) {
+                        high = b;
+                        b = a;
+                        errorB = errorA;
+                        a = high - ratio * (high - low);
+                        errorA = errorAt(a);
+                    } else {
+                        low = a;
+                        a = b;
+                        errorA = errorB;
+                        b = low + ratio * (high - low);
+                        errorB = errorAt(b);
+                    }
+                }
+                taus[k] = Math.exp((low + high) / 2);
+            });
+            if (taus.every((tau, k) => Math.abs(tau - previous[k]) <= CALIBRATION_SEARCH.TOLERANCE * tau)) {
+                break;
+            }
+        }
+    }
+
+    const { adjustment } = calibrationError(classes, taus, fitEMC);
+    const fittedRows = classes.map(fuelClass => fuelClass.rows);
+    const allFitted = [].concat(...fittedRows);
+    const allDefault = [].concat(...defaultRows);
+
+    const statistics = Object.assign(fitStatistics(allFitted, adjustment.scale, adjustment.offset), {
+        defaultRmse: fitStatistics(allDefault, 1, 0).rmse,
+        byTimeLag: {}
+    });
+    classes.forEach((fuelClass, k) => {
+        statistics.byTimeLag[fuelClass.nominal] = Object.assign(
+            fitStatistics(fittedRows[k], adjustment.scale, adjustment.offset),
+            { defaultRmse: fitStatistics(defaultRows[k], 1, 0).rmse }
+        );
+    });
+
+    const parameters = {};
+    if (fitTimeLags) {
+        parameters.timeLags = {};
+        classes.forEach((fuelClass, k) => {
+            parameters.timeLags[fuelClass.nominal] = Math.round(taus[k] * 1000) / 1000;
+        });
+    }
+    if (fitEMC) {
+        parameters.emc = {
+            scale: Math.round(adjustment.scale * 1000) / 1000,
+            offset: Math.round(adjustment.offset * 1000) / 1000
+        };
+    }
+
+    return { parameters: parameters, statistics: statistics };
+}
+
+/**
+ * Predicts the drying trend of a fuel class from historical and forecast weather.
+ * Moisture is carried from `currentMoisture` through the historical periods
+ * (establishing the baseline) and on through the forecast periods. Wind, when
+ * provided, shortens the effective time lag (up to 20% faster drying at 30 mph)
+ * for the exponential engine.
+ *
+ * @param {Object} inputs - Prediction inputs
+ * @param {number} inputs.currentMoisture - Starting fuel moisture (0-100%)
+ * @param {Array<Object>} inputs.historicalWeather - Past periods `{ temp, rh, wind?, hours?, timestamp?,
+ *   precip?, precipHours? }`; periods wetted by rain are marked `rainAffected: true`
+ * @param {Array<Object>} inputs.predictedWeather - Forecast periods (same fields)
+ * @param {number} inputs.timeLag - Fuel time lag in hours
+ * @param {Object} [options] - Prediction options
+ * @param {number} [options.criticalThreshold=6] - Critical moisture threshold (%)
+ * @param {boolean} [options.interpolateMissing=true] - Fill missing temp/rh values
+ * @param {string} [options.resolution='daily'] - 'daily' (24 h) or 'hourly' (1 h) periods when entries omit `hours`
+ * @param {string} [options.engine='exponential'] - Moisture engine: 'exponential' or 'nelson2000'
+ * @param {boolean|Object} [options.ignition] - Add `probabilityOfIgnition` to each period (1-hour
+ *   fuels only); pass `{ shading, cloudCover }` to describe fuel exposure
+ * @param {Object} [options.site] - Site descriptor for fine dead fuel moisture corrections (see
+ *   computeSiteCorrection); `site.hour` is the clock hour at the first historical period
+ * @param {number} [options.maxGapHours] - Intervals between ISO-8601 timestamps longer than this are
+ *   flagged as gaps (defaults to twice the median interval)
+ * @param {number} [options.resampleHours] - Resample timestamped weather to this regular interval first
+ * @param {Object} [options.calibration] - Fitted time lags and EMC adjustment from calibrateFuelMoisture
+ * @returns {Object} - `{ metadata, trend, summary }`; with ISO-8601 timestamps each period lasts from
+ *   the previous timestamp, trend points carry `hours` (and `gap: true` for gaps) and the summary
+ *   lists `gapPeriods`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function predictDryingTrend(inputs, options = {}) {
+    if (!inputs || typeof inputs !== 'object') {
+        throw new TypeError('Inputs must be an object');
+    }
+
+    const currentMoisture = Number(inputs.currentMoisture);
+    const timeLag = Number(inputs.timeLag);
+    const {
+        criticalThreshold = CRITICAL_MOISTURE_THRESHOLD,
+        interpolateMissing = true,
+        resolution = 'daily'
+    } = options;
+    const threshold = Number(criticalThreshold);
+
+    if (!isFinite(currentMoisture) || currentMoisture < 0 || currentMoisture > 100) {
+        throw new TypeError('Current moisture must be a number between 0 and 100');
+    }
+
+    if (!isFinite(timeLag) || timeLag <= 0) {
+        throw new TypeError('Time lag must be a positive number');
+    }
+
+    if (!Array.isArray(inputs.historicalWeather) || inputs.historicalWeather.length === 0 ||
+        !Array.isArray(inputs.predictedWeather) || inputs.predictedWeather.length === 0) {
+        throw new TypeError('Historical and predicted weather must be non-empty arrays');
+    }
+
+    if (!isFinite(threshold)) {
+        throw new TypeError('Critical threshold must be a finite number');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(TREND_RESOLUTION_HOURS, resolution)) {
+        throw new TypeError(`Resolution must be one of: ${Object.keys(TREND_RESOLUTION_HOURS).join(', ')}`);
+    }
+
+    const engine = resolveEngine(options.engine);
+    const ignition = resolveIgnitionOption(options.ignition);
+    if (ignition !== null && timeLag !== 1) {
+        throw new TypeError('Probability of ignition requires the 1-hour time lag');
+    }
+    const site = resolveSite(options.site);
+    checkSiteEngine(site, engine);
+    const calibration = resolveCalibration(options.calibration, engine);
+    const baseTimeLag = calibratedTimeLag(timeLag, calibration);
+
+    let historical = interpolateMissing ? interpolateWeatherData(inputs.historicalWeather) : inputs.historicalWeather;
+    let predicted = interpolateMissing ? interpolateWeatherData(inputs.predictedWeather) : inputs.predictedWeather;
+
+    if (options.resampleHours !== undefined && options.resampleHours !== null) {
+        const resampled = resampleWeather(historical.concat(predicted), options.resampleHours,
+            { maxGapHours: options.maxGapHours });
+        const lastHistorical = timestampMillis(historical[historical.length - 1].timestamp);
+        historical = resampled.filter(entry => new Date(entry.timestamp).getTime() <= lastHistorical);
+        predicted = resampled.filter(entry => new Date(entry.timestamp).getTime() > lastHistorical);
+        if (predicted.length === 0) {
+            throw new TypeError('Resampling interval leaves no forecast periods');
+        }
+    }
+
+    const periods = historical.map(entry => ({ entry: entry, type: 'historical' }))
+        .concat(predicted.map(entry => ({ entry: entry, type: 'forecast' })));
+    const timing = resolvePeriodHours(periods.map(period => period.entry), options.maxGapHours,
+        TREND_RESOLUTION_HOURS[resolution]);
+
+    const fuel = createFuelState(engine, timeLag, currentMoisture, calibration);
+    const trend = [];
+    let historicalCount = 0;
+    let forecastCount = 0;
+    let elapsedHours = 0;
+    const gapPeriods = [];
+
+    periods.forEach(({ entry, type }, index) => {
+        const temp = Number(entry.temp);
+        const rh = Number(entry.rh);
+        const derivedHours = timing === null ? undefined : timing[index].hours;
+        let hours = entry.hours === undefined ? TREND_RESOLUTION_HOURS[resolution] : Number(entry.hours);
+        if (derivedHours !== undefined) {
+            hours = derivedHours;
+        }
+
+        if (!isFinite(temp) || !isFinite(rh) || !isFinite(hours) || hours < 0) {
+            throw new TypeError(`Weather period ${index} has invalid values`);
+        }
+
+        let emc = calibratedEMC(computeEMC(temp, rh), calibration);
+        if (site !== null) {
+            emc = correctedEMC(emc, siteCorrection(site, periodSiteHour(site, entry, elapsedHours, hours, index)));
+        }
+        elapsedHours += hours;
+
+        let effectiveTimeLag = baseTimeLag;
+        const wind = entry.wind === undefined || entry.wind === null ? null : Number(entry.wind);
+
+        if (wind !== null && isFinite(wind) && wind > 0) {
+            const windFactor = Math.min(wind, WIND_DRYING_MAX_SPEED) / WIND_DRYING_MAX_SPEED;
+            effectiveTimeLag = baseTimeLag * (1 - WIND_DRYING_MAX_REDUCTION * windFactor);
+        }
+
+        const weather = {
+            temp: temp,
+            rh: rh,
+            solar: optionalWeatherValue(entry.solar, `Weather period ${index} has invalid solar radiation`),
+            precip: optionalWeatherValue(entry.precip, `Weather period ${index} has invalid precipitation`)
+        };
+        if (entry.precipHours !== undefined) {
+            weather.precipHours = optionalWeatherValue(entry.precipHours,
+                `Weather period ${index} has invalid precipitation duration`);
+        }
+        const moisture = advanceFuelState(fuel, weather, emc, hours, effectiveTimeLag);
+
+        const count = type === 'historical' ? ++historicalCount : ++forecastCount;
+        const point = {
+            period: entry.timestamp || `${type === 'historical' ? 'Historical' : 'Forecast'} ${count}`,
+            type: type,
+            temp: temp,
+            rh: rh,
+            emc: emc,
+            moisture: moisture
+        };
+
+        if (entry.wind !== undefined) {
+            point.wind = entry.wind;
+        }
+        if (entry.gust !== undefined) {
+            point.gust = entry.gust;
+        }
+
+        if (timing !== null && timing[index].time !== null) {
+            point.hours = hours;
+            if (timing[index].gap) {
+                point.gap = true;
+                gapPeriods.push(point.period);
+            }
+        }
+
+        if (ignition !== null) {
+            point.probabilityOfIgnition = periodIgnitionProbability(ignition, entry, temp, moisture, index);
+        }
+
+        if (rainDuration(weather, hours) > 0) {
+            point.rainAffected = true;
+        }
+
+        trend.push(point);
+    });
+
+    const moistures = trend.map(point => point.moisture);
+    const critical = trend.find(point => point.moisture <= threshold);
+    const endingMoisture = moistures[moistures.length - 1];
+    const summary = {
+        startingMoisture: currentMoisture,
+        endingMoisture: endingMoisture,
+        moistureChange: Math.round((endingMoisture - currentMoisture) * 10) / 10,
+        criticalTime: critical ? critical.period : null,
+        belowCritical: endingMoisture <= threshold,
+        minMoisture: Math.min(...moistures),
+        maxMoisture: Math.max(...moistures)
+    };
+
+    if (timing !== null) {
+        summary.gapPeriods = gapPeriods;
+    }
+
+    return {
+        metadata: {
+            initialMoisture: currentMoisture,
+            timeLag: timeLag,
+            resolution: resolution,
+            criticalThreshold: threshold,
+            engine: engine,
+            historicalPeriods: historicalCount,
+            forecastPeriods: forecastCount
+        },
+        trend: trend,
+        summary: summary
+    };
+}
+
+/**
+ * Validates Red Flag criteria merged onto the defaults.
+ * @private
+ */
+function resolveRedFlagCriteria(criteria, criticalThreshold) {
+    if (criteria !== undefined && criteria !== null && (typeof criteria !== 'object' || Array.isArray(criteria))) {
+        throw new TypeError('Red Flag criteria must be an object');
+    }
+
+    const resolved = Object.assign({}, criteria || {});
+    Object.keys(RED_FLAG_DEFAULTS).forEach(name => {
+        const key = name.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (resolved[key] === undefined) {
+            resolved[key] = RED_FLAG_DEFAULTS[name];
+        }
+    });
+    ['maxRh', 'minWind', 'minGust', 'minTemp', 'maxMoisture'].forEach(key => {
+        if (resolved[key] !== null && !isFinite(Number(resolved[key]))) {
+            throw new TypeError(`Red Flag criterion ${key} must be a number or null`);
+        }
+        resolved[key] = resolved[key] === null ? null : Number(resolved[key]);
+    });
+    if (!RED_FLAG_WIND_MODES.includes(resolved.windMode)) {
+        throw new TypeError(`Red Flag windMode must be one of: ${RED_FLAG_WIND_MODES.join(', ')}`);
+    }
+    if (resolved.timeLag !== 1 && resolved.timeLag !== 10) {
+        throw new TypeError('Red Flag timeLag must be 1 or 10');
+    }
+    const minDuration = Number(resolved.minDuration);
+    if (!isFinite(minDuration) || minDuration < 0) {
+        throw new TypeError('Red Flag minDuration must be a non-negative number of hours');
+    }
+    resolved.minDuration = minDuration;
+
+    // Critical dryness takes the threshold of the model run when it has one
+    if (resolved.criticalDryness && resolved.maxMoisture === null) {
+        resolved.maxMoisture = criticalThreshold;
+    }
+    if (['maxRh', 'minWind', 'minGust', 'minTemp', 'maxMoisture'].every(key => resolved[key] === null)) {
+        throw new TypeError('Red Flag criteria need at least one threshold');
+    }
+    return resolved;
+}
+
+/**
+ * Criteria met by one period, keyed by criterion name.
+ * @private
+ */
+function redFlagPeriodCriteria(period, criteria) {
+    const value = field => (period[field] === undefined || period[field] === null ? NaN : Number(period[field]));
+    const moistureField = period.moisture !== undefined ? 'moisture' : `moisture${criteria.timeLag}Hr`;
+    const met = {};
+
+    if (criteria.maxRh !== null) {
+        met.rh = value('rh') <= criteria.maxRh;
+    }
+    if (criteria.minWind !== null) {
+        met.wind = value('wind') >= criteria.minWind;
+    }
+    if (criteria.minGust !== null) {
+        met.gust = value('gust') >= criteria.minGust;
+    }
+    if (criteria.minTemp !== null) {
+        met.temp = value('temp') >= criteria.minTemp;
+    }
+    if (criteria.maxMoisture !== null) {
+        met.fuelMoisture = value(moistureField) <= criteria.maxMoisture;
+    }
+    return met;
+}
+
+/**
+ * Whether a period's met criteria satisfy the criteria set.
+ * @private
+ */
+function redFlagQualifies(met, criteria) {
+    const hasWind = met.wind !== undefined;
+    const hasGust = met.gust !== undefined;
+    let windMet = true;
+    if (hasWind && hasGust) {
+        windMet = criteria.windMode === 'both' ? met.wind && met.gust : met.wind || met.gust;
+    } else if (hasWind || hasGust) {
+        windMet = hasWind ? met.wind : met.gust;
+    }
+    return windMet && ['rh', 'temp', 'fuelMoisture'].every(key => met[key] === undefined || met[key]);
+}
+
+/**
+ * Scans model periods for Red Flag Warning conditions.
+ *
+ * Each period is tested against the criteria: RH at or below `maxRh`,
+ * sustained wind at or above `minWind` and/or gusts at or above `minGust`
+ * (combined by `windMode`), optionally temperature at or above `minTemp`
+ * and fuel moisture at or below `maxMoisture`. Consecutive qualifying
+ * periods form a window, and windows lasting at least `minDuration` hours
+ * are returned. A gap in the data ends a window.
+ *
+ * Criteria default to RH 15%, wind 20 mph or gusts 35 mph for 3 hours; set a
+ * criterion to null to drop it. Zone-specific criteria are passed as a whole
+ * object, e.g. from a table keyed by fire weather zone.
+ *
+ * @param {Object|Array<Object>} results - runModel results, predictDryingTrend results, or an array of
+ *   their periods (`{ rh, wind?, gust?, temp?, moisture1Hr | moisture10Hr | moisture, hours?, timestamp? }`)
+ * @param {Object} [criteria] - Criteria for the zone
+ * @param {string} [criteria.zone] - Zone name, echoed in the result
+ * @param {number|null} [criteria.maxRh=15] - Highest qualifying relative humidity (%)
+ * @param {number|null} [criteria.minWind=20] - Lowest qualifying sustained wind (mph)
+ * @param {number|null} [criteria.minGust=35] - Lowest qualifying gust (mph)
+ * @param {string} [criteria.windMode='either'] - 'either' wind or gust, or 'both', when both are set
+ * @param {number|null} [criteria.minTemp=null] - Lowest qualifying temperature (°F)
+ * @param {number|null} [criteria.maxMoisture=null] - Highest qualifying fuel moisture (%)
+ * @param {boolean} [criteria.criticalDryness=false] - Use the critical moisture threshold of the
+ *   model run (6% for runModel) as maxMoisture
+ * @param {number} [criteria.timeLag=1] - Fuel class (1 or 10) of runModel results for the moisture test
+ * @param {number} [criteria.minDuration=3] - Shortest qualifying window in hours
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.periodHours] - Length of periods that carry no `hours` (defaults to the
+ *   predictDryingTrend resolution; needed for untimestamped runModel results)
+ * @returns {Object} - `{ criteria, windows, periods, summary }`: each window gives `start`, `end`,
+ *   `startIndex`, `endIndex`, `hours`, the hours each criterion was met in `criteriaHours` and the
+ *   extremes `minRh`, `maxWind`, `maxGust` and `minMoisture`; each period gives `index`, `period`,
+ *   `met` and `qualifies`
+ * @throws {TypeError} - If the results or criteria are invalid
+ */
+function evaluateRedFlagCriteria(results, criteria, options = {}) {
+    const settings = options || {};
+    let periods = results;
+    let criticalThreshold = CRITICAL_MOISTURE_THRESHOLD;
+    let defaultHours = null;
+
+    if (results && Array.isArray(results.dailyResults)) {
+        periods = results.dailyResults;
+    } else if (results && Array.isArray(results.trend)) {
+        periods = results.trend;
+        criticalThreshold = results.metadata.criticalThreshold;
+        defaultHours = TREND_RESOLUTION_HOURS[results.metadata.resolution];
+    }
+    if (!Array.isArray(periods) || periods.length === 0) {
+        throw new TypeError('Red Flag evaluation needs runModel or predictDryingTrend results, or their periods');
+    }
+    if (settings.periodHours !== undefined) {
+        defaultHours = Number(settings.periodHours);
+        if (!isFinite(defaultHours) || defaultHours <= 0) {
+            throw new TypeError('Period hours must be a positive number');
+        }
+    }
+
+    const resolved = resolveRedFlagCriteria(criteria, criticalThreshold);
+    const scanned = periods.map((period, index) => {
+        const hours = period && period.hours !== undefined ? Number(period.hours) : defaultHours;
+        if (!period || typeof period !== 'object' || hours === null || !isFinite(hours)) {
+            throw new TypeError(`Period ${index} has no length; pass options.periodHours`);
+        }
+        const met = redFlagPeriodCriteria(period, resolved);
+        return {
+            index: index,
+            period: period.timestamp || period.day || period.period || `Period ${index + 1}`,
+            hours: hours,
+            gap: period.gap === true,
+            met: met,
+            qualifies: redFlagQualifies(met, resolved),
+            source: period
+        };
+    });
+
+    const runs = [];
+    let current = null;
+    scanned.forEach(entry => {
+        if (current !== null && (!entry.qualifies || entry.gap)) {
+            runs.push(current);
+            current = null;
+        }
+        if (entry.qualifies) {
+            current = current || [];
+            current.push(entry);
+        }
+    });
+    if (current !== null) {
+        runs.push(current);
+    }
+
+    const extreme = (run, field, pick) => {
+        const values = run.map(entry => Number(entry.source[field])).filter(isFinite);
+        return values.length === 0 ? null : pick(...values);
+    };
+    const moistureField = periods[0].moisture !== undefined ? 'moisture' : `moisture${resolved.timeLag}Hr`;
+    const windows = runs
+        .map(run => {
+            const criteriaHours = {};
+            Object.keys(run[0].met).forEach(key => {
+                criteriaHours[key] = run.reduce((sum, entry) => sum + (entry.met[key] ? entry.hours : 0), 0);
+            });
+            return {
+                start: run[0].period,
+                end: run[run.length - 1].period,
+                startIndex: run[0].index,
+                endIndex: run[run.length - 1].index,
+                hours: run.reduce((sum, entry) => sum + entry.hours, 0),
+                criteriaHours: criteriaHours,
+                minRh: extreme(run, 'rh', Math.min),
+                maxWind: extreme(run, 'wind', Math.max),
+                maxGust: extreme(run, 'gust', Math.max),
+                minMoisture: extreme(run, moistureField, Math.min)
+            };
+        })
+        .filter(window => window.hours >= resolved.minDuration);
+
+    return {
+        criteria: resolved,
+        windows: windows,
+        periods: scanned.map(entry => ({
+            index: entry.index,
+            period: entry.period,
+            met: entry.met,
+            qualifies: entry.qualifies
+        })),
+        summary: {
+            zone: resolved.zone === undefined ? null : resolved.zone,
+            redFlag: windows.length > 0,
+            windowCount: windows.length,
+            firstWindowStart: windows.length === 0 ? null : windows[0].start,
+            longestWindowHours: windows.length === 0 ? 0 : Math.max(...windows.map(window => window.hours)),
+            totalHours: windows.reduce((sum, window) => sum + window.hours, 0)
+        }
+    };
+}
+
+/**
+ * Fine Fuel Moisture Code for one day.
+ * @private
+ */
+function fwiFineFuelMoistureCode(previous, tempC, rh, windKmh, rainMm) {
+    let mo = 147.2 * (101 - previous) / (59.5 + previous);
+
+    if (rainMm > 0.5) {
+        const rf = rainMm - 0.5;
+        let wetting = 42.5 * rf * Math.exp(-100 / (251 - mo)) * (1 - Math.exp(-6.93 / rf));
+        if (mo > 150) {
+            wetting += 0.0015 * Math.pow(mo - 150, 2) * Math.sqrt(rf);
+        }
+        mo = Math.min(250, mo + wetting);
+    }
+
+    const drying = 0.942 * Math.pow(rh, 0.679) + 11 * Math.exp((rh - 100) / 10) +
+        0.18 * (21.1 - tempC) * (1 - Math.exp(-0.115 * rh));
+    let m = mo;
+
+    if (mo > drying) {
+        const ko = 0.424 * (1 - Math.pow(rh / 100, 1.7)) + 0.0694 * Math.sqrt(windKmh) * (1 - Math.pow(rh / 100, 8));
+        const kd = ko * 0.581 * Math.exp(0.0365 * tempC);
+        m = drying + (mo - drying) * Math.pow(10, -kd);
+    } else {
+        const wetting = 0.618 * Math.pow(rh, 0.753) + 10 * Math.exp((rh - 100) / 10) +
+            0.18 * (21.1 - tempC) * (1 - Math.exp(-0.115 * rh));
+        if (mo < wetting) {
+            const k1 = 0.424 * (1 - Math.pow((100 - rh) / 100, 1.7)) +
+                0.0694 * Math.sqrt(windKmh) * (1 - Math.pow((100 - rh) / 100, 8));
+            const kw = k1 * 0.581 * Math.exp(0.0365 * tempC);
+            m = wetting - (wetting - mo) * Math.pow(10, -kw);
+        }
+    }
+
+    return Math.max(0, Math.min(101, 59.5 * (250 - m) / (147.2 + m)));
+}
+
+/**
+ * Duff Moisture Code for one day.
+ * @private
+ */
+function fwiDuffMoistureCode(previous, tempC, rh, rainMm, month) {
+    let pr = previous;
+
+    if (rainMm > 1.5) {
+        const re = 0.92 * rainMm - 1.27;
+        const mo = 20 + Math.exp(5.6348 - previous / 43.43);
+        let b;
+        if (previous <= 33) {
+            b = 100 / (0.5 + 0.3 * previous);
+        } else if (previous <= 65) {
+            b = 14 - 1.3 * Math.log(previous);
+        } else {
+            b = 6.2 * Math.log(previous) - 17.2;
+        }
+        const mr = mo + 1000 * re / (48.77 + b * re);
+        pr = Math.max(0, 244.72 - 43.43 * Math.log(mr - 20));
+    }
+
+    const t = Math.max(-1.1, tempC);
+    const k = 1.894 * (t + 1.1) * (100 - rh) * FWI_DMC_DAY_LENGTH[month - 1] * 1e-6;
+
+    return Math.max(0, pr + 100 * k);
+}
+
+/**
+ * Drought Code for one day.
+ * @private
+ */
+function fwiDroughtCode(previous, tempC, rainMm, month) {
+    let dr = previous;
+
+    if (rainMm > 2.8) {
+        const rd = 0.83 * rainMm - 1.27;
+        const qr = 800 * Math.exp(-previous / 400) + 3.937 * rd;
+        dr = Math.max(0, 400 * Math.log(800 / qr));
+    }
+
+    const t = Math.max(-2.8, tempC);
+    const pe = Math.max(0, (0.36 * (t + 2.8) + FWI_DC_DAY_LENGTH[month - 1]) / 2);
+
+    return dr + pe;
+}
+
+/**
+ * Initial Spread Index (unrounded).
+ * @private
+ */
+function fwiInitialSpread(ffmc, windKmh) {
+    const m = 147.2 * (101 - ffmc) / (59.5 + ffmc);
+    const fWind = Math.exp(0.05039 * windKmh);
+    const fFuel = 91.9 * Math.exp(-0.1386 * m) * (1 + Math.pow(m, 5.31) / 4.93e7);
+    return 0.208 * fWind * fFuel;
+}
+
+/**
+ * Buildup Index (unrounded).
+ * @private
+ */
+function fwiBuildup(dmc, dc) {
+    if (dmc <= 0 && dc <= 0) {
+        return 0;
+    }
+
+    let U;
+    if (dmc <= 0.4 * dc) {
+        U = 0.8 * dmc * dc / (dmc + 0.4 * dc);
+    } else {
+        U = dmc - (1 - 0.8 * dc / (dmc + 0.4 * dc)) * (0.92 + Math.pow(0.0114 * dmc, 1.7));
+    }
+    return Math.max(0, U);
+}
+
+/**
+ * Fire Weather Index (unrounded).
+ * @private
+ */
+function fwiFireWeather(isi, bui) {
+    const fD = bui <= 80
+        ? 0.626 * Math.pow(bui, 0.809) + 2
+        : 1000 / (25 + 108.64 * Math.exp(-0.023 * bui));
+    const B = 0.1 * isi * fD;
+    return B > 1 ? Math.exp(2.72 * Math.pow(0.434 * Math.log(B), 0.647)) : B;
+}
+
+/**
+ * Computes the Initial Spread Index from FFMC and wind speed.
+ *
+ * @param {number} ffmc - Fine Fuel Moisture Code
+ * @param {number} windKmh - Wind speed in km/h
+ * @returns {number} - Initial Spread Index (1 decimal place)
+ * @throws {TypeError} - If inputs are not finite numbers
+ */
+function computeISI(ffmc, windKmh) {
+    const F = Number(ffmc);
+    const W = Number(windKmh);
+
+    if (!isFinite(F) || !isFinite(W)) {
+        throw new TypeError('FFMC and wind speed must be finite numbers');
+    }
+
+    return Math.round(fwiInitialSpread(F, Math.max(0, W)) * 10) / 10;
+}
+
+/**
+ * Computes the Buildup Index from DMC and DC.
+ *
+ * @param {number} dmc - Duff Moisture Code
+ * @param {number} dc - Drought Code
+ * @returns {number} - Buildup Index (1 decimal place)
+ * @throws {TypeError} - If inputs are not finite numbers
+ */
+function computeBUI(dmc, dc) {
+    const P = Number(dmc);
+    const D = Number(dc);
+
+    if (!isFinite(P) || !isFinite(D)) {
+        throw new TypeError('DMC and DC must be finite numbers');
+    }
+
+    return Math.round(fwiBuildup(P, D) * 10) / 10;
+}
+
+/**
+ * Computes the Fire Weather Index from ISI and BUI.
+ *
+ * @param {number} isi - Initial Spread Index
+ * @param {number} bui - Buildup Index
+ * @returns {number} - Fire Weather Index (1 decimal place)
+ * @throws {TypeError} - If inputs are not finite numbers
+ */
+function computeFWIIndex(isi, bui) {
+    const R = Number(isi);
+    const U = Number(bui);
+
+    if (!isFinite(R) || !isFinite(U)) {
+        throw new TypeError('ISI and BUI must be finite numbers');
+    }
+
+    return Math.round(fwiFireWeather(R, U) * 10) / 10;
+}
+
+/**
+ * Computes one day of the Canadian Forest Fire Weather Index system from noon
+ * weather, carrying yesterday's FFMC, DMC and DC forward.
+ *
+ * @param {Object} weather - Noon observation
+ * @param {number} weather.temp - Temperature (°F, or °C with units 'metric')
+ * @param {number} weather.rh - Relative humidity (%)
+ * @param {number} [weather.wind=0] - Wind speed (mph, or km/h with units 'metric')
+ * @param {number} [weather.precip=0] - 24-hour rainfall (inches, or mm with units 'metric')
+ * @param {number} [weather.month] - Month (1-12); otherwise taken from weather.date
+ * @param {string|Date} [weather.date] - Observation date
+ * @param {Object} [previous] - Yesterday's codes `{ ffmc, dmc, dc }` (defaults to start-up values)
+ * @param {Object} [options] - Options
+ * @param {string} [options.units='imperial'] - 'imperial' or 'metric' input units
+ * @returns {Object} - `{ ffmc, dmc, dc, isi, bui, fwi }` (1 decimal place)
+ * @throws {TypeError} - If inputs are invalid
+ */
+function computeFWI(weather, previous = FWI_STARTUP_CODES, options = {}) {
+    return roundFWICodes(computeFWIUnrounded(weather, previous, options || {}));
+}
+
+/**
+ * Validated, unrounded FWI calculation shared by computeFWI and runFWI.
+ * @private
+ */
+function computeFWIUnrounded(weather, previous, options) {
+    if (!weather || typeof weather !== 'object') {
+        throw new TypeError('Weather must be an object');
+    }
+
+    const units = options.units === undefined ? 'imperial' : options.units;
+    if (units !== 'imperial' && units !== 'metric') {
+        throw new TypeError(`Unknown units: ${units}`);
+    }
+
+    const temp = Number(weather.temp);
+    const rhRaw = Number(weather.rh);
+    const wind = weather.wind === undefined || weather.wind === null ? 0 : Number(weather.wind);
+    const precip = weather.precip === undefined || weather.precip === null ? 0 : Number(weather.precip);
+
+    if (!isFinite(temp) || !isFinite(rhRaw) || !isFinite(wind) || !isFinite(precip)) {
+        throw new TypeError('Temperature, humidity, wind and precipitation must be finite numbers');
+    }
+
+    if (wind < 0 || precip < 0) {
+        throw new TypeError('Wind and precipitation cannot be negative');
+    }
+
+    let month;
+    if (weather.month !== undefined) {
+        month = Number(weather.month);
+    } else if (weather.date !== undefined) {
+        const d = weather.date instanceof Date ? weather.date : new Date(weather.date);
+        month = d.getUTCMonth() + 1;
+    }
+
+    if (!isFinite(month) || month < 1 || month > 12 || Math.floor(month) !== month) {
+        throw new TypeError('Weather must include a month (1-12) or a valid date');
+    }
+
+    const prev = previous || FWI_STARTUP_CODES;
+    const ffmc0 = Number(prev.ffmc);
+    const dmc0 = Number(prev.dmc);
+    const dc0 = Number(prev.dc);
+
+    if (!isFinite(ffmc0) || !isFinite(dmc0) || !isFinite(dc0)) {
+        throw new TypeError('Previous FFMC, DMC and DC must be finite numbers');
+    }
+
+    const tempC = units === 'metric' ? temp : fahrenheitToCelsius(temp);
+    const windKmh = units === 'metric' ? wind : wind * MPH_TO_KMH;
+    const rainMm = units === 'metric' ? precip : precip * INCHES_TO_MM;
+    const rh = Math.max(0, Math.min(100, rhRaw));
+
+    // Indices are computed from the unrounded codes, as in the reference implementation
+    const ffmc = fwiFineFuelMoistureCode(ffmc0, tempC, rh, windKmh, rainMm);
+    const dmc = fwiDuffMoistureCode(dmc0, tempC, rh, rainMm, month);
+    const dc = fwiDroughtCode(dc0, tempC, rainMm, month);
+    const isi = fwiInitialSpread(ffmc, windKmh);
+    const bui = fwiBuildup(dmc, dc);
+
+    return {
+        ffmc: ffmc,
+        dmc: dmc,
+        dc: dc,
+        isi: isi,
+        bui: bui,
+        fwi: fwiFireWeather(isi, bui)
+    };
+}
+
+/**
+ * Round every FWI component to one decimal place.
+ * @private
+ */
+function roundFWICodes(codes) {
+    const rounded = {};
+    Object.keys(codes).forEach(key => {
+        rounded[key] = Math.round(codes[key] * 10) / 10;
+    });
+    return rounded;
+}
+
+/**
+ * Runs the FWI system over a series of daily noon observations, carrying the
+ * moisture codes forward from day to day.
+ *
+ * @param {Array<Object>} dailyWeather - Noon observations (see computeFWI), with optional `label`
+ * @param {Object} [initialCodes] - Starting `{ ffmc, dmc, dc }` (defaults to start-up values)
+ * @param {Object} [options] - Options passed to computeFWI
+ * @returns {Object} - `{ initialCodes, dailyResults, summary }`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runFWI(dailyWeather, initialCodes = FWI_STARTUP_CODES, options = {}) {
+    if (!Array.isArray(dailyWeather) || dailyWeather.length === 0) {
+        throw new TypeError('Daily weather must be a non-empty array');
+    }
+
+    const start = initialCodes || FWI_STARTUP_CODES;
+    // Codes are carried between days unrounded; results are reported to 1 decimal place
+    let codes = { ffmc: Number(start.ffmc), dmc: Number(start.dmc), dc: Number(start.dc) };
+    let today = null;
+    const dailyResults = [];
+    let maxFWI = null;
+
+    dailyWeather.forEach((entry, index) => {
+        codes = computeFWIUnrounded(entry, codes, options || {});
+        today = roundFWICodes(codes);
+        dailyResults.push(Object.assign({ day: entry.label || `Day ${index + 1}` }, today));
+
+        if (maxFWI === null || today.fwi > maxFWI.fwi) {
+            maxFWI = { day: dailyResults[index].day, fwi: today.fwi };
+        }
+    });
+
+    return {
+        initialCodes: { ffmc: Number(start.ffmc), dmc: Number(start.dmc), dc: Number(start.dc) },
+        dailyResults: dailyResults,
+        summary: {
+            finalCodes: { ffmc: today.ffmc, dmc: today.dmc, dc: today.dc },
+            finalFWI: today.fwi,
+            maxFWI: maxFWI.fwi,
+            maxFWIDay: maxFWI.day
+        }
+    };
+}
+
+/**
+ * Resolves an NFDRS fuel model letter, or validates a custom parameter object
+ * with the same fields as NFDRS_FUEL_MODELS.
+ * @private
+ */
+function resolveNFDRSFuelModel(fuelModel) {
+    if (typeof fuelModel === 'string') {
+        const id = fuelModel.toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(NFDRS_FUEL_MODELS, id)) {
+            throw new TypeError(`Unknown NFDRS fuel model: ${fuelModel}`);
+        }
+        return Object.assign({ id: id }, NFDRS_FUEL_MODELS[id]);
+    }
+
+    if (!fuelModel || typeof fuelModel !== 'object') {
+        throw new TypeError('Fuel model must be a model letter or a parameter object');
+    }
+
+    const model = { id: fuelModel.id || 'custom', name: fuelModel.name || 'Custom fuel model' };
+    ['W1', 'W10', 'W100', 'W1000', 'WWOOD', 'WHERB', 'SG1', 'SGWOOD', 'SGHERB',
+        'DEPTH', 'MXD', 'HD', 'SCM', 'WNDFC'].forEach(key => {
+        const value = fuelModel[key] === undefined ? 0 : Number(fuelModel[key]);
+        if (!isFinite(value) || value < 0) {
+            throw new TypeError(`Fuel model ${key} must be a non-negative finite number`);
+        }
+        model[key] = value;
+    });
+
+    if (model.W1 <= 0 || model.SG1 <= 0 || model.DEPTH <= 0 ||
+        model.MXD <= 0 || model.HD <= 0 || model.SCM <= 0) {
+        throw new TypeError('Fuel model W1, SG1, DEPTH, MXD, HD and SCM must be positive');
+    }
+    if ((model.WWOOD > 0 && model.SGWOOD <= 0) || (model.WHERB > 0 && model.SGHERB <= 0)) {
+        throw new TypeError('Fuel model live loads need a positive surface-area-to-volume ratio');
+    }
+
+    return model;
+}
+
+/**
+ * Rothermel moisture damping coefficient.
+ * @private
+ */
+function rothermelMoistureDamping(moisture, extinction) {
+    const r = Math.min(1, moisture / extinction);
+    return Math.max(0, 1 - 2.59 * r + 5.11 * r * r - 3.52 * r * r * r);
+}
+
+/**
+ * Optimum reaction velocity (1/min) for a fuel bed.
+ * @private
+ */
+function rothermelReactionVelocity(sigma, packingRatio) {
+    const optimumPacking = 3.348 * Math.pow(sigma, -0.8189);
+    const sigma15 = Math.pow(sigma, 1.5);
+    const maxVelocity = sigma15 / (495 + 0.0594 * sigma15);
+    const a = 133 * Math.pow(sigma, -0.7913);
+    const ratio = packingRatio / optimumPacking;
+    return maxVelocity * Math.pow(ratio, a) * Math.exp(a * (1 - ratio));
+}
+
+/**
+ * Weighted sum of one field over fuel classes.
+ * @private
+ */
+function nfdrsWeighted(classes, weight, field) {
+    return classes.reduce((sum, fuel) => sum + fuel[weight] * fuel[field], 0);
+}
+
+/**
+ * Probability of ignition (%) of fine dead fuel from fuel temperature (°F)
+ * and 1-hour moisture (%), using the NFDRS heat of ignition relationship.
+ * @private
+ */
+function ignitionProbability(fuelTempF, moisture1hr) {
+    const fuelTempC = fahrenheitToCelsius(fuelTempF);
+    const heatOfIgnition = 144.5 - 0.266 * fuelTempC - 0.00058 * fuelTempC * fuelTempC -
+        0.01 * fuelTempC * moisture1hr + 18.54 * (1 - Math.exp(-0.151 * moisture1hr)) +
+        6.4 * moisture1hr;
+    const chi = (344 - heatOfIgnition) / 10;
+    if (chi <= 0) return 0;
+
+    const probability = (Math.pow(chi, 3.66) * 0.000923 / 50 - 0.00232) * 100 / 0.99767;
+    return Math.max(0, Math.min(100, probability));
+}
+
+/**
+ * Read an optional 0-1 fraction (shading, cloud cover).
+ * @private
+ */
+function optionalFraction(value, message) {
+    if (value === undefined || value === null) {
+        return 0;
+    }
+    const v = Number(value);
+    if (!isFinite(v) || v < 0 || v > 1) {
+        throw new TypeError(message);
+    }
+    return v;
+}
+
+/**
+ * Estimates surface fine fuel temperature (°F) from air temperature and the
+ * combined cover from canopy shading and cloud.
+ * @private
+ */
+function estimateFuelTemperature(tempF, shading, cloudCover) {
+    const cover = 1 - (1 - shading) * (1 - cloudCover);
+    const increment = FUEL_TEMPERATURE_INCREMENT.UNSHADED -
+        (FUEL_TEMPERATURE_INCREMENT.UNSHADED - FUEL_TEMPERATURE_INCREMENT.SHADED) * cover;
+    return tempF + increment;
+}
 
-// Export all functions for the test suite
-module.exports = { 
-    calculateMoisture, 
+/**
+ * Computes the probability of ignition (Pig) of fine dead fuel: the chance
+ * that a firebrand landing on the fuel starts a fire.
+ *
+ * Fuel temperature is estimated from air temperature, heated 25°F in full sun
+ * under a clear sky and 5°F when fully shaded or overcast.
+ *
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} moisture1hr - 1-hour fuel moisture (%)
+ * @param {Object} [options] - Exposure of the fuel
+ * @param {number} [options.shading=0] - Canopy shading fraction (0-1)
+ * @param {number} [options.cloudCover=0] - Cloud cover fraction (0-1)
+ * @returns {number} - Probability of ignition (%, 0-100)
+ * @throws {TypeError} - If inputs are invalid
+ */
+function computeProbabilityOfIgnition(tempF, moisture1hr, options = {}) {
+    const T = Number(tempF);
+    const M = Number(moisture1hr);
+
+    if (!isFinite(T) || !isFinite(M) || M < 0) {
+        throw new TypeError('Temperature and 1-hour moisture must be finite numbers');
+    }
+
+    const settings = options || {};
+    const shading = optionalFraction(settings.shading, 'Shading must be a fraction between 0 and 1');
+    const cloudCover = optionalFraction(settings.cloudCover, 'Cloud cover must be a fraction between 0 and 1');
+    const probability = ignitionProbability(estimateFuelTemperature(T, shading, cloudCover), M);
+
+    return Math.round(probability * 10) / 10;
+}
+
+/**
+ * Resolve the `ignition` option of runModel/predictDryingTrend to default
+ * exposure settings, or null when disabled.
+ * @private
+ */
+function resolveIgnitionOption(ignition) {
+    if (!ignition) {
+        return null;
+    }
+    const settings = ignition === true ? {} : ignition;
+    if (typeof settings !== 'object') {
+        throw new TypeError('Ignition option must be true or an object');
+    }
+    return {
+        shading: optionalFraction(settings.shading, 'Shading must be a fraction between 0 and 1'),
+        cloudCover: optionalFraction(settings.cloudCover, 'Cloud cover must be a fraction between 0 and 1')
+    };
+}
+
+/**
+ * Probability of ignition for one model period; entries may override the
+ * default cloud cover.
+ * @private
+ */
+function periodIgnitionProbability(ignition, entry, temp, moisture1hr, index) {
+    const cloudCover = entry.cloudCover === undefined
+        ? ignition.cloudCover
+        : optionalFraction(entry.cloudCover, `Period ${index} has invalid cloud cover`);
+    return computeProbabilityOfIgnition(temp, moisture1hr, { shading: ignition.shading, cloudCover: cloudCover });
+}
+
+/**
+ * Computes the NFDRS Spread Component, Energy Release Component, Ignition
+ * Component and Burning Index for one set of fuel moistures and weather.
+ *
+ * Herbaceous load is transferred to the 1-hour class as it cures (1978 annual
+ * transfer). SC and IC use the 1-, 10- and 100-hour classes and live fuels;
+ * ERC also includes the 1000-hour class.
+ *
+ * @param {Object} conditions - Fuel moistures (%) and weather
+ * @param {number} conditions.moisture1hr - 1-hour fuel moisture
+ * @param {number} conditions.moisture10hr - 10-hour fuel moisture
+ * @param {number} [conditions.moisture100hr] - 100-hour fuel moisture (required when the model has 100-hour load)
+ * @param {number} [conditions.moisture1000hr] - 1000-hour fuel moisture (required when the model has 1000-hour load)
+ * @param {number} [conditions.herbMoisture=30] - Herbaceous fuel moisture
+ * @param {number} [conditions.woodMoisture=60] - Woody fuel moisture
+ * @param {number} [conditions.wind=0] - 20-ft wind speed (mph)
+ * @param {number} [conditions.slope=0] - Slope (%)
+ * @param {number} [conditions.temp] - Air temperature (°F); required for IC
+ * @param {number} [conditions.skyCover=0] - 0 clear, 1 scattered, 2 broken, 3 overcast
+ * @param {string|Object} fuelModel - NFDRS model letter (A-U, V-Z) or custom parameters
+ * @returns {Object} - `{ sc, erc, ic, bi }`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function computeNFDRSIndices(conditions, fuelModel) {
+    if (!conditions || typeof conditions !== 'object') {
+        throw new TypeError('Conditions must be an object');
+    }
+
+    const model = resolveNFDRSFuelModel(fuelModel);
+    const moisture = (value, fallback, message) => {
+        const parsed = value === undefined || value === null ? fallback : Number(value);
+        if (!isFinite(parsed) || parsed < 0) throw new TypeError(message);
+        return parsed;
+    };
+
+    const m1 = moisture(conditions.moisture1hr, NaN, '1-hour moisture must be a non-negative number');
+    const m10 = moisture(conditions.moisture10hr, NaN, '10-hour moisture must be a non-negative number');
+    const m100 = moisture(conditions.moisture100hr, model.W100 > 0 ? NaN : 0,
+        '100-hour moisture must be a non-negative number for this fuel model');
+    const m1000 = moisture(conditions.moisture1000hr, model.W1000 > 0 ? NaN : 0,
+        '1000-hour moisture must be a non-negative number for this fuel model');
+    const herbMoisture = moisture(conditions.herbMoisture, NFDRS_CONSTANTS.DEFAULT_HERB_MOISTURE,
+        'Herbaceous moisture must be a non-negative number');
+    const woodMoisture = moisture(conditions.woodMoisture, NFDRS_CONSTANTS.DEFAULT_WOOD_MOISTURE,
+        'Woody moisture must be a non-negative number');
+    const wind = moisture(conditions.wind, 0, 'Wind speed must be a non-negative number');
+    const slope = moisture(conditions.slope, 0, 'Slope must be a non-negative number');
+    const skyCover = moisture(conditions.skyCover, 0, 'Sky cover must be 0, 1, 2 or 3');
+    if (skyCover > 3 || Math.floor(skyCover) !== skyCover) {
+        throw new TypeError('Sky cover must be 0, 1, 2 or 3');
+    }
+    const temp = Number(conditions.temp);
+    if (conditions.temp === undefined || conditions.temp === null || !isFinite(temp)) {
+        throw new TypeError('Temperature must be a finite number');
+    }
+
+    const C = NFDRS_CONSTANTS;
+    const rho = C.PARTICLE_DENSITY;
+    const toLb = C.TONS_PER_ACRE_TO_LB_PER_FT2;
+
+    // Cured herbaceous load moves into the 1-hour class
+    const transfer = Math.max(0, Math.min(1, 1.33 - 0.0111 * herbMoisture));
+    const dead = [
+        { load: (model.W1 + transfer * model.WHERB) * toLb, sg: model.SG1, mc: m1 },
+        { load: model.W10 * toLb, sg: C.SG10, mc: m10 },
+        { load: model.W100 * toLb, sg: C.SG100, mc: m100 }
+    ].filter(fuel => fuel.load > 0);
+    const live = [
+        { load: (1 - transfer) * model.WHERB * toLb, sg: model.SGHERB, mc: herbMoisture },
+        { load: model.WWOOD * toLb, sg: model.SGWOOD, mc: woodMoisture }
+    ].filter(fuel => fuel.load > 0);
+    const largeLoad = model.W1000 * toLb;
+
+    // Surface-area weighting for spread
+    dead.concat(live).forEach(fuel => { fuel.area = fuel.load * fuel.sg / rho; });
+    const deadArea = dead.reduce((sum, fuel) => sum + fuel.area, 0);
+    const liveArea = live.reduce((sum, fuel) => sum + fuel.area, 0);
+    dead.forEach(fuel => { fuel.f = fuel.area / deadArea; });
+    live.forEach(fuel => { fuel.f = fuel.area / liveArea; });
+    const fDead = deadArea / (deadArea + liveArea);
+    const fLive = liveArea / (deadArea + liveArea);
+
+    const sigma = fDead * nfdrsWeighted(dead, 'f', 'sg') + fLive * nfdrsWeighted(live, 'f', 'sg');
+    const deadLoad = dead.reduce((sum, fuel) => sum + fuel.load, 0);
+    const liveLoad = live.reduce((sum, fuel) => sum + fuel.load, 0);
+    const packing = (deadLoad + liveLoad) / (model.DEPTH * rho);
+    const optimumPacking = 3.348 * Math.pow(sigma, -0.8189);
+    const mineralDamping = 0.174 * Math.pow(C.EFFECTIVE_MINERAL, -0.19);
+
+    // Live fuel moisture of extinction
+    const fineDead = dead.reduce((sum, fuel) => sum + fuel.load * Math.exp(-138 / fuel.sg), 0);
+    const fineDeadMoisture = dead.reduce((sum, fuel) =>
+        sum + fuel.load * Math.exp(-138 / fuel.sg) * fuel.mc, 0) / fineDead;
+    const fineLive = live.reduce((sum, fuel) => sum + fuel.load * Math.exp(-500 / fuel.sg), 0);
+    const liveExtinction = fineLive > 0
+        ? Math.max(model.MXD, (2.9 * (fineDead / fineLive) * (1 - fineDeadMoisture / model.MXD) - 0.226) * 100)
+        : model.MXD;
+
+    const deadDamping = rothermelMoistureDamping(nfdrsWeighted(dead, 'f', 'mc'), model.MXD);
+    const liveDamping = live.length > 0
+        ? rothermelMoistureDamping(nfdrsWeighted(live, 'f', 'mc'), liveExtinction)
+        : 0;
+    const reactionIntensity = rothermelReactionVelocity(sigma, packing) * model.HD * mineralDamping *
+        (nfdrsWeighted(dead, 'f', 'load') * (1 - C.TOTAL_MINERAL) * deadDamping +
+        nfdrsWeighted(live, 'f', 'load') * (1 - C.TOTAL_MINERAL) * liveDamping);
+
+    const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (packing + 0.1)) /
+        (192 + 0.2595 * sigma);
+    const heatOfPreignition = fuel => Math.exp(-138 / fuel.sg) * (250 + 1116 * fuel.mc / 100);
+    const bulkDensity = (deadLoad + liveLoad) / model.DEPTH;
+    const heatSink = bulkDensity * (
+        fDead * dead.reduce((sum, fuel) => sum + fuel.f * heatOfPreignition(fuel), 0) +
+        fLive * live.reduce((sum, fuel) => sum + fuel.f * heatOfPreignition(fuel), 0)
+    );
+
+    // Mid-flame wind (ft/min), limited by reaction intensity
+    const midflame = Math.min(wind * model.WNDFC * 88, 0.9 * reactionIntensity);
+    const windB = 0.02526 * Math.pow(sigma, 0.54);
+    const windC = 7.47 * Math.exp(-0.133 * Math.pow(sigma, 0.55));
+    const windE = 0.715 * Math.exp(-0.000359 * sigma);
+    const phiWind = midflame > 0
+        ? windC * Math.pow(midflame, windB) * Math.pow(packing / optimumPacking, -windE)
+        : 0;
+    const phiSlope = 5.275 * Math.pow(packing, -0.3) * Math.pow(slope / 100, 2);
+
+    const spread = reactionIntensity * propagatingFlux * (1 + phiWind + phiSlope) / heatSink;
+    const sc = Math.round(spread);
+
+    // Load weighting (including 1000-hour fuels) for energy release
+    const deadE = dead.concat(largeLoad > 0 ? [{ load: largeLoad, sg: C.SG1000, mc: m1000 }] : []);
+    const deadLoadE = deadLoad + largeLoad;
+    const totalLoadE = deadLoadE + liveLoad;
+    deadE.forEach(fuel => { fuel.fe = fuel.load / deadLoadE; });
+    live.forEach(fuel => { fuel.fe = fuel.load / liveLoad; });
+    const fDeadE = deadLoadE / totalLoadE;
+    const fLiveE = liveLoad / totalLoadE;
+
+    const sigmaE = fDeadE * nfdrsWeighted(deadE, 'fe', 'sg') + fLiveE * nfdrsWeighted(live, 'fe', 'sg');
+    const packingE = totalLoadE / (model.DEPTH * rho);
+    const deadDampingE = rothermelMoistureDamping(nfdrsWeighted(deadE, 'fe', 'mc'), model.MXD);
+    const liveDampingE = live.length > 0
+        ? rothermelMoistureDamping(nfdrsWeighted(live, 'fe', 'mc'), liveExtinction)
+        : 0;
+    const reactionIntensityE = rothermelReactionVelocity(sigmaE, packingE) * model.HD * mineralDamping *
+        (fDeadE * deadLoadE * (1 - C.TOTAL_MINERAL) * deadDampingE +
+        fLiveE * liveLoad * (1 - C.TOTAL_MINERAL) * liveDampingE);
+    const residenceTime = 384 / sigma;
+    const erc = Math.round(0.04 * reactionIntensityE * residenceTime);
+
+    // Ignition component: P(I) scaled by the chance that an ignition spreads
+    const normalizedSpread = Math.min(100, 100 * sc / model.SCM);
+    const ic = sc > 0
+        ? Math.round(0.10 * ignitionProbability(temp + C.FUEL_TEMP_INCREMENT[skyCover], m1) *
+            Math.sqrt(normalizedSpread))
+        : 0;
+
+    const bi = Math.round(3.01 * Math.pow(sc * erc, 0.46));
+
+    return { sc: sc, erc: erc, ic: ic, bi: bi };
+}
+
+/**
+ * Extracts per-period fuel moistures and weather from a runModel result or
+ * either form of simulateDrying output.
+ * @private
+ */
+function modelOutputConditions(modelOutput) {
+    let entries;
+    if (Array.isArray(modelOutput)) {
+        entries = modelOutput.map(step => ({
+            period: step.step,
+            moisture1hr: step.m1,
+            moisture10hr: step.m10,
+            moisture100hr: step.m100,
+            temp: step.temp
+        }));
+    } else if (modelOutput && Array.isArray(modelOutput.dailyResults)) {
+        entries = modelOutput.dailyResults.map(day => ({
+            period: day.day,
+            moisture1hr: day.moisture1Hr,
+            moisture10hr: day.moisture10Hr,
+            moisture100hr: day.moisture100Hr,
+            moisture1000hr: day.moisture1000Hr,
+            temp: day.temp,
+            wind: day.wind
+        }));
+    } else if (modelOutput && Array.isArray(modelOutput.timeSeries)) {
+        entries = modelOutput.timeSeries.map(point => ({
+            period: point.hour,
+            moisture1hr: point.moisture1hr,
+            moisture10hr: point.moisture10hr,
+            moisture100hr: point.moisture100hr
+        }));
+    } else {
+        throw new TypeError('Model output must be a runModel or simulateDrying result');
+    }
+
+    if (entries.length === 0) {
+        throw new TypeError('Model output must contain at least one period');
+    }
+
+    return entries;
+}
+
+/**
+ * Overlays the defined values of a period onto default conditions.
+ * @private
+ */
+function mergeConditions(defaults, entry) {
+    const conditions = Object.assign({}, defaults);
+    Object.keys(entry).forEach(key => {
+        if (entry[key] !== undefined) conditions[key] = entry[key];
+    });
+    return conditions;
+}
+
+/**
+ * Computes NFDRS indices for every period of a runModel result or either form
+ * of simulateDrying output.
+ *
+ * Moistures, temperature and wind are read from each period where present;
+ * `options` supplies anything the output does not carry (the 1000-hour
+ * moisture for simulateDrying, temperature for the scenario form, live fuel
+ * moistures, slope and sky cover).
+ *
+ * @param {Object|Array<Object>} modelOutput - runModel or simulateDrying output
+ * @param {string|Object} fuelModel - NFDRS model letter (A-U, V-Z) or custom parameters
+ * @param {Object} [options] - Default conditions (see computeNFDRSIndices)
+ * @returns {Object} - `{ fuelModel, periods: [{ period, sc, erc, ic, bi }], summary }`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runNFDRSIndices(modelOutput, fuelModel, options = {}) {
+    const entries = modelOutputConditions(modelOutput);
+    const model = resolveNFDRSFuelModel(fuelModel);
+    const defaults = options || {};
+    const periods = entries.map(entry => Object.assign(
+        { period: entry.period },
+        computeNFDRSIndices(mergeConditions(defaults, entry), model)
+    ));
+
+    const peak = periods.reduce((max, period) => (period.bi > max.bi ? period : max), periods[0]);
+
+    return {
+        fuelModel: model.id,
+        periods: periods,
+        summary: {
+            maxSC: Math.max(...periods.map(period => period.sc)),
+            maxERC: Math.max(...periods.map(period => period.erc)),
+            maxIC: Math.max(...periods.map(period => period.ic)),
+            maxBI: peak.bi,
+            maxBIPeriod: peak.period
+        }
+    };
+}
+
+/**
+ * Validates a station's fire danger rating settings and works out the
+ * staffing level breakpoints.
+ * @private
+ */
+function resolveFireDangerRating(rating) {
+    if (!rating || typeof rating !== 'object') {
+        throw new TypeError('Fire danger rating settings must be an object');
+    }
+
+    const index = rating.index === undefined ? 'erc' : rating.index;
+    const falling = STAFFING_MOISTURES.includes(index);
+    if (!falling && !STAFFING_INDICES.includes(index)) {
+        throw new TypeError(`Staffing index must be one of: ${STAFFING_INDICES.concat(STAFFING_MOISTURES).join(', ')}`);
+    }
+
+    let breakpoints = rating.breakpoints;
+    if (breakpoints === undefined && !falling &&
+        rating.percentile90 !== undefined && rating.percentile97 !== undefined) {
+        // WIMS: levels 1-3 divide 0 to the 90th percentile evenly, level 4
+        // starts at the 90th and level 5 at the 97th percentile
+        const p90 = Number(rating.percentile90);
+        const p97 = Number(rating.percentile97);
+        breakpoints = [p90 / 3, p90 * 2 / 3, p90, p97].map(value => Math.round(value * 10) / 10);
+    }
+    if (!Array.isArray(breakpoints) || breakpoints.length !== 4 ||
+        breakpoints.some(value => value === null || !isFinite(Number(value)))) {
+        throw new TypeError('Rating needs four staffing level breakpoints, or percentile90 and percentile97');
+    }
+    breakpoints = breakpoints.map(Number);
+    const ordered = breakpoints.every((value, i) => i === 0 ||
+        (falling ? value < breakpoints[i - 1] : value > breakpoints[i - 1]));
+    if (!ordered) {
+        throw new TypeError(falling
+            ? 'Moisture staffing breakpoints must decrease'
+            : 'Staffing breakpoints must increase');
+    }
+
+    const table = rating.adjectiveTable === undefined ? NFDRS_ADJECTIVE_TABLE : rating.adjectiveTable;
+    const codes = NFDRS_ADJECTIVE_CLASSES.map(adjective => adjective.code);
+    if (!Array.isArray(table) || table.length !== 5 ||
+        table.some(row => !Array.isArray(row) || row.length !== 5 || row.some(code => !codes.includes(code)))) {
+        throw new TypeError(`Adjective table must be 5 rows of 5 class codes (${codes.join(', ')})`);
+    }
+
+    return { index: index, breakpoints: breakpoints, adjectiveTable: table };
+}
+
+/**
+ * Maps one day's NFDRS indices and fuel moistures to a staffing level (1-5)
+ * and an NFDRS adjective fire danger class.
+ *
+ * The staffing level comes from the staffing index (ERC by default) and the
+ * station's breakpoints: each breakpoint starts the next level, so an ERC at
+ * or above the fourth breakpoint is level 5. For a moisture index the
+ * breakpoints decrease and a moisture at or below one starts the next level.
+ * The adjective class is read from the WIMS table by staffing level and
+ * Ignition Component.
+ *
+ * @param {Object} values - `{ ic, erc?, bi?, sc?, moisture1hr?, moisture10hr?, moisture100hr?,
+ *   moisture1000hr? }`; IC and the staffing index are required
+ * @param {Object} rating - Station rating settings
+ * @param {string} [rating.index='erc'] - Staffing index: 'erc', 'bi', 'sc', 'ic' or a moisture
+ *   ('moisture1hr', 'moisture10hr', 'moisture100hr', 'moisture1000hr')
+ * @param {number[]} [rating.breakpoints] - Index values starting staffing levels 2, 3, 4 and 5
+ * @param {number} [rating.percentile90] - 90th percentile of the index (with percentile97, instead of
+ *   breakpoints)
+ * @param {number} [rating.percentile97] - 97th percentile of the index
+ * @param {string[][]} [rating.adjectiveTable] - Replacement 5x5 table of class codes by staffing level
+ *   and IC band
+ * @returns {Object} - `{ staffingLevel, staffingIndex, adjective, adjectiveCode }`
+ * @throws {TypeError} - If the values or settings are invalid
+ */
+function computeFireDangerRating(values, rating) {
+    if (!values || typeof values !== 'object') {
+        throw new TypeError('Values must be an object of NFDRS indices and moistures');
+    }
+
+    const settings = resolveFireDangerRating(rating);
+    const staffingIndex = Number(values[settings.index]);
+    const ic = Number(values.ic);
+    if (values[settings.index] === undefined || values[settings.index] === null || !isFinite(staffingIndex)) {
+        throw new TypeError(`Values need a finite ${settings.index}`);
+    }
+    if (values.ic === undefined || values.ic === null || !isFinite(ic)) {
+        throw new TypeError('Values need a finite Ignition Component (ic)');
+    }
+
+    const falling = STAFFING_MOISTURES.includes(settings.index);
+    const staffingLevel = 1 + settings.breakpoints.filter(breakpoint =>
+        (falling ? staffingIndex <= breakpoint : staffingIndex >= breakpoint)).length;
+    const icBand = NFDRS_ADJECTIVE_IC_BREAKPOINTS.filter(breakpoint => ic >= breakpoint).length;
+    const code = settings.adjectiveTable[staffingLevel - 1][icBand];
+
+    return {
+        staffingLevel: staffingLevel,
+        staffingIndex: staffingIndex,
+        adjective: NFDRS_ADJECTIVE_CLASSES.find(adjective => adjective.code === code).name,
+        adjectiveCode: code
+    };
+}
+
+/**
+ * Rates every period of a runModel result or either form of simulateDrying
+ * output: computes the NFDRS indices (see runNFDRSIndices) and attaches a
+ * staffing level and adjective class (see computeFireDangerRating) to each
+ * period, so signs and dispatch tools read the same rating.
+ *
+ * @param {Object|Array<Object>} modelOutput - runModel or simulateDrying output
+ * @param {string|Object} fuelModel - NFDRS model letter (A-U, V-Z) or custom parameters
+ * @param {Object} rating - Station rating settings (see computeFireDangerRating)
+ * @param {Object} [options] - Default conditions for the indices (see computeNFDRSIndices)
+ * @returns {Object} - `{ fuelModel, rating, periods: [{ period, sc, erc, ic, bi, staffingLevel,
+ *   staffingIndex, adjective, adjectiveCode }], summary }`; the summary gives `maxStaffingLevel`,
+ *   `maxAdjective`, `maxAdjectiveCode`, the first `peakPeriod` reaching them, and `adjectivePeriods`
+ *   (periods per adjective class)
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runFireDangerRating(modelOutput, fuelModel, rating, options = {}) {
+    const settings = resolveFireDangerRating(rating);
+    const entries = modelOutputConditions(modelOutput);
+    const indices = runNFDRSIndices(modelOutput, fuelModel, options);
+    const defaults = options || {};
+    const codes = NFDRS_ADJECTIVE_CLASSES.map(adjective => adjective.code);
+
+    const periods = indices.periods.map((period, i) => Object.assign({}, period,
+        computeFireDangerRating(Object.assign(mergeConditions(defaults, entries[i]), period), settings)));
+    const peak = periods.reduce((max, period) => {
+        const rank = codes.indexOf(period.adjectiveCode);
+        const maxRank = codes.indexOf(max.adjectiveCode);
+        return rank > maxRank || (rank === maxRank && period.staffingLevel > max.staffingLevel) ? period : max;
+    }, periods[0]);
+    const adjectivePeriods = {};
+    NFDRS_ADJECTIVE_CLASSES.forEach(adjective => {
+        adjectivePeriods[adjective.name] = periods.filter(period => period.adjectiveCode === adjective.code).length;
+    });
+
+    return {
+        fuelModel: indices.fuelModel,
+        rating: settings,
+        periods: periods,
+        summary: {
+            maxStaffingLevel: Math.max(...periods.map(period => period.staffingLevel)),
+            maxAdjective: peak.adjective,
+            maxAdjectiveCode: peak.adjectiveCode,
+            peakPeriod: peak.period,
+            adjectivePeriods: adjectivePeriods
+        }
+    };
+}
+
+/**
+ * Resolves a surface fuel model number or code, or validates a custom
+ * parameter object with the same fields as SURFACE_FUEL_MODELS.
+ * @private
+ */
+function resolveSurfaceFuelModel(fuelModel) {
+    if (typeof fuelModel === 'number' || typeof fuelModel === 'string') {
+        const id = String(fuelModel).toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(SURFACE_FUEL_MODELS, id)) {
+            throw new TypeError(`Unknown surface fuel model: ${fuelModel}`);
+        }
+        return Object.assign({ id: id }, SURFACE_FUEL_MODELS[id]);
+    }
+
+    if (!fuelModel || typeof fuelModel !== 'object') {
+        throw new TypeError('Fuel model must be a model number, code or parameter object');
+    }
+
+    const model = {
+        id: fuelModel.id || 'custom',
+        name: fuelModel.name || 'Custom fuel model',
+        dynamic: Boolean(fuelModel.dynamic)
+    };
+    ['load1hr', 'load10hr', 'load100hr', 'loadHerb', 'loadWoody', 'sav1hr', 'savHerb',
+        'savWoody', 'depth', 'extinctionMoisture', 'heatContent'].forEach(key => {
+        const value = fuelModel[key] === undefined ? 0 : Number(fuelModel[key]);
+        if (!isFinite(value) || value < 0) {
+            throw new TypeError(`Fuel model ${key} must be a non-negative finite number`);
+        }
+        model[key] = value;
+    });
+
+    if (model.load1hr + model.loadHerb <= 0 || model.sav1hr <= 0 || model.depth <= 0 ||
+        model.extinctionMoisture <= 0 || model.heatContent <= 0) {
+        throw new TypeError('Fuel model needs fine fuel load, sav1hr, depth, extinctionMoisture and heatContent');
+    }
+    if ((model.loadWoody > 0 && model.savWoody <= 0) || (model.loadHerb > 0 && model.savHerb <= 0)) {
+        throw new TypeError('Fuel model live loads need a positive surface-area-to-volume ratio');
+    }
+
+    return model;
+}
+
+/**
+ * Computes Rothermel (1972) surface fire behaviour for a fuel model, dead and
+ * live fuel moistures, mid-flame wind and slope. Wind is taken as blowing
+ * upslope.
+ *
+ * In dynamic fuel models (Scott & Burgan) the cured fraction of the herbaceous
+ * load moves to a dead herbaceous class at the 1-hour moisture: fully cured at
+ * 30% herbaceous moisture, fully green at 120%.
+ *
+ * @param {Object} conditions - Fuel moistures (%) and weather
+ * @param {number} conditions.moisture1hr - 1-hour fuel moisture
+ * @param {number} conditions.moisture10hr - 10-hour fuel moisture
+ * @param {number} [conditions.moisture100hr] - 100-hour fuel moisture (required when the model has 100-hour load)
+ * @param {number} [conditions.herbMoisture=30] - Live herbaceous moisture
+ * @param {number} [conditions.woodMoisture=60] - Live woody moisture
+ * @param {number} [conditions.wind=0] - Wind speed (mph), mid-flame unless `windAdjustment` is given
+ * @param {number} [conditions.windAdjustment=1] - Factor converting `wind` to mid-flame wind
+ * @param {number} [conditions.slope=0] - Slope (%)
+ * @param {number|string|Object} fuelModel - Anderson number (1-13), Scott & Burgan code (e.g. 'GR2') or custom parameters
+ * @returns {Object} - `{ rateOfSpread, reactionIntensity, heatPerUnitArea, firelineIntensity, flameLength, windLimited }`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function computeSurfaceFireSpread(conditions, fuelModel) {
+    if (!conditions || typeof conditions !== 'object') {
+        throw new TypeError('Conditions must be an object');
+    }
+
+    const model = resolveSurfaceFuelModel(fuelModel);
+    const value = (input, fallback, message) => {
+        const parsed = input === undefined || input === null ? fallback : Number(input);
+        if (!isFinite(parsed) || parsed < 0) throw new TypeError(message);
+        return parsed;
+    };
+
+    const m1 = value(conditions.moisture1hr, NaN, '1-hour moisture must be a non-negative number');
+    const m10 = value(conditions.moisture10hr, model.load10hr > 0 ? NaN : 0,
+        '10-hour moisture must be a non-negative number');
+    const m100 = value(conditions.moisture100hr, model.load100hr > 0 ? NaN : 0,
+        '100-hour moisture must be a non-negative number for this fuel model');
+    const herbMoisture = value(conditions.herbMoisture, NFDRS_CONSTANTS.DEFAULT_HERB_MOISTURE,
+        'Herbaceous moisture must be a non-negative number');
+    const woodMoisture = value(conditions.woodMoisture, NFDRS_CONSTANTS.DEFAULT_WOOD_MOISTURE,
+        'Woody moisture must be a non-negative number');
+    const wind = value(conditions.wind, 0, 'Wind speed must be a non-negative number');
+    const windAdjustment = value(conditions.windAdjustment, 1, 'Wind adjustment must be a non-negative number');
+    const slope = value(conditions.slope, 0, 'Slope must be a non-negative number');
+
+    const C = NFDRS_CONSTANTS;
+    const toLb = NFDRS_CONSTANTS.TONS_PER_ACRE_TO_LB_PER_FT2;
+    const cured = model.dynamic ? Math.max(0, Math.min(1, (120 - herbMoisture) / 90)) : 0;
+
+    const dead = [
+        { load: model.load1hr * toLb, sg: model.sav1hr, mc: m1 },
+        { load: model.load10hr * toLb, sg: C.SG10, mc: m10 },
+        { load: model.load100hr * toLb, sg: C.SG100, mc: m100 },
+        { load: cured * model.loadHerb * toLb, sg: model.savHerb, mc: m1 }
+    ].filter(fuel => fuel.load > 0);
+    const live = [
+        { load: (1 - cured) * model.loadHerb * toLb, sg: model.savHerb, mc: herbMoisture },
+        { load: model.loadWoody * toLb, sg: model.savWoody, mc: woodMoisture }
+    ].filter(fuel => fuel.load > 0);
+
+    dead.concat(live).forEach(fuel => { fuel.area = fuel.load * fuel.sg / C.PARTICLE_DENSITY; });
+    const deadArea = dead.reduce((sum, fuel) => sum + fuel.area, 0);
+    const liveArea = live.reduce((sum, fuel) => sum + fuel.area, 0);
+    dead.forEach(fuel => { fuel.f = fuel.area / deadArea; });
+    live.forEach(fuel => { fuel.f = fuel.area / liveArea; });
+    const fDead = deadArea / (deadArea + liveArea);
+    const fLive = liveArea / (deadArea + liveArea);
+
+    const sigma = fDead * nfdrsWeighted(dead, 'f', 'sg') + fLive * nfdrsWeighted(live, 'f', 'sg');
+    const totalLoad = dead.concat(live).reduce((sum, fuel) => sum + fuel.load, 0);
+    const bulkDensity = totalLoad / model.depth;
+    const packing = bulkDensity / C.PARTICLE_DENSITY;
+    const optimumPacking = 3.348 * Math.pow(sigma, -0.8189);
+    const mineralDamping = Math.min(1, 0.174 * Math.pow(C.EFFECTIVE_MINERAL, -0.19));
+
+    // Live fuel moisture of extinction
+    const fineDead = dead.reduce((sum, fuel) => sum + fuel.load * Math.exp(-138 / fuel.sg), 0);
+    const fineDeadMoisture = dead.reduce((sum, fuel) =>
+        sum + fuel.load * Math.exp(-138 / fuel.sg) * fuel.mc, 0) / fineDead;
+    const fineLive = live.reduce((sum, fuel) => sum + fuel.load * Math.exp(-500 / fuel.sg), 0);
+    const liveExtinction = fineLive > 0
+        ? Math.max(model.extinctionMoisture,
+            (2.9 * (fineDead / fineLive) * (1 - fineDeadMoisture / model.extinctionMoisture) - 0.226) * 100)
+        : model.extinctionMoisture;
+
+    const netLoad = classes => nfdrsWeighted(classes, 'f', 'load') * (1 - C.TOTAL_MINERAL);
+    const deadDamping = rothermelMoistureDamping(nfdrsWeighted(dead, 'f', 'mc'), model.extinctionMoisture);
+    const liveDamping = live.length > 0
+        ? rothermelMoistureDamping(nfdrsWeighted(live, 'f', 'mc'), liveExtinction)
+        : 0;
+    const reactionIntensity = rothermelReactionVelocity(sigma, packing) * model.heatContent *
+        mineralDamping * (netLoad(dead) * deadDamping + netLoad(live) * liveDamping);
+
+    const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (packing + 0.1)) /
+        (192 + 0.2595 * sigma);
+    const heatOfPreignition = fuel => Math.exp(-138 / fuel.sg) * (250 + 1116 * fuel.mc / 100);
+    const heatSink = bulkDensity * (
+        fDead * dead.reduce((sum, fuel) => sum + fuel.f * heatOfPreignition(fuel), 0) +
+        fLive * live.reduce((sum, fuel) => sum + fuel.f * heatOfPreignition(fuel), 0)
+    );
+
+    // Mid-flame wind (ft/min), capped at the Rothermel maximum reliable wind
+    const requestedWind = wind * windAdjustment * 88;
+    const midflame = Math.min(requestedWind, 0.9 * reactionIntensity);
+    const windB = 0.02526 * Math.pow(sigma, 0.54);
+    const windC = 7.47 * Math.exp(-0.133 * Math.pow(sigma, 0.55));
+    const windE = 0.715 * Math.exp(-0.000359 * sigma);
+    const phiWind = midflame > 0
+        ? windC * Math.pow(midflame, windB) * Math.pow(packing / optimumPacking, -windE)
+        : 0;
+    const phiSlope = 5.275 * Math.pow(packing, -0.3) * Math.pow(slope / 100, 2);
+
+    const rateOfSpread = heatSink > 0
+        ? reactionIntensity * propagatingFlux * (1 + phiWind + phiSlope) / heatSink
+        : 0;
+    const heatPerUnitArea = reactionIntensity * 384 / sigma;
+    const firelineIntensity = heatPerUnitArea * rateOfSpread / 60;
+    const flameLength = firelineIntensity > 0 ? 0.45 * Math.pow(firelineIntensity, 0.46) : 0;
+
+    return {
+        rateOfSpread: Math.round(rateOfSpread * 10) / 10,
+        reactionIntensity: Math.round(reactionIntensity),
+        heatPerUnitArea: Math.round(heatPerUnitArea),
+        firelineIntensity: Math.round(firelineIntensity * 10) / 10,
+        flameLength: Math.round(flameLength * 10) / 10,
+        windLimited: requestedWind > midflame
+    };
+}
+
+/**
+ * Computes surface fire behaviour for every period of a runModel result or
+ * either form of simulateDrying output, taking dead fuel moistures (and wind,
+ * where recorded) from each period and anything else from `options`.
+ *
+ * @param {Object|Array<Object>} modelOutput - runModel or simulateDrying output
+ * @param {number|string|Object} fuelModel - Anderson number, Scott & Burgan code or custom parameters
+ * @param {Object} [options] - Default conditions (see computeSurfaceFireSpread)
+ * @returns {Object} - `{ fuelModel, periods: [{ period, rateOfSpread, ... }], summary }`
+ * @throws {TypeError} - If inputs are invalid
+ */
+function runSurfaceFireSpread(modelOutput, fuelModel, options = {}) {
+    const entries = modelOutputConditions(modelOutput);
+    const model = resolveSurfaceFuelModel(fuelModel);
+    const defaults = options || {};
+    const periods = entries.map(entry => Object.assign(
+        { period: entry.period },
+        computeSurfaceFireSpread(mergeConditions(defaults, entry), model)
+    ));
+
+    const peak = periods.reduce((max, period) =>
+        (period.firelineIntensity > max.firelineIntensity ? period : max), periods[0]);
+
+    return {
+        fuelModel: model.id,
+        periods: periods,
+        summary: {
+            maxRateOfSpread: Math.max(...periods.map(period => period.rateOfSpread)),
+            maxFirelineIntensity: peak.firelineIntensity,
+            maxFlameLength: peak.flameLength,
+            peakPeriod: peak.period
+        }
+    };
+}
+
+/**
+ * Validates a station descriptor and returns a plain copy.
+ * @private
+ */
+function normalizeStation(station) {
+    if (!station || typeof station !== 'object') {
+        throw new TypeError('Station must be an object');
+    }
+
+    const id = typeof station.id === 'number' ? String(station.id) : station.id;
+    if (typeof id !== 'string' || id.trim() === '') {
+        throw new TypeError('Station id must be a non-empty string');
+    }
+
+    const normalized = { id: id };
+    if (station.name !== undefined) {
+        normalized.name = String(station.name);
+    }
+
+    ['initial1hr', 'initial10hr'].forEach(key => {
+        const value = Number(station[key]);
+        if (station[key] === undefined || station[key] === null || !isFinite(value) || value < 0) {
+            throw new TypeError(`Station ${id} ${key} must be a non-negative finite number`);
+        }
+        normalized[key] = value;
+    });
+
+    ['initial100hr', 'initial1000hr', 'elevation', 'latitude'].forEach(key => {
+        if (station[key] === undefined || station[key] === null) return;
+        const value = Number(station[key]);
+        if (!isFinite(value)) {
+            throw new TypeError(`Station ${id} ${key} must be a finite number`);
+        }
+        normalized[key] = value;
+    });
+
+    if (normalized.latitude !== undefined && Math.abs(normalized.latitude) > 90) {
+        throw new TypeError(`Station ${id} latitude must be between -90 and 90`);
+    }
+
+    if (station.fuelModel !== undefined && station.fuelModel !== null) {
+        resolveNFDRSFuelModel(station.fuelModel);
+        normalized.fuelModel = typeof station.fuelModel === 'string'
+            ? station.fuelModel.toUpperCase()
+            : station.fuelModel;
+    }
+
+    if (station.site !== undefined && station.site !== null) {
+        if (typeof station.site !== 'object') {
+            throw new TypeError(`Station ${id} site must be an object`);
+        }
+        normalized.site = station.site;
+    }
+
+    if (station.calibration !== undefined && station.calibration !== null) {
+        resolveCalibration(station.calibration, EXPONENTIAL_ENGINE);
+        normalized.calibration = station.calibration.parameters || station.calibration;
+    }
+
+    if (station.rating !== undefined && station.rating !== null) {
+        if (normalized.fuelModel === undefined) {
+            throw new TypeError(`Station ${id} rating needs a fuelModel`);
+        }
+        resolveFireDangerRating(station.rating);
+        normalized.rating = station.rating;
+    }
+
+    return normalized;
+}
+
+/**
+ * Creates a registry of weather stations for runStationBatch. The registry
+ * is a plain object keyed by station id, so it can be stored as JSON and
+ * passed back in later.
+ *
+ * @param {Array<Object>} [stations] - Initial station descriptors (see addStation)
+ * @returns {Object} - `{ stations: { [id]: station } }`
+ * @throws {TypeError} - If a station is invalid or an id is repeated
+ */
+function createStationRegistry(stations = []) {
+    if (!Array.isArray(stations)) {
+        throw new TypeError('Stations must be an array');
+    }
+
+    const registry = { stations: {} };
+    stations.forEach(station => addStation(registry, station));
+    return registry;
+}
+
+/**
+ * Adds a station to a registry created by createStationRegistry.
+ *
+ * @param {Object} registry - Station registry
+ * @param {Object} station - Station descriptor
+ * @param {string} station.id - Unique station id (e.g. the RAWS NWS id "045101")
+ * @param {string} [station.name] - Display name
+ * @param {number} station.initial1hr - Initial 1-hour fuel moisture (%)
+ * @param {number} station.initial10hr - Initial 10-hour fuel moisture (%)
+ * @param {number} [station.initial100hr] - Initial 100-hour moisture (with initial1000hr enables the
+ *   NFDRS large fuel classes in runModel)
+ * @param {number} [station.initial1000hr] - Initial 1000-hour moisture
+ * @param {number} [station.elevation] - Station elevation in feet (kept as metadata)
+ * @param {number} [station.latitude] - Latitude for NFDRS daylength
+ * @param {string|Object} [station.fuelModel] - NFDRS fuel model letter or custom parameters;
+ *   adds NFDRS indices to the station's batch result
+ * @param {Object} [station.site] - Site descriptor for fine dead fuel moisture corrections
+ * @param {Object} [station.calibration] - Fitted parameters from calibrateFuelMoisture
+ * @param {Object} [station.rating] - Staffing level breakpoints and adjective settings (see
+ *   computeFireDangerRating; needs fuelModel); adds fire danger ratings to the batch result
+ * @returns {Object} - The stored station
+ * @throws {TypeError} - If the station is invalid or its id is already registered
+ */
+function addStation(registry, station) {
+    if (!registry || typeof registry.stations !== 'object' || registry.stations === null) {
+        throw new TypeError('Registry must be created with createStationRegistry');
+    }
+
+    const normalized = normalizeStation(station);
+    if (Object.prototype.hasOwnProperty.call(registry.stations, normalized.id)) {
+        throw new TypeError(`Station ${normalized.id} is already registered`);
+    }
+
+    registry.stations[normalized.id] = normalized;
+    return normalized;
+}
+
+/**
+ * Runs one station through runModel or predictDryingTrend and reduces the
+ * result to the fields the batch summary compares.
+ * @private
+ */
+function runStation(station, weather, model, settings, threshold) {
+    const modelOptions = Object.assign({}, settings.modelOptions);
+    ['site', 'calibration'].forEach(key => {
+        if (station[key] !== undefined && modelOptions[key] === undefined) {
+            modelOptions[key] = station[key];
+        }
+    });
+
+    let result;
+    let points;
+    if (model === 'predictDryingTrend') {
+        if (!weather || typeof weather !== 'object' || Array.isArray(weather)) {
+            throw new TypeError('Weather must be an object with historicalWeather and predictedWeather');
+        }
+        const timeLag = settings.timeLag === undefined ? 1 : Number(settings.timeLag);
+        const initialKey = `initial${timeLag}hr`;
+        if (station[initialKey] === undefined) {
+            throw new TypeError(`Station has no ${initialKey} moisture`);
+        }
+        modelOptions.criticalThreshold = threshold;
+        result = predictDryingTrend({
+            currentMoisture: station[initialKey],
+            historicalWeather: weather.historicalWeather,
+            predictedWeather: weather.predictedWeather,
+            timeLag: timeLag
+        }, modelOptions);
+        points = result.trend.map(point => ({ label: point.period, time: point.period, moisture: point.moisture }));
+    } else {
+        ['initial100hr', 'initial1000hr', 'latitude'].forEach(key => {
+            if (station[key] !== undefined && modelOptions[key] === undefined) {
+                modelOptions[key] = station[key];
+            }
+        });
+        result = runModel(station.initial1hr, station.initial10hr, weather, modelOptions);
+        points = result.dailyResults.map(day => ({ label: day.day, time: day.timestamp, moisture: day.moisture1Hr }));
+    }
+
+    const criticalIndex = points.findIndex(point => point.moisture <= threshold);
+    const critical = criticalIndex === -1 ? null : points[criticalIndex];
+    const outcome = {
+        station: station,
+        result: result,
+        finalMoisture: points[points.length - 1].moisture,
+        criticalPeriod: critical ? critical.label : null,
+        criticalIndex: critical ? criticalIndex : null,
+        criticalTime: critical ? timestampMillis(critical.time, 'Invalid timestamp') : null
+    };
+
+    if (station.fuelModel !== undefined && model === 'runModel') {
+        outcome.indices = runNFDRSIndices(result, station.fuelModel, settings.nfdrsConditions);
+        if (station.rating !== undefined) {
+            outcome.rating = runFireDangerRating(result, station.fuelModel, station.rating, settings.nfdrsConditions);
+        }
+    }
+
+    return outcome;
+}
+
+/**
+ * Runs every station in a registry through runModel (default) or
+ * predictDryingTrend and compares the results.
+ *
+ * Each station uses its own initial moistures, latitude, site and calibration, merged
+ * under `options.modelOptions`. With runModel a station's fuel model adds
+ * NFDRS indices (models carrying 100-hour fuel need initial100hr and
+ * initial1000hr), and its rating settings add staffing levels and adjective
+ * classes. A station that fails validation is reported in `errors`
+ * and the rest of the batch still runs.
+ *
+ * The earliest critical station is chosen by timestamp when every critical
+ * station has ISO-8601 timestamps, otherwise by period index.
+ *
+ * @param {Object} registry - Station registry from createStationRegistry
+ * @param {Object} weatherByStation - Weather keyed by station id: a runModel forecast array, or
+ *   `{ historicalWeather, predictedWeather }` for predictDryingTrend
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.model='runModel'] - 'runModel' or 'predictDryingTrend'
+ * @param {Object} [options.modelOptions] - Options passed to the model for every station
+ * @param {number} [options.timeLag=1] - Fuel class for predictDryingTrend (1, 10, 100 or 1000)
+ * @param {number} [options.criticalThreshold=6] - Critical moisture threshold (%)
+ * @param {Object} [options.nfdrsConditions] - Default conditions for runNFDRSIndices
+ * @returns {Object} - `{ stations: { [id]: { station, result, finalMoisture, criticalPeriod,
+ *   criticalIndex, criticalTime, indices?, rating? } }, errors: [{ stationId, message }], summary }`;
+ *   the summary holds `stationCount`, `earliestCritical` `{ stationId, period, time }`,
+ *   `driestStation` `{ stationId, moisture }`, `stationsBelowThreshold` and `criticalThreshold`
+ * @throws {TypeError} - If the registry, weather or options are invalid
+ */
+function runStationBatch(registry, weatherByStation, options = {}) {
+    if (!registry || typeof registry.stations !== 'object' || registry.stations === null) {
+        throw new TypeError('Registry must be created with createStationRegistry');
+    }
+    if (!weatherByStation || typeof weatherByStation !== 'object') {
+        throw new TypeError('Weather must be an object keyed by station id');
+    }
+
+    const settings = options || {};
+    const model = settings.model === undefined ? 'runModel' : settings.model;
+    if (model !== 'runModel' && model !== 'predictDryingTrend') {
+        throw new TypeError("Model must be 'runModel' or 'predictDryingTrend'");
+    }
+    if (settings.modelOptions !== undefined &&
+        (settings.modelOptions === null || typeof settings.modelOptions !== 'object')) {
+        throw new TypeError('Model options must be an object');
+    }
+    const threshold = settings.criticalThreshold === undefined
+        ? CRITICAL_MOISTURE_THRESHOLD
+        : Number(settings.criticalThreshold);
+    if (!isFinite(threshold)) {
+        throw new TypeError('Critical threshold must be a finite number');
+    }
+
+    const stations = {};
+    const errors = [];
+    Object.keys(registry.stations).forEach(id => {
+        if (!Object.prototype.hasOwnProperty.call(weatherByStation, id)) {
+            errors.push({ stationId: id, message: 'No weather for station' });
+            return;
+        }
+        try {
+            stations[id] = runStation(registry.stations[id], weatherByStation[id], model, settings, threshold);
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+            errors.push({ stationId: id, message: error.message });
+        }
+    });
+    Object.keys(weatherByStation).forEach(id => {
+        if (!Object.prototype.hasOwnProperty.call(registry.stations, id)) {
+            errors.push({ stationId: id, message: 'Weather for unregistered station' });
+        }
+    });
+
+    const ids = Object.keys(stations);
+    const critical = ids.filter(id => stations[id].criticalPeriod !== null);
+    const byTime = critical.every(id => stations[id].criticalTime !== null);
+    const earliestId = critical.reduce((best, id) => {
+        if (best === null) return id;
+        const key = byTime ? 'criticalTime' : 'criticalIndex';
+        return stations[id][key] < stations[best][key] ? id : best;
+    }, null);
+    const driestId = ids.reduce((best, id) => (
+        best === null || stations[id].finalMoisture < stations[best].finalMoisture ? id : best
+    ), null);
+
+    return {
+        stations: stations,
+        errors: errors,
+        summary: {
+            stationCount: ids.length,
+            earliestCritical: earliestId === null ? null : {
+                stationId: earliestId,
+                period: stations[earliestId].criticalPeriod,
+                time: stations[earliestId].criticalTime === null
+                    ? null
+                    : new Date(stations[earliestId].criticalTime).toISOString()
+            },
+            driestStation: driestId === null ? null : {
+                stationId: driestId,
+                moisture: stations[driestId].finalMoisture
+            },
+            stationsBelowThreshold: ids.filter(id => stations[id].finalMoisture <= threshold).length,
+            criticalThreshold: threshold
+        }
+    };
+}
+
+/**
+ * Legacy moisture calculation retained for backward compatibility.
+ * @param {Object} input - The input object containing temperature and humidity.
+ * @param {number} input.temperature - The temperature in Fahrenheit.
+ * @param {number} input.humidity - The relative humidity in percentage.
+ * @returns {number} - The calculated moisture content.
+ * @throws {TypeError} - If input is invalid.
+ */
+function calculateMoisture(input) {
+    if (!input || !isFinite(Number(input.temperature)) || !isFinite(Number(input.humidity))) {
+        throw new TypeError('Input must contain finite temperature and humidity values');
+    }
+    return parseFloat((Number(input.humidity) - Number(input.temperature) * 0.1).toFixed(2));
+}
+
+/**
+ * Legacy placeholder retained for backward compatibility.
+ * @returns {boolean} - Always true
+ */
+function someOtherFunction() {
+    return true;
+}
+
+const FuelMoistureCalculator = {
+    calculateMoisture,
     computeEMC,
     stepMoisture,
+    computeEMCGrid,
+    stepMoistureGrid,
+    createNelsonStick,
+    stepNelsonStick,
+    computeDaylength,
+    runNFDRSLargeFuelModel,
+    synthesizeHourlyWeather,
+    computeFWI,
+    computeISI,
+    computeBUI,
+    computeFWIIndex,
+    runFWI,
+    computeNFDRSIndices,
+    runNFDRSIndices,
+    computeFireDangerRating,
+    runFireDangerRating,
+    computeSurfaceFireSpread,
+    runSurfaceFireSpread,
     simulateDrying,
     runModel,
+    FuelMoistureModel,
+    streamMoisture,
+    createAlertMonitor,
+    updateAlertMonitor,
+    evaluateRedFlagCriteria,
+    runEnsemble,
+    calibrateFuelMoisture,
+    computeProbabilityOfIgnition,
+    computeSiteCorrection,
+    analyzeDryingPattern,
+    interpolateWeatherData,
+    resampleWeather,
+    parseFW13,
+    parseFW21,
+    parseWeatherCSV,
+    formatResultsCSV,
+    decodeMETAR,
+    metarsToForecast,
+    nwsGridpointToHourly,
+    createStationRegistry,
+    addStation,
+    runStationBatch,
+    predictDryingTrend,
     celsiusToFahrenheit,
     fahrenheitToCelsius,
-    someOtherFunction 
+    someOtherFunction,
+    CRITICAL_MOISTURE_THRESHOLD,
+    MOISTURE_ENGINES,
+    FWI_STARTUP_CODES,
+    NFDRS_FUEL_MODELS,
+    NFDRS_ADJECTIVE_CLASSES,
+    SURFACE_FUEL_MODELS
 };
+
+// Universal export: CommonJS (Node.js, Bun) or browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuelMoistureCalculator;
+} else if (typeof window !== 'undefined') {
+    window.FuelMoistureCalculator = FuelMoistureCalculator;
+}